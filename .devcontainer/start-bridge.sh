@@ -63,6 +63,14 @@ log "Bridge started (PID ${BRIDGE_PID}). Logs: ${LOG_FILE}"
 for i in {1..30}; do
     if curl -s http://localhost:3001/api/health >/dev/null 2>&1; then
         log "Bridge is healthy and ready!"
+
+        # Install the classroom cores/libraries from .devcontainer/arduino-profile.json
+        # (runs as a background job on the bridge)
+        if [[ -f "${SCRIPT_DIR}/arduino-profile.json" ]]; then
+            curl -s -X POST -H "Content-Type: application/json" \
+                -d '{"stream":true}' http://localhost:3001/api/provision >/dev/null 2>&1 &&
+                log "Provisioning from arduino-profile.json started"
+        fi
         
         # Try to open browser
         if command -v "$BROWSER" &>/dev/null; then
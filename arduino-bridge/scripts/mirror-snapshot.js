@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+// Snapshot the board/library indexes and archives into an offline mirror
+// Usage: npm run mirror:snapshot -- [--core vendor:arch[@version]]... [--library Name[@version]]...
+// Without --core/--library the installed cores and libraries plus the
+// provisioning profile are mirrored. The mirror goes to build/mirror
+// (or $ARDUINO_MIRROR_DIR) and the bridge serves it at /mirror.
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { snapshotMirror } from "../src/server/index-mirror.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const WORKSPACE_ROOT = path.resolve(__dirname, "..", "..");
+const MIRROR_DIR = process.env.ARDUINO_MIRROR_DIR
+  ? path.resolve(process.env.ARDUINO_MIRROR_DIR)
+  : path.join(WORKSPACE_ROOT, "build", "mirror");
+
+const options = {};
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+  const field = { "--core": "cores", "--library": "libraries" }[args[i]];
+  if (!field || !args[i + 1]) {
+    console.error(`Unknown or incomplete option: ${args[i]}`);
+    process.exit(2);
+  }
+  (options[field] ??= []).push(args[++i]);
+}
+
+const result = await snapshotMirror(
+  WORKSPACE_ROOT,
+  MIRROR_DIR,
+  options,
+  (event) => process.stdout.write(event.data)
+);
+if (!result.success) {
+  console.error(result.error);
+  process.exit(1);
+}
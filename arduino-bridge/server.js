@@ -22,9 +22,92 @@ import { serverLogger } from "./src/shared/Logger.js";
 import { success, failure, ErrorCodes } from "./src/shared/Result.js";
 
 // CLI Manager imports
-import { checkCliAvailable } from "./src/server/cli-executor.js";
+import {
+  checkCliAvailable,
+  executeCliCommand,
+} from "./src/server/cli-executor.js";
 import * as coreManager from "./src/server/core-manager.js";
 import * as libraryManager from "./src/server/library-manager.js";
+import {
+  runAsJob,
+  setJobPhase,
+  createOutputHandler,
+  streamJobEvents,
+  getJob,
+  summarizeJob,
+  listJobs,
+  cancelJob,
+  cancelAllJobs,
+} from "./src/server/job-manager.js";
+import {
+  parseDiagnostics,
+  parseMemoryUsage,
+} from "./src/server/diagnostics.js";
+import { buildSizeReport } from "./src/server/size-report.js";
+import {
+  resolveBuildCache,
+  markBuildComplete,
+  pruneBuildCache,
+  clearBuildCache,
+} from "./src/server/build-cache.js";
+import {
+  readSketchProfiles,
+  getSketchProfile,
+  saveSketchProfile,
+  renderSketchProfile,
+} from "./src/server/sketch-profile.js";
+import {
+  recordBuild,
+  listBuilds,
+  getStoredBuild,
+  recordUpload,
+  listFlashedBoards,
+  listUploads,
+} from "./src/server/artifact-store.js";
+import {
+  listSketchFiles,
+  readSketchFile,
+  writeSketchFile,
+  deleteSketchFile,
+  isSketchFolder,
+  listSketchIncludes,
+} from "./src/server/sketch-files.js";
+import { listTemplates, createSketch } from "./src/server/sketch-templates.js";
+import { exportSketch, importSketch } from "./src/server/sketch-archive.js";
+import { formatSketch } from "./src/server/code-format.js";
+import { lintSketch } from "./src/server/sketch-lint.js";
+import {
+  STANDARD_LIBRARY_HEADERS,
+  resolveSketchLibraries,
+  installMissingLibraries,
+} from "./src/server/library-deps.js";
+import {
+  normalizeLibraryName,
+  findHeaderProviders,
+} from "./src/server/header-index.js";
+import {
+  LOCKFILE_NAME,
+  readLockfile,
+  writeLockfile,
+  getLockStatus,
+  restoreLibraries,
+  recordLibrarySources,
+  resolveGitSource,
+  gitInstallUrl,
+} from "./src/server/library-lock.js";
+import {
+  PROFILE_PATH,
+  readProvisioningProfile,
+  planProvisioning,
+  provision,
+} from "./src/server/provisioning.js";
+import {
+  getMirrorStatus,
+  snapshotMirror,
+  readMirroredIndex,
+  useMirror,
+  stopUsingMirror,
+} from "./src/server/index-mirror.js";
 
 // =============================================================================
 // Constants
@@ -91,6 +174,11 @@ function cleanupResources() {
   });
 
   activeProcesses.clear();
+
+  const cancelledJobs = cancelAllJobs();
+  if (cancelledJobs > 0) {
+    serverLogger.info(`Cancelled ${cancelledJobs} active jobs`);
+  }
 }
 
 /**
@@ -143,6 +231,23 @@ const WORKSPACE_ROOT = path.resolve(__dirname, "..");
 /** Directory for compiled sketch artifacts */
 const BUILD_ROOT = path.join(WORKSPACE_ROOT, "build", "sketches");
 
+/** Directory for persistent arduino-cli build folders and the core cache */
+const BUILD_CACHE_ROOT = path.join(WORKSPACE_ROOT, "build", "cache");
+
+/** Directory for the firmware history (kept builds and upload records) */
+const ARTIFACT_STORE_ROOT = path.join(WORKSPACE_ROOT, "build", "artifacts");
+
+/** Directory for the offline index/archive mirror (served at /mirror) */
+const MIRROR_DIR = process.env.ARDUINO_MIRROR_DIR
+  ? path.resolve(process.env.ARDUINO_MIRROR_DIR)
+  : path.join(WORKSPACE_ROOT, "build", "mirror");
+
+// Where new-sketch templates come from (sensor guides and demo_* sketches)
+const TEMPLATE_SOURCES = {
+  sensorsDir: path.join(WORKSPACE_ROOT, "docs", "sensors"),
+  demosDir: WORKSPACE_ROOT,
+};
+
 /** Path to bridge restart script */
 const START_SCRIPT = path.join(
   WORKSPACE_ROOT,
@@ -242,32 +347,6 @@ const INTERNAL_IGNORE_DIRS = new Set([
   ".vscode",
 ]);
 
-/** Standard C/C++ library headers that should not trigger library suggestions */
-const STANDARD_LIBRARY_HEADERS = new Set(
-  [
-    "assert",
-    "arduino",
-    "complex",
-    "ctype",
-    "errno",
-    "float",
-    "inttypes",
-    "limits",
-    "locale",
-    "math",
-    "setjmp",
-    "signal",
-    "stdarg",
-    "stdbool",
-    "stddef",
-    "stdint",
-    "stdio",
-    "stdlib",
-    "string",
-    "time",
-  ].map((name) => name.toLowerCase())
-);
-
 /**
  * Pattern to detect include style from source code line
  * - #include <header.h> = library include (use Library Manager)
@@ -286,19 +365,12 @@ const MISSING_INCLUDE_PATTERNS = [
   /No such file or directory[:]?\s*['"]?([^'":\s]+\.h(?:pp|xx)?)['"]?/i,
 ];
 
-/**
- * Normalize a library name for comparison
- * @param {string} name - Library name to normalize
- * @returns {string} Normalized name (lowercase, alphanumeric only)
- */
-function normalizeLibraryName(name) {
-  return (name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
-}
-
 /**
  * Detect missing includes from compiler output and suggest libraries
  * @param {string|string[]} compileLog - Compiler output
- * @returns {Promise<Array<{header: string, query: string, isLibraryInclude: boolean|null, suggestions: Array}>>}
+ * @returns {Promise<Array<{header: string, query: string, isLibraryInclude: boolean|null, suggestions: Array, bundledWith: string[]}>>}
+ *   `suggestions` are the best-ranked installable libraries from the header
+ *   index, `bundledWith` the platforms whose bundled libraries provide the header
  */
 async function detectMissingIncludes(compileLog) {
   if (!compileLog) return [];
@@ -387,22 +459,35 @@ async function detectMissingIncludes(compileLog) {
     if (installedLibrariesNormalized.has(normalizedBase)) continue;
 
     let librarySuggestions = [];
+    let bundledWith = [];
     let searchError = null;
 
-    // Only search for library suggestions if it's a library-style include
+    // Only look up libraries if it's a library-style include
     if (info.isLibraryInclude !== false) {
       try {
-        const searchResult = await libraryManager.searchLibraries(
-          info.baseName
-        );
-        if (searchResult.success && Array.isArray(searchResult.libraries)) {
-          librarySuggestions = searchResult.libraries
+        const matches = await findHeaderProviders(info.header, {
+          limit: Infinity,
+        });
+        if (matches === null) {
+          searchError =
+            "Library index not downloaded - update it in the Library Manager";
+        } else {
+          librarySuggestions = matches
+            .filter((lib) => lib.source === "index")
             .slice(0, 3)
             .map((lib) => ({
               name: lib.name,
               latestVersion: lib.latestVersion,
               author: lib.author,
+              exact: lib.exact,
             }));
+          bundledWith = [
+            ...new Set(
+              matches
+                .filter((lib) => lib.source === "platform")
+                .map((lib) => lib.platform)
+            ),
+          ];
         }
       } catch (error) {
         searchError = error.message;
@@ -414,6 +499,7 @@ async function detectMissingIncludes(compileLog) {
       query: info.baseName,
       isLibraryInclude: info.isLibraryInclude,
       suggestions: librarySuggestions,
+      bundledWith,
       error: librarySuggestions.length === 0 ? searchError : undefined,
     });
   }
@@ -423,7 +509,8 @@ async function detectMissingIncludes(compileLog) {
 
 fs.mkdirSync(BUILD_ROOT, { recursive: true });
 
-app.use(express.json());
+// Sketch files saved from the editor can exceed the 100kb default
+app.use(express.json({ limit: "1mb" }));
 app.use((req, res, next) => {
   res.header("Access-Control-Allow-Origin", "*");
   res.header(
@@ -434,6 +521,23 @@ app.use((req, res, next) => {
 });
 app.use("/artifacts", express.static(BUILD_ROOT));
 
+// Offline mirror: indexes are served with archive URLs pointing at this server
+app.get("/mirror/:file", (req, res, next) => {
+  try {
+    const body = readMirroredIndex(
+      MIRROR_DIR,
+      req.params.file,
+      `${req.protocol}://${req.get("host")}/mirror`
+    );
+    if (body === null) return next();
+    res.type("application/json").send(body);
+  } catch (error) {
+    console.error("[Mirror] Index error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+app.use("/mirror", express.static(MIRROR_DIR));
+
 // Version endpoint for client verification
 app.get("/api/version", (req, res) => {
   res.json({
@@ -496,6 +600,46 @@ app.get("/api/health", (req, res) => {
 // CLI Manager API Routes
 // ==========================================
 
+/**
+ * Send the result of a CLI manager operation
+ *
+ * Every operation runs as an exclusive job, so installs and index updates
+ * queue behind each other and can be listed or cancelled via /api/jobs.
+ * When the request body contains `stream: true` the response is 202 with a
+ * job ID and CLI output (the executeCliCommand `onProgress` events) is pushed
+ * over GET /api/jobs/:id/events. Otherwise the request waits for the result.
+ *
+ * @param {import('express').Request} req - Express request
+ * @param {import('express').Response} res - Express response
+ * @param {string} type - Job type (e.g., 'core-install')
+ * @param {object} meta - Job details for status listings
+ * @param {function(function, AbortSignal): Promise<object>} operation - Receives onProgress and signal, resolves to a manager result
+ * @param {object} [options] - Response options
+ * @param {number} [options.failureStatus=400] - HTTP status when the operation fails
+ */
+async function sendCliResult(req, res, type, meta, operation, options = {}) {
+  const { failureStatus = 400 } = options;
+
+  const job = runAsJob(
+    type,
+    meta,
+    (job, onProgress, signal) => operation(onProgress, signal),
+    { exclusive: true }
+  );
+
+  if (req.body?.stream) {
+    return res.status(202).json({ success: true, jobId: job.id });
+  }
+
+  const result = await job.promise;
+  const status = result.success
+    ? 200
+    : result.code === ErrorCodes.CANCELLED
+    ? 409
+    : failureStatus;
+  res.status(status).json({ ...result, jobId: job.id });
+}
+
 // --- Health & Diagnostics ---
 app.get("/api/cli/health", async (req, res) => {
   try {
@@ -542,8 +686,14 @@ app.get("/api/cli/cores/index/status", (req, res) => {
 app.post("/api/cli/cores/index/update", async (req, res) => {
   try {
     console.log("[CLI] Updating core index...");
-    const result = await coreManager.updateCoreIndex();
-    res.json(result);
+    await sendCliResult(
+      req,
+      res,
+      "core-index-update",
+      {},
+      (onProgress, signal) => coreManager.updateCoreIndex(onProgress, signal),
+      { failureStatus: 200 }
+    );
   } catch (error) {
     console.error("[CLI] Core index update error:", error);
     res.status(500).json({ success: false, error: error.message });
@@ -652,13 +802,14 @@ app.post("/api/cli/cores/install", async (req, res) => {
     console.log(
       `[CLI] Installing core: ${platformId}${version ? "@" + version : ""}`
     );
-    const result = await coreManager.installCore(platformId, version);
-
-    if (result.success) {
-      res.json(result);
-    } else {
-      res.status(400).json(result);
-    }
+    await sendCliResult(
+      req,
+      res,
+      "core-install",
+      { platformId, version },
+      (onProgress, signal) =>
+        coreManager.installCore(platformId, version, onProgress, signal)
+    );
   } catch (error) {
     console.error("[CLI] Core install error:", error);
     res.status(500).json({ success: false, error: error.message });
@@ -675,13 +826,14 @@ app.post("/api/cli/cores/upgrade", async (req, res) => {
     }
 
     console.log(`[CLI] Upgrading core: ${platformId}`);
-    const result = await coreManager.upgradeCore(platformId);
-
-    if (result.success) {
-      res.json(result);
-    } else {
-      res.status(400).json(result);
-    }
+    await sendCliResult(
+      req,
+      res,
+      "core-upgrade",
+      { platformId },
+      (onProgress, signal) =>
+        coreManager.upgradeCore(platformId, onProgress, signal)
+    );
   } catch (error) {
     console.error("[CLI] Core upgrade error:", error);
     res.status(500).json({ success: false, error: error.message });
@@ -698,13 +850,9 @@ app.post("/api/cli/cores/uninstall", async (req, res) => {
     }
 
     console.log(`[CLI] Uninstalling core: ${platformId}`);
-    const result = await coreManager.uninstallCore(platformId);
-
-    if (result.success) {
-      res.json(result);
-    } else {
-      res.status(400).json(result);
-    }
+    await sendCliResult(req, res, "core-uninstall", { platformId }, () =>
+      coreManager.uninstallCore(platformId)
+    );
   } catch (error) {
     console.error("[CLI] Core uninstall error:", error);
     res.status(500).json({ success: false, error: error.message });
@@ -719,8 +867,15 @@ app.get("/api/cli/libraries/index/status", (req, res) => {
 app.post("/api/cli/libraries/index/update", async (req, res) => {
   try {
     console.log("[CLI] Updating library index...");
-    const result = await libraryManager.updateLibraryIndex();
-    res.json(result);
+    await sendCliResult(
+      req,
+      res,
+      "library-index-update",
+      {},
+      (onProgress, signal) =>
+        libraryManager.updateLibraryIndex(onProgress, signal),
+      { failureStatus: 200 }
+    );
   } catch (error) {
     console.error("[CLI] Library index update error:", error);
     res.status(500).json({ success: false, error: error.message });
@@ -786,21 +941,28 @@ app.post("/api/cli/libraries/install", async (req, res) => {
         installDeps ? " (with deps)" : ""
       }`
     );
-    const result = await libraryManager.installLibrary(
-      name,
-      version,
-      installDeps
+    await sendCliResult(
+      req,
+      res,
+      "library-install",
+      { name, version },
+      async (onProgress, signal) => {
+        const result = await libraryManager.installLibrary(
+          name,
+          version,
+          installDeps,
+          onProgress,
+          signal
+        );
+        if (result.success) {
+          // Regenerate IntelliSense to pick up new library
+          await regenerateIntelliSense(`library install: ${name}`);
+          // Sync library examples to workspace
+          await libraryManager.syncLibraryExamples();
+        }
+        return result;
+      }
     );
-
-    if (result.success) {
-      // Regenerate IntelliSense to pick up new library
-      await regenerateIntelliSense(`library install: ${name}`);
-      // Sync library examples to workspace
-      await libraryManager.syncLibraryExamples();
-      res.json(result);
-    } else {
-      res.status(400).json(result);
-    }
   } catch (error) {
     console.error("[CLI] Library install error:", error);
     res.status(500).json({ success: false, error: error.message });
@@ -817,17 +979,26 @@ app.post("/api/cli/libraries/upgrade", async (req, res) => {
     }
 
     console.log(`[CLI] Upgrading library: ${name}`);
-    const result = await libraryManager.upgradeLibrary(name);
-
-    if (result.success) {
-      // Regenerate IntelliSense in case library paths changed
-      await regenerateIntelliSense(`library upgrade: ${name}`);
-      // Sync library examples in case examples changed
-      await libraryManager.syncLibraryExamples();
-      res.json(result);
-    } else {
-      res.status(400).json(result);
-    }
+    await sendCliResult(
+      req,
+      res,
+      "library-upgrade",
+      { name },
+      async (onProgress, signal) => {
+        const result = await libraryManager.upgradeLibrary(
+          name,
+          onProgress,
+          signal
+        );
+        if (result.success) {
+          // Regenerate IntelliSense in case library paths changed
+          await regenerateIntelliSense(`library upgrade: ${name}`);
+          // Sync library examples in case examples changed
+          await libraryManager.syncLibraryExamples();
+        }
+        return result;
+      }
+    );
   } catch (error) {
     console.error("[CLI] Library upgrade error:", error);
     res.status(500).json({ success: false, error: error.message });
@@ -844,17 +1015,16 @@ app.post("/api/cli/libraries/uninstall", async (req, res) => {
     }
 
     console.log(`[CLI] Uninstalling library: ${name}`);
-    const result = await libraryManager.uninstallLibrary(name);
-
-    if (result.success) {
-      // Regenerate IntelliSense to remove library paths
-      await regenerateIntelliSense(`library uninstall: ${name}`);
-      // Remove stale example symlinks
-      await libraryManager.syncLibraryExamples();
-      res.json(result);
-    } else {
-      res.status(400).json(result);
-    }
+    await sendCliResult(req, res, "library-uninstall", { name }, async () => {
+      const result = await libraryManager.uninstallLibrary(name);
+      if (result.success) {
+        // Regenerate IntelliSense to remove library paths
+        await regenerateIntelliSense(`library uninstall: ${name}`);
+        // Remove stale example symlinks
+        await libraryManager.syncLibraryExamples();
+      }
+      return result;
+    });
   } catch (error) {
     console.error("[CLI] Library uninstall error:", error);
     res.status(500).json({ success: false, error: error.message });
@@ -872,17 +1042,34 @@ app.post("/api/cli/libraries/install-git", async (req, res) => {
     }
 
     console.log(`[CLI] Installing library from Git: ${url}`);
-    const result = await libraryManager.installLibraryFromGit(url);
-
-    if (result.success) {
-      // Regenerate IntelliSense to pick up new library
-      await regenerateIntelliSense(`library install from git: ${url}`);
-      // Sync library examples
-      await libraryManager.syncLibraryExamples();
-      res.json(result);
-    } else {
-      res.status(400).json(result);
-    }
+    await sendCliResult(
+      req,
+      res,
+      "library-install-git",
+      { url },
+      async (onProgress, signal) => {
+        // Install the commit the lockfile will record
+        const source = await resolveGitSource(url, signal);
+        const before = await libraryManager.listInstalledLibraries();
+        const result = await libraryManager.installLibraryFromGit(
+          gitInstallUrl(source),
+          onProgress,
+          signal
+        );
+        if (result.success) {
+          // arduino-cli does not remember the source; the lockfile needs it
+          const after = await libraryManager.listInstalledLibraries();
+          if (before.success && after.success) {
+            recordLibrarySources(before.libraries, after.libraries, source);
+          }
+          // Regenerate IntelliSense to pick up new library
+          await regenerateIntelliSense(`library install from git: ${url}`);
+          // Sync library examples
+          await libraryManager.syncLibraryExamples();
+        }
+        return result;
+      }
+    );
   } catch (error) {
     console.error("[CLI] Library install from Git error:", error);
     res.status(500).json({ success: false, error: error.message });
@@ -900,19 +1087,259 @@ app.post("/api/cli/libraries/install-zip", async (req, res) => {
     }
 
     console.log(`[CLI] Installing library from ZIP: ${zipPath}`);
-    const result = await libraryManager.installLibraryFromZip(zipPath);
+    await sendCliResult(
+      req,
+      res,
+      "library-install-zip",
+      { path: zipPath },
+      async (onProgress, signal) => {
+        const before = await libraryManager.listInstalledLibraries();
+        const result = await libraryManager.installLibraryFromZip(
+          zipPath,
+          onProgress,
+          signal
+        );
+        if (result.success) {
+          // arduino-cli does not remember the source; the lockfile needs it
+          const after = await libraryManager.listInstalledLibraries();
+          if (before.success && after.success) {
+            recordLibrarySources(before.libraries, after.libraries, {
+              source: "zip",
+              path: path.resolve(zipPath),
+            });
+          }
+          // Regenerate IntelliSense to pick up new library
+          await regenerateIntelliSense(`library install from zip: ${zipPath}`);
+          // Sync library examples
+          await libraryManager.syncLibraryExamples();
+        }
+        return result;
+      }
+    );
+  } catch (error) {
+    console.error("[CLI] Library install from ZIP error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (result.success) {
-      // Regenerate IntelliSense to pick up new library
-      await regenerateIntelliSense(`library install from zip: ${zipPath}`);
-      // Sync library examples
-      await libraryManager.syncLibraryExamples();
-      res.json(result);
-    } else {
-      res.status(400).json(result);
+// --- Library Lockfile ---
+// arduino-libraries.lock.json at the workspace root, with a drift report
+app.get("/api/cli/libraries/lock", async (req, res) => {
+  try {
+    const status = await getLockStatus(WORKSPACE_ROOT);
+    res.status(status.success ? 200 : 500).json(status);
+  } catch (error) {
+    console.error("[CLI] Lockfile status error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Lock the currently installed libraries
+app.post("/api/cli/libraries/lock", async (req, res) => {
+  try {
+    console.log(`[CLI] Writing ${LOCKFILE_NAME}`);
+    const result = await writeLockfile(WORKSPACE_ROOT);
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    console.error("[CLI] Lockfile write error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Install exactly the locked libraries (body: { prune?, stream? })
+app.post("/api/cli/libraries/restore", async (req, res) => {
+  try {
+    const lock = readLockfile(WORKSPACE_ROOT);
+    if (!lock.success) {
+      return res.status(400).json({ success: false, error: lock.error });
+    }
+    if (!lock.exists) {
+      return res.status(404).json({
+        success: false,
+        error: `No ${LOCKFILE_NAME} in the workspace`,
+      });
+    }
+    const prune = Boolean(req.body?.prune);
+
+    console.log(`[CLI] Restoring libraries from ${LOCKFILE_NAME}`);
+    await sendCliResult(
+      req,
+      res,
+      "library-restore",
+      { prune },
+      async (onProgress, signal) => {
+        const result = await restoreLibraries(
+          WORKSPACE_ROOT,
+          { prune },
+          onProgress,
+          signal
+        );
+        if (result.installed.length > 0 || result.removed.length > 0) {
+          await regenerateIntelliSense("library restore from lockfile");
+          await libraryManager.syncLibraryExamples();
+        }
+        return result;
+      }
+    );
+  } catch (error) {
+    console.error("[CLI] Library restore error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// --- Provisioning ---
+// Reconcile cores, libraries and board URLs with .devcontainer/arduino-profile.json
+app.get("/api/provision", async (req, res) => {
+  try {
+    const read = readProvisioningProfile(WORKSPACE_ROOT);
+    if (!read.success || !read.exists) {
+      return res.status(read.success ? 404 : 400).json({
+        ...read,
+        success: false,
+        error: read.error || `No ${PROFILE_PATH} in the workspace`,
+      });
     }
+    const plan = await planProvisioning(read.profile);
+    res.status(plan.success ? 200 : 500).json({ ...read, ...plan });
   } catch (error) {
-    console.error("[CLI] Library install from ZIP error:", error);
+    console.error("[Provision] Plan error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// body: { dryRun?, stream? }
+app.post("/api/provision", async (req, res) => {
+  try {
+    const read = readProvisioningProfile(WORKSPACE_ROOT);
+    if (!read.success) {
+      return res.status(400).json({ success: false, error: read.error });
+    }
+    if (!read.exists) {
+      return res
+        .status(404)
+        .json({ success: false, error: `No ${PROFILE_PATH} in the workspace` });
+    }
+    const dryRun = Boolean(req.body?.dryRun);
+
+    if (dryRun) {
+      const result = await provision(WORKSPACE_ROOT, { dryRun });
+      return res.status(result.success ? 200 : 500).json(result);
+    }
+
+    console.log(`[Provision] Provisioning from ${PROFILE_PATH}`);
+    await sendCliResult(
+      req,
+      res,
+      "provision",
+      { profile: PROFILE_PATH },
+      async (onProgress, signal) => {
+        const result = await provision(
+          WORKSPACE_ROOT,
+          { dryRun },
+          onProgress,
+          signal
+        );
+        const changed = [
+          ...result.added,
+          ...result.upgraded,
+          ...result.downgraded,
+        ];
+        if (changed.length > 0) {
+          await regenerateIntelliSense(`provisioning: ${changed.join(", ")}`);
+          await libraryManager.syncLibraryExamples();
+        }
+        return result;
+      }
+    );
+  } catch (error) {
+    console.error("[Provision] Error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// --- Offline Mirror ---
+// Snapshot indexes and archives into build/mirror, serve them at /mirror and
+// point arduino-cli at a mirror (this bridge or another one on the network)
+app.get("/api/mirror", (req, res) => {
+  try {
+    res.json({
+      ...getMirrorStatus(MIRROR_DIR),
+      url: `${req.protocol}://${req.get("host")}/mirror`,
+    });
+  } catch (error) {
+    console.error("[Mirror] Status error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// body: { cores?: ["vendor:arch[@version]"], libraries?: ["Name[@version]"], stream? }
+app.post("/api/mirror/snapshot", async (req, res) => {
+  try {
+    const { cores, libraries } = req.body || {};
+    const isList = (value) =>
+      value === undefined ||
+      (Array.isArray(value) && value.every((v) => typeof v === "string"));
+    if (!isList(cores) || !isList(libraries)) {
+      return res.status(400).json({
+        success: false,
+        error: "cores and libraries must be arrays of strings",
+      });
+    }
+
+    console.log(`[Mirror] Snapshot into ${MIRROR_DIR}`);
+    await sendCliResult(
+      req,
+      res,
+      "mirror-snapshot",
+      { mirrorDir: MIRROR_DIR },
+      (onProgress, signal) =>
+        snapshotMirror(
+          WORKSPACE_ROOT,
+          MIRROR_DIR,
+          { cores, libraries },
+          onProgress,
+          signal
+        )
+    );
+  } catch (error) {
+    console.error("[Mirror] Snapshot error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// body: { url? } - defaults to this bridge's own mirror
+app.post("/api/mirror/use", async (req, res) => {
+  try {
+    const url = req.body?.url || `${req.protocol}://${req.get("host")}/mirror`;
+    if (!/^https?:\/\//.test(url)) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Mirror URL must be http(s)" });
+    }
+
+    console.log(`[Mirror] Using mirror ${url}`);
+    await sendCliResult(req, res, "mirror-use", { url }, (onProgress, signal) =>
+      useMirror(url, onProgress, signal)
+    );
+  } catch (error) {
+    console.error("[Mirror] Use error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post("/api/mirror/disable", async (req, res) => {
+  try {
+    console.log("[Mirror] Going back to the normal download servers");
+    await sendCliResult(
+      req,
+      res,
+      "mirror-disable",
+      {},
+      (onProgress, signal) => stopUsingMirror(onProgress, signal),
+      { failureStatus: 500 }
+    );
+  } catch (error) {
+    console.error("[Mirror] Disable error:", error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -1121,6 +1548,36 @@ function validateSketchPath(relativePath) {
   return { absolutePath, normalized };
 }
 
+/**
+ * Check an FQBN, including optional menu options
+ * (`vendor:arch:board[:option=value,...]`)
+ * @param {string} fqbn - FQBN to check
+ * @returns {boolean}
+ */
+function isValidFqbn(fqbn) {
+  return /^[\w.-]+:[\w.-]+:[\w.-]+(:[\w.-]+=[\w.-]*(,[\w.-]+=[\w.-]*)*)?$/.test(
+    fqbn
+  );
+}
+
+/**
+ * Validate `--build-property` values from a request
+ * @param {*} properties - Expected: array of "key=value" strings
+ * @returns {string[]|null} Trimmed properties, or null if invalid
+ */
+function normalizeBuildProperties(properties) {
+  if (properties == null) return [];
+  if (!Array.isArray(properties)) return null;
+
+  const normalized = properties
+    .map((property) => String(property).trim())
+    .filter(Boolean);
+  const valid = normalized.every((property) =>
+    /^[\w.-]+=[^\r\n]*$/.test(property)
+  );
+  return valid ? normalized : null;
+}
+
 function slugify(value) {
   return (
     value
@@ -1158,19 +1615,67 @@ function findArtifactFile(outputDir, fqbn) {
 /** @constant {number} CLI_TIMEOUT_MS - Maximum time for CLI operations */
 const CLI_TIMEOUT_MS = 120000; // 2 minutes
 
-function runArduinoCompile({ sketchPath, fqbn, outputDir }) {
+/**
+ * Terminate a child process, escalating to SIGKILL if it ignores SIGTERM
+ * @param {ChildProcess} child - Process to stop
+ */
+function killChild(child) {
+  child.kill("SIGTERM");
+  setTimeout(() => {
+    try {
+      child.kill("SIGKILL");
+    } catch (e) {
+      /* ignore */
+    }
+  }, 1000);
+}
+
+/**
+ * Run arduino-cli compile for a sketch
+ * @param {object} params - Compile parameters
+ * @param {string} params.sketchPath - Absolute sketch directory
+ * @param {string} params.fqbn - Board FQBN
+ * @param {string} [params.profile] - sketch.yaml profile (pins platform and library versions)
+ * @param {string[]} [params.buildProperties] - Extra `key=value` build properties
+ * @param {string} params.outputDir - Directory for build artifacts
+ * @param {string} [params.buildPath] - Persistent build folder (enables incremental builds)
+ * @param {string} [params.buildCachePath] - Shared core cache folder
+ * @param {function} [params.onProgress] - Output callback ({type, data}), same shape as executeCliCommand
+ * @param {AbortSignal} [params.signal] - Aborting kills the compiler process
+ * @returns {Promise<{code: number, stdout: string, stderr: string, cancelled?: boolean}>}
+ */
+function runArduinoCompile({
+  sketchPath,
+  fqbn,
+  profile = null,
+  buildProperties = [],
+  outputDir,
+  buildPath = null,
+  buildCachePath = null,
+  onProgress = null,
+  signal = null,
+}) {
   return new Promise((resolve) => {
-    const args = [
-      "compile",
-      "--fqbn",
-      fqbn,
-      "--output-dir",
-      outputDir,
-      sketchPath,
-    ];
+    const args = ["compile", "--fqbn", fqbn, "--output-dir", outputDir];
+    if (profile) args.push("--profile", profile);
+    for (const property of buildProperties) {
+      args.push("--build-property", property);
+    }
+    if (buildPath) args.push("--build-path", buildPath);
+    if (buildCachePath) args.push("--build-cache-path", buildCachePath);
+    args.push(sketchPath);
     serverLogger.info(`Running: arduino-cli ${args.join(" ")}`);
 
+    // Don't start the compiler for a job that was cancelled while queued
+    if (signal?.aborted) {
+      serverLogger.warn("Compile cancelled before it started");
+      resolve({ code: -1, stdout: "", stderr: "", cancelled: true });
+      return;
+    }
+
     let resolved = false;
+    let stdout = "";
+    let stderr = "";
     const child = spawn("arduino-cli", args, {
       cwd: sketchPath,
       env: process.env,
@@ -1186,14 +1691,7 @@ function runArduinoCompile({ sketchPath, fqbn, outputDir }) {
         serverLogger.warn(
           `Compile timed out after ${CLI_TIMEOUT_MS}ms, killing process`
         );
-        child.kill("SIGTERM");
-        setTimeout(() => {
-          try {
-            child.kill("SIGKILL");
-          } catch (e) {
-            /* ignore */
-          }
-        }, 1000);
+        killChild(child);
         activeProcesses.delete(child);
         resolve({
           code: -1,
@@ -1203,12 +1701,31 @@ function runArduinoCompile({ sketchPath, fqbn, outputDir }) {
       }
     }, CLI_TIMEOUT_MS);
 
-    let stdout = "";
-    let stderr = "";
-    child.stdout.on("data", (data) => (stdout += data.toString()));
-    child.stderr.on("data", (data) => (stderr += data.toString()));
+    // Kill the compiler if the job is cancelled
+    const onAbort = () => {
+      if (resolved) return;
+      resolved = true;
+      clearTimeout(timeoutId);
+      serverLogger.warn("Compile cancelled, killing process");
+      killChild(child);
+      activeProcesses.delete(child);
+      resolve({ code: -1, stdout, stderr, cancelled: true });
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    child.stdout.on("data", (data) => {
+      const chunk = data.toString();
+      stdout += chunk;
+      if (onProgress) onProgress({ type: "stdout", data: chunk });
+    });
+    child.stderr.on("data", (data) => {
+      const chunk = data.toString();
+      stderr += chunk;
+      if (onProgress) onProgress({ type: "stderr", data: chunk });
+    });
 
     child.on("close", (code) => {
+      signal?.removeEventListener("abort", onAbort);
       if (!resolved) {
         resolved = true;
         clearTimeout(timeoutId);
@@ -1218,6 +1735,7 @@ function runArduinoCompile({ sketchPath, fqbn, outputDir }) {
     });
 
     child.on("error", (err) => {
+      signal?.removeEventListener("abort", onAbort);
       if (!resolved) {
         resolved = true;
         clearTimeout(timeoutId);
@@ -1248,11 +1766,67 @@ function runArduinoCompile({ sketchPath, fqbn, outputDir }) {
   });
 }
 
-async function prepareCompile(relativePath, fqbn) {
-  serverLogger.info(`Preparing compile for: ${relativePath} (${fqbn})`);
-  if (!relativePath || !fqbn)
+/** @type {Map<string, Promise<void>>} Last queued compile per folder key */
+const compileLocks = new Map();
+
+/**
+ * Wait for earlier compiles that use the same folders, then hold their locks.
+ * Keys are taken in the order given, so every caller must use the same order
+ * (output folder, then build folder) to avoid deadlocks.
+ * @param {string[]} keys - Folder keys
+ * @returns {Promise<function(): void>} Releases all the locks
+ */
+async function acquireCompileLocks(keys) {
+  const releases = [];
+  for (const key of keys) {
+    const previous = compileLocks.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise((resolve) => {
+      release = resolve;
+    });
+    const tail = previous.then(() => current);
+    compileLocks.set(key, tail);
+    await previous;
+    releases.push(() => {
+      release();
+      if (compileLocks.get(key) === tail) compileLocks.delete(key);
+    });
+  }
+  return () => releases.forEach((release) => release());
+}
+
+/**
+ * Validate a sketch, compile it and locate the resulting artifact
+ * @param {string} relativePath - Workspace-relative sketch path (or __EXAMPLE__: path)
+ * @param {string} fqbn - Board FQBN (optional with a profile - the profile's FQBN is used)
+ * @param {object} [options] - Compile options
+ * @param {string} [options.profile] - sketch.yaml profile to compile with
+ * @param {string[]} [options.buildProperties] - Extra `key=value` build properties (`--build-property`)
+ * @param {function} [options.onProgress] - Live compiler output callback
+ * @param {AbortSignal} [options.signal] - Cancels the compile when aborted
+ * @param {boolean} [options.clean=false] - Ignore the build cache and rebuild everything
+ * @param {boolean} [options.perBoardOutput=false] - Write artifacts to `<slug>--<fqbn>` so parallel board builds don't collide
+ * @param {boolean} [options.holdLock=false] - Keep the compile locks after a successful
+ *   compile; the result's `releaseLock()` must be called once the artifact is used
+ * @returns {Promise<object>} Compile outcome with `ok`, `status` and artifact details
+ */
+async function prepareCompile(relativePath, fqbn, options = {}) {
+  const {
+    onProgress = null,
+    signal = null,
+    clean = false,
+    perBoardOutput = false,
+    profile = null,
+    buildProperties = [],
+    holdLock = false,
+  } = options;
+  serverLogger.info(
+    `Preparing compile for: ${relativePath} (${
+      profile ? `profile ${profile}` : fqbn
+    })`
+  );
+  if (!relativePath || !(fqbn || profile))
     return { ok: false, status: 400, error: "Missing path or fqbn" };
-  const normalizedFqbn = String(fqbn).trim();
   const resolved = validateSketchPath(relativePath);
   serverLogger.debug(`Resolved path:`, resolved);
   if (!resolved)
@@ -1264,25 +1838,137 @@ async function prepareCompile(relativePath, fqbn) {
       error: "Selected folder does not contain .ino files",
     };
 
-  const slug = slugify(resolved.normalized);
-  const outputDir = path.join(BUILD_ROOT, slug);
-
-  try {
-    fs.rmSync(outputDir, { recursive: true, force: true });
-    fs.mkdirSync(outputDir, { recursive: true });
-  } catch (err) {
+  // A profile pins the board, so its FQBN wins over the dropdown
+  let sketchProfile = null;
+  if (profile) {
+    sketchProfile = getSketchProfile(resolved.absolutePath, profile);
+    if (!sketchProfile)
+      return {
+        ok: false,
+        status: 400,
+        error: `Profile "${profile}" not found in sketch.yaml`,
+      };
+    if (!sketchProfile.fqbn && !fqbn)
+      return {
+        ok: false,
+        status: 400,
+        error: `Profile "${profile}" has no fqbn`,
+      };
+  }
+  const normalizedFqbn = String(sketchProfile?.fqbn || fqbn).trim();
+  if (!isValidFqbn(normalizedFqbn))
+    return { ok: false, status: 400, error: `Invalid FQBN: ${normalizedFqbn}` };
+  const properties = normalizeBuildProperties(buildProperties);
+  if (!properties)
     return {
       ok: false,
-      status: 500,
-      error: "Unable to prepare build directory",
+      status: 400,
+      error: "Build properties must be an array of key=value strings",
     };
-  }
 
-  const compileResult = await runArduinoCompile({
-    sketchPath: resolved.absolutePath,
+  const sketchSlug = slugify(resolved.normalized);
+  const slug = perBoardOutput
+    ? `${sketchSlug}--${slugify(normalizedFqbn)}`
+    : sketchSlug;
+  const outputDir = path.join(BUILD_ROOT, slug);
+
+  // Same output folder, or same sketch and board (same cached build folder)
+  const lockKeys = [
+    `output:${outputDir}`,
+    `build:${sketchSlug}:${normalizedFqbn}`,
+  ];
+  if (lockKeys.some((key) => compileLocks.has(key))) {
+    onProgress?.({
+      type: "stdout",
+      data: "Waiting for another compile of this sketch to finish...\n",
+    });
+  }
+  const releaseLock = await acquireCompileLocks(lockKeys);
+  let keepLock = false;
+  try {
+    if (signal?.aborted)
+      return { ok: false, status: 409, error: "Compile cancelled" };
+    const result = await compileWithCache({
+      resolved,
+      normalizedFqbn,
+      sketchProfile,
+      properties,
+      sketchSlug,
+      slug,
+      outputDir,
+      clean,
+      onProgress,
+      signal,
+    });
+    // The caller uses the artifact before another compile replaces it
+    keepLock = holdLock && result.ok;
+    return keepLock ? { ...result, releaseLock } : result;
+  } finally {
+    if (!keepLock) releaseLock();
+  }
+}
+
+/**
+ * Compile a validated sketch through the build cache (prepareCompile() holds
+ * the compile locks for its folders)
+ * @param {object} build - Validated compile inputs from prepareCompile()
+ * @returns {Promise<object>} Compile outcome, see prepareCompile()
+ */
+async function compileWithCache({
+  resolved,
+  normalizedFqbn,
+  sketchProfile,
+  properties,
+  sketchSlug,
+  slug,
+  outputDir,
+  clean,
+  onProgress,
+  signal,
+}) {
+  // Library versions are part of the cache key, so upgrades trigger a rebuild
+  const installedLibraries = await libraryManager.listInstalledLibraries();
+
+  let cache;
+  try {
+    // Only the artifact copies are discarded; the build folder is reused
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    fs.mkdirSync(outputDir, { recursive: true });
+    cache = resolveBuildCache({
+      cacheRoot: BUILD_CACHE_ROOT,
+      slug: sketchSlug,
+      fqbn: normalizedFqbn,
+      libraries: installedLibraries.libraries,
+      profile: sketchProfile ? JSON.stringify(sketchProfile) : null,
+      buildProperties: properties,
+      clean,
+    });
+  } catch (err) {
+    return {
+      ok: false,
+      status: 500,
+      error: "Unable to prepare build directory",
+    };
+  }
+  serverLogger.info(
+    `Build cache ${cache.hit ? "hit" : "miss"}: ${cache.buildPath}`
+  );
+
+  const compileResult = await runArduinoCompile({
+    sketchPath: resolved.absolutePath,
     fqbn: normalizedFqbn,
+    profile: sketchProfile?.name,
+    buildProperties: properties,
     outputDir,
+    buildPath: cache.buildPath,
+    buildCachePath: cache.coreCachePath,
+    onProgress,
+    signal,
   });
+  const cacheInfo = { hit: cache.hit, key: cache.key };
+
+  if (compileResult.cancelled)
+    return { ok: false, status: 409, error: "Compile cancelled" };
 
   const compileLog = [compileResult.stdout, compileResult.stderr]
     .filter(Boolean)
@@ -1290,6 +1976,10 @@ async function prepareCompile(relativePath, fqbn) {
     .trim();
   const missingIncludes =
     compileResult.code !== 0 ? await detectMissingIncludes(compileLog) : [];
+  const diagnostics = parseDiagnostics(compileLog, {
+    sketchPath: resolved.absolutePath,
+    buildPath: cache.buildPath,
+  });
   if (compileResult.code !== 0)
     return {
       ok: false,
@@ -1297,6 +1987,8 @@ async function prepareCompile(relativePath, fqbn) {
       error: "Compile failed",
       log: compileLog,
       missingIncludes,
+      diagnostics,
+      cache: cacheInfo,
     };
 
   let artifactPath;
@@ -1311,15 +2003,38 @@ async function prepareCompile(relativePath, fqbn) {
       error: "Compile succeeded but no artifact was found",
       log: compileLog,
       missingIncludes,
+      diagnostics,
+      cache: cacheInfo,
     };
 
+  markBuildComplete(cache.buildPath, {
+    sketch: resolved.normalized,
+    fqbn: normalizedFqbn,
+  });
+  pruneBuildCache(BUILD_CACHE_ROOT);
+
   const artifactStats = fs.statSync(artifactPath);
   const artifactName = path.basename(artifactPath);
 
+  // Keep a copy so the firmware can be identified and re-flashed later
+  let stored = null;
+  try {
+    stored = await recordBuild(ARTIFACT_STORE_ROOT, {
+      artifactPath,
+      sketch: resolved.normalized,
+      sketchDir: resolved.absolutePath,
+      fqbn: normalizedFqbn,
+      profile: sketchProfile?.name,
+    });
+  } catch (err) {
+    serverLogger.warn(`Could not store artifact: ${err.message}`);
+  }
+
   return {
     ok: true,
     status: 200,
     normalizedFqbn,
+    profile: sketchProfile?.name || null,
     resolved,
     slug,
     outputDir,
@@ -1327,9 +2042,13 @@ async function prepareCompile(relativePath, fqbn) {
       name: artifactName,
       url: `/artifacts/${slug}/${artifactName}`,
       size: artifactStats.size,
+      sha256: stored?.sha256 || null,
     },
     log: compileLog,
     missingIncludes,
+    diagnostics,
+    memory: parseMemoryUsage(compileLog),
+    cache: cacheInfo,
   };
 }
 
@@ -1344,6 +2063,520 @@ app.get("/api/sketches", (req, res) => {
   }
 });
 
+// --- New Sketch from Template ---
+
+app.get("/api/sketches/templates", (req, res) => {
+  try {
+    res.json({ success: true, ...listTemplates(TEMPLATE_SOURCES) });
+  } catch (err) {
+    console.error("[Sketch] Listing templates failed:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Create a sketch in the workspace root.
+// Body: { name, template?: "blank" | "demo:<name>", sensors?: [sensorId, ...] }
+app.post("/api/sketches", (req, res) => {
+  try {
+    const { status = 201, ...result } = createSketch(
+      WORKSPACE_ROOT,
+      TEMPLATE_SOURCES,
+      req.body || {}
+    );
+    if (!result.success) return res.status(status).json(result);
+
+    const { sketchDir, ...created } = result;
+    const relativePath = path.relative(WORKSPACE_ROOT, sketchDir);
+    console.log(`[Sketch] Created ${relativePath}`);
+    res.status(201).json({
+      ...created,
+      sketch: { name: path.basename(sketchDir), relativePath },
+    });
+  } catch (err) {
+    console.error("[Sketch] Create failed:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// --- Sketch Profiles (sketch.yaml) ---
+
+// List a sketch's build profiles and its default profile
+app.get("/api/sketches/:path(*)/profile", (req, res) => {
+  const resolved = validateSketchPath(req.params.path);
+  if (!resolved) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Invalid sketch path" });
+  }
+
+  const result = readSketchProfiles(resolved.absolutePath);
+  res.status(result.success ? 200 : 422).json(result);
+});
+
+// Create or update a profile. Body: { name, fqbn, notes?, libraries?, platforms?, setDefault? }
+// Without `platforms`, the board's platform is pinned at its installed version.
+app.put("/api/sketches/:path(*)/profile", async (req, res) => {
+  const resolved = validateSketchPath(req.params.path);
+  if (!resolved) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Invalid sketch path" });
+  }
+
+  try {
+    const {
+      name,
+      fqbn,
+      notes,
+      libraries,
+      platforms,
+      setDefault = false,
+    } = req.body || {};
+    if (!name || !fqbn) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Missing name or fqbn" });
+    }
+
+    let pinnedPlatforms = platforms;
+    if (!Array.isArray(pinnedPlatforms)) {
+      const platformId = String(fqbn).split(":").slice(0, 2).join(":");
+      const installed = await coreManager.listInstalledCores();
+      const platform = installed.platforms.find((p) => p.id === platformId);
+      if (!platform) {
+        return res.status(400).json({
+          success: false,
+          error: `Platform ${platformId} is not installed`,
+        });
+      }
+      pinnedPlatforms = [
+        { id: platformId, version: platform.installedVersion },
+      ];
+    }
+
+    const result = saveSketchProfile(
+      resolved.absolutePath,
+      { name, fqbn, notes, libraries, platforms: pinnedPlatforms },
+      Boolean(setDefault)
+    );
+    if (!result.success) return res.status(400).json(result);
+
+    console.log(
+      `[Profile] Saved "${name}" (${fqbn}) for ${resolved.normalized}`
+    );
+    res.json({ ...readSketchProfiles(resolved.absolutePath), saved: name });
+  } catch (err) {
+    console.error("[Profile] Save failed:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// --- Sketch Files (Editor) ---
+// Sketch and file paths are sent URL-encoded, e.g.
+// /api/sketches/demo_sketch/files/src%2Futil.h
+
+/**
+ * Resolve the sketch of a file route, answering 400 if it is invalid
+ * @param {string} [sketchPath] - Workspace-relative sketch (default: the :path param)
+ * @returns {{absolutePath: string, normalized: string}|null}
+ */
+function resolveEditableSketch(req, res, sketchPath = req.params.path) {
+  const resolved = validateSketchPath(sketchPath);
+  if (
+    !resolved ||
+    resolved.normalized.startsWith("/") ||
+    !isSketchFolder(resolved.absolutePath)
+  ) {
+    // Library examples are read-only; copy them to the workspace first
+    res.status(400).json({ success: false, error: "Invalid sketch path" });
+    return null;
+  }
+  return resolved;
+}
+
+/**
+ * Send a sketch-files result with its HTTP status
+ */
+function sendFileResult(res, result) {
+  const { status = result.success ? 200 : 500, ...body } = result;
+  res.status(status).json(body);
+}
+
+app.get("/api/sketches/:path(*)/files", (req, res) => {
+  const resolved = resolveEditableSketch(req, res);
+  if (!resolved) return;
+
+  try {
+    res.json({
+      success: true,
+      sketch: resolved.normalized,
+      files: listSketchFiles(resolved.absolutePath),
+    });
+  } catch (err) {
+    console.error("[Files] List failed:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get("/api/sketches/:path(*)/files/:file(*)", (req, res) => {
+  const resolved = resolveEditableSketch(req, res);
+  if (!resolved) return;
+
+  try {
+    sendFileResult(res, readSketchFile(resolved.absolutePath, req.params.file));
+  } catch (err) {
+    console.error("[Files] Read failed:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Save an existing file. Body: { content }
+app.put("/api/sketches/:path(*)/files/:file(*)", (req, res) => {
+  const resolved = resolveEditableSketch(req, res);
+  if (!resolved) return;
+
+  try {
+    sendFileResult(
+      res,
+      writeSketchFile(resolved.absolutePath, req.params.file, req.body?.content)
+    );
+  } catch (err) {
+    console.error("[Files] Save failed:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Create a new file (409 if it exists). Body: { content? }
+app.post("/api/sketches/:path(*)/files/:file(*)", (req, res) => {
+  const resolved = resolveEditableSketch(req, res);
+  if (!resolved) return;
+
+  try {
+    const result = writeSketchFile(
+      resolved.absolutePath,
+      req.params.file,
+      req.body?.content ?? "",
+      { create: true }
+    );
+    sendFileResult(res, result.success ? { ...result, status: 201 } : result);
+  } catch (err) {
+    console.error("[Files] Create failed:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.delete("/api/sketches/:path(*)/files/:file(*)", (req, res) => {
+  const resolved = resolveEditableSketch(req, res);
+  if (!resolved) return;
+
+  try {
+    sendFileResult(
+      res,
+      deleteSketchFile(resolved.absolutePath, req.params.file)
+    );
+  } catch (err) {
+    console.error("[Files] Delete failed:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// --- Code Formatting (clang-format) ---
+// Body: { path, file?, contents?: { [file]: text }, apply? }
+// Without `file` every source file of the sketch is formatted. `contents`
+// holds unsaved editor buffers; `apply` writes the formatted files.
+app.post("/api/format", async (req, res) => {
+  const {
+    path: sketchPath,
+    file,
+    contents = {},
+    apply = false,
+  } = req.body || {};
+  const resolved = resolveEditableSketch(req, res, sketchPath);
+  if (!resolved) return;
+
+  if (typeof contents !== "object" || Array.isArray(contents)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "contents must map file paths to text" });
+  }
+
+  try {
+    const result = await formatSketch(resolved.absolutePath, {
+      file: file || null,
+      contents,
+      apply: apply === true,
+    });
+    if (result.success) {
+      console.log(
+        `[Format] ${resolved.normalized}: ${result.changed} of ${
+          result.files.length
+        } file(s) ${apply === true ? "formatted" : "would change"}`
+      );
+    }
+    sendFileResult(res, result);
+  } catch (err) {
+    console.error("[Format] Failed:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// --- Sketch Lint (beginner mistakes) ---
+// Body: { path, fqbn?, baudRate? } - returns compile-style diagnostics,
+// each with a `rule` id. fqbn enables the PWM pin check, baudRate the
+// Serial.begin() check.
+app.post("/api/lint", (req, res) => {
+  const { path: sketchPath, fqbn, baudRate } = req.body || {};
+  const resolved = validateSketchPath(sketchPath);
+  if (!resolved || !isSketchFolder(resolved.absolutePath)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Invalid sketch path" });
+  }
+  if (fqbn && !isValidFqbn(fqbn)) {
+    return res.status(400).json({ success: false, error: "Invalid FQBN" });
+  }
+
+  try {
+    const diagnostics = lintSketch(resolved.absolutePath, { fqbn, baudRate });
+    console.log(
+      `[Lint] ${resolved.normalized}: ${diagnostics.length} warning(s)`
+    );
+    res.json({ success: true, sketch: resolved.normalized, diagnostics });
+  } catch (err) {
+    console.error("[Lint] Failed:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// --- Sketch Library Dependencies ---
+// Pre-compile check of the sketch's #include <...> headers against the
+// installed libraries (?fqbn= adds the board platform's bundled ones)
+app.get("/api/sketches/:path(*)/dependencies", async (req, res) => {
+  const resolved = validateSketchPath(req.params.path);
+  if (!resolved || !isSketchFolder(resolved.absolutePath)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Invalid sketch path" });
+  }
+  const fqbn = req.query.fqbn ? String(req.query.fqbn) : undefined;
+  if (fqbn && !isValidFqbn(fqbn)) {
+    return res.status(400).json({ success: false, error: "Invalid FQBN" });
+  }
+
+  try {
+    const result = await resolveSketchLibraries(resolved.absolutePath, {
+      fqbn,
+    });
+    res.status(result.success ? 200 : 502).json(result);
+  } catch (err) {
+    console.error("[Deps] Scan failed:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Install the best match for every missing header (body: { fqbn?, stream? })
+app.post("/api/sketches/:path(*)/dependencies/install", async (req, res) => {
+  const resolved = validateSketchPath(req.params.path);
+  if (!resolved || !isSketchFolder(resolved.absolutePath)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Invalid sketch path" });
+  }
+  const { fqbn } = req.body || {};
+  if (fqbn && !isValidFqbn(fqbn)) {
+    return res.status(400).json({ success: false, error: "Invalid FQBN" });
+  }
+
+  try {
+    console.log(
+      `[Deps] Installing missing libraries for ${resolved.normalized}`
+    );
+    await sendCliResult(
+      req,
+      res,
+      "library-install-missing",
+      { sketch: resolved.normalized },
+      async (onProgress, signal) => {
+        const result = await installMissingLibraries(
+          resolved.absolutePath,
+          { fqbn },
+          onProgress,
+          signal
+        );
+        if (result.installed.length > 0) {
+          await regenerateIntelliSense(
+            `library install: ${result.installed.join(", ")}`
+          );
+          await libraryManager.syncLibraryExamples();
+        }
+        return result;
+      }
+    );
+  } catch (err) {
+    console.error("[Deps] Install failed:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// --- Sketch Export / Import (ZIP) ---
+
+/**
+ * Installed libraries that provide a sketch's #include <...> headers
+ * @param {string} sketchDir - Absolute sketch directory
+ * @returns {Promise<Array<{name: string, version: string}>>}
+ */
+async function findUsedLibraries(sketchDir) {
+  const headers = new Set(
+    listSketchIncludes(sketchDir)
+      .filter((include) => include.system)
+      .map((include) => include.header)
+  );
+  if (headers.size === 0) return [];
+
+  const installed = await libraryManager.listInstalledLibraries();
+  return installed.libraries
+    .filter((lib) => lib.location !== "platform")
+    .filter((lib) =>
+      (lib.providesIncludes.length
+        ? lib.providesIncludes
+        : [`${lib.name}.h`]
+      ).some((header) => headers.has(header))
+    )
+    .map((lib) => ({ name: lib.name, version: lib.installedVersion }));
+}
+
+/**
+ * sketch.yaml for an export: an "export" profile pinning the board's
+ * platform and the libraries the sketch includes
+ * @param {string} sketchDir - Absolute sketch directory
+ * @param {string} fqbn - Board the sketch was built for
+ * @returns {Promise<string|null>} YAML, or null if the platform isn't installed
+ */
+async function buildExportProfile(sketchDir, fqbn) {
+  const platformId = fqbn.split(":").slice(0, 2).join(":");
+  const installed = await coreManager.listInstalledCores();
+  const platform = installed.platforms?.find((p) => p.id === platformId);
+  if (!platform) return null;
+
+  const result = renderSketchProfile(
+    sketchDir,
+    {
+      name: "export",
+      fqbn,
+      notes: "Board, platform and libraries used when this sketch was exported",
+      platforms: [{ id: platformId, version: platform.installedVersion }],
+      libraries: await findUsedLibraries(sketchDir),
+    },
+    false
+  );
+  return result.success ? result.yaml : null;
+}
+
+// Download a sketch as ZIP.
+// Query: artifact=1 adds the last kept build, libraries=1 adds a sketch.yaml
+// profile with the used libraries, fqbn=... picks the board for both.
+app.get("/api/sketches/:path(*)/export", async (req, res) => {
+  const resolved = validateSketchPath(req.params.path);
+  if (!resolved || !isSketchFolder(resolved.absolutePath)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Invalid sketch path" });
+  }
+
+  const fqbn = req.query.fqbn ? String(req.query.fqbn) : null;
+  if (fqbn && !isValidFqbn(fqbn)) {
+    return res.status(400).json({ success: false, error: "Invalid FQBN" });
+  }
+
+  try {
+    const extraFiles = [];
+    const builds = listBuilds(ARTIFACT_STORE_ROOT, {
+      sketch: resolved.normalized,
+    }).filter((build) => !fqbn || build.fqbn === fqbn);
+
+    if (req.query.artifact === "1" && builds.length > 0) {
+      const stored = getStoredBuild(ARTIFACT_STORE_ROOT, builds[0].sha256);
+      if (stored) {
+        // Same layout as `arduino-cli compile --export-binaries`
+        extraFiles.push({
+          name: `build/${stored.build.fqbn.replace(/:/g, ".")}/${
+            stored.build.name
+          }`,
+          data: fs.readFileSync(stored.filePath),
+        });
+      }
+    }
+
+    const profileFqbn = fqbn || builds[0]?.fqbn;
+    if (req.query.libraries === "1" && profileFqbn) {
+      const yaml = await buildExportProfile(resolved.absolutePath, profileFqbn);
+      if (yaml) extraFiles.push({ name: "sketch.yaml", data: yaml });
+    }
+
+    const { status = 500, ...result } = exportSketch(
+      resolved.absolutePath,
+      extraFiles
+    );
+    if (!result.success) return res.status(status).json(result);
+
+    console.log(
+      `[Sketch] Exported ${resolved.normalized} (${result.files.length} files)`
+    );
+    res.attachment(result.fileName);
+    res.type("application/zip");
+    res.send(result.zip);
+  } catch (err) {
+    console.error("[Sketch] Export failed:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Upload a sketch ZIP (request body is the raw archive).
+// Query: name=... overrides the sketch name taken from the archive.
+app.post(
+  "/api/sketches/import",
+  express.raw({
+    type: [
+      "application/zip",
+      "application/x-zip-compressed",
+      "application/octet-stream",
+    ],
+    limit: "50mb",
+  }),
+  (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Send the ZIP file as the request body (Content-Type: application/zip)",
+      });
+    }
+
+    try {
+      const name = req.query.name
+        ? String(req.query.name).replace(/\.zip$/i, "")
+        : undefined;
+      const { status = 500, ...result } = importSketch(
+        req.body,
+        WORKSPACE_ROOT,
+        { name }
+      );
+      if (!result.success) return res.status(status).json(result);
+
+      const { sketchDir, ...imported } = result;
+      const relativePath = path.relative(WORKSPACE_ROOT, sketchDir);
+      console.log(`[Sketch] Imported ${relativePath}`);
+      res.status(201).json({
+        ...imported,
+        sketch: { name: result.name, relativePath },
+      });
+    } catch (err) {
+      console.error("[Sketch] Import failed:", err);
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
 app.get("/api/boards", (req, res) => {
   exec("arduino-cli board listall --format json", (error, stdout, stderr) => {
     if (error) {
@@ -1447,6 +2680,16 @@ app.get("/api/board-details/:fqbn(*)", (req, res) => {
           protocolType,
           use1200bpsTouch,
           toolsDependencies: toolNames,
+          // Board menu options (partition scheme, CPU speed, USB stack, ...)
+          configOptions: (data.config_options || []).map((option) => ({
+            option: option.option,
+            label: option.option_label || option.option,
+            values: (option.values || []).map((value) => ({
+              value: value.value,
+              label: value.value_label || value.value,
+              selected: Boolean(value.selected),
+            })),
+          })),
           // Include raw data for debugging
           _raw: {
             buildPropertiesCount: data.build_properties?.length || 0,
@@ -1466,48 +2709,93 @@ app.get("/api/strategies", (req, res) => {
   res.json({ strategies });
 });
 
-app.post("/api/compile", async (req, res) => {
-  console.log("[API] Received compile request:", req.body);
-  const { path: relativePath, fqbn } = req.body || {};
-  const compileResult = await prepareCompile(relativePath, fqbn);
-
+/**
+ * Build the HTTP response body for a compile outcome
+ * @param {object} compileResult - Result from prepareCompile
+ * @returns {{status: number, body: object}}
+ */
+function buildCompileResponse(compileResult) {
   if (!compileResult.ok) {
-    return res.status(compileResult.status).json({
-      error: compileResult.error,
-      log: compileResult.log,
-      missingIncludes: compileResult.missingIncludes || [],
-    });
+    return {
+      status: compileResult.status,
+      body: {
+        success: false,
+        error: compileResult.error,
+        log: compileResult.log,
+        missingIncludes: compileResult.missingIncludes || [],
+        diagnostics: compileResult.diagnostics || [],
+        cache: compileResult.cache,
+      },
+    };
   }
 
-  res.json({
-    success: true,
-    fqbn: compileResult.normalizedFqbn,
-    sketch: compileResult.resolved.normalized,
-    artifact: compileResult.artifact,
-    log: compileResult.log,
-    missingIncludes: compileResult.missingIncludes || [],
-  });
-});
+  return {
+    status: 200,
+    body: {
+      success: true,
+      fqbn: compileResult.normalizedFqbn,
+      profile: compileResult.profile,
+      sketch: compileResult.resolved.normalized,
+      slug: compileResult.slug,
+      artifact: compileResult.artifact,
+      log: compileResult.log,
+      missingIncludes: compileResult.missingIncludes || [],
+      diagnostics: compileResult.diagnostics || [],
+      memory: compileResult.memory,
+      cache: compileResult.cache,
+    },
+  };
+}
 
-// --- Server-Side Upload Endpoint ---
-// Uses native bossac/arduino-cli for reliable uploads
-// Workaround for Web Serial limitations with R4 WiFi
-app.post("/api/upload", async (req, res) => {
-  console.log("[API] Received upload request:", req.body);
-  const { path: relativePath, fqbn, port } = req.body || {};
+/**
+ * Compile a sketch and upload it with arduino-cli
+ * @param {object} params - Upload parameters
+ * @param {string} params.relativePath - Sketch path
+ * @param {string} params.fqbn - Board FQBN
+ * @param {string} [params.profile] - sketch.yaml profile to compile with
+ * @param {string[]} [params.buildProperties] - Extra `key=value` build properties
+ * @param {string} params.port - Serial port path on the server
+ * @param {object} [options] - Upload options
+ * @param {function} [options.onProgress] - Live output callback ({type, data})
+ * @param {function} [options.onPhase] - Phase change callback (phase, message)
+ * @param {AbortSignal} [options.signal] - Cancels the compile or upload when aborted
+ * @returns {Promise<{status: number, body: object}>}
+ */
+async function compileAndUpload(
+  { relativePath, fqbn, profile = null, buildProperties = [], port },
+  options = {}
+) {
+  const { onProgress = null, onPhase = null, signal = null } = options;
 
-  if (!relativePath || !fqbn || !port) {
-    return res.status(400).json({ error: "Missing path, fqbn, or port" });
+  if (!relativePath || !(fqbn || profile) || !port) {
+    return {
+      status: 400,
+      body: { success: false, error: "Missing path, fqbn, or port" },
+    };
   }
 
   // First compile
-  const compileResult = await prepareCompile(relativePath, fqbn);
+  if (onPhase) {
+    onPhase(
+      "compiling",
+      `Compiling ${relativePath} for ${profile ? `profile ${profile}` : fqbn}`
+    );
+  }
+  const compileResult = await prepareCompile(relativePath, fqbn, {
+    onProgress,
+    signal,
+    profile,
+    buildProperties,
+    holdLock: true,
+  });
   if (!compileResult.ok) {
-    return res.status(compileResult.status).json({
-      error: compileResult.error,
-      log: compileResult.log,
-      missingIncludes: compileResult.missingIncludes || [],
-    });
+    return buildCompileResponse(compileResult);
+  }
+  // With a profile, the board comes from sketch.yaml
+  fqbn = compileResult.normalizedFqbn;
+  if (signal?.aborted) {
+    compileResult.releaseLock();
+    return { status: 409, body: { success: false, error: "Upload cancelled" } };
   }
 
   // Then upload using arduino-cli
@@ -1519,8 +2807,79 @@ app.post("/api/upload", async (req, res) => {
   console.log(
     `[Upload] Uploading ${artifactPath} to ${port} for board ${fqbn}`
   );
+  if (onPhase) onPhase("uploading", `Uploading to ${port}`);
 
-  const uploadResult = await new Promise((resolve) => {
+  let uploadResult;
+  try {
+    uploadResult = await runArduinoUpload({
+      fqbn,
+      port,
+      artifactPath,
+      onProgress,
+      signal,
+    });
+  } finally {
+    compileResult.releaseLock();
+  }
+
+  const uploadLog = [
+    compileResult.log,
+    "--- UPLOAD ---",
+    uploadResult.stdout,
+    uploadResult.stderr,
+  ]
+    .filter(Boolean)
+    .join("\n")
+    .trim();
+
+  if (signal?.aborted) {
+    return { status: 409, body: { success: false, error: "Upload cancelled" } };
+  }
+  if (uploadResult.code !== 0) {
+    return {
+      status: 500,
+      body: {
+        success: false,
+        error: "Upload failed",
+        log: uploadLog,
+      },
+    };
+  }
+
+  if (compileResult.artifact.sha256) {
+    const board = await findPortProperties(port);
+    recordUpload(ARTIFACT_STORE_ROOT, {
+      sha256: compileResult.artifact.sha256,
+      board: { ...board, port },
+      fqbn,
+      method: "arduino-cli",
+    });
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      fqbn: compileResult.normalizedFqbn,
+      sketch: compileResult.resolved.normalized,
+      log: uploadLog,
+      memory: compileResult.memory,
+    },
+  };
+}
+
+/**
+ * Run arduino-cli upload for a compiled artifact
+ * @param {object} options - Upload options
+ * @param {string} options.fqbn - Board FQBN
+ * @param {string} options.port - Server-side port address
+ * @param {string} options.artifactPath - Absolute path of the artifact
+ * @param {function} [options.onProgress] - Live upload output callback
+ * @param {AbortSignal} [options.signal] - Stops the upload tool when aborted
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function runArduinoUpload({ fqbn, port, artifactPath, onProgress, signal }) {
+  return new Promise((resolve) => {
     const args = [
       "upload",
       "--fqbn",
@@ -1543,45 +2902,406 @@ app.post("/api/upload", async (req, res) => {
       const str = data.toString();
       stdout += str;
       console.log("[Upload stdout]", str);
+      if (onProgress) onProgress({ type: "stdout", data: str });
     });
     child.stderr.on("data", (data) => {
       const str = data.toString();
       stderr += str;
       console.log("[Upload stderr]", str);
+      if (onProgress) onProgress({ type: "stderr", data: str });
+    });
+    // Stop the upload tool if the job is cancelled
+    const onAbort = () => killChild(child);
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    child.on("close", (code) => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve({ code, stdout, stderr });
     });
-    child.on("close", (code) => resolve({ code, stdout, stderr }));
     child.on("error", (err) => {
+      signal?.removeEventListener("abort", onAbort);
       stderr += `\nSpawn error: ${err.message}`;
       resolve({ code: 1, stdout, stderr });
     });
   });
+}
 
-  const uploadLog = [
-    compileResult.log,
-    "--- UPLOAD ---",
-    uploadResult.stdout,
-    uploadResult.stderr,
-  ]
-    .filter(Boolean)
-    .join("\n")
-    .trim();
+/**
+ * Look up the USB identity of a server-side port
+ * @param {string} port - Port address (e.g., /dev/ttyACM0)
+ * @returns {Promise<{vid?: string, pid?: string, serialNumber?: string}>} Empty when unknown
+ */
+async function findPortProperties(port) {
+  const result = await executeCliCommand(["board", "list"], {
+    timeout: 10000,
+  });
+  if (!result.success || !result.data) return {};
+
+  // arduino-cli 0.x returns an array, 1.x wraps it in detected_ports
+  const detected = Array.isArray(result.data)
+    ? result.data
+    : result.data.detected_ports || [];
+  const match = detected.find((entry) => entry.port?.address === port);
+  const properties = match?.port?.properties || {};
+  return {
+    vid: properties.vid,
+    pid: properties.pid,
+    serialNumber: properties.serialNumber,
+  };
+}
 
-  if (uploadResult.code !== 0) {
-    return res.status(500).json({
+/**
+ * Respond to a compile/upload request that runs as a job
+ *
+ * The job's result body becomes the response; the HTTP status is captured
+ * by the operation. Cancelled jobs answer 409.
+ *
+ * @param {import('express').Request} req - Express request
+ * @param {import('express').Response} res - Express response
+ * @param {object} job - Job created by runAsJob
+ * @param {{status: number}} outcome - Holder the operation fills with its HTTP status
+ */
+async function sendJobResult(req, res, job, outcome) {
+  if (req.body?.stream) {
+    return res.status(202).json({ success: true, jobId: job.id });
+  }
+
+  const body = await job.promise;
+  const status = job.status === "cancelled" ? 409 : outcome.status;
+  res.status(status).json({ ...body, jobId: job.id });
+}
+
+// Pass `stream: true` to get a job ID immediately and follow live output
+// via GET /api/jobs/:id/events instead of waiting for the process to exit.
+app.post("/api/compile", async (req, res) => {
+  console.log("[API] Received compile request:", req.body);
+  const {
+    path: relativePath,
+    fqbn,
+    profile = null,
+    buildProperties = [],
+    clean = false,
+  } = req.body || {};
+  const outcome = { status: 500 };
+
+  const job = runAsJob(
+    "compile",
+    { sketch: relativePath, fqbn, profile },
+    async (job, onProgress, signal) => {
+      setJobPhase(job.id, "compiling", `Compiling ${relativePath}`);
+      const compileResult = await prepareCompile(relativePath, fqbn, {
+        onProgress,
+        signal,
+        clean: Boolean(clean),
+        profile,
+        buildProperties,
+      });
+      const { status, body } = buildCompileResponse(compileResult);
+      outcome.status = status;
+      return body;
+    }
+  );
+
+  await sendJobResult(req, res, job, outcome);
+});
+
+// --- Multi-Board Build Matrix ---
+
+/** @constant {number} MATRIX_CONCURRENCY - Board compiles run at the same time */
+const MATRIX_CONCURRENCY = 2;
+
+/** @constant {number} MATRIX_MAX_BOARDS - Upper bound on FQBNs per request */
+const MATRIX_MAX_BOARDS = 12;
+
+/**
+ * Run an async function over items with at most `limit` in flight
+ * @param {Array} items - Inputs
+ * @param {number} limit - Maximum concurrent calls
+ * @param {function(*, number): Promise<*>} fn - Worker (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
+
+// Compile one sketch for several boards and report pass/fail per board.
+// Body: { path, fqbns: [...], stream? }
+app.post("/api/compile/matrix", async (req, res) => {
+  console.log("[API] Received compile matrix request:", req.body);
+  const { path: relativePath, fqbns } = req.body || {};
+
+  const boards = Array.isArray(fqbns)
+    ? [...new Set(fqbns.map((fqbn) => String(fqbn).trim()).filter(Boolean))]
+    : [];
+  if (!relativePath || boards.length === 0) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Missing path or fqbns" });
+  }
+  if (boards.length > MATRIX_MAX_BOARDS) {
+    return res.status(400).json({
       success: false,
-      error: "Upload failed",
-      log: uploadLog,
+      error: `At most ${MATRIX_MAX_BOARDS} boards per matrix`,
     });
   }
 
+  const outcome = { status: 500 };
+  const job = runAsJob(
+    "compile-matrix",
+    { sketch: relativePath, fqbns: boards },
+    async (job, onProgress, signal) => {
+      let finished = 0;
+      setJobPhase(
+        job.id,
+        "compiling",
+        `Compiling ${relativePath} for ${boards.length} boards`
+      );
+
+      const results = await mapWithConcurrency(
+        boards,
+        MATRIX_CONCURRENCY,
+        async (fqbn) => {
+          if (signal.aborted) {
+            return { fqbn, success: false, error: "Cancelled" };
+          }
+
+          const started = Date.now();
+          const boardOutput = createOutputHandler(job.id, {
+            prefix: `[${fqbn}] `,
+          });
+          const compileResult = await prepareCompile(relativePath, fqbn, {
+            onProgress: boardOutput,
+            signal,
+            perBoardOutput: true,
+          });
+          boardOutput.flush();
+
+          finished++;
+          setJobPhase(
+            job.id,
+            "compiling",
+            `${fqbn}: ${compileResult.ok ? "passed" : "failed"} (${finished}/${
+              boards.length
+            })`
+          );
+
+          return {
+            fqbn,
+            success: compileResult.ok,
+            error: compileResult.ok ? null : compileResult.error,
+            duration: (Date.now() - started) / 1000,
+            slug: compileResult.slug || null,
+            memory: compileResult.memory || null,
+            diagnostics: compileResult.diagnostics || [],
+            missingIncludes: compileResult.missingIncludes || [],
+            cache: compileResult.cache || null,
+          };
+        }
+      );
+
+      const passed = results.filter((r) => r.success).length;
+      outcome.status = 200;
+      return {
+        success: passed === results.length,
+        sketch: relativePath,
+        passed,
+        failed: results.length - passed,
+        results,
+      };
+    }
+  );
+
+  await sendJobResult(req, res, job, outcome);
+});
+
+// --- Server-Side Upload Endpoint ---
+// Uses native bossac/arduino-cli for reliable uploads
+// Workaround for Web Serial limitations with R4 WiFi
+app.post("/api/upload", async (req, res) => {
+  console.log("[API] Received upload request:", req.body);
+  const {
+    path: relativePath,
+    fqbn,
+    profile = null,
+    buildProperties = [],
+    port,
+  } = req.body || {};
+  const outcome = { status: 500 };
+
+  const job = runAsJob(
+    "upload",
+    { sketch: relativePath, fqbn, profile, port },
+    async (job, onProgress, signal) => {
+      const { status, body } = await compileAndUpload(
+        { relativePath, fqbn, profile, buildProperties, port },
+        {
+          onProgress,
+          onPhase: (phase, message) => setJobPhase(job.id, phase, message),
+          signal,
+        }
+      );
+      outcome.status = status;
+      return body;
+    }
+  );
+
+  await sendJobResult(req, res, job, outcome);
+});
+
+// --- Build Cache ---
+// Deletes all persistent build folders and the shared core cache
+app.post("/api/build-cache/clear", (req, res) => {
+  // Every compile job type (compile, compile-matrix) and uploads use build folders
+  const busy =
+    compileLocks.size > 0 ||
+    listJobs({ activeOnly: true }).some(
+      (job) => job.type.startsWith("compile") || job.type === "upload"
+    );
+  if (busy) {
+    return res.status(409).json({
+      success: false,
+      error: "A compile is running - try again when it finishes",
+    });
+  }
+
+  console.log("[BuildCache] Clearing build cache...");
+  const result = clearBuildCache(BUILD_CACHE_ROOT);
+  res.status(result.success ? 200 : 500).json(result);
+});
+
+// --- Build Size Report ---
+// Per-symbol and per-library flash/RAM usage from the last build's .elf
+app.get("/api/artifacts/:slug/size-report", async (req, res) => {
+  const { slug } = req.params;
+  if (!/^[a-z0-9_-]+$/.test(slug)) {
+    return res.status(400).json({ success: false, error: "Invalid slug" });
+  }
+
+  const outputDir = path.join(BUILD_ROOT, slug);
+  let elfName;
+  try {
+    elfName = fs
+      .readdirSync(outputDir)
+      .find((file) => file.toLowerCase().endsWith(".elf"));
+  } catch (err) {}
+
+  if (!elfName) {
+    return res.status(404).json({
+      success: false,
+      error: "No .elf found for this build - compile the sketch first",
+    });
+  }
+
+  try {
+    const limit = parseInt(req.query.limit, 10) || undefined;
+    const report = await buildSizeReport(path.join(outputDir, elfName), {
+      limit,
+    });
+    res.json({ success: true, slug, elf: elfName, ...report });
+  } catch (error) {
+    console.error("[SizeReport] Error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// --- Firmware History ---
+// Builds kept in build/artifacts (?sketch= to filter), newest first
+app.get("/api/firmware/builds", (req, res) => {
+  const sketch = req.query.sketch ? String(req.query.sketch) : null;
   res.json({
     success: true,
-    fqbn: compileResult.normalizedFqbn,
-    sketch: compileResult.resolved.normalized,
-    log: uploadLog,
+    builds: listBuilds(ARTIFACT_STORE_ROOT, { sketch }),
   });
 });
 
+// Download a kept build for re-flashing without recompiling
+app.get("/api/firmware/builds/:sha256/file", (req, res) => {
+  const { sha256 } = req.params;
+  if (!/^[a-f0-9]{64}$/.test(sha256)) {
+    return res.status(400).json({ success: false, error: "Invalid hash" });
+  }
+
+  const stored = getStoredBuild(ARTIFACT_STORE_ROOT, sha256);
+  if (!stored) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Build is no longer in the history" });
+  }
+  res.download(stored.filePath, stored.build.name);
+});
+
+// Record a browser-side (Web Serial) upload.
+// Body: { sha256, fqbn?, board: { vid, pid, serialNumber?, port? } }
+app.post("/api/firmware/uploads", (req, res) => {
+  try {
+    const { sha256, fqbn, board } = req.body || {};
+    const result = recordUpload(ARTIFACT_STORE_ROOT, {
+      sha256,
+      fqbn,
+      board,
+      method: "web-serial",
+    });
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (err) {
+    console.error("[Firmware] Failed to record upload:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get("/api/firmware/uploads", (req, res) => {
+  const limit = parseInt(req.query.limit, 10) || undefined;
+  res.json({ success: true, uploads: listUploads(ARTIFACT_STORE_ROOT, limit) });
+});
+
+// What each known board is running (latest upload per VID/PID/serial)
+app.get("/api/firmware/boards", (req, res) => {
+  res.json({ success: true, boards: listFlashedBoards(ARTIFACT_STORE_ROOT) });
+});
+
+// --- Jobs ---
+// Query: ?active=1 for queued/running jobs only, ?type=library for a type prefix
+app.get("/api/jobs", (req, res) => {
+  const activeOnly = ["1", "true"].includes(String(req.query.active));
+  const type = req.query.type ? String(req.query.type) : null;
+  res.json({ success: true, jobs: listJobs({ activeOnly, type }) });
+});
+
+app.get("/api/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: "Job not found" });
+  }
+  res.json({ success: true, job: summarizeJob(job, { includeOutput: true }) });
+});
+
+app.delete("/api/jobs/:id", (req, res) => {
+  const result = cancelJob(req.params.id);
+  if (!result.success) {
+    const status = getJob(req.params.id) ? 409 : 404;
+    return res.status(status).json(result);
+  }
+  console.log(`[Jobs] Cancelled ${result.job.type} job ${result.job.id}`);
+  res.json(result);
+});
+
+// --- Job Event Stream (Server-Sent Events) ---
+app.get("/api/jobs/:id/events", (req, res) => {
+  streamJobEvents(req.params.id, req, res);
+});
+
 // --- List Serial Ports ---
 app.get("/api/ports", (req, res) => {
   exec("arduino-cli board list --format json", (error, stdout, stderr) => {
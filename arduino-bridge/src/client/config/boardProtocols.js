@@ -12,6 +12,8 @@
 
 export const PROTOCOL_TYPES = {
   STK500: "STK500v1",
+  STK500V2: "STK500v2",
+  AVR109: "AVR109",
   BOSSA: "BOSSA",
   ESPTOOL: "ESPTool",
   RP2040: "RP2040",
@@ -58,6 +60,106 @@ export const STK500_CONFIG = {
   },
 };
 
+/**
+ * STK500v1 Configuration for ATmega1280 (Arduino Mega, cpu=atmega1280)
+ * Reference: boards.txt mega.menu.cpu.atmega1280, ATmegaBOOT_168 bootloader
+ */
+export const STK500_ATMEGA1280_CONFIG = {
+  ...STK500_CONFIG,
+
+  serial: {
+    ...STK500_CONFIG.serial,
+    baudUpload: 57600, // The older "arduino" bootloader runs at 57600
+  },
+
+  memory: {
+    pageSize: 256, // 256 bytes per page (128 words)
+    flashSize: 0x20000, // 128KB for ATmega1280
+    bootStart: 0x1f000, // 4KB bootloader
+  },
+
+  signature: [0x1e, 0x97, 0x03], // ATmega1280
+};
+
+/**
+ * STK500v2 Protocol Configuration for ATmega2560 (Arduino Mega)
+ * Reference: AVR068 application note, Mega 2560 stk500v2 bootloader
+ */
+export const STK500V2_CONFIG = {
+  protocol: PROTOCOL_TYPES.STK500V2,
+
+  serial: {
+    baudUpload: 115200,
+    dataBits: 8,
+    stopBits: 1,
+    parity: "none",
+  },
+
+  timing: {
+    syncTimeoutMs: 200,
+    commandTimeoutMs: 1000,
+    syncRetries: 10,
+  },
+
+  memory: {
+    pageSize: 256, // 256 bytes per page (128 words)
+    flashSize: 0x40000, // 256KB for ATmega2560
+    bootStart: 0x3e000,
+    extendedAddress: true, // Flash beyond 128KB needs LOAD_EXTENDED_ADDRESS
+  },
+
+  signature: [0x1e, 0x98, 0x01], // ATmega2560
+
+  constants: {
+    MESSAGE_START: 0x1b,
+    TOKEN: 0x0e,
+    CMD_SIGN_ON: 0x01,
+    CMD_LOAD_ADDRESS: 0x06,
+    CMD_ENTER_PROGMODE_ISP: 0x10,
+    CMD_LEAVE_PROGMODE_ISP: 0x11,
+    CMD_PROGRAM_FLASH_ISP: 0x13,
+    CMD_READ_FLASH_ISP: 0x14,
+    CMD_READ_SIGNATURE_ISP: 0x1b,
+    STATUS_CMD_OK: 0x00,
+  },
+};
+
+/**
+ * AVR109 (Caterina bootloader) Configuration for ATmega32U4
+ * (Arduino Leonardo, Micro). Reference: AVR109 application note, Caterina.c
+ */
+export const AVR109_CONFIG = {
+  protocol: PROTOCOL_TYPES.AVR109,
+
+  serial: {
+    baudTouch: 1200, // For bootloader entry
+    baudUpload: 57600, // Ignored by the USB CDC bootloader, avrdude uses it
+    dataBits: 8,
+    stopBits: 1,
+    parity: "none",
+  },
+
+  timing: {
+    bootloaderWaitMs: 4000, // Time for the bootloader port to appear
+    bootloaderTimeoutMs: 8000, // Caterina starts the sketch after 8s idle
+    commandTimeoutMs: 1000,
+    eraseTimeoutMs: 5000,
+    rebootDelayMs: 1500, // Sketch port re-enumerates after exit
+  },
+
+  memory: {
+    pageSize: 128, // 128 bytes per page (64 words)
+    flashSize: 0x8000, // 32KB for ATmega32U4
+    bootStart: 0x7000, // 4KB Caterina bootloader
+  },
+
+  signature: [0x1e, 0x95, 0x87], // ATmega32U4
+
+  // Bootloader PIDs (different from application PIDs)
+  // Leonardo, Micro, Esplora (VID 0x2341) and Leonardo ETH (VID 0x2a03)
+  bootloaderPids: [0x0036, 0x0037, 0x003c, 0x0040],
+};
+
 /**
  * BOSSA/SAM-BA Protocol Configuration for Renesas RA4M1
  * Reference: protocols/bossa-renesas.yaml, R4.pcapng capture
@@ -96,6 +198,62 @@ export const BOSSA_RENESAS_CONFIG = {
   bootloaderPids: [0x006d, 0x0054, 0x0057, 0x0069, 0x0369],
 };
 
+/**
+ * RP2040 UF2 Configuration (Raspberry Pi Pico, Pico W)
+ * Reference: UF2 specification (github.com/microsoft/uf2), RP2040 datasheet
+ * section 2.8 (bootrom USB mass storage)
+ */
+export const RP2040_CONFIG = {
+  protocol: PROTOCOL_TYPES.RP2040,
+
+  serial: {
+    baudTouch: 1200, // For BOOTSEL entry
+  },
+
+  uf2: {
+    familyId: 0xe48bff56, // Blocks with any other family ID are ignored
+    payloadSize: 256, // The bootrom only accepts 256-byte payloads
+  },
+
+  memory: {
+    flashBase: 0x10000000, // XIP flash
+    flashSize: 0x200000, // 2MB on Pico and Pico W
+    pageSize: 256,
+  },
+};
+
+/**
+ * RP2350 UF2 Configuration (Raspberry Pi Pico 2, Pico 2 W)
+ * Reference: RP2350 datasheet section 5.5 (UF2 support). The bootrom takes
+ * ARM and RISC-V images under different family IDs.
+ */
+export const RP2350_CONFIG = {
+  ...RP2040_CONFIG,
+
+  uf2: {
+    familyId: 0xe48bff59, // RP2350 ARM-S
+    payloadSize: 256,
+  },
+
+  memory: {
+    flashBase: 0x10000000,
+    flashSize: 0x400000, // 4MB on Pico 2 and Pico 2 W
+    pageSize: 256,
+  },
+};
+
+/**
+ * RP2350 built for its Hazard3 RISC-V cores (arch=riscv)
+ */
+export const RP2350_RISCV_CONFIG = {
+  ...RP2350_CONFIG,
+
+  uf2: {
+    ...RP2350_CONFIG.uf2,
+    familyId: 0xe48bff5a, // RP2350 RISC-V
+  },
+};
+
 /**
  * Board to Protocol mapping
  */
@@ -103,12 +261,16 @@ export const BOARD_PROTOCOL_MAP = {
   // AVR boards - STK500v1
   "arduino:avr:uno": STK500_CONFIG,
   "arduino:avr:nano": STK500_CONFIG,
-  "arduino:avr:mega": {
-    ...STK500_CONFIG,
-    memory: { ...STK500_CONFIG.memory, flashSize: 0x40000, pageSize: 256 },
-  },
-  "arduino:avr:leonardo": STK500_CONFIG,
-  "arduino:avr:micro": STK500_CONFIG,
+  // Mega 2560 bootloader speaks STK500v2 (cpu=atmega2560 is the default)
+  "arduino:avr:mega": STK500V2_CONFIG,
+  "arduino:avr:mega:cpu=atmega1280": STK500_ATMEGA1280_CONFIG,
+  "arduino:avr:megaADK": STK500V2_CONFIG,
+
+  // ATmega32U4 boards - AVR109 (Caterina bootloader)
+  "arduino:avr:leonardo": AVR109_CONFIG,
+  "arduino:avr:leonardoeth": AVR109_CONFIG,
+  "arduino:avr:micro": AVR109_CONFIG,
+  "arduino:avr:esplora": AVR109_CONFIG,
 
   // Renesas boards - BOSSA
   "arduino:renesas_uno:unor4wifi": BOSSA_RENESAS_CONFIG,
@@ -139,8 +301,38 @@ export const BOARD_PROTOCOL_MAP = {
   "arduino:mbed_nano:nano33ble": BOSSA_RENESAS_CONFIG,
   "arduino:mbed_nano:nanorp2040connect": BOSSA_RENESAS_CONFIG,
   "arduino:mbed_portenta:envie_m7": BOSSA_RENESAS_CONFIG,
+
+  // RP2040 boards - UF2 copied to the RPI-RP2 drive
+  "arduino:mbed_rp2040:pico": RP2040_CONFIG,
+  "rp2040:rp2040:rpipico": RP2040_CONFIG,
+  "rp2040:rp2040:rpipicow": RP2040_CONFIG,
+
+  // RP2350 boards - UF2 copied to the RP2350 drive
+  "rp2040:rp2040:rpipico2": RP2350_CONFIG,
+  "rp2040:rp2040:rpipico2:arch=riscv": RP2350_RISCV_CONFIG,
+  "rp2040:rp2040:rpipico2w": RP2350_CONFIG,
+  "rp2040:rp2040:rpipico2w:arch=riscv": RP2350_RISCV_CONFIG,
 };
 
+/**
+ * Get the configuration mapped to this exact board (no vendor:arch fallback)
+ * @param {string} fqbn - Fully Qualified Board Name
+ * @returns {Object|null} Protocol configuration
+ */
+function getBoardConfig(fqbn) {
+  // Board option match (e.g., "arduino:avr:mega:cpu=atmega1280")
+  const [vendor, arch, id, options = ""] = fqbn.split(":");
+  const board = [vendor, arch, id].join(":");
+  for (const option of options.split(",")) {
+    if (option && BOARD_PROTOCOL_MAP[`${board}:${option}`]) {
+      return BOARD_PROTOCOL_MAP[`${board}:${option}`];
+    }
+  }
+
+  // Direct match (ignoring other board options)
+  return BOARD_PROTOCOL_MAP[board] || null;
+}
+
 /**
  * Get protocol configuration for a board
  * @param {string} fqbn - Fully Qualified Board Name
@@ -149,10 +341,8 @@ export const BOARD_PROTOCOL_MAP = {
 export function getProtocolConfig(fqbn) {
   if (!fqbn) return null;
 
-  // Direct match
-  if (BOARD_PROTOCOL_MAP[fqbn]) {
-    return BOARD_PROTOCOL_MAP[fqbn];
-  }
+  const exact = getBoardConfig(fqbn);
+  if (exact) return exact;
 
   // Partial match (e.g., "arduino:avr" matches "arduino:avr:uno")
   for (const [key, config] of Object.entries(BOARD_PROTOCOL_MAP)) {
@@ -164,6 +354,21 @@ export function getProtocolConfig(fqbn) {
   return null;
 }
 
+/**
+ * Get the UF2 family and flash layout of a board
+ *
+ * Only boards listed in BOARD_PROTOCOL_MAP have one: a UF2 family is never
+ * guessed from the vendor:arch, since one core can build for several chips.
+ *
+ * @param {string} fqbn - Fully Qualified Board Name
+ * @returns {Object|null} Protocol configuration with `uf2` and `memory`
+ */
+export function getUf2Config(fqbn) {
+  if (!fqbn) return null;
+  const config = getBoardConfig(fqbn);
+  return config?.uf2 ? config : null;
+}
+
 /**
  * Get protocol type for a board
  * @param {string} fqbn - Fully Qualified Board Name
@@ -220,9 +425,12 @@ export function uses1200BaudTouch(fqbn) {
 export default {
   PROTOCOL_TYPES,
   STK500_CONFIG,
+  STK500V2_CONFIG,
+  AVR109_CONFIG,
   BOSSA_RENESAS_CONFIG,
   BOARD_PROTOCOL_MAP,
   getProtocolConfig,
+  getUf2Config,
   getProtocolType,
   getChunkSize,
   getPageSize,
@@ -232,4 +440,6 @@ export default {
 
 // Convenience aliases for shorter imports
 export const STK500 = STK500_CONFIG;
+export const STK500V2 = STK500V2_CONFIG;
+export const AVR109 = AVR109_CONFIG;
 export const BOSSA_RENESAS = BOSSA_RENESAS_CONFIG;
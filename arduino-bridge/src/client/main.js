@@ -15,10 +15,25 @@
 import { SerialManager } from "./services/SerialManager.js";
 import { TerminalUI } from "./ui/TerminalUI.js";
 import { UploadManager } from "./services/UploadManager.js";
+import { describeFamily, prepareUf2 } from "./services/utils/Uf2.js";
+import {
+  PROTOCOL_TYPES,
+  getProtocolConfig,
+  getUf2Config,
+} from "./config/boardProtocols.js";
+import { startJob, followJob } from "./services/JobStream.js";
 import { PlotterUI } from "./ui/PlotterUI.js";
 import { BoardManagerUI } from "./ui/BoardManagerUI.js";
 import { LibraryManagerUI } from "./ui/LibraryManagerUI.js";
 import { ReferenceUI } from "./ui/ReferenceUI.js";
+import { ProblemsUI } from "./ui/ProblemsUI.js";
+import { MemoryUsageUI } from "./ui/MemoryUsageUI.js";
+import { SizeReportUI } from "./ui/SizeReportUI.js";
+import { BuildMatrixUI } from "./ui/BuildMatrixUI.js";
+import { BoardOptionsUI } from "./ui/BoardOptionsUI.js";
+import { FirmwareHistoryUI } from "./ui/FirmwareHistoryUI.js";
+import { EditorUI } from "./ui/EditorUI.js";
+import { NewSketchUI } from "./ui/NewSketchUI.js";
 import { Logger } from "../shared/Logger.js";
 
 // =============================================================================
@@ -238,6 +253,9 @@ const plotter = new PlotterUI("plotter-container");
 const boardManager = new BoardManagerUI("boards-view");
 const libraryManager = new LibraryManagerUI("libraries-view");
 const referenceUI = new ReferenceUI("reference-view");
+const problemsUI = new ProblemsUI("problems-panel", {
+  onSelect: copyProblemLocation,
+});
 
 setupConsoleBridge(terminal);
 
@@ -251,6 +269,56 @@ const uploadManager = new UploadManager();
 boardManager.init();
 libraryManager.init();
 referenceUI.init();
+problemsUI.init();
+const sizeReportUI = new SizeReportUI("size-report-modal");
+sizeReportUI.init();
+
+/** @type {{slug: string, sketch: string, sha256?: string}|null} Last successful build, for the size report and upload records */
+let lastBuild = null;
+
+const memoryUsageUI = new MemoryUsageUI("memoryUsage", {
+  onClick: () => {
+    if (lastBuild) sizeReportUI.open(lastBuild.slug, lastBuild.sketch);
+  },
+});
+
+const buildMatrixUI = new BuildMatrixUI("build-matrix-modal", {
+  onOutput: (line, stream) => {
+    terminal.write(
+      stream === "stderr" ? `\x1b[33m${line}\x1b[0m\r\n` : `${line}\r\n`
+    );
+  },
+  // Show the selected board's problems and memory in the main panels
+  onResult: (result, sketch) => {
+    problemsUI.render(result.diagnostics, sketch);
+    memoryUsageUI.render(result.memory);
+    lastBuild = result.success ? { slug: result.slug, sketch } : null;
+  },
+});
+buildMatrixUI.init();
+
+const boardOptionsUI = new BoardOptionsUI("boardOptions");
+boardOptionsUI.init();
+
+const firmwareHistoryUI = new FirmwareHistoryUI("firmware-modal", {
+  onFlash: (build) => flashStoredBuild(build),
+});
+firmwareHistoryUI.init();
+
+const editorUI = new EditorUI("editor-view", {
+  onCompile: () => compileSketch(),
+  formatModalId: "format-modal",
+});
+editorUI.init();
+
+const newSketchUI = new NewSketchUI("new-sketch-modal", {
+  onCreated: (result) => openCreatedSketch(result),
+  onOutput: (line, stream) =>
+    terminal.write(
+      stream === "stderr" ? `\x1b[33m${line}\x1b[0m\r\n` : `${line}\r\n`
+    ),
+});
+newSketchUI.init();
 
 // Set up main navigation view switching
 setupNavigation();
@@ -308,9 +376,17 @@ const disconnectBtn = document.getElementById("disconnectBtn");
 const baudSelect = document.getElementById("baudRate");
 const boardSelect = document.getElementById("boardType");
 const sketchSelect = document.getElementById("sketchSelect");
+const newSketchBtn = document.getElementById("newSketchBtn");
+const exportSketchBtn = document.getElementById("exportSketchBtn");
+const importSketchBtn = document.getElementById("importSketchBtn");
+const importSketchInput = document.getElementById("importSketchInput");
+const profileSelect = document.getElementById("profileSelect");
 const includeExamplesCheck = document.getElementById("includeExamplesCheck");
 const compileBtn = document.getElementById("compileBtn");
+const lintBadge = document.getElementById("lintBadge");
 const compileUploadBtn = document.getElementById("compileUploadBtn");
+const checkBoardsBtn = document.getElementById("checkBoardsBtn");
+const flashedFirmwareBtn = document.getElementById("flashedFirmwareBtn");
 const toggleViewBtn = document.getElementById("toggleViewBtn");
 const terminalContainer = document.getElementById("terminal-container");
 const plotterContainer = document.getElementById("plotter-container");
@@ -732,6 +808,7 @@ if (includeExamplesCheck) {
 async function initialize() {
   await Promise.all([loadBoards(), loadSketches()]);
   updateCompileButtons();
+  boardOptionsUI.load(boardSelect.value);
 }
 
 initialize();
@@ -759,6 +836,7 @@ function updateCompileButtons() {
   const uploadMode = getBoardUploadMode();
 
   compileBtn.disabled = !ready;
+  checkBoardsBtn.disabled = !ready;
 
   if (uploadMode === "uf2-download") {
     // UF2 boards: Change button text and enable without serial connection
@@ -773,6 +851,14 @@ function updateCompileButtons() {
 }
 
 sketchSelect.addEventListener("change", async (e) => {
+  if (
+    e.target.value !== "__REFRESH__" &&
+    !(await editorUI.open(e.target.value))
+  ) {
+    // Keep the sketch whose unsaved edits the user chose not to discard
+    sketchSelect.value = editorUI.sketch;
+    return;
+  }
   if (e.target.value === "__REFRESH__") {
     // Show loading state
     const originalText = e.target.options[e.target.selectedIndex].text;
@@ -780,19 +866,161 @@ sketchSelect.addEventListener("change", async (e) => {
 
     await loadSketches();
 
-    // Reset to default if we just refreshed
+    // Go back to the sketch open in the editor (or the default) if we just refreshed
     if (sketchSelect.value === "__REFRESH__") {
-      sketchSelect.value = "";
+      sketchSelect.value = editorUI.sketch;
     }
     updateCompileButtons();
     return;
   }
   updateCompileButtons();
+  await loadSketchProfiles(e.target.value);
+});
+
+// =============================================================================
+// Sketch Profiles (sketch.yaml)
+// =============================================================================
+
+/** @constant {string} NEW_PROFILE_VALUE - profileSelect entry that saves the current board */
+const NEW_PROFILE_VALUE = "__NEW_PROFILE__";
+
+/** @type {object[]} Profiles of the selected sketch */
+let sketchProfiles = [];
+
+/**
+ * Load the selected sketch's sketch.yaml profiles and apply the default one
+ * @param {string} sketchPath - Workspace-relative sketch path
+ * @param {string} [selectName] - Profile to select instead of the default
+ */
+async function loadSketchProfiles(sketchPath, selectName = null) {
+  sketchProfiles = [];
+  profileSelect.innerHTML = '<option value="">No profile</option>';
+  if (!sketchPath || sketchPath === "__REFRESH__") {
+    profileSelect.style.display = "none";
+    return;
+  }
+
+  try {
+    const response = await fetch(
+      `/api/sketches/${encodeURIComponent(sketchPath)}/profile`
+    );
+    const data = await response.json();
+    if (!data.success) {
+      terminal.write(`\r\n\x1b[33m⚠ ${data.error}\x1b[0m\r\n`);
+    }
+    sketchProfiles = data.profiles || [];
+
+    sketchProfiles.forEach((profile) => {
+      const option = document.createElement("option");
+      option.value = profile.name;
+      option.textContent = profile.fqbn
+        ? `${profile.name} (${profile.fqbn})`
+        : profile.name;
+      profileSelect.appendChild(option);
+    });
+
+    const newOption = document.createElement("option");
+    newOption.value = NEW_PROFILE_VALUE;
+    newOption.textContent = "➕ Save board as profile...";
+    profileSelect.appendChild(newOption);
+    profileSelect.style.display = "";
+
+    const selected = selectName || data.defaultProfile;
+    if (selected && sketchProfiles.some((p) => p.name === selected)) {
+      profileSelect.value = selected;
+      applySketchProfile();
+    }
+  } catch (error) {
+    logger.warn("Could not load sketch profiles", error);
+    profileSelect.style.display = "none";
+  }
+}
+
+/**
+ * Select the board pinned by the chosen profile
+ */
+function applySketchProfile() {
+  const profile = sketchProfiles.find((p) => p.name === profileSelect.value);
+  if (!profile?.fqbn) return;
+
+  // Menu options (4th FQBN part) go to the board option dropdowns
+  const baseFqbn = profile.fqbn.split(":").slice(0, 3).join(":");
+  boardOptionsUI.setFromFqbn(profile.fqbn);
+  if (baseFqbn === boardSelect.value) return;
+
+  const option = [...boardSelect.options].find((o) => o.value === baseFqbn);
+  if (!option) {
+    terminal.write(
+      `\r\n\x1b[33m⚠ Profile "${profile.name}" uses ${profile.fqbn}, which is not installed. ` +
+        `Install its platform in the Board Manager.\x1b[0m\r\n`
+    );
+    return;
+  }
+
+  boardSelect.value = option.value;
+  boardSelect.dispatchEvent(new Event("change"));
+  terminal.write(
+    `\r\n📌 Using profile "${profile.name}" (${profile.fqbn})\r\n`
+  );
+}
+
+/**
+ * Save the selected board as a new profile in the sketch's sketch.yaml
+ */
+async function saveBoardAsProfile() {
+  const sketchPath = sketchSelect.value;
+  const fqbn = boardOptionsUI.getFqbn(boardSelect.value);
+  const name = window.prompt(
+    `Profile name for ${fqbn} (letters, digits, '.', '_' and '-'):`,
+    boardSelect.value.split(":")[2] || ""
+  );
+  if (!name) {
+    profileSelect.value = "";
+    return;
+  }
+
+  try {
+    const response = await fetch(
+      `/api/sketches/${encodeURIComponent(sketchPath)}/profile`,
+      {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name, fqbn, setDefault: true }),
+      }
+    );
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error || `HTTP ${response.status}`);
+
+    terminal.write(
+      `\r\n✅ Saved profile "${name}" to ${sketchPath}/${data.file}\r\n`
+    );
+    await loadSketchProfiles(sketchPath, name);
+  } catch (error) {
+    terminal.write(
+      `\r\n\x1b[1;31mCould not save profile: ${error.message}\x1b[0m\r\n`
+    );
+    profileSelect.value = "";
+  }
+}
+
+profileSelect.addEventListener("change", async () => {
+  if (profileSelect.value === NEW_PROFILE_VALUE) {
+    await saveBoardAsProfile();
+    return;
+  }
+  applySketchProfile();
 });
 
 boardSelect.addEventListener("change", async () => {
   updateCompileButtons();
 
+  // Picking a different board by hand leaves the profile
+  const profile = sketchProfiles.find((p) => p.name === profileSelect.value);
+  if (profile?.fqbn && !profile.fqbn.startsWith(boardSelect.value)) {
+    profileSelect.value = "";
+  }
+  boardOptionsUI.load(boardSelect.value);
+
   // Auto-select default baud rate for this board (only if not connected)
   if (!serialManager.provider.port) {
     const defaultBaud = getDefaultBaudRate(boardSelect.value);
@@ -843,27 +1071,175 @@ boardSelect.addEventListener("change", async () => {
   }
 });
 
+/**
+ * Check the sketch for common beginner mistakes before compiling and show
+ * the number of warnings on the Compile button
+ * @param {string} sketchPath - Sketch being compiled
+ * @param {string} fqbn - Selected board
+ * @returns {Promise<object[]>} Lint diagnostics (empty if the check failed)
+ */
+async function runLint(sketchPath, fqbn) {
+  try {
+    const response = await fetch("/api/lint", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        path: sketchPath,
+        fqbn,
+        baudRate: parseInt(baudSelect.value, 10) || undefined,
+      }),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || "Lint failed");
+
+    const count = data.diagnostics.length;
+    lintBadge.textContent = count;
+    lintBadge.title = `${count} possible mistake${
+      count === 1 ? "" : "s"
+    } found before compiling - see Problems`;
+    lintBadge.style.display = count ? "" : "none";
+
+    if (count) {
+      terminal.write(
+        `\x1b[33m🔍 Lint: ${count} possible mistake${
+          count === 1 ? "" : "s"
+        }\x1b[0m\r\n`
+      );
+      data.diagnostics.forEach((d) => {
+        terminal.write(
+          `\x1b[33m   ⚠ ${d.file}:${d.line}: ${d.message}\x1b[0m\r\n`
+        );
+      });
+    }
+    return data.diagnostics;
+  } catch (err) {
+    logger.warn("Lint check failed", err);
+    lintBadge.style.display = "none";
+    return [];
+  }
+}
+
+/**
+ * Look for library headers the sketch includes but no installed library
+ * provides, and offer to install them all before compiling
+ * @param {string} sketchPath - Sketch being compiled
+ * @param {string} fqbn - Selected board (its bundled libraries count as installed)
+ * @returns {Promise<void>}
+ */
+async function checkDependencies(sketchPath, fqbn) {
+  let scan;
+  try {
+    const response = await fetch(
+      `/api/sketches/${encodeURIComponent(
+        sketchPath
+      )}/dependencies?fqbn=${encodeURIComponent(fqbn)}`
+    );
+    scan = await response.json();
+    if (!response.ok) throw new Error(scan.error || "Dependency check failed");
+  } catch (err) {
+    logger.warn("Dependency check failed", err);
+    return;
+  }
+  if (scan.missing.length === 0) return;
+
+  terminal.write("\r\n\x1b[33m📚 Libraries the sketch needs:\x1b[0m\r\n");
+  scan.missing.forEach((lib) => {
+    terminal.write(
+      `\x1b[33m   • ${lib.headers.map((h) => `<${h}>`).join(", ")} → ${
+        lib.name
+      } ${lib.version || ""}\x1b[0m\r\n`
+    );
+  });
+
+  const names = scan.missing.map((lib) => lib.name).join(", ");
+  if (!confirm(`Install all missing libraries (${names}) before compiling?`)) {
+    return;
+  }
+
+  try {
+    const jobId = await startJob(
+      `/api/sketches/${encodeURIComponent(sketchPath)}/dependencies/install`,
+      { fqbn }
+    );
+    const result = await followJob(jobId, {
+      onOutput: (line) => terminal.write(`${line}\r\n`),
+    });
+    terminal.write(
+      result.success
+        ? `\x1b[32m✓ Installed ${result.installed.join(", ")}\x1b[0m\r\n`
+        : `\x1b[1;31m${result.error || "Library install failed"}\x1b[0m\r\n`
+    );
+    if (result.installed?.length) libraryManager.loadInstalledLibraries();
+  } catch (err) {
+    terminal.write(
+      `\x1b[1;31mLibrary install failed: ${err.message}\x1b[0m\r\n`
+    );
+  }
+}
+
 // Compile Function
 async function compileSketch() {
   const sketchPath = sketchSelect.value;
-  const fqbn = boardSelect.value;
+  const fqbn = boardOptionsUI.getFqbn(boardSelect.value);
+  const buildProperties = boardOptionsUI.getBuildProperties();
+  const profile = profileSelect.value || null;
 
   logger.info(`Compiling sketch: '${sketchPath}' for board: '${fqbn}'`);
   terminal.write(`\r\n[Debug] Selected Sketch: ${sketchPath}\r\n`);
   terminal.write(`[Debug] Selected Board: ${fqbn}\r\n`);
-  terminal.write(`\r\nCompiling ${sketchPath} for ${fqbn}...\r\n`);
+  terminal.write(
+    profile
+      ? `\r\nCompiling ${sketchPath} with profile ${profile}...\r\n`
+      : `\r\nCompiling ${sketchPath} for ${fqbn}...\r\n`
+  );
+  problemsUI.clear();
+  memoryUsageUI.clear();
+  const lintDiagnostics = await runLint(sketchPath, fqbn);
+  // A build profile pins its own libraries
+  if (!profile) await checkDependencies(sketchPath, fqbn);
 
   try {
-    const response = await fetch("/api/compile", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ path: sketchPath, fqbn: fqbn }),
+    // Stream compiler output live instead of waiting for arduino-cli to exit
+    const jobId = await startJob("/api/compile", {
+      path: sketchPath,
+      fqbn: fqbn,
+      profile,
+      buildProperties,
     });
 
-    const data = await response.json();
+    const data = await followJob(jobId, {
+      onOutput: (line, stream) => {
+        if (stream === "stderr") {
+          terminal.write(`\x1b[33m${line}\x1b[0m\r\n`);
+        } else {
+          terminal.write(`${line}\r\n`);
+        }
+      },
+      onPhase: (phase, message) => {
+        terminal.write(`\x1b[1;36m[${phase}]\x1b[0m ${message}\r\n`);
+      },
+    });
 
-    if (data.log) {
-      terminal.write(data.log.replace(/\n/g, "\r\n") + "\r\n");
+    if (data.error && !data.success) {
+      terminal.write(`\x1b[1;31m${data.error}\x1b[0m\r\n`);
+    }
+
+    problemsUI.render(
+      [...(data.diagnostics || []), ...lintDiagnostics],
+      data.sketch || sketchPath
+    );
+    lastBuild = data.success
+      ? {
+          slug: data.slug,
+          sketch: data.sketch || sketchPath,
+          sha256: data.artifact?.sha256,
+        }
+      : null;
+    if (memoryUsageUI.render(data.memory)) {
+      terminal.write(
+        `\x1b[33m⚠ RAM usage is ${data.memory.ram.percent}% - little room is left for local variables. ` +
+          `Use F("...") for string literals and avoid String objects.\x1b[0m\r\n`
+      );
     }
 
     if (Array.isArray(data.missingIncludes) && data.missingIncludes.length) {
@@ -903,6 +1279,12 @@ async function compileSketch() {
                 ", "
               )}\r\n`
             );
+          } else if (item.bundledWith?.length) {
+            terminal.write(
+              `   • <${item.header}> → Bundled with the ${item.bundledWith.join(
+                ", "
+              )} platform - select a board from it\r\n`
+            );
           } else {
             terminal.write(
               `   • <${item.header}> → Search Library Manager for "${item.query}"\r\n`
@@ -915,6 +1297,14 @@ async function compileSketch() {
       }
     }
 
+    if (data.cache) {
+      terminal.write(
+        data.cache.hit
+          ? "\x1b[32m⚡ Incremental build (reused cached build)\x1b[0m\r\n"
+          : "Full build (no cached build for this sketch, board and library set)\r\n"
+      );
+    }
+
     if (data.success && data.artifact) {
       terminal.write("Compilation Success!\r\n");
       return data.artifact.url;
@@ -928,13 +1318,234 @@ async function compileSketch() {
   }
 }
 
+/**
+ * Copy a problem's workspace location (paste into VS Code's Ctrl+P to jump there)
+ * @param {object} diagnostic - Diagnostic from the compile response
+ * @param {string} sketch - Workspace-relative sketch path
+ */
+async function copyProblemLocation(diagnostic, sketch) {
+  // Files outside the sketch (libraries, cores) are reported as absolute paths
+  const file = diagnostic.file.startsWith("/")
+    ? diagnostic.file
+    : `${sketch}/${diagnostic.file}`;
+  const location = `${file}:${diagnostic.line}${
+    diagnostic.column ? `:${diagnostic.column}` : ""
+  }`;
+
+  try {
+    await navigator.clipboard.writeText(location);
+    terminal.write(`📋 Copied ${location} (paste into Ctrl+P to open)\r\n`);
+  } catch (err) {
+    terminal.write(`📍 ${location}\r\n`);
+  }
+}
+
 // Compile Button Handler
 compileBtn.addEventListener("click", async () => {
   await compileSketch();
 });
 
+// Check All Boards Button Handler
+checkBoardsBtn.addEventListener("click", () => {
+  buildMatrixUI.open(sketchSelect.value, availableBoards, boardSelect.value);
+});
+
+// New Sketch Button Handler
+newSketchBtn.addEventListener("click", () => {
+  newSketchUI.open();
+});
+
+/**
+ * Select a sketch created by the New Sketch wizard (or imported from a ZIP)
+ * and open it in the editor
+ * @param {object} result - Response of POST /api/sketches or /api/sketches/import
+ */
+async function openCreatedSketch(result) {
+  terminal.write(
+    `\r\n\x1b[32mCreated sketch ${result.sketch.relativePath}\x1b[0m\r\n`
+  );
+  (result.warnings || []).forEach((warning) => {
+    terminal.write(`\x1b[33m⚠ ${warning}\x1b[0m\r\n`);
+  });
+
+  await loadSketches();
+  sketchSelect.value = result.sketch.relativePath;
+  sketchSelect.dispatchEvent(new Event("change"));
+  document.querySelector('.nav-tab[data-view="editor"]')?.click();
+}
+
+// Export Sketch Button Handler
+exportSketchBtn.addEventListener("click", async () => {
+  const sketchPath = sketchSelect.value;
+  if (!sketchPath || sketchPath === "__REFRESH__") {
+    terminal.write("\r\n\x1b[31mPlease select a sketch to export.\x1b[0m\r\n");
+    return;
+  }
+
+  const params = new URLSearchParams({ artifact: "1", libraries: "1" });
+  if (boardSelect.value) {
+    params.set("fqbn", boardOptionsUI.getFqbn(boardSelect.value));
+  }
+
+  try {
+    const response = await fetch(
+      `/api/sketches/${encodeURIComponent(sketchPath)}/export?${params}`
+    );
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+
+    const fileName =
+      response.headers
+        .get("Content-Disposition")
+        ?.match(/filename="?([^";]+)"?/)?.[1] || "sketch.zip";
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    terminal.write(`\r\n📦 Exported ${sketchPath} as ${fileName}\r\n`);
+  } catch (err) {
+    logger.error("Export failed", err);
+    terminal.write(`\r\n\x1b[31mExport failed: ${err.message}\x1b[0m\r\n`);
+  }
+});
+
+// Import Sketch Button Handler
+importSketchBtn.addEventListener("click", () => importSketchInput.click());
+
+importSketchInput.addEventListener("change", async () => {
+  const file = importSketchInput.files[0];
+  importSketchInput.value = "";
+  if (!file) return;
+
+  try {
+    const response = await fetch(
+      `/api/sketches/import?name=${encodeURIComponent(file.name)}`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/zip" },
+        body: file,
+      }
+    );
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || "Import failed");
+
+    if (data.renamed) {
+      terminal.write(
+        `\r\n\x1b[33m⚠ Imported as ${data.name} (name taken or main .ino renamed)\x1b[0m`
+      );
+    }
+    await openCreatedSketch(data);
+  } catch (err) {
+    logger.error("Import failed", err);
+    terminal.write(`\r\n\x1b[31mImport failed: ${err.message}\x1b[0m\r\n`);
+  }
+});
+
+// Flashed Firmware Button Handler
+flashedFirmwareBtn.addEventListener("click", () => {
+  const sketchPath =
+    sketchSelect.value === "__REFRESH__" ? "" : sketchSelect.value;
+  firmwareHistoryUI.open(sketchPath);
+});
+
+/**
+ * Record a finished upload so the Flashed firmware panel knows what the board runs
+ * @param {SerialPort} port - Port the board was flashed through
+ * @param {{sha256?: string, name?: string}|null} firmware - Flashed build
+ * @param {string} fqbn - Board FQBN
+ */
+async function recordFlash(port, firmware, fqbn) {
+  if (!firmware?.sha256) return;
+
+  // Web Serial exposes VID/PID but not the USB serial number
+  const info = port?.getInfo ? port.getInfo() : {};
+  try {
+    await fetch("/api/firmware/uploads", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        sha256: firmware.sha256,
+        fqbn,
+        board: { vid: info.usbVendorId, pid: info.usbProductId },
+      }),
+    });
+  } catch (error) {
+    logger.warn("Could not record upload", error);
+  }
+}
+
+/**
+ * Flash a kept build from the firmware history without recompiling
+ * @param {object} build - Build record from /api/firmware/builds
+ */
+async function flashStoredBuild(build) {
+  const fqbn = build.fqbn.split(":").slice(0, 3).join(":");
+  terminal.write(
+    `\r\nRe-flashing ${build.sketch} (${build.sha256.slice(
+      0,
+      12
+    )}, built ${new Date(build.builtAt).toLocaleString()}) for ${
+      build.fqbn
+    }\r\n`
+  );
+
+  let firmwareData;
+  try {
+    const response = await fetch(`/api/firmware/builds/${build.sha256}/file`);
+    if (!response.ok) throw new Error("Build is no longer in the history");
+    firmwareData = await response.arrayBuffer();
+  } catch (error) {
+    terminal.write(`\r\n\x1b[1;31mError: ${error.message}\x1b[0m\r\n`);
+    return;
+  }
+
+  // Download-mode boards are flashed by the user through their bootloader drive
+  const board = availableBoards.find((b) => b.fqbn === fqbn);
+  if (board?.uploadMode === "uf2-download") {
+    const downloadUrl = URL.createObjectURL(new Blob([firmwareData]));
+    const a = document.createElement("a");
+    a.href = downloadUrl;
+    a.download = build.name;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(downloadUrl);
+    terminal.write(
+      `\r\n\x1b[1;32mFirmware downloaded: ${build.name}\x1b[0m\r\n`
+    );
+    return;
+  }
+
+  const savedPort = serialManager.provider.port;
+  if (!savedPort) {
+    terminal.write(
+      "\r\n\x1b[33mConnect the board first (Connect Port), then re-flash.\x1b[0m\r\n"
+    );
+    return;
+  }
+
+  const shouldProceed = await checkBoardMismatch(savedPort, fqbn);
+  if (!shouldProceed) return;
+
+  serialManager.pause();
+  try {
+    await serialManager.disconnect();
+    await handleUpload(savedPort, firmwareData, fqbn, {
+      sha256: build.sha256,
+      name: build.name,
+    });
+  } catch (error) {
+    terminal.write(`\r\nError: ${error.message}\r\n`);
+  }
+}
+
 // Helper to handle the upload process (reusable for retries)
-async function handleUpload(port, firmwareData, fqbn) {
+async function handleUpload(port, firmwareData, fqbn, firmware = null) {
   try {
     // 4. Re-open port for Flashing
     // Ensure any previous connection is fully closed first
@@ -958,9 +1569,11 @@ async function handleUpload(port, firmwareData, fqbn) {
           terminal.write(`\rFlashing: ${progress}%`);
         }
       },
-      fqbn
+      fqbn,
+      { artifactName: firmware?.name }
     );
     terminal.write("\r\nUpload Complete!\r\n");
+    await recordFlash(port, firmware, fqbn);
 
     // 6. Reconnect Serial Monitor using current baud selection
     try {
@@ -1033,6 +1646,9 @@ async function handleUpload(port, firmwareData, fqbn) {
               { usbVendorId: 0x2341, usbProductId: 0x006d }, // R4 WiFi Bootloader
               { usbVendorId: 0x2341, usbProductId: 0x0054 }, // MKR WiFi 1010 Bootloader
               { usbVendorId: 0x2341, usbProductId: 0x0057 }, // Nano 33 IoT Bootloader
+              { usbVendorId: 0x2341, usbProductId: 0x0036 }, // Leonardo Bootloader
+              { usbVendorId: 0x2341, usbProductId: 0x0037 }, // Micro Bootloader
+              { usbVendorId: 0x2a03, usbProductId: 0x0040 }, // Leonardo ETH Bootloader
               { usbVendorId: 0x2341 }, // Any Arduino device as fallback
             ],
           });
@@ -1056,9 +1672,12 @@ async function handleUpload(port, firmwareData, fqbn) {
                 terminal.write(`\rFlashing: ${progress}%`);
               }
             },
-            fqbn
+            fqbn,
+            { artifactName: firmware?.name }
           );
           terminal.write("\r\nUpload Complete!\r\n");
+          // Record against the sketch's port, not the bootloader's
+          await recordFlash(port, firmware, fqbn);
 
           // Try to reconnect to the original port (device reboots after flash)
           try {
@@ -1139,7 +1758,7 @@ async function handleUpload(port, firmwareData, fqbn) {
         try {
           const newPort = await navigator.serial.requestPort();
           terminal.write("\r\nResuming upload with new port...\r\n");
-          await handleUpload(newPort, firmwareData, fqbn);
+          await handleUpload(newPort, firmwareData, fqbn, firmware);
         } catch (e) {
           terminal.write("\r\nUpload Cancelled.\r\n");
           serialManager.resume();
@@ -1243,17 +1862,34 @@ compileUploadBtn.addEventListener("click", async () => {
       if (!response.ok)
         throw new Error("Failed to download firmware from server");
 
-      const firmwareBlob = await response.blob();
+      let firmwareBlob = await response.blob();
 
       // Determine filename from URL or generate one
       const urlParts = artifactUrl.split("/");
       let filename = urlParts[urlParts.length - 1];
 
       // Ensure proper extension based on board type
-      if (fqbn.includes("rp2040") || fqbn.includes("rpipico")) {
-        if (!filename.endsWith(".uf2")) {
+      const protocolConfig = getProtocolConfig(fqbn);
+      if (protocolConfig?.protocol === PROTOCOL_TYPES.RP2040) {
+        // Convert .bin/.hex and reject a UF2 the board would ignore
+        const uf2Config = getUf2Config(fqbn);
+        const { uf2, format, image } = prepareUf2(
+          new Uint8Array(await firmwareBlob.arrayBuffer()),
+          uf2Config,
+          filename
+        );
+        if (format !== "uf2") {
+          terminal.write(`Converted ${filename} to UF2\r\n`);
           filename = sketchPath.split("/").pop().replace(".ino", "") + ".uf2";
         }
+        terminal.write(
+          `UF2 checked: ${image.numBlocks} blocks for ${
+            uf2Config
+              ? describeFamily(uf2Config.uf2.familyId)
+              : "an unlisted board (family not checked)"
+          }\r\n`
+        );
+        firmwareBlob = new Blob([uf2], { type: "application/octet-stream" });
       } else if (fqbn.includes("teensy")) {
         if (!filename.endsWith(".hex")) {
           filename = sketchPath.split("/").pop().replace(".ino", "") + ".hex";
@@ -1331,7 +1967,10 @@ compileUploadBtn.addEventListener("click", async () => {
     }
 
     // Start Upload Process
-    await handleUpload(savedPort, firmwareData, fqbn);
+    await handleUpload(savedPort, firmwareData, fqbn, {
+      sha256: lastBuild?.sha256,
+      name: artifactUrl.split("/").pop(),
+    });
   } catch (error) {
     terminal.write(`\r\nError: ${error.message}\r\n`);
   }
@@ -1647,6 +2286,7 @@ function setupNavigation() {
   const views = document.querySelectorAll(".view-container");
   const inputBar = document.querySelector(".input-bar");
   const toolbarGroup = document.querySelector(".toolbar-group");
+  const serialToolbar = document.querySelector(".serial-toolbar");
 
   // Handle navigation tab clicks
   navTabs.forEach((tab) => {
@@ -1664,13 +2304,18 @@ function setupNavigation() {
         targetViewEl.classList.add("active");
       }
 
-      // Show/hide serial-specific UI elements
+      // Show/hide serial-specific UI elements (the editor keeps the
+      // sketch/board toolbar for Save & Compile)
       const isSerialView = targetView === "serial";
       if (inputBar) {
         inputBar.style.display = isSerialView ? "flex" : "none";
       }
       if (toolbarGroup) {
-        toolbarGroup.style.display = isSerialView ? "flex" : "none";
+        toolbarGroup.style.display =
+          isSerialView || targetView === "editor" ? "flex" : "none";
+      }
+      if (serialToolbar) {
+        serialToolbar.style.display = isSerialView ? "" : "none";
       }
 
       // Resize terminal when switching to serial view
@@ -1683,7 +2328,7 @@ function setupNavigation() {
   // Handle hash-based routing (for deep links)
   function handleHashRoute() {
     const hash = window.location.hash.replace("#/", "").replace("#", "");
-    const validViews = ["serial", "boards", "libraries", "reference"];
+    const validViews = ["serial", "editor", "boards", "libraries", "reference"];
 
     if (validViews.includes(hash)) {
       const tab = document.querySelector(`.nav-tab[data-view="${hash}"]`);
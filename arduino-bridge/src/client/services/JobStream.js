@@ -0,0 +1,126 @@
+/**
+ * Job Stream Service
+ *
+ * Follows long-running server jobs (compile, upload, installs) over
+ * Server-Sent Events:
+ * - Starts streamed operations and returns their job ID
+ * - Delivers output lines and phase changes as they happen
+ * - Resolves with the job's final result
+ * - Lists and cancels jobs (so panels can reattach after a page reload)
+ *
+ * @module client/services/JobStream
+ */
+
+// =============================================================================
+// Job Helpers
+// =============================================================================
+
+/**
+ * Start a streamed server operation
+ * @param {string} url - API endpoint (e.g., '/api/compile')
+ * @param {object} [body] - JSON request body (`stream: true` is added)
+ * @returns {Promise<string>} Job ID
+ * @throws {Error} If the server rejects the request
+ */
+export async function startJob(url, body = {}) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...body, stream: true }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.jobId) {
+    throw new Error(data.error || `HTTP ${response.status}`);
+  }
+
+  return data.jobId;
+}
+
+/**
+ * Follow a job's event stream until it finishes
+ *
+ * Buffered events are replayed by the server, so it is safe to call this
+ * after the job has already started (or finished).
+ *
+ * @param {string} jobId - Job ID
+ * @param {object} [handlers] - Event callbacks
+ * @param {function(string, string): void} [handlers.onOutput] - (line, stream)
+ * @param {function(string, string): void} [handlers.onPhase] - (phase, message)
+ * @param {function(string, object): void} [handlers.onStatus] - (status, event), e.g. 'queued'
+ * @returns {Promise<object>} The job's final result payload
+ */
+export function followJob(jobId, handlers = {}) {
+  const { onOutput = null, onPhase = null, onStatus = null } = handlers;
+
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(
+      `/api/jobs/${encodeURIComponent(jobId)}/events`
+    );
+    let finished = false;
+
+    const parse = (event) => {
+      try {
+        return JSON.parse(event.data);
+      } catch (e) {
+        return null;
+      }
+    };
+
+    source.addEventListener("output", (event) => {
+      const data = parse(event);
+      if (data && onOutput) onOutput(data.line, data.stream);
+    });
+
+    source.addEventListener("phase", (event) => {
+      const data = parse(event);
+      if (data && onPhase) onPhase(data.phase, data.message);
+    });
+
+    source.addEventListener("status", (event) => {
+      const data = parse(event);
+      if (data && onStatus) onStatus(data.status, data);
+    });
+
+    source.addEventListener("result", (event) => {
+      const data = parse(event);
+      finished = true;
+      source.close();
+      resolve(data?.result || { success: false, error: "Malformed result" });
+    });
+
+    source.onerror = () => {
+      // EventSource reconnects on its own (resuming via Last-Event-ID);
+      // only give up once the browser has closed the stream for good.
+      if (!finished && source.readyState === EventSource.CLOSED) {
+        reject(new Error("Lost connection to job stream"));
+      }
+    };
+  });
+}
+
+/**
+ * List queued and running jobs
+ * @param {string} [type] - Only jobs whose type starts with this prefix (e.g., 'core')
+ * @returns {Promise<object[]>} Job summaries, newest first
+ */
+export async function listActiveJobs(type = "") {
+  const params = new URLSearchParams({ active: "1" });
+  if (type) params.set("type", type);
+
+  const response = await fetch(`/api/jobs?${params}`);
+  const data = await response.json().catch(() => ({}));
+  return data.success ? data.jobs : [];
+}
+
+/**
+ * Cancel a queued or running job (kills the underlying process)
+ * @param {string} jobId - Job ID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function cancelJob(jobId) {
+  const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`, {
+    method: "DELETE",
+  });
+  return response.json().catch(() => ({ success: false }));
+}
@@ -3,18 +3,20 @@
  *
  * Manages firmware uploads to Arduino boards:
  * - Strategy selection based on board FQBN
- * - Supports multiple upload protocols (STK500, BOSSA, ESPTool, etc.)
+ * - Supports multiple upload protocols (STK500, AVR109, BOSSA, ESPTool, etc.)
  * - Progress reporting and error handling
  *
  * @module client/services/UploadManager
  */
 
 import { AVRStrategy } from "./strategies/AVRStrategy.js";
+import { CaterinaStrategy } from "./strategies/CaterinaStrategy.js";
 import { BOSSAStrategy } from "./strategies/BOSSAStrategy.js";
 import { ESPToolStrategy } from "./strategies/ESPToolStrategy.js";
 import { TeensyStrategy } from "./strategies/TeensyStrategy.js";
 import { RP2040Strategy } from "./strategies/RP2040Strategy.js";
 import { UploadLogger } from "./utils/UploadLogger.js";
+import { ErrorCodes } from "../../shared/Result.js";
 
 // =============================================================================
 // UploadManager Class
@@ -27,8 +29,15 @@ export class UploadManager {
   constructor() {
     this.log = new UploadLogger("Manager");
 
+    const caterina = new CaterinaStrategy();
+
     /** @type {Object<string, object>} Strategy instances keyed by FQBN prefix */
     this.strategies = {
+      // ATmega32U4 boards before the "arduino:avr" prefix that would match them
+      "arduino:avr:leonardo": caterina,
+      "arduino:avr:leonardoeth": caterina,
+      "arduino:avr:micro": caterina,
+      "arduino:avr:esplora": caterina,
       "arduino:avr": new AVRStrategy(),
       "arduino:renesas_uno": new BOSSAStrategy(),
       "arduino:samd": new BOSSAStrategy(),
@@ -65,9 +74,14 @@ export class UploadManager {
    * @param {ArrayBuffer|string} hexString - Firmware data
    * @param {function} progressCallback - Progress callback (percent, status)
    * @param {string} fqbn - Fully qualified board name
-   * @throws {Error} If upload fails
+   * @param {Object} [options] - Upload options
+   * @param {boolean} [options.verify=true] - Read the flash back and compare
+   *   (strategies whose protocol can read flash)
+   * @param {string} [options.artifactName] - Build artifact file name, so
+   *   strategies can tell its format from the extension
+   * @throws {Error} If upload fails, or verify finds a mismatching address
    */
-  async upload(port, hexString, progressCallback, fqbn) {
+  async upload(port, hexString, progressCallback, fqbn, options = {}) {
     const strategy = this.getStrategy(fqbn);
     if (!strategy) {
       throw new Error(`No upload strategy found for board: ${fqbn}`);
@@ -80,10 +94,53 @@ export class UploadManager {
     );
 
     try {
-      await strategy.prepare(port, fqbn);
-      await strategy.flash(port, hexString, progressCallback, fqbn);
+      // Boards that re-enumerate in the bootloader return the port to flash
+      const flashPort = (await strategy.prepare(port, fqbn)) || port;
+      await strategy.flash(
+        flashPort,
+        hexString,
+        progressCallback,
+        fqbn,
+        options
+      );
+    } catch (error) {
+      if (error.code === ErrorCodes.BOOTLOADER_PORT_NEEDED) {
+        this.log.info("Waiting for the user to select the bootloader port");
+      } else {
+        this.log.error("Upload failed", error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Flash a board that is already in its bootloader, on the port the user
+   * selected after a BOOTLOADER_PORT_NEEDED error (skips prepare)
+   * @param {SerialPort} port - Bootloader port
+   * @param {ArrayBuffer|string} hexString - Firmware data
+   * @param {function} progressCallback - Progress callback (percent, status)
+   * @param {string} fqbn - Fully qualified board name
+   * @param {Object} [options] - Upload options (see upload())
+   * @throws {Error} If upload fails
+   */
+  async flashToBootloader(
+    port,
+    hexString,
+    progressCallback,
+    fqbn,
+    options = {}
+  ) {
+    const strategy = this.getStrategy(fqbn);
+    this.log.info(
+      `Using ${
+        strategy.name || "unknown strategy"
+      } on the bootloader port for ${fqbn || "default (arduino:avr)"}`
+    );
+
+    try {
+      await strategy.flash(port, hexString, progressCallback, fqbn, options);
     } catch (error) {
-      this.log.error("Upload failed", error);
+      this.log.error("Bootloader upload failed", error);
       throw error;
     }
   }
@@ -0,0 +1,442 @@
+/**
+ * AVR109 Protocol Implementation
+ *
+ * Implementation of the AVR109 ("butterfly") self-programming protocol
+ * spoken by the Caterina bootloader on ATmega32U4 boards (Leonardo, Micro):
+ * - Identification ('S') to synchronize with the bootloader
+ * - Signature check, chip erase
+ * - Block writes of flash ('B') with word addresses ('A')
+ * - Block reads ('g') for verification
+ *
+ * Caterina runs over USB CDC, so the baud rate is ignored and every command
+ * is answered immediately.
+ *
+ * @module client/services/protocols/AVR109
+ */
+
+import { UploadLogger } from "../utils/UploadLogger.js";
+import { hexToFlashImage } from "../utils/IntelHex.js";
+import { AVR109_CONFIG } from "../../config/boardProtocols.js";
+
+// =============================================================================
+// AVR109 Protocol Constants
+// =============================================================================
+
+/** @constant {number} CMD_SOFTWARE_ID - Return 7-character programmer ID */
+const CMD_SOFTWARE_ID = 0x53; // 'S'
+
+/** @constant {number} CMD_BLOCK_SUPPORT - Return 'Y' and the block size */
+const CMD_BLOCK_SUPPORT = 0x62; // 'b'
+
+/** @constant {number} CMD_READ_SIGNATURE - Return signature, last byte first */
+const CMD_READ_SIGNATURE = 0x73; // 's'
+
+/** @constant {number} CMD_ENTER_PROGMODE - Enter programming mode */
+const CMD_ENTER_PROGMODE = 0x50; // 'P'
+
+/** @constant {number} CMD_LEAVE_PROGMODE - Leave programming mode */
+const CMD_LEAVE_PROGMODE = 0x4c; // 'L'
+
+/** @constant {number} CMD_CHIP_ERASE - Erase the application section */
+const CMD_CHIP_ERASE = 0x65; // 'e'
+
+/** @constant {number} CMD_SET_ADDRESS - Set word address (high, low) */
+const CMD_SET_ADDRESS = 0x41; // 'A'
+
+/** @constant {number} CMD_BLOCK_WRITE - Write a block of memory */
+const CMD_BLOCK_WRITE = 0x42; // 'B'
+
+/** @constant {number} CMD_BLOCK_READ - Read a block of memory */
+const CMD_BLOCK_READ = 0x67; // 'g'
+
+/** @constant {number} CMD_EXIT_BOOTLOADER - Start the application */
+const CMD_EXIT_BOOTLOADER = 0x45; // 'E'
+
+/** @constant {number} FLASH_MEMORY_TYPE - Flash memory type identifier ('F') */
+const FLASH_MEMORY_TYPE = 0x46;
+
+/** @constant {number} RESPONSE_OK - Carriage return acknowledges a command */
+const RESPONSE_OK = 0x0d;
+
+/** @constant {number} SYNC_RETRY_DELAY_MS - Delay between sync attempts */
+const SYNC_RETRY_DELAY_MS = 100;
+
+// =============================================================================
+// AVR109Protocol Class
+// =============================================================================
+
+/**
+ * AVR109 protocol handler for Caterina (ATmega32U4) programming
+ */
+export class AVR109Protocol {
+  /**
+   * Create a new AVR109Protocol instance
+   * @param {SerialPort} port - WebSerial port instance (the bootloader port)
+   * @param {Function} [logger] - Logging function
+   * @param {Object} [config] - Board protocol config (see boardProtocols.js)
+   */
+  constructor(port, logger, config = AVR109_CONFIG) {
+    /** @type {SerialPort} */
+    this.port = port;
+
+    /** @type {Function} */
+    this.logger = logger || new UploadLogger("AVR109").getLogFunction();
+
+    /** @type {Object} Board protocol config */
+    this.config = config;
+
+    /** @type {ReadableStreamDefaultReader|null} */
+    this.reader = null;
+
+    /** @type {WritableStreamDefaultWriter|null} */
+    this.writer = null;
+
+    /** @type {Promise|null} Read still waiting for data after a timeout */
+    this.pendingRead = null;
+
+    /** @type {number[]} Received bytes not consumed yet */
+    this.rxBuffer = [];
+
+    /** @type {boolean} Enable debug logging */
+    this.debug = true;
+  }
+
+  /**
+   * Log a message if debug is enabled
+   * @param {string} msg - Message to log
+   * @private
+   */
+  log(msg) {
+    if (this.debug) this.logger(msg);
+  }
+
+  /**
+   * Connect to the serial port for programming
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    this.writer = this.port.writable.getWriter();
+    this.reader = this.port.readable.getReader();
+    this.rxBuffer = [];
+  }
+
+  /**
+   * Disconnect from the serial port
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    if (this.writer) {
+      this.writer.releaseLock();
+      this.writer = null;
+    }
+    if (this.reader) {
+      // Releasing the lock rejects a read still waiting for data
+      this.pendingRead?.catch(() => {});
+      this.pendingRead = null;
+      this.reader.releaseLock();
+      this.reader = null;
+    }
+  }
+
+  /**
+   * Send data to the bootloader
+   * @param {number[]|Uint8Array} data - Bytes to send
+   * @returns {Promise<void>}
+   * @private
+   */
+  async send(data) {
+    const uint8 = new Uint8Array(data);
+    this.log(`TX: ${UploadLogger.bytesToHex(uint8)}`);
+    await this.writer.write(uint8);
+  }
+
+  /**
+   * Wait for more bytes from the bootloader
+   * @param {number} timeout - Milliseconds to wait
+   * @returns {Promise<boolean>} False on timeout
+   * @throws {Error} If the port closed
+   * @private
+   */
+  async fill(timeout) {
+    if (!this.pendingRead) this.pendingRead = this.reader.read();
+
+    let timer;
+    const result = await Promise.race([
+      this.pendingRead,
+      new Promise((r) => (timer = setTimeout(() => r(null), timeout))),
+    ]);
+    clearTimeout(timer);
+    // On timeout the read stays pending and its data arrives in a later fill()
+    if (!result) return false;
+
+    this.pendingRead = null;
+    if (result.done) throw new Error("Port closed");
+    if (result.value) {
+      this.log(`RX: ${UploadLogger.bytesToHex(result.value)}`);
+      this.rxBuffer.push(...result.value);
+    }
+    return true;
+  }
+
+  /**
+   * Receive a fixed number of bytes
+   * @param {number} length - Number of bytes to receive
+   * @param {number} [timeout] - Timeout in milliseconds
+   * @returns {Promise<Uint8Array>} Received data
+   * @throws {Error} On timeout or port closed
+   * @private
+   */
+  async receive(length, timeout = this.config.timing.commandTimeoutMs) {
+    const deadline = Date.now() + timeout;
+    while (this.rxBuffer.length < length) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0 || !(await this.fill(remaining))) {
+        this.log(
+          `Timeout waiting for ${length} bytes, got ${this.rxBuffer.length}`
+        );
+        throw new Error("Timeout receiving data");
+      }
+    }
+    return new Uint8Array(this.rxBuffer.splice(0, length));
+  }
+
+  /**
+   * Send a command that is acknowledged with a carriage return
+   * @param {number[]|Uint8Array} data - Command and parameters
+   * @param {string} what - Description for the error message
+   * @param {number} [timeout] - Timeout in milliseconds
+   * @returns {Promise<void>}
+   * @throws {Error} If the bootloader does not acknowledge
+   * @private
+   */
+  async commandOk(data, what, timeout) {
+    await this.send(data);
+    const resp = await this.receive(1, timeout);
+    if (resp[0] !== RESPONSE_OK) {
+      throw new Error(`Failed to ${what}. Got: 0x${resp[0].toString(16)}`);
+    }
+  }
+
+  /**
+   * Synchronize with the bootloader by asking for its software ID
+   * @param {number} [attempts=5] - Number of attempts
+   * @returns {Promise<string>} Software ID (e.g. "CATERIN")
+   * @throws {Error} If no AVR109 bootloader answers
+   */
+  async sync(attempts = 5) {
+    for (let i = 0; i < attempts; i++) {
+      try {
+        this.log(`Sync attempt ${i + 1}...`);
+        await this.send([CMD_SOFTWARE_ID]);
+        const id = new TextDecoder().decode(await this.receive(7));
+        this.log(`Bootloader: ${id}`);
+        return id;
+      } catch (e) {
+        this.log(`Sync attempt failed: ${e.message}`);
+        this.rxBuffer = [];
+      }
+      await new Promise((r) => setTimeout(r, SYNC_RETRY_DELAY_MS));
+    }
+    throw new Error("Failed to sync (no AVR109 bootloader answered)");
+  }
+
+  /**
+   * Ask for the largest block the bootloader buffers
+   * @returns {Promise<number>} Block size in bytes
+   * @throws {Error} If the bootloader has no block support
+   */
+  async getBlockSize() {
+    await this.send([CMD_BLOCK_SUPPORT]);
+    const resp = await this.receive(3);
+    if (resp[0] !== 0x59) {
+      throw new Error("Bootloader does not support block transfers");
+    }
+    return (resp[1] << 8) | resp[2];
+  }
+
+  /**
+   * Read the three device signature bytes
+   * @returns {Promise<number[]>} Signature, first byte first
+   */
+  async readSignature() {
+    await this.send([CMD_READ_SIGNATURE]);
+    const resp = await this.receive(3);
+    return [resp[2], resp[1], resp[0]];
+  }
+
+  /**
+   * Set the word address for the next block read or write
+   * @param {number} byteAddr - Byte address in flash
+   * @returns {Promise<void>}
+   * @private
+   */
+  async setAddress(byteAddr) {
+    const addr = byteAddr >> 1;
+    await this.commandOk(
+      [CMD_SET_ADDRESS, (addr >> 8) & 0xff, addr & 0xff],
+      "set address"
+    );
+  }
+
+  /**
+   * Write a block of flash at the current address
+   * @param {Uint8Array} data - Block data (even length)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async writeBlock(data) {
+    const cmd = new Uint8Array(4 + data.length);
+    cmd[0] = CMD_BLOCK_WRITE;
+    cmd[1] = (data.length >> 8) & 0xff;
+    cmd[2] = data.length & 0xff;
+    cmd[3] = FLASH_MEMORY_TYPE;
+    cmd.set(data, 4);
+    await this.commandOk(cmd, "write block");
+  }
+
+  /**
+   * Read a block of flash from the current address
+   * @param {number} length - Bytes to read
+   * @returns {Promise<Uint8Array>}
+   */
+  async readBlock(length) {
+    await this.send([
+      CMD_BLOCK_READ,
+      (length >> 8) & 0xff,
+      length & 0xff,
+      FLASH_MEMORY_TYPE,
+    ]);
+    return this.receive(length);
+  }
+
+  /**
+   * Read the flash back and compare it with the image
+   * @param {Uint8Array} data - Flash image that was written
+   * @param {number} blockSize - Bytes per block read
+   * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @returns {Promise<void>}
+   * @throws {Error} Naming the first address that does not match
+   * @private
+   */
+  async verify(data, blockSize, progressCallback) {
+    const totalBytes = data.length;
+
+    // The address auto-increments after each block
+    await this.setAddress(0);
+    for (let addr = 0; addr < totalBytes; addr += blockSize) {
+      const block = this.block(data, addr, blockSize);
+      const readBack = await this.readBlock(block.length);
+
+      const offset = block.findIndex((b, i) => b !== readBack[i]);
+      if (offset !== -1) {
+        throw new Error(
+          `Verify failed at ${UploadLogger.formatAddr(
+            addr + offset
+          )}: wrote 0x${block[offset]
+            .toString(16)
+            .padStart(2, "0")}, read 0x${readBack[offset]
+            .toString(16)
+            .padStart(2, "0")}. Check the USB cable and upload again.`
+        );
+      }
+
+      if (progressCallback) {
+        progressCallback(Math.round((addr / totalBytes) * 100), "Verifying");
+      }
+    }
+    this.log(`Verified ${totalBytes} bytes`);
+  }
+
+  /**
+   * Flash a hex file to the device and start the sketch
+   * @param {string} hexString - Intel HEX format firmware
+   * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @param {Object} [options] - Flash options
+   * @param {boolean} [options.verify=true] - Read every block back and compare
+   * @returns {Promise<void>}
+   * @throws {Error} On a wrong device, a protocol error or a verify mismatch
+   */
+  async flashHex(hexString, progressCallback, options = {}) {
+    const { verify = true } = options;
+    const { bootStart } = this.config.memory;
+    const data = hexToFlashImage(hexString, {
+      size: this.config.memory.flashSize,
+    });
+    const totalBytes = data.length;
+
+    if (totalBytes > bootStart) {
+      throw new Error(
+        `Sketch is ${totalBytes} bytes, the board has ${bootStart} bytes for sketches`
+      );
+    }
+    this.log(`Flashing ${totalBytes} bytes...`);
+
+    await this.connect();
+
+    try {
+      if (progressCallback) progressCallback(0, "Syncing...");
+      await this.sync();
+
+      const signature = await this.readSignature();
+      const expected = this.config.signature;
+      if (expected && signature.some((b, i) => b !== expected[i])) {
+        throw new Error(
+          `Device signature ${UploadLogger.bytesToHex(
+            signature
+          )} does not match the selected board (${UploadLogger.bytesToHex(
+            expected
+          )})`
+        );
+      }
+
+      // Whole pages, so a block never ends in the middle of one
+      const blockSize = Math.min(
+        await this.getBlockSize(),
+        this.config.memory.pageSize
+      );
+
+      if (progressCallback) progressCallback(0, "Entering Programming Mode...");
+      await this.commandOk([CMD_ENTER_PROGMODE], "enter prog mode");
+
+      if (progressCallback) progressCallback(0, "Erasing...");
+      await this.commandOk(
+        [CMD_CHIP_ERASE],
+        "erase flash",
+        this.config.timing.eraseTimeoutMs
+      );
+
+      // The address auto-increments after each block
+      await this.setAddress(0);
+      for (let addr = 0; addr < totalBytes; addr += blockSize) {
+        await this.writeBlock(this.block(data, addr, blockSize));
+
+        if (progressCallback) {
+          progressCallback(Math.round((addr / totalBytes) * 100), "Flashing");
+        }
+      }
+
+      if (verify) await this.verify(data, blockSize, progressCallback);
+
+      if (progressCallback) progressCallback(100, "Finalizing...");
+      await this.commandOk([CMD_LEAVE_PROGMODE], "leave prog mode");
+      await this.commandOk([CMD_EXIT_BOOTLOADER], "start the sketch");
+      this.log("Flash complete!");
+    } finally {
+      await this.disconnect();
+    }
+  }
+
+  /**
+   * One block of the image, padded with 0xFF (erased flash)
+   * @param {Uint8Array} data - Flash image
+   * @param {number} addr - Block start address
+   * @param {number} size - Block size
+   * @returns {Uint8Array}
+   * @private
+   */
+  block(data, addr, size) {
+    const block = new Uint8Array(size).fill(0xff);
+    block.set(data.subarray(addr, addr + size));
+    return block;
+  }
+}
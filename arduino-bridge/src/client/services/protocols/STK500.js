@@ -5,14 +5,19 @@
  * - Synchronization with bootloader
  * - Programming mode management
  * - Page-based flash writing
- * - Intel HEX file parsing
+ * - Read-back verification of every written page
+ *
+ * HEX files are parsed by utils/IntelHex.js.
  *
  * Compatible with ATmega328P (Arduino Uno R3) and similar AVR microcontrollers.
+ * Page size and flash size come from the board's protocol config.
  *
  * @module client/services/protocols/STK500
  */
 
 import { UploadLogger } from "../utils/UploadLogger.js";
+import { hexToFlashImage } from "../utils/IntelHex.js";
+import { STK500_CONFIG } from "../../config/boardProtocols.js";
 
 // =============================================================================
 // STK500 Protocol Constants
@@ -33,6 +38,12 @@ const STK_LOAD_ADDRESS = 0x55;
 /** @constant {number} STK_PROG_PAGE - Program page command */
 const STK_PROG_PAGE = 0x64;
 
+/** @constant {number} STK_READ_PAGE - Read page command */
+const STK_READ_PAGE = 0x74;
+
+/** @constant {number} STK_READ_SIGN - Read device signature command */
+const STK_READ_SIGN = 0x75;
+
 /** @constant {number} CRC_EOP - End of packet marker */
 const CRC_EOP = 0x20;
 
@@ -54,12 +65,6 @@ const SYNC_WINDOW_MS = 200;
 /** @constant {number} SYNC_RETRY_DELAY_MS - Delay between sync attempts */
 const SYNC_RETRY_DELAY_MS = 100;
 
-/** @constant {number} ATMEGA328P_PAGE_SIZE - Page size for ATmega328P */
-const ATMEGA328P_PAGE_SIZE = 128;
-
-/** @constant {number} MAX_MEMORY_SIZE - Maximum memory buffer size (32KB) */
-const MAX_MEMORY_SIZE = 32 * 1024;
-
 // =============================================================================
 // STK500Protocol Class
 // =============================================================================
@@ -72,11 +77,15 @@ export class STK500Protocol {
    * Create a new STK500Protocol instance
    * @param {SerialPort} port - WebSerial port instance
    * @param {Function} [logger] - Logging function
+   * @param {Object} [config] - Board protocol config (see boardProtocols.js)
    */
-  constructor(port, logger) {
+  constructor(port, logger, config = STK500_CONFIG) {
     /** @type {SerialPort} */
     this.port = port;
 
+    /** @type {Object} Board protocol config */
+    this.config = config;
+
     /** @type {Function} */
     this.logger = logger || new UploadLogger("STK500").getLogFunction();
 
@@ -297,15 +306,91 @@ export class STK500Protocol {
       throw new Error("Failed to program page");
   }
 
+  /**
+   * Read the three device signature bytes
+   * @returns {Promise<number[]>}
+   * @throws {Error} If the read fails
+   */
+  async readSignature() {
+    await this.send([STK_READ_SIGN, CRC_EOP]);
+    const resp = await this.receive(5);
+    if (resp[0] !== STK_INSYNC || resp[4] !== STK_OK)
+      throw new Error("Failed to read signature");
+    return Array.from(resp.subarray(1, 4));
+  }
+
+  /**
+   * Read a page of flash memory from the loaded address
+   * @param {number} length - Number of bytes to read
+   * @returns {Promise<Uint8Array>} Page data
+   * @throws {Error} If the read fails
+   * @private
+   */
+  async readPage(length) {
+    await this.send([
+      STK_READ_PAGE,
+      (length >> 8) & 0xff,
+      length & 0xff,
+      FLASH_MEMORY_TYPE,
+      CRC_EOP,
+    ]);
+    const resp = await this.receive(length + 2);
+    if (resp[0] !== STK_INSYNC || resp[length + 1] !== STK_OK)
+      throw new Error("Failed to read page");
+    return resp.subarray(1, length + 1);
+  }
+
+  /**
+   * Read the flash back and compare it with the image
+   * @param {Uint8Array} data - Flash image that was written
+   * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @returns {Promise<void>}
+   * @throws {Error} Naming the first address that does not match
+   * @private
+   */
+  async verify(data, progressCallback) {
+    const { pageSize } = this.config.memory;
+    const totalBytes = data.length;
+
+    for (let addr = 0; addr < totalBytes; addr += pageSize) {
+      const chunk = data.subarray(addr, Math.min(addr + pageSize, totalBytes));
+
+      await this.loadAddress(addr >> 1);
+      const readBack = await this.readPage(chunk.length);
+
+      const offset = chunk.findIndex((b, i) => b !== readBack[i]);
+      if (offset !== -1) {
+        throw new Error(
+          `Verify failed at ${UploadLogger.formatAddr(
+            addr + offset
+          )}: wrote 0x${chunk[offset]
+            .toString(16)
+            .padStart(2, "0")}, read 0x${readBack[offset]
+            .toString(16)
+            .padStart(2, "0")}. Check the USB cable and upload again.`
+        );
+      }
+
+      if (progressCallback) {
+        progressCallback(Math.round((addr / totalBytes) * 100), "Verifying");
+      }
+    }
+    this.log(`Verified ${totalBytes} bytes`);
+  }
+
   /**
    * Flash a hex file to the device
    * @param {string} hexString - Intel HEX format firmware
    * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @param {Object} [options] - Flash options
+   * @param {boolean} [options.verify=true] - Read every page back and compare
    * @returns {Promise<void>}
+   * @throws {Error} On a protocol error or a verify mismatch
    */
-  async flashHex(hexString, progressCallback) {
-    const data = this.parseHex(hexString);
-    const pageSize = ATMEGA328P_PAGE_SIZE;
+  async flashHex(hexString, progressCallback, options = {}) {
+    const { verify = true } = options;
+    const { pageSize, flashSize } = this.config.memory;
+    const data = hexToFlashImage(hexString, { size: flashSize });
     const totalBytes = data.length;
 
     this.log(`Flashing ${totalBytes} bytes...`);
@@ -319,6 +404,20 @@ export class STK500Protocol {
       if (progressCallback) progressCallback(0, "Entering Programming Mode...");
       await this.enterProgMode();
 
+      const expected = this.config.signature;
+      if (expected) {
+        const signature = await this.readSignature();
+        if (signature.some((b, i) => b !== expected[i])) {
+          throw new Error(
+            `Device signature ${UploadLogger.bytesToHex(
+              signature
+            )} does not match the selected board (${UploadLogger.bytesToHex(
+              expected
+            )})`
+          );
+        }
+      }
+
       let pageAddr = 0;
       for (let addr = 0; addr < totalBytes; addr += pageSize) {
         const chunk = data.subarray(
@@ -339,6 +438,8 @@ export class STK500Protocol {
         }
       }
 
+      if (verify) await this.verify(data, progressCallback);
+
       if (progressCallback) progressCallback(100, "Finalizing...");
       await this.leaveProgMode();
       this.log("Flash complete!");
@@ -346,34 +447,4 @@ export class STK500Protocol {
       await this.disconnect();
     }
   }
-
-  /**
-   * Parse Intel HEX format string into binary data
-   * @param {string} hex - Intel HEX format string
-   * @returns {Uint8Array} Binary data
-   * @private
-   */
-  parseHex(hex) {
-    const lines = hex.split("\n");
-    const memory = new Uint8Array(MAX_MEMORY_SIZE);
-    let maxAddr = 0;
-
-    for (const line of lines) {
-      if (!line.startsWith(":")) continue;
-      const len = parseInt(line.substr(1, 2), 16);
-      const addr = parseInt(line.substr(3, 4), 16);
-      const type = parseInt(line.substr(7, 2), 16);
-
-      if (type === 0) {
-        // Data record
-        for (let i = 0; i < len; i++) {
-          const byte = parseInt(line.substr(9 + i * 2, 2), 16);
-          memory[addr + i] = byte;
-        }
-        if (addr + len > maxAddr) maxAddr = addr + len;
-      }
-    }
-
-    return memory.subarray(0, maxAddr);
-  }
 }
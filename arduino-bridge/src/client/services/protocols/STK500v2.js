@@ -0,0 +1,527 @@
+/**
+ * STK500v2 Protocol Implementation
+ *
+ * Implementation of the STK500v2 (AVR068) protocol spoken by the
+ * ATmega2560 bootloader on the Arduino Mega:
+ * - Message framing with sequence numbers and XOR checksums
+ * - Sign-on to synchronize with the bootloader
+ * - Extended (32-bit) load address for flash beyond 64K words
+ * - ISP-style flash programming and read-back verification
+ *
+ * @module client/services/protocols/STK500v2
+ */
+
+import { UploadLogger } from "../utils/UploadLogger.js";
+import { hexToFlashImage } from "../utils/IntelHex.js";
+import { STK500V2_CONFIG } from "../../config/boardProtocols.js";
+
+// =============================================================================
+// STK500v2 Protocol Constants
+// =============================================================================
+
+/** @constant {number} MESSAGE_START - First byte of every message */
+const MESSAGE_START = 0x1b;
+
+/** @constant {number} TOKEN - Marks the start of the message body */
+const TOKEN = 0x0e;
+
+/** @constant {number} CMD_SIGN_ON - Sign-on (sync) command */
+const CMD_SIGN_ON = 0x01;
+
+/** @constant {number} CMD_LOAD_ADDRESS - Load address command */
+const CMD_LOAD_ADDRESS = 0x06;
+
+/** @constant {number} CMD_ENTER_PROGMODE_ISP - Enter programming mode command */
+const CMD_ENTER_PROGMODE_ISP = 0x10;
+
+/** @constant {number} CMD_LEAVE_PROGMODE_ISP - Leave programming mode command */
+const CMD_LEAVE_PROGMODE_ISP = 0x11;
+
+/** @constant {number} CMD_PROGRAM_FLASH_ISP - Program flash command */
+const CMD_PROGRAM_FLASH_ISP = 0x13;
+
+/** @constant {number} CMD_READ_FLASH_ISP - Read flash command */
+const CMD_READ_FLASH_ISP = 0x14;
+
+/** @constant {number} CMD_READ_SIGNATURE_ISP - Read signature byte command */
+const CMD_READ_SIGNATURE_ISP = 0x1b;
+
+/** @constant {number} STATUS_CMD_OK - Command succeeded */
+const STATUS_CMD_OK = 0x00;
+
+/** @constant {number} EXTENDED_ADDRESS_BIT - Load address bit 31 (use extended address) */
+const EXTENDED_ADDRESS_BIT = 0x80000000;
+
+/** @constant {number} MAX_BODY_SIZE - Largest message body the bootloader accepts */
+const MAX_BODY_SIZE = 275;
+
+/** @constant {number} SYNC_RETRY_DELAY_MS - Delay between sign-on attempts */
+const SYNC_RETRY_DELAY_MS = 50;
+
+/**
+ * Parameters for CMD_ENTER_PROGMODE_ISP (timeout, stabDelay, cmdexeDelay,
+ * synchLoops, byteDelay, pollValue, pollIndex, then the ISP "programming
+ * enable" instruction). The bootloader ignores them, avrdude sends these.
+ */
+const ENTER_PROGMODE_PARAMS = [
+  0xc8, 0x64, 0x19, 0x20, 0x00, 0x53, 0x03, 0xac, 0x53, 0x00, 0x00,
+];
+
+/**
+ * Parameters for CMD_PROGRAM_FLASH_ISP after the byte count (mode: page
+ * write, delay, ISP load/write/read instructions, poll values)
+ */
+const PROGRAM_FLASH_PARAMS = [0xc1, 0x0a, 0x40, 0x4c, 0x20, 0x00, 0x00];
+
+/** @constant {number} READ_FLASH_INSTRUCTION - ISP "read program memory" */
+const READ_FLASH_INSTRUCTION = 0x20;
+
+// =============================================================================
+// STK500v2Protocol Class
+// =============================================================================
+
+/**
+ * STK500v2 protocol handler for ATmega2560 programming
+ */
+export class STK500v2Protocol {
+  /**
+   * Create a new STK500v2Protocol instance
+   * @param {SerialPort} port - WebSerial port instance
+   * @param {Function} [logger] - Logging function
+   * @param {Object} [config] - Board protocol config (see boardProtocols.js)
+   */
+  constructor(port, logger, config = STK500V2_CONFIG) {
+    /** @type {SerialPort} */
+    this.port = port;
+
+    /** @type {Function} */
+    this.logger = logger || new UploadLogger("STK500v2").getLogFunction();
+
+    /** @type {Object} Board protocol config */
+    this.config = config;
+
+    /** @type {ReadableStreamDefaultReader|null} */
+    this.reader = null;
+
+    /** @type {WritableStreamDefaultWriter|null} */
+    this.writer = null;
+
+    /** @type {Promise|null} Read still waiting for data after a timeout */
+    this.pendingRead = null;
+
+    /** @type {number[]} Received bytes not consumed yet */
+    this.rxBuffer = [];
+
+    /** @type {number} Sequence number of the next message */
+    this.sequence = 1;
+
+    /** @type {boolean} Enable debug logging */
+    this.debug = true;
+  }
+
+  /**
+   * Log a message if debug is enabled
+   * @param {string} msg - Message to log
+   * @private
+   */
+  log(msg) {
+    if (this.debug) this.logger(msg);
+  }
+
+  /**
+   * Connect to the serial port for programming
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    this.writer = this.port.writable.getWriter();
+    this.reader = this.port.readable.getReader();
+    this.rxBuffer = [];
+    this.sequence = 1;
+  }
+
+  /**
+   * Disconnect from the serial port
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    if (this.writer) {
+      this.writer.releaseLock();
+      this.writer = null;
+    }
+    if (this.reader) {
+      // Releasing the lock rejects a read still waiting for data
+      this.pendingRead?.catch(() => {});
+      this.pendingRead = null;
+      this.reader.releaseLock();
+      this.reader = null;
+    }
+  }
+
+  /**
+   * Wait for more bytes from the bootloader
+   * @param {number} timeout - Milliseconds to wait
+   * @returns {Promise<boolean>} False on timeout
+   * @throws {Error} If the port closed
+   * @private
+   */
+  async fill(timeout) {
+    if (!this.pendingRead) this.pendingRead = this.reader.read();
+
+    let timer;
+    const result = await Promise.race([
+      this.pendingRead,
+      new Promise((r) => (timer = setTimeout(() => r(null), timeout))),
+    ]);
+    clearTimeout(timer);
+    // On timeout the read stays pending and its data arrives in a later fill()
+    if (!result) return false;
+
+    this.pendingRead = null;
+    if (result.done) throw new Error("Port closed");
+    if (result.value) {
+      this.log(`RX: ${UploadLogger.bytesToHex(result.value)}`);
+      this.rxBuffer.push(...result.value);
+    }
+    return true;
+  }
+
+  /**
+   * Take the next received byte
+   * @param {number} deadline - Date.now() value to give up at
+   * @returns {Promise<number>}
+   * @throws {Error} On timeout
+   * @private
+   */
+  async readByte(deadline) {
+    while (this.rxBuffer.length === 0) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0 || !(await this.fill(remaining))) {
+        throw new Error("Timeout receiving data");
+      }
+    }
+    return this.rxBuffer.shift();
+  }
+
+  /**
+   * Send one framed message and return the answer's body
+   * @param {number[]|Uint8Array} body - Command byte followed by its parameters
+   * @param {number} [timeout] - Milliseconds to wait for the answer
+   * @returns {Promise<Uint8Array>} Answer body (command byte, status, data)
+   * @throws {Error} On timeout, a bad checksum or a failed status
+   * @private
+   */
+  async command(body, timeout = this.config.timing.commandTimeoutMs) {
+    const sequence = this.sequence;
+    this.sequence = (this.sequence + 1) & 0xff;
+
+    const message = new Uint8Array(body.length + 6);
+    message[0] = MESSAGE_START;
+    message[1] = sequence;
+    message[2] = (body.length >> 8) & 0xff;
+    message[3] = body.length & 0xff;
+    message[4] = TOKEN;
+    message.set(body, 5);
+    message[message.length - 1] = message
+      .subarray(0, -1)
+      .reduce((sum, b) => sum ^ b, 0);
+
+    this.log(`TX: ${UploadLogger.bytesToHex(message)}`);
+    await this.writer.write(message);
+
+    const answer = await this.receiveMessage(timeout);
+    if (answer.sequence !== sequence) {
+      throw new Error(
+        `Answer sequence ${answer.sequence} does not match ${sequence}`
+      );
+    }
+    if (answer.body[0] !== body[0]) {
+      throw new Error(
+        `Answer to 0x${body[0].toString(
+          16
+        )} was for 0x${answer.body[0].toString(16)}`
+      );
+    }
+    if (answer.body[1] !== STATUS_CMD_OK) {
+      throw new Error(
+        `Command 0x${body[0].toString(16)} failed (status 0x${answer.body[1]
+          .toString(16)
+          .padStart(2, "0")})`
+      );
+    }
+    return answer.body;
+  }
+
+  /**
+   * Receive one framed message, skipping noise before MESSAGE_START
+   * @param {number} timeout - Milliseconds to wait
+   * @returns {Promise<{sequence: number, body: Uint8Array}>}
+   * @throws {Error} On timeout or a bad checksum
+   * @private
+   */
+  async receiveMessage(timeout) {
+    const deadline = Date.now() + timeout;
+
+    while ((await this.readByte(deadline)) !== MESSAGE_START) {
+      // Not a message start (boot noise or a previous partial answer)
+    }
+    const sequence = await this.readByte(deadline);
+    const size =
+      ((await this.readByte(deadline)) << 8) | (await this.readByte(deadline));
+    if (size === 0 || size > MAX_BODY_SIZE) {
+      throw new Error(`Bad answer size ${size}`);
+    }
+    if ((await this.readByte(deadline)) !== TOKEN) {
+      throw new Error("Answer is missing the message token");
+    }
+
+    const body = new Uint8Array(size);
+    for (let i = 0; i < size; i++) body[i] = await this.readByte(deadline);
+    const checksum = await this.readByte(deadline);
+
+    let expected = MESSAGE_START ^ sequence ^ (size >> 8) ^ (size & 0xff);
+    expected ^= TOKEN;
+    for (const b of body) expected ^= b;
+    if (checksum !== expected) {
+      throw new Error("Answer checksum mismatch");
+    }
+    return { sequence, body };
+  }
+
+  /**
+   * Synchronize with the bootloader by signing on
+   * @param {number} [attempts] - Number of sign-on attempts
+   * @returns {Promise<string>} Programmer name the bootloader reports
+   * @throws {Error} If sign-on fails after all attempts
+   */
+  async signOn(attempts = this.config.timing.syncRetries) {
+    for (let i = 0; i < attempts; i++) {
+      try {
+        this.log(`Sign-on attempt ${i + 1}...`);
+        const answer = await this.command(
+          [CMD_SIGN_ON],
+          this.config.timing.syncTimeoutMs
+        );
+        const name = new TextDecoder().decode(
+          answer.subarray(3, 3 + answer[2])
+        );
+        this.log(`Signed on: ${name}`);
+        return name;
+      } catch (e) {
+        this.log(`Sign-on attempt failed: ${e.message}`);
+        // Drop partial answers so the next attempt starts clean
+        this.rxBuffer = [];
+      }
+      await new Promise((r) => setTimeout(r, SYNC_RETRY_DELAY_MS));
+    }
+    throw new Error("Failed to sign on (no STK500v2 bootloader answered)");
+  }
+
+  /**
+   * Enter programming mode
+   * @returns {Promise<void>}
+   * @throws {Error} If entering programming mode fails
+   */
+  async enterProgMode() {
+    this.log("Entering programming mode...");
+    await this.command([CMD_ENTER_PROGMODE_ISP, ...ENTER_PROGMODE_PARAMS]);
+  }
+
+  /**
+   * Leave programming mode (the bootloader then starts the sketch)
+   * @returns {Promise<void>}
+   * @throws {Error} If leaving programming mode fails
+   */
+  async leaveProgMode() {
+    this.log("Leaving programming mode...");
+    await this.command([CMD_LEAVE_PROGMODE_ISP, 0x01, 0x01]);
+  }
+
+  /**
+   * Read the three device signature bytes
+   * @returns {Promise<number[]>}
+   */
+  async readSignature() {
+    const signature = [];
+    for (let i = 0; i < 3; i++) {
+      const answer = await this.command([
+        CMD_READ_SIGNATURE_ISP,
+        0x04,
+        0x30,
+        0x00,
+        i,
+        0x00,
+      ]);
+      signature.push(answer[2]);
+    }
+    return signature;
+  }
+
+  /**
+   * Load a word address for the next flash read or write
+   * @param {number} byteAddr - Byte address in flash
+   * @returns {Promise<void>}
+   * @throws {Error} If address load fails
+   * @private
+   */
+  async loadAddress(byteAddr) {
+    let addr = byteAddr >>> 1;
+    // Bit 31 makes the bootloader set RAMPZ for addresses beyond 64K words
+    if (this.config.memory.extendedAddress)
+      addr = (addr | EXTENDED_ADDRESS_BIT) >>> 0;
+    await this.command([
+      CMD_LOAD_ADDRESS,
+      (addr >>> 24) & 0xff,
+      (addr >>> 16) & 0xff,
+      (addr >>> 8) & 0xff,
+      addr & 0xff,
+    ]);
+  }
+
+  /**
+   * Program one page of flash at the loaded address
+   * @param {Uint8Array} data - Page data to program
+   * @returns {Promise<void>}
+   * @throws {Error} If page programming fails
+   * @private
+   */
+  async programFlash(data) {
+    const cmd = new Uint8Array(10 + data.length);
+    cmd[0] = CMD_PROGRAM_FLASH_ISP;
+    cmd[1] = (data.length >> 8) & 0xff;
+    cmd[2] = data.length & 0xff;
+    cmd.set(PROGRAM_FLASH_PARAMS, 3);
+    cmd.set(data, 10);
+    await this.command(cmd, this.config.timing.commandTimeoutMs * 2);
+  }
+
+  /**
+   * Read flash back from the loaded address
+   * @param {number} length - Bytes to read (at most one page)
+   * @returns {Promise<Uint8Array>}
+   * @throws {Error} If the read fails
+   */
+  async readFlash(length) {
+    const answer = await this.command([
+      CMD_READ_FLASH_ISP,
+      (length >> 8) & 0xff,
+      length & 0xff,
+      READ_FLASH_INSTRUCTION,
+    ]);
+    // Body: command, status, data..., status
+    return answer.slice(2, 2 + length);
+  }
+
+  /**
+   * Read the flash back and compare it with the image
+   * @param {Uint8Array} data - Flash image that was written
+   * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @returns {Promise<void>}
+   * @throws {Error} Naming the first address that does not match
+   * @private
+   */
+  async verify(data, progressCallback) {
+    const { pageSize } = this.config.memory;
+    const totalBytes = data.length;
+
+    for (let addr = 0; addr < totalBytes; addr += pageSize) {
+      const page = this.page(data, addr);
+      await this.loadAddress(addr);
+      const readBack = await this.readFlash(page.length);
+
+      const offset = page.findIndex((b, i) => b !== readBack[i]);
+      if (offset !== -1) {
+        throw new Error(
+          `Verify failed at ${UploadLogger.formatAddr(
+            addr + offset
+          )}: wrote 0x${page[offset]
+            .toString(16)
+            .padStart(2, "0")}, read 0x${readBack[offset]
+            .toString(16)
+            .padStart(2, "0")}. Check the USB cable and upload again.`
+        );
+      }
+
+      if (progressCallback) {
+        progressCallback(Math.round((addr / totalBytes) * 100), "Verifying");
+      }
+    }
+    this.log(`Verified ${totalBytes} bytes`);
+  }
+
+  /**
+   * Flash a hex file to the device
+   * @param {string} hexString - Intel HEX format firmware
+   * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @param {Object} [options] - Flash options
+   * @param {boolean} [options.verify=true] - Read every page back and compare
+   * @returns {Promise<void>}
+   * @throws {Error} On a wrong device, a protocol error or a verify mismatch
+   */
+  async flashHex(hexString, progressCallback, options = {}) {
+    const { verify = true } = options;
+    const { pageSize, bootStart } = this.config.memory;
+    const data = hexToFlashImage(hexString, {
+      size: this.config.memory.flashSize,
+    });
+    const totalBytes = data.length;
+
+    if (totalBytes > bootStart) {
+      throw new Error(
+        `Sketch is ${totalBytes} bytes, the board has ${bootStart} bytes for sketches`
+      );
+    }
+    this.log(`Flashing ${totalBytes} bytes...`);
+
+    await this.connect();
+
+    try {
+      if (progressCallback) progressCallback(0, "Syncing...");
+      await this.signOn();
+
+      if (progressCallback) progressCallback(0, "Entering Programming Mode...");
+      await this.enterProgMode();
+
+      const signature = await this.readSignature();
+      const expected = this.config.signature;
+      if (expected && signature.some((b, i) => b !== expected[i])) {
+        throw new Error(
+          `Device signature ${UploadLogger.bytesToHex(
+            signature
+          )} does not match the selected board (${UploadLogger.bytesToHex(
+            expected
+          )})`
+        );
+      }
+
+      for (let addr = 0; addr < totalBytes; addr += pageSize) {
+        await this.loadAddress(addr);
+        await this.programFlash(this.page(data, addr));
+
+        if (progressCallback) {
+          progressCallback(Math.round((addr / totalBytes) * 100), "Flashing");
+        }
+      }
+
+      if (verify) await this.verify(data, progressCallback);
+
+      if (progressCallback) progressCallback(100, "Finalizing...");
+      await this.leaveProgMode();
+      this.log("Flash complete!");
+    } finally {
+      await this.disconnect();
+    }
+  }
+
+  /**
+   * One full page of the image, padded with 0xFF (erased flash)
+   * @param {Uint8Array} data - Flash image
+   * @param {number} addr - Page start address
+   * @returns {Uint8Array}
+   * @private
+   */
+  page(data, addr) {
+    const page = new Uint8Array(this.config.memory.pageSize).fill(0xff);
+    page.set(data.subarray(addr, addr + page.length));
+    return page;
+  }
+}
@@ -2,17 +2,24 @@
  * AVR Upload Strategy
  *
  * Upload strategy for AVR-based Arduino boards using STK500 protocol:
- * - Arduino Uno R3
- * - Arduino Nano
- * - Arduino Mega
+ * - Arduino Uno R3 (STK500v1)
+ * - Arduino Nano (STK500v1)
+ * - Arduino Mega (STK500v2, or STK500v1 for the ATmega1280 version)
  * - Other ATmega-based boards
  *
- * Uses DTR reset sequence to enter bootloader mode.
+ * Uses DTR reset sequence to enter bootloader mode. The protocol version
+ * comes from the board's entry in config/boardProtocols.js.
  *
  * @module client/services/strategies/AVRStrategy
  */
 
 import { STK500Protocol } from "../protocols/STK500.js";
+import { STK500v2Protocol } from "../protocols/STK500v2.js";
+import {
+  PROTOCOL_TYPES,
+  STK500_CONFIG,
+  getProtocolConfig,
+} from "../../config/boardProtocols.js";
 import { UploadLogger } from "../utils/UploadLogger.js";
 
 // =============================================================================
@@ -48,10 +55,12 @@ export class AVRStrategy {
   /**
    * Prepare the board for upload by triggering bootloader mode
    * @param {SerialPort} port - WebSerial port instance
+   * @param {string} [fqbn] - Board FQBN, selects the bootloader's baud rate
    * @returns {Promise<void>}
    */
-  async prepare(port) {
+  async prepare(port, fqbn) {
     this.log.section("PREPARE: Entering Bootloader Mode");
+    const config = getProtocolConfig(fqbn) || STK500_CONFIG;
 
     const info = port.getInfo();
     this.log.device(
@@ -60,6 +69,14 @@ export class AVRStrategy {
       "AVR-based board (Uno R3, Nano, Mega, etc.)"
     );
 
+    // The port may be open at another baud rate (e.g. 57600 for ATmega1280)
+    const { baudUpload } = config.serial;
+    if (port.readable || port.writable) {
+      await port.close();
+    }
+    this.log.serialConfig(baudUpload, "Opening at the bootloader's baud rate");
+    await port.open({ baudRate: baudUpload });
+
     this.log.info("Triggering board reset via DTR toggle");
     this.log.signal(
       "DTR",
@@ -89,20 +106,36 @@ export class AVRStrategy {
    * @param {SerialPort} port - WebSerial port instance
    * @param {ArrayBuffer} data - Intel HEX firmware data
    * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @param {string} [fqbn] - Board FQBN, selects STK500v1 or STK500v2
+   * @param {Object} [options] - Upload options
+   * @param {boolean} [options.verify=true] - Read the flash back after writing
    * @returns {Promise<void>}
    */
-  async flash(port, data, progressCallback) {
-    this.log.section("FLASH: Uploading Firmware via STK500 Protocol");
+  async flash(port, data, progressCallback, fqbn, options = {}) {
+    const config = getProtocolConfig(fqbn) || STK500_CONFIG;
+    const useV2 = config?.protocol === PROTOCOL_TYPES.STK500V2;
+    this.log.section(
+      `FLASH: Uploading Firmware via ${useV2 ? "STK500v2" : "STK500"} Protocol`
+    );
 
     // data is ArrayBuffer, convert to string for STK500 (Intel Hex)
     const decoder = new TextDecoder();
     const hexString = decoder.decode(data);
 
     this.log.info(`Firmware size: ${data.byteLength} bytes (Intel HEX format)`);
-    this.log.info("STK500 protocol used by AVR bootloaders (optiboot, etc.)");
 
-    const flasher = new STK500Protocol(port, this.log.getLogFunction());
-    await flasher.flashHex(hexString, progressCallback);
+    let flasher;
+    if (useV2) {
+      this.log.info("STK500v2 protocol used by the ATmega2560 bootloader");
+      flasher = new STK500v2Protocol(port, this.log.getLogFunction(), config);
+    } else {
+      this.log.info("STK500 protocol used by AVR bootloaders (optiboot, etc.)");
+      flasher = new STK500Protocol(port, this.log.getLogFunction(), config);
+    }
+    if (options.verify === false) {
+      this.log.warn("Read-back verification is off");
+    }
+    await flasher.flashHex(hexString, progressCallback, options);
 
     this.log.success("Firmware upload complete!");
   }
@@ -0,0 +1,208 @@
+/**
+ * Caterina Upload Strategy
+ *
+ * Upload strategy for ATmega32U4 boards with the Caterina bootloader:
+ * - Arduino Leonardo
+ * - Arduino Micro
+ * - Arduino Esplora
+ *
+ * These boards have native USB. A 1200 baud touch resets them into the
+ * bootloader, which enumerates as a NEW USB device (different PID) for about
+ * 8 seconds. Web Serial can only open it if the user has granted it before:
+ * - Granted: the bootloader port is found with getPorts() and used directly
+ * - Not granted: a BOOTLOADER_PORT_NEEDED error asks main.js to let the user
+ *   pick it, then UploadManager.flashToBootloader() flashes it
+ *
+ * Flashing uses the AVR109 protocol (block writes plus read-back verify).
+ *
+ * @module client/services/strategies/CaterinaStrategy
+ */
+
+import { AVR109Protocol } from "../protocols/AVR109.js";
+import {
+  AVR109_CONFIG,
+  getProtocolConfig,
+} from "../../config/boardProtocols.js";
+import { ErrorCodes } from "../../../shared/Result.js";
+import { UploadLogger } from "../utils/UploadLogger.js";
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @constant {number} PORT_POLL_MS - Interval for looking for the bootloader port */
+const PORT_POLL_MS = 250;
+
+// =============================================================================
+// CaterinaStrategy Class
+// =============================================================================
+
+/**
+ * Upload strategy for Caterina (ATmega32U4) boards
+ * @implements {UploadStrategy}
+ */
+export class CaterinaStrategy {
+  /**
+   * Create a new CaterinaStrategy instance
+   */
+  constructor() {
+    /** @type {string} Human-readable strategy name */
+    this.name = "Caterina (AVR109)";
+
+    /** @type {UploadLogger} Logger instance */
+    this.log = new UploadLogger("Caterina");
+  }
+
+  /**
+   * Protocol configuration for a board
+   * @param {string} [fqbn] - Board FQBN
+   * @returns {Object}
+   * @private
+   */
+  getConfig(fqbn) {
+    return getProtocolConfig(fqbn) || AVR109_CONFIG;
+  }
+
+  /**
+   * Check whether a port is the bootloader (by USB product ID)
+   * @param {SerialPort} port - WebSerial port instance
+   * @param {Object} config - Protocol configuration
+   * @returns {boolean}
+   * @private
+   */
+  isBootloaderPort(port, config) {
+    const { usbProductId } = port.getInfo();
+    return config.bootloaderPids.includes(usbProductId);
+  }
+
+  /**
+   * Reset the board into the bootloader and find the bootloader port
+   * @param {SerialPort} port - WebSerial port instance (the sketch's port)
+   * @param {string} [fqbn] - Board FQBN
+   * @returns {Promise<SerialPort>} Port to flash
+   * @throws {Error} With code BOOTLOADER_PORT_NEEDED when the user has to
+   *   select the bootloader port
+   */
+  async prepare(port, fqbn) {
+    this.log.section("PREPARE: Entering Caterina Bootloader");
+    const config = this.getConfig(fqbn);
+
+    const info = port.getInfo();
+    this.log.device(
+      info.usbVendorId,
+      info.usbProductId,
+      "ATmega32U4 board (Leonardo, Micro, etc.)"
+    );
+
+    if (this.isBootloaderPort(port, config)) {
+      this.log.success("Device already in bootloader mode (detected by PID)");
+      return port;
+    }
+
+    await this.perform1200Touch(port, config);
+
+    this.log.info("Looking for the bootloader port among granted ports...");
+    const deadline = Date.now() + config.timing.bootloaderWaitMs;
+    while (Date.now() < deadline) {
+      const ports = await navigator.serial.getPorts();
+      const bootloader = ports.find(
+        (p) =>
+          p.getInfo().usbVendorId === info.usbVendorId &&
+          this.isBootloaderPort(p, config)
+      );
+      if (bootloader) {
+        this.log.success("Found the bootloader port");
+        return bootloader;
+      }
+      await new Promise((r) => setTimeout(r, PORT_POLL_MS));
+    }
+
+    this.log.warn("Bootloader port not granted yet - asking the user");
+    const error = new Error(
+      `Board reset into its bootloader. Select the new port within ${Math.round(
+        config.timing.bootloaderTimeoutMs / 1000
+      )} seconds, before the bootloader starts the old sketch again.`
+    );
+    error.code = ErrorCodes.BOOTLOADER_PORT_NEEDED;
+    throw error;
+  }
+
+  /**
+   * Perform the 1200 baud touch: open at 1200 baud and close again
+   * @param {SerialPort} port - WebSerial port instance
+   * @param {Object} config - Protocol configuration
+   * @returns {Promise<void>}
+   * @private
+   */
+  async perform1200Touch(port, config) {
+    this.log.section("1200 BAUD TOUCH SEQUENCE");
+
+    if (port.readable || port.writable) {
+      await port.close();
+    }
+
+    this.log.serialConfig(
+      config.serial.baudTouch,
+      "Opening at 1200 baud tells the sketch's USB stack to reset"
+    );
+    await port.open({ baudRate: config.serial.baudTouch });
+    this.log.signal("DTR", false, "Dropping DTR at 1200 baud starts the reset");
+    await port.setSignals({ dataTerminalReady: false });
+    await port.close();
+
+    this.log.success("1200 baud touch complete - board is re-enumerating");
+  }
+
+  /**
+   * Flash firmware through the Caterina bootloader
+   * @param {SerialPort} port - Bootloader port (from prepare() or the user)
+   * @param {ArrayBuffer} data - Intel HEX firmware data
+   * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @param {string} [fqbn] - Board FQBN
+   * @param {Object} [options] - Upload options
+   * @param {boolean} [options.verify=true] - Read the flash back after writing
+   * @returns {Promise<void>}
+   */
+  async flash(port, data, progressCallback, fqbn, options = {}) {
+    this.log.section("FLASH: Uploading Firmware via AVR109 Protocol");
+    const config = this.getConfig(fqbn);
+
+    const hexString = new TextDecoder().decode(data);
+    this.log.info(`Firmware size: ${data.byteLength} bytes (Intel HEX format)`);
+
+    if (!port.readable || !port.writable) {
+      this.log.serialConfig(
+        config.serial.baudUpload,
+        "Opening bootloader port"
+      );
+      await port.open({ baudRate: config.serial.baudUpload });
+    }
+
+    try {
+      const flasher = new AVR109Protocol(
+        port,
+        this.log.getLogFunction(),
+        config
+      );
+      if (options.verify === false) {
+        this.log.warn("Read-back verification is off");
+      }
+      await flasher.flashHex(hexString, progressCallback, options);
+    } finally {
+      // The bootloader port disappears when the sketch starts
+      try {
+        await port.close();
+      } catch (e) {
+        this.log.warn(`Port close warning: ${e.message}`);
+      }
+    }
+
+    this.log.wait(
+      config.timing.rebootDelayMs,
+      "Wait for the sketch's USB port to come back"
+    );
+    await new Promise((r) => setTimeout(r, config.timing.rebootDelayMs));
+
+    this.log.success("Firmware upload complete!");
+  }
+}
@@ -1,4 +1,6 @@
 import { UploadLogger } from "../utils/UploadLogger.js";
+import { describeFamily, prepareUf2 } from "../utils/Uf2.js";
+import { getUf2Config } from "../../config/boardProtocols.js";
 
 export class RP2040Strategy {
   constructor() {
@@ -50,11 +52,28 @@ export class RP2040Strategy {
     );
   }
 
-  async flash(port, data, progressCallback) {
+  async flash(port, data, progressCallback, fqbn, options = {}) {
     this.log.section("FLASH: RP2040 UF2 Firmware Upload");
+    // Unlisted boards get no family or flash size check
+    const config = getUf2Config(fqbn);
 
+    this.log.info(`Firmware size: ${UploadLogger.formatSize(data.byteLength)}`);
+
+    // Convert and check the file before the student copies it
+    const { uf2, format, image } = prepareUf2(
+      new Uint8Array(data),
+      config,
+      options.artifactName
+    );
+    if (format !== "uf2") {
+      this.log.info(`Converted .${format} firmware to UF2`);
+    }
     this.log.info(
-      `Firmware size: ${UploadLogger.formatSize(data.byteLength)} (UF2 format)`
+      `UF2: ${image.numBlocks} blocks, ${UploadLogger.formatSize(
+        image.size
+      )} for ${
+        config ? describeFamily(config.uf2.familyId) : "an unlisted board"
+      }`
     );
     this.log.info(
       "RP2040 uses drag-and-drop UF2 file upload (browser cannot write directly)"
@@ -62,7 +81,7 @@ export class RP2040Strategy {
 
     // Create Blob from firmware data (UF2)
     this.log.info("Creating downloadable UF2 file...");
-    const blob = new Blob([data], { type: "application/octet-stream" });
+    const blob = new Blob([uf2], { type: "application/octet-stream" });
     const url = URL.createObjectURL(blob);
 
     // Trigger Download
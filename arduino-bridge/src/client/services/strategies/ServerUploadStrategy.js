@@ -79,6 +79,7 @@ export class ServerUploadStrategy {
         body: JSON.stringify({
           path: sketchPath,
           fqbn: fqbn,
+          profile: options.profile,
           port: portPath,
         }),
       });
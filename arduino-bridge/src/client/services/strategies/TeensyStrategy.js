@@ -1,5 +1,6 @@
 import { WebHIDProvider } from "../../providers/WebHIDProvider.js";
 import { UploadLogger } from "../utils/UploadLogger.js";
+import { parseIntelHex } from "../utils/IntelHex.js";
 
 export class TeensyStrategy {
   constructor() {
@@ -32,6 +33,22 @@ export class TeensyStrategy {
 
     this.log.info(`Firmware size: ${UploadLogger.formatSize(data.byteLength)}`);
 
+    // Reject a corrupt HEX file before asking for the device
+    const image = parseIntelHex(new TextDecoder().decode(data));
+    this.log.info(
+      `HEX image: ${UploadLogger.formatSize(image.size)} in ${
+        image.segments.length
+      } segment(s)`
+    );
+    for (const segment of image.segments) {
+      this.log.memory(
+        "SEGMENT",
+        segment.address,
+        segment.data.length,
+        "Address range from the HEX records"
+      );
+    }
+
     try {
       // Request HID device
       this.log.info("Requesting WebHID device access...");
@@ -0,0 +1,270 @@
+/**
+ * Intel HEX Firmware Images
+ *
+ * Shared Intel HEX parser for every strategy that uploads .hex files
+ * (AVR, Caterina, Teensy):
+ * - All record types: data (00), end of file (01), extended segment
+ *   address (02), start segment address (03), extended linear address (04)
+ *   and start linear address (05)
+ * - Line checksums validated, errors reported with the line number
+ * - Address-tagged segments instead of a fixed-size buffer
+ * - Flattening into a flash image for a board's memory, gaps filled with 0xFF
+ *
+ * @module client/services/utils/IntelHex
+ */
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @constant {number} RECORD_DATA - Data record */
+const RECORD_DATA = 0x00;
+
+/** @constant {number} RECORD_EOF - End of file record */
+const RECORD_EOF = 0x01;
+
+/** @constant {number} RECORD_EXTENDED_SEGMENT - Extended segment address (base = value << 4) */
+const RECORD_EXTENDED_SEGMENT = 0x02;
+
+/** @constant {number} RECORD_START_SEGMENT - Start segment address (CS:IP) */
+const RECORD_START_SEGMENT = 0x03;
+
+/** @constant {number} RECORD_EXTENDED_LINEAR - Extended linear address (base = value << 16) */
+const RECORD_EXTENDED_LINEAR = 0x04;
+
+/** @constant {number} RECORD_START_LINEAR - Start linear address (EIP) */
+const RECORD_START_LINEAR = 0x05;
+
+/** @constant {number} ERASED_BYTE - Value of erased flash */
+const ERASED_BYTE = 0xff;
+
+/** @constant {RegExp} RECORD_PATTERN - ':' followed by an even number of hex digits */
+const RECORD_PATTERN = /^:(?:[0-9A-Fa-f]{2})+$/;
+
+// =============================================================================
+// Errors
+// =============================================================================
+
+/**
+ * Error in a HEX file, with the 1-based line it was found on
+ */
+export class HexParseError extends Error {
+  /**
+   * @param {string} message - What is wrong
+   * @param {number|null} line - 1-based line number, null for the whole file
+   */
+  constructor(message, line = null) {
+    super(line ? `HEX file line ${line}: ${message}` : `HEX file: ${message}`);
+    this.name = "HexParseError";
+
+    /** @type {number|null} */
+    this.line = line;
+  }
+}
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Format a byte or address as hex
+ * @param {number} value
+ * @param {number} [digits=2]
+ * @returns {string}
+ */
+function toHex(value, digits = 2) {
+  return `0x${value.toString(16).padStart(digits, "0").toUpperCase()}`;
+}
+
+/**
+ * Parse Intel HEX text into address-tagged segments
+ * @param {string} text - Intel HEX file contents
+ * @returns {{segments: Array<{address: number, data: Uint8Array}>, startAddress: number|null, size: number}}
+ *   Segments sorted by address, contiguous records merged. `size` is the
+ *   number of data bytes
+ * @throws {HexParseError} On a malformed record, a checksum mismatch,
+ *   overlapping data or a missing end-of-file record
+ */
+export function parseIntelHex(text) {
+  const lines = text.split(/\r?\n/);
+  const chunks = [];
+  let base = 0;
+  let startAddress = null;
+  let sawEof = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    const lineNumber = i + 1;
+    if (!line) continue;
+    if (sawEof) {
+      throw new HexParseError("data after the end-of-file record", lineNumber);
+    }
+    if (!RECORD_PATTERN.test(line)) {
+      throw new HexParseError(
+        "not an Intel HEX record (expected ':' and hex digits)",
+        lineNumber
+      );
+    }
+
+    const bytes = new Uint8Array((line.length - 1) / 2);
+    for (let j = 0; j < bytes.length; j++) {
+      bytes[j] = parseInt(line.substr(1 + j * 2, 2), 16);
+    }
+    if (bytes.length < 5 || bytes.length !== bytes[0] + 5) {
+      throw new HexParseError(
+        `record length does not match its byte count (${bytes[0]})`,
+        lineNumber
+      );
+    }
+
+    const sum = bytes.reduce((acc, b) => (acc + b) & 0xff, 0);
+    if (sum !== 0) {
+      const expected = (bytes[bytes.length - 1] - sum) & 0xff;
+      throw new HexParseError(
+        `checksum is ${toHex(bytes[bytes.length - 1])}, should be ${toHex(
+          expected
+        )}`,
+        lineNumber
+      );
+    }
+
+    const count = bytes[0];
+    const offset = (bytes[1] << 8) | bytes[2];
+    const type = bytes[3];
+    const data = bytes.subarray(4, 4 + count);
+    // Big-endian value of the data bytes (address and start records)
+    const value = data.reduce((acc, b) => acc * 256 + b, 0);
+
+    switch (type) {
+      case RECORD_DATA:
+        chunks.push({ address: base + offset, data, line: lineNumber });
+        break;
+      case RECORD_EOF:
+        sawEof = true;
+        break;
+      case RECORD_EXTENDED_SEGMENT:
+      case RECORD_EXTENDED_LINEAR:
+        if (count !== 2) {
+          throw new HexParseError(
+            "address record needs 2 data bytes",
+            lineNumber
+          );
+        }
+        base = type === RECORD_EXTENDED_SEGMENT ? value * 16 : value * 65536;
+        break;
+      case RECORD_START_SEGMENT:
+      case RECORD_START_LINEAR:
+        if (count !== 4) {
+          throw new HexParseError(
+            "start record needs 4 data bytes",
+            lineNumber
+          );
+        }
+        // CS:IP for type 03, a linear address for type 05
+        startAddress =
+          type === RECORD_START_SEGMENT
+            ? Math.floor(value / 65536) * 16 + (value % 65536)
+            : value;
+        break;
+      default:
+        throw new HexParseError(
+          `unknown record type ${toHex(type)}`,
+          lineNumber
+        );
+    }
+  }
+
+  if (!sawEof) {
+    throw new HexParseError(
+      "no end-of-file record (the file may be truncated)"
+    );
+  }
+
+  // Merge into contiguous segments, rejecting overlaps
+  chunks.sort((a, b) => a.address - b.address);
+  const segments = [];
+  let size = 0;
+  for (const chunk of chunks) {
+    if (chunk.data.length === 0) continue;
+    const last = segments[segments.length - 1];
+    const lastEnd = last ? last.address + last.length : -1;
+    if (last && chunk.address < lastEnd) {
+      throw new HexParseError(
+        `data at ${toHex(chunk.address, 8)} overlaps an earlier record`,
+        chunk.line
+      );
+    }
+    if (last && chunk.address === lastEnd) {
+      last.parts.push(chunk.data);
+      last.length += chunk.data.length;
+    } else {
+      segments.push({
+        address: chunk.address,
+        parts: [chunk.data],
+        length: chunk.data.length,
+      });
+    }
+    size += chunk.data.length;
+  }
+
+  return {
+    segments: segments.map(({ address, parts, length }) => {
+      const data = new Uint8Array(length);
+      let at = 0;
+      for (const part of parts) {
+        data.set(part, at);
+        at += part.length;
+      }
+      return { address, data };
+    }),
+    startAddress,
+    size,
+  };
+}
+
+// =============================================================================
+// Flash Images
+// =============================================================================
+
+/**
+ * Flatten parsed segments into one flash image
+ * @param {{segments: Array<{address: number, data: Uint8Array}>}} image - From parseIntelHex()
+ * @param {Object} memory - Target memory
+ * @param {number} memory.size - Bytes available from `base` (e.g. sketch space)
+ * @param {number} [memory.base=0] - Address of the first image byte
+ * @returns {Uint8Array} Bytes from `base` to the end of the last segment,
+ *   gaps filled with 0xFF (erased flash)
+ * @throws {HexParseError} If a segment lies outside the memory
+ */
+export function toFlashImage(image, { size, base = 0 }) {
+  let end = base;
+  for (const segment of image.segments) {
+    const segmentEnd = segment.address + segment.data.length;
+    if (segment.address < base || segmentEnd > base + size) {
+      throw new HexParseError(
+        `data at ${toHex(segment.address, 8)}-${toHex(
+          segmentEnd - 1,
+          8
+        )} is outside the board's ${size}-byte flash at ${toHex(base, 8)}`
+      );
+    }
+    end = Math.max(end, segmentEnd);
+  }
+
+  const flash = new Uint8Array(end - base).fill(ERASED_BYTE);
+  for (const segment of image.segments) {
+    flash.set(segment.data, segment.address - base);
+  }
+  return flash;
+}
+
+/**
+ * Parse Intel HEX text straight into a flash image
+ * @param {string} text - Intel HEX file contents
+ * @param {Object} memory - Target memory (see toFlashImage())
+ * @returns {Uint8Array}
+ * @throws {HexParseError}
+ */
+export function hexToFlashImage(text, memory) {
+  return toFlashImage(parseIntelHex(text), memory);
+}
@@ -0,0 +1,402 @@
+/**
+ * UF2 Firmware Containers
+ *
+ * UF2 files are what drag-and-drop bootloaders (RP2040 RPI-RP2 drive, etc.)
+ * accept. This module:
+ * - Parses UF2 blocks (magic numbers, flags, target address, block count,
+ *   family ID) and reports errors with the block number
+ * - Validates a file against the selected board (family ID, flash range,
+ *   payload size) before the student copies it
+ * - Converts .bin and .hex firmware into UF2 for a family and base address
+ *
+ * Block layout (512 bytes, little-endian words):
+ *   0 magicStart0 | 4 magicStart1 | 8 flags | 12 targetAddr | 16 payloadSize
+ *   20 blockNo | 24 numBlocks | 28 familyID (or file size) | 32 data[476]
+ *   508 magicEnd
+ *
+ * @module client/services/utils/Uf2
+ */
+
+import { parseIntelHex } from "./IntelHex.js";
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @constant {number} UF2_BLOCK_SIZE - Size of every UF2 block */
+export const UF2_BLOCK_SIZE = 512;
+
+/** @constant {number} UF2_MAX_PAYLOAD - Largest payload that fits in a block */
+const UF2_MAX_PAYLOAD = 476;
+
+/** @constant {number} UF2_DATA_OFFSET - Offset of the payload in a block */
+const UF2_DATA_OFFSET = 32;
+
+/** @constant {number} UF2_MAGIC_START0 - First word of a block ("UF2\n") */
+const UF2_MAGIC_START0 = 0x0a324655;
+
+/** @constant {number} UF2_MAGIC_START1 - Second word of a block */
+const UF2_MAGIC_START1 = 0x9e5d5157;
+
+/** @constant {number} UF2_MAGIC_END - Last word of a block */
+const UF2_MAGIC_END = 0x0ab16f30;
+
+/** @constant {number} UF2_FLAG_NOT_MAIN_FLASH - Block is not written to flash */
+const UF2_FLAG_NOT_MAIN_FLASH = 0x00000001;
+
+/** @constant {number} UF2_FLAG_FAMILY_ID - Word 28 holds a family ID */
+const UF2_FLAG_FAMILY_ID = 0x00002000;
+
+/** @constant {number} ERASED_BYTE - Padding for partly filled payloads */
+const ERASED_BYTE = 0xff;
+
+/**
+ * Known UF2 family IDs (from microsoft/uf2 uf2families.json)
+ * @constant {Object<string, number>}
+ */
+export const UF2_FAMILIES = {
+  RP2040: 0xe48bff56,
+  "RP2350 (ARM)": 0xe48bff59,
+  "RP2350 (RISC-V)": 0xe48bff5a,
+  SAMD21: 0x68ed2b88,
+  SAMD51: 0x55114460,
+  NRF52840: 0xada52840,
+  STM32F4: 0x57755a57,
+  "ESP32-S2": 0xbfdd4eee,
+  "ESP32-S3": 0xc47e5767,
+};
+
+// =============================================================================
+// Errors
+// =============================================================================
+
+/**
+ * Error in a UF2 file, with the 0-based block it was found in
+ */
+export class Uf2Error extends Error {
+  /**
+   * @param {string} message - What is wrong
+   * @param {number|null} block - Block index in the file, null for the whole file
+   */
+  constructor(message, block = null) {
+    super(
+      block === null ? `UF2 file: ${message}` : `UF2 block ${block}: ${message}`
+    );
+    this.name = "Uf2Error";
+
+    /** @type {number|null} */
+    this.block = block;
+  }
+}
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Format an address or ID as hex
+ * @param {number} value
+ * @returns {string}
+ */
+function toHex(value) {
+  return `0x${value.toString(16).padStart(8, "0")}`;
+}
+
+/**
+ * Describe a family ID for error messages, e.g. "RP2040 (0xe48bff56)"
+ * @param {number|null} familyId
+ * @returns {string}
+ */
+export function describeFamily(familyId) {
+  if (familyId === null) return "no family";
+  const name = Object.keys(UF2_FAMILIES).find(
+    (key) => UF2_FAMILIES[key] === familyId
+  );
+  return name ? `${name} (${toHex(familyId)})` : `family ${toHex(familyId)}`;
+}
+
+/**
+ * Check whether data starts with a UF2 block
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isUf2(bytes) {
+  if (bytes.length < UF2_BLOCK_SIZE) return false;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return (
+    view.getUint32(0, true) === UF2_MAGIC_START0 &&
+    view.getUint32(4, true) === UF2_MAGIC_START1
+  );
+}
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Parse a UF2 file into its blocks
+ * @param {Uint8Array} bytes - UF2 file contents
+ * @returns {{blocks: Array<{flags: number, targetAddress: number, blockNo: number, familyId: number|null, data: Uint8Array}>, numBlocks: number, familyIds: Array<number|null>, size: number}}
+ *   `familyIds` lists the distinct families of the flash blocks, `size` the
+ *   number of payload bytes written to flash
+ * @throws {Uf2Error} On a bad magic number, an impossible block header or
+ *   missing blocks
+ */
+export function parseUf2(bytes) {
+  if (bytes.length === 0) {
+    throw new Uf2Error("the file is empty");
+  }
+  if (bytes.length % UF2_BLOCK_SIZE !== 0) {
+    throw new Uf2Error(
+      `${bytes.length} bytes is not a whole number of ${UF2_BLOCK_SIZE}-byte blocks (the file may be truncated)`
+    );
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const blocks = [];
+  const seen = new Set();
+  const familyIds = new Set();
+  let numBlocks = null;
+  let size = 0;
+
+  for (let i = 0; i < bytes.length / UF2_BLOCK_SIZE; i++) {
+    const at = i * UF2_BLOCK_SIZE;
+    const word = (offset) => view.getUint32(at + offset, true);
+
+    if (
+      word(0) !== UF2_MAGIC_START0 ||
+      word(4) !== UF2_MAGIC_START1 ||
+      word(508) !== UF2_MAGIC_END
+    ) {
+      throw new Uf2Error("bad magic number (this is not a UF2 file)", i);
+    }
+
+    const flags = word(8);
+    const targetAddress = word(12);
+    const payloadSize = word(16);
+    const blockNo = word(20);
+    const count = word(24);
+    const familyId = flags & UF2_FLAG_FAMILY_ID ? word(28) : null;
+
+    if (payloadSize > UF2_MAX_PAYLOAD) {
+      throw new Uf2Error(
+        `payload of ${payloadSize} bytes does not fit in a block (max ${UF2_MAX_PAYLOAD})`,
+        i
+      );
+    }
+    if (numBlocks === null) numBlocks = count;
+    if (count !== numBlocks) {
+      throw new Uf2Error(
+        `block count ${count} differs from ${numBlocks} in block 0`,
+        i
+      );
+    }
+    if (blockNo >= count) {
+      throw new Uf2Error(`block number ${blockNo} is not below ${count}`, i);
+    }
+    if (seen.has(blockNo)) {
+      throw new Uf2Error(`block number ${blockNo} appears twice`, i);
+    }
+    seen.add(blockNo);
+
+    const data = bytes.subarray(
+      at + UF2_DATA_OFFSET,
+      at + UF2_DATA_OFFSET + payloadSize
+    );
+    blocks.push({ flags, targetAddress, blockNo, familyId, data });
+    if (!(flags & UF2_FLAG_NOT_MAIN_FLASH)) {
+      familyIds.add(familyId);
+      size += payloadSize;
+    }
+  }
+
+  if (blocks.length !== numBlocks) {
+    throw new Uf2Error(
+      `only ${blocks.length} of ${numBlocks} blocks present (the file may be truncated)`
+    );
+  }
+
+  return { blocks, numBlocks, familyIds: [...familyIds], size };
+}
+
+/**
+ * Check a parsed UF2 file against the selected board
+ * @param {{blocks: Array}} image - From parseUf2()
+ * @param {Object} config - Board protocol configuration
+ * @param {number} config.uf2.familyId - Family the bootloader accepts
+ * @param {number} [config.uf2.payloadSize] - Payload size the bootloader
+ *   requires (targets must be aligned to it)
+ * @param {number} config.memory.flashBase - Start of flash
+ * @param {number} config.memory.flashSize - Size of flash
+ * @throws {Uf2Error} If a flash block is for another family, has the wrong
+ *   payload size or targets an address outside flash
+ */
+export function validateUf2(image, { uf2, memory }) {
+  const flashEnd = memory.flashBase + memory.flashSize;
+
+  image.blocks.forEach((block, i) => {
+    if (block.flags & UF2_FLAG_NOT_MAIN_FLASH) return;
+
+    if (block.familyId !== uf2.familyId) {
+      throw new Uf2Error(
+        `built for ${describeFamily(
+          block.familyId
+        )}, but the selected board needs ${describeFamily(
+          uf2.familyId
+        )}. Check the board selection and compile again.`,
+        i
+      );
+    }
+    if (
+      uf2.payloadSize &&
+      (block.data.length !== uf2.payloadSize ||
+        block.targetAddress % uf2.payloadSize !== 0)
+    ) {
+      throw new Uf2Error(
+        `${block.data.length} bytes at ${toHex(
+          block.targetAddress
+        )}, but the bootloader only accepts aligned ${
+          uf2.payloadSize
+        }-byte blocks`,
+        i
+      );
+    }
+    const end = block.targetAddress + block.data.length;
+    if (block.targetAddress < memory.flashBase || end > flashEnd) {
+      throw new Uf2Error(
+        `address ${toHex(
+          block.targetAddress
+        )} is outside the board's flash (${toHex(memory.flashBase)}-${toHex(
+          flashEnd - 1
+        )})`,
+        i
+      );
+    }
+  });
+}
+
+// =============================================================================
+// Conversion
+// =============================================================================
+
+/**
+ * Build a UF2 file from address-tagged segments
+ * @param {Array<{address: number, data: Uint8Array}>} segments - Firmware data
+ * @param {Object} options
+ * @param {number} options.familyId - Family ID written to every block
+ * @param {number} [options.payloadSize=256] - Bytes per block; targets are
+ *   aligned to it and partly filled payloads padded with 0xFF
+ * @returns {Uint8Array} UF2 file contents
+ * @throws {Uf2Error} If there is no data to convert
+ */
+export function toUf2(segments, { familyId, payloadSize = 256 }) {
+  // Collect the payload-aligned chunks that contain data
+  const chunks = new Map();
+  for (const { address, data } of segments) {
+    for (let i = 0; i < data.length; ) {
+      const chunkAddress = address + i - ((address + i) % payloadSize);
+      const offset = address + i - chunkAddress;
+      const length = Math.min(payloadSize - offset, data.length - i);
+      if (!chunks.has(chunkAddress)) {
+        chunks.set(chunkAddress, new Uint8Array(payloadSize).fill(ERASED_BYTE));
+      }
+      chunks.get(chunkAddress).set(data.subarray(i, i + length), offset);
+      i += length;
+    }
+  }
+  if (chunks.size === 0) {
+    throw new Uf2Error("the firmware has no data to convert");
+  }
+
+  const addresses = [...chunks.keys()].sort((a, b) => a - b);
+  const out = new Uint8Array(addresses.length * UF2_BLOCK_SIZE);
+  const view = new DataView(out.buffer);
+
+  addresses.forEach((address, blockNo) => {
+    const at = blockNo * UF2_BLOCK_SIZE;
+    view.setUint32(at, UF2_MAGIC_START0, true);
+    view.setUint32(at + 4, UF2_MAGIC_START1, true);
+    view.setUint32(at + 8, UF2_FLAG_FAMILY_ID, true);
+    view.setUint32(at + 12, address, true);
+    view.setUint32(at + 16, payloadSize, true);
+    view.setUint32(at + 20, blockNo, true);
+    view.setUint32(at + 24, addresses.length, true);
+    view.setUint32(at + 28, familyId, true);
+    out.set(chunks.get(address), at + UF2_DATA_OFFSET);
+    view.setUint32(at + 508, UF2_MAGIC_END, true);
+  });
+
+  return out;
+}
+
+/**
+ * Convert a raw .bin image to UF2
+ * @param {Uint8Array} bytes - Binary firmware
+ * @param {Object} options - See toUf2(), plus:
+ * @param {number} options.base - Flash address of the first byte
+ * @returns {Uint8Array}
+ */
+export function binToUf2(bytes, { base, ...options }) {
+  return toUf2([{ address: base, data: bytes }], options);
+}
+
+/**
+ * Convert an Intel HEX file to UF2 (addresses come from the HEX records)
+ * @param {string} text - Intel HEX file contents
+ * @param {Object} options - See toUf2()
+ * @returns {Uint8Array}
+ * @throws {HexParseError} If the HEX file is malformed
+ */
+export function hexToUf2(text, options) {
+  return toUf2(parseIntelHex(text).segments, options);
+}
+
+/**
+ * Turn a build artifact into a UF2 file the board will accept
+ *
+ * UF2 files are checked as they are, .bin files are placed at the start of
+ * flash and .hex files at their own addresses. Without a board configuration
+ * a UF2 file is only checked for damage, since its family is unknown.
+ *
+ * @param {Uint8Array} bytes - Artifact contents
+ * @param {Object|null} config - Board protocol configuration (with `uf2` and
+ *   `memory`), null for a board with no known UF2 family
+ * @param {string} [name] - Artifact file name, used to tell .bin from .hex
+ * @returns {{uf2: Uint8Array, format: string, image: Object}} UF2 contents,
+ *   the artifact's format ("uf2", "hex" or "bin") and the parsed UF2
+ * @throws {Uf2Error|HexParseError} If the artifact is malformed or does not
+ *   match the board
+ */
+export function prepareUf2(bytes, config, name = "") {
+  const extension = name.toLowerCase().split(".").pop();
+  let format = "bin";
+  if (extension === "uf2" || isUf2(bytes)) {
+    format = "uf2";
+  } else if (
+    extension === "hex" ||
+    (extension !== "bin" && bytes[0] === 0x3a)
+  ) {
+    format = "hex";
+  }
+
+  if (format !== "uf2" && !config) {
+    throw new Uf2Error(
+      `a .${format} file cannot be converted: the selected board's UF2 family is not known. Use the .uf2 file from the build instead.`
+    );
+  }
+
+  let uf2 = bytes;
+  const options = config && {
+    familyId: config.uf2.familyId,
+    payloadSize: config.uf2.payloadSize,
+  };
+  if (format === "hex") {
+    uf2 = hexToUf2(new TextDecoder().decode(bytes), options);
+  } else if (format === "bin") {
+    uf2 = binToUf2(bytes, { ...options, base: config.memory.flashBase });
+  }
+
+  const image = parseUf2(uf2);
+  if (config) validateUf2(image, config);
+  return { uf2, format, image };
+}
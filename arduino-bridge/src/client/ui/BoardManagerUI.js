@@ -5,9 +5,16 @@
  * - Search and browse available platforms
  * - Install/upgrade/uninstall cores
  * - Track index freshness
+ * - Follow install jobs live (reattaching after a page reload)
  */
 
 import { Logger } from "../../shared/Logger.js";
+import {
+  startJob,
+  followJob,
+  listActiveJobs,
+  cancelJob,
+} from "../services/JobStream.js";
 
 /** @type {Logger} */
 const logger = new Logger("BoardManager");
@@ -22,6 +29,7 @@ export class BoardManagerUI {
     this.showInstalled = false;
     this.isLoading = false;
     this.searchTimeout = null;
+    this.activeJobId = null;
 
     // Cache DOM elements
     this.elements = {};
@@ -43,6 +51,8 @@ export class BoardManagerUI {
     this.loadAdditionalUrls();
     // Load all platforms by default (not just installed)
     this.loadAllPlatforms();
+    // Reattach to an install that was running before a page reload
+    this.resumeActiveJob();
   }
 
   cacheElements() {
@@ -56,6 +66,7 @@ export class BoardManagerUI {
       jobProgress: document.getElementById("board-job-progress"),
       progressLog: document.getElementById("board-progress-log"),
       closeProgress: document.getElementById("close-board-progress"),
+      cancelJob: document.getElementById("cancel-board-job"),
       // URL modal elements
       urlModal: document.getElementById("board-url-modal"),
       urlList: document.getElementById("board-url-list"),
@@ -128,6 +139,11 @@ export class BoardManagerUI {
       this.hideProgress();
     });
 
+    // Cancel the running job
+    this.elements.cancelJob?.addEventListener("click", () => {
+      this.cancelActiveJob();
+    });
+
     // Delegate click events on platform cards
     this.elements.list?.addEventListener("click", (e) => {
       const btn = e.target.closest("button[data-action]");
@@ -254,10 +270,7 @@ export class BoardManagerUI {
     this.appendProgressLog("Downloading latest board definitions...\n");
 
     try {
-      const res = await fetch("/api/cli/cores/index/update", {
-        method: "POST",
-      });
-      const data = await res.json();
+      const data = await this.runJob("/api/cli/cores/index/update");
 
       if (data.success) {
         this.appendProgressLog(
@@ -300,17 +313,7 @@ export class BoardManagerUI {
         body.version = version;
       }
 
-      const res = await fetch(`/api/cli/cores/${action}`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(body),
-      });
-
-      const data = await res.json();
-
-      if (data.log) {
-        this.appendProgressLog(data.log);
-      }
+      const data = await this.runJob(`/api/cli/cores/${action}`, body);
 
       if (data.success) {
         this.appendProgressLog(
@@ -490,6 +493,100 @@ export class BoardManagerUI {
     }
   }
 
+  // --- Server Jobs ---
+
+  /**
+   * Start a core operation as a server job and stream its output
+   * @param {string} url - API endpoint
+   * @param {object} [body] - Request body
+   * @returns {Promise<object>} Final operation result
+   */
+  async runJob(url, body = {}) {
+    const jobId = await startJob(url, body);
+    return this.trackJob(jobId);
+  }
+
+  /**
+   * Stream a job's output into the progress panel until it finishes
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object>} Final operation result
+   */
+  async trackJob(jobId) {
+    this.activeJobId = jobId;
+    if (this.elements.cancelJob) this.elements.cancelJob.style.display = "";
+
+    try {
+      return await followJob(jobId, {
+        onOutput: (line) => this.appendProgressLog(`${line}\n`),
+        onStatus: (status) => {
+          if (status === "queued") {
+            this.appendProgressLog("Waiting for another operation...\n");
+          }
+        },
+      });
+    } finally {
+      this.activeJobId = null;
+      if (this.elements.cancelJob) {
+        this.elements.cancelJob.style.display = "none";
+      }
+    }
+  }
+
+  async cancelActiveJob() {
+    if (!this.activeJobId) return;
+
+    const result = await cancelJob(this.activeJobId);
+    if (!result.success) {
+      this.appendProgressLog(`\n✗ Cancel failed: ${result.error}\n`);
+    }
+  }
+
+  /**
+   * Show the progress of a core job started before the page was loaded
+   */
+  async resumeActiveJob() {
+    try {
+      const [job] = await listActiveJobs("core");
+      if (!job) return;
+
+      logger.info(`Reattaching to ${job.type} job ${job.id}`);
+      this.showProgress(this.describeJob(job));
+      const data = await this.trackJob(job.id);
+
+      if (data.success) {
+        this.appendProgressLog("\n✓ Completed\n");
+        this.loadIndexStatus();
+        if (this.searchQuery) {
+          this.handleSearch();
+        } else {
+          this.loadAllPlatforms();
+        }
+      } else {
+        this.appendProgressLog(
+          `\n✗ Failed: ${data.error || "Unknown error"}\n`
+        );
+      }
+    } catch (err) {
+      logger.warn(`Could not resume job: ${err.message}`);
+    }
+  }
+
+  /**
+   * Build a progress panel title for a job summary
+   * @param {object} job - Job summary from /api/jobs
+   * @returns {string}
+   */
+  describeJob(job) {
+    const labels = {
+      "core-index-update": "Updating board index",
+      "core-install": "Installing",
+      "core-upgrade": "Upgrading",
+      "core-uninstall": "Uninstalling",
+    };
+    const target = job.meta?.platformId ? ` ${job.meta.platformId}` : "";
+    return `${labels[job.type] || job.type}${target}...`;
+  }
+
   showError(message) {
     if (this.elements.list) {
       this.elements.list.innerHTML = `
@@ -0,0 +1,205 @@
+/**
+ * Board Options UI Component
+ *
+ * Board menu options (partition scheme, CPU speed, USB stack, ...) for the
+ * selected board:
+ * - One dropdown per `config_options` entry from /api/board-details
+ * - Builds the 4-part FQBN (`vendor:arch:board:option=value,...`)
+ * - Remembers choices per board while the page is open
+ * - Optional extra `--build-property` lines
+ *
+ * @module client/ui/BoardOptionsUI
+ */
+
+import { Logger } from "../../shared/Logger.js";
+
+/** @type {Logger} */
+const logger = new Logger("BoardOptions");
+
+// =============================================================================
+// BoardOptionsUI Class
+// =============================================================================
+
+/**
+ * Dropdowns for a board's menu options
+ */
+export class BoardOptionsUI {
+  /**
+   * Create a new BoardOptionsUI instance
+   * @param {string} containerId - DOM element ID for the options row
+   * @param {object} [options] - Component options
+   * @param {function(string): void} [options.onChange] - Called with the full FQBN when an option changes
+   */
+  constructor(containerId, options = {}) {
+    /** @type {HTMLElement|null} */
+    this.container = document.getElementById(containerId);
+    this.onChange = options.onChange || null;
+
+    /** @type {string} Base FQBN the dropdowns belong to */
+    this.baseFqbn = "";
+
+    /** @type {Map<string, object[]>} Config options per base FQBN */
+    this.optionsCache = new Map();
+
+    /** @type {Map<string, Object<string, string>>} Chosen values per base FQBN */
+    this.selections = new Map();
+
+    this.elements = {};
+  }
+
+  /**
+   * Initialize the UI - must be called after DOM is ready
+   */
+  init() {
+    if (!this.container) return;
+
+    this.elements = {
+      selects: this.container.querySelector(".board-option-selects"),
+      properties: this.container.querySelector(".build-properties"),
+      propertiesToggle: this.container.querySelector(
+        ".build-properties-toggle"
+      ),
+    };
+
+    this.elements.selects?.addEventListener("change", (e) => {
+      const select = e.target.closest("select[data-option]");
+      if (!select) return;
+
+      const chosen = this.selections.get(this.baseFqbn) || {};
+      chosen[select.dataset.option] = select.value;
+      this.selections.set(this.baseFqbn, chosen);
+      if (this.onChange) this.onChange(this.getFqbn());
+    });
+
+    this.elements.propertiesToggle?.addEventListener("click", () => {
+      const field = this.elements.properties;
+      field.style.display = field.style.display === "none" ? "" : "none";
+      if (field.style.display !== "none") field.focus();
+    });
+  }
+
+  /**
+   * Show the options of a board
+   * @param {string} fqbn - Base FQBN (vendor:arch:board)
+   */
+  async load(fqbn) {
+    this.baseFqbn = fqbn;
+    if (!this.container || !fqbn) {
+      this.render([]);
+      return;
+    }
+
+    let configOptions = this.optionsCache.get(fqbn);
+    if (!configOptions) {
+      try {
+        const response = await fetch(
+          `/api/board-details/${encodeURIComponent(fqbn)}`
+        );
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || "Board details failed");
+        configOptions = data.configOptions || [];
+        this.optionsCache.set(fqbn, configOptions);
+      } catch (error) {
+        logger.warn(`No board options for ${fqbn}`, error);
+        configOptions = [];
+      }
+    }
+
+    // Another board may have been picked while loading
+    if (this.baseFqbn === fqbn) this.render(configOptions);
+  }
+
+  /**
+   * Render the dropdowns
+   * @param {object[]} configOptions - `configOptions` from /api/board-details
+   */
+  render(configOptions) {
+    if (!this.elements.selects) return;
+
+    const chosen = this.selections.get(this.baseFqbn) || {};
+    this.elements.selects.innerHTML = configOptions
+      .map((option) => {
+        const current =
+          chosen[option.option] ?? option.values.find((v) => v.selected)?.value;
+        const values = option.values
+          .map(
+            (v) =>
+              `<option value="${this.escapeHtml(v.value)}" ${
+                v.value === current ? "selected" : ""
+              }>${this.escapeHtml(v.label)}</option>`
+          )
+          .join("");
+        return `
+          <label class="board-option" title="${this.escapeHtml(option.option)}">
+            <span>${this.escapeHtml(option.label)}</span>
+            <select data-option="${this.escapeHtml(
+              option.option
+            )}">${values}</select>
+          </label>`;
+      })
+      .join("");
+
+    this.container.style.display = "flex";
+  }
+
+  /**
+   * Full FQBN with the options that differ from the board's defaults
+   * @param {string} [baseFqbn] - Base FQBN (defaults to the loaded board)
+   * @returns {string}
+   */
+  getFqbn(baseFqbn = this.baseFqbn) {
+    const configOptions = this.optionsCache.get(baseFqbn) || [];
+    const chosen = this.selections.get(baseFqbn) || {};
+
+    const parts = configOptions
+      .filter((option) => {
+        const value = chosen[option.option];
+        const defaultValue = option.values.find((v) => v.selected)?.value;
+        return value != null && value !== defaultValue;
+      })
+      .map((option) => `${option.option}=${chosen[option.option]}`);
+
+    return parts.length ? `${baseFqbn}:${parts.join(",")}` : baseFqbn;
+  }
+
+  /**
+   * Adopt the options of a full FQBN (e.g., from a sketch profile)
+   * @param {string} fqbn - `vendor:arch:board[:option=value,...]`
+   */
+  setFromFqbn(fqbn) {
+    const [vendor, arch, board, options = ""] = fqbn.split(":");
+    const base = [vendor, arch, board].join(":");
+
+    const chosen = {};
+    options
+      .split(",")
+      .filter(Boolean)
+      .forEach((pair) => {
+        const [key, value = ""] = pair.split("=");
+        chosen[key] = value;
+      });
+    this.selections.set(base, chosen);
+
+    if (base === this.baseFqbn && this.optionsCache.has(base)) {
+      this.render(this.optionsCache.get(base));
+    }
+  }
+
+  /**
+   * Extra build properties, one `key=value` per line
+   * @returns {string[]}
+   */
+  getBuildProperties() {
+    const text = this.elements.properties?.value || "";
+    return text
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean);
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text || "";
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,272 @@
+/**
+ * Build Matrix UI Component
+ *
+ * Compiles the selected sketch for several boards at once:
+ * - Board checklist (defaults to the board selected in the toolbar)
+ * - Streams the matrix job through /api/compile/matrix
+ * - Pass/fail table with flash/RAM usage and error/warning counts
+ *
+ * @module client/ui/BuildMatrixUI
+ */
+
+import { startJob, followJob, cancelJob } from "../services/JobStream.js";
+import { Logger } from "../../shared/Logger.js";
+
+/** @type {Logger} */
+const logger = new Logger("BuildMatrix");
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @constant {number} MAX_BOARDS - Must match MATRIX_MAX_BOARDS on the server */
+const MAX_BOARDS = 12;
+
+// =============================================================================
+// BuildMatrixUI Class
+// =============================================================================
+
+/**
+ * Modal that checks a sketch against a list of boards
+ */
+export class BuildMatrixUI {
+  /**
+   * Create a new BuildMatrixUI instance
+   * @param {string} modalId - DOM element ID for the modal overlay
+   * @param {object} [options] - Matrix options
+   * @param {function(string, string): void} [options.onOutput] - (line, stream) for compiler output
+   * @param {function(object, string): void} [options.onResult] - (board result, sketch) when a row is clicked
+   */
+  constructor(modalId, options = {}) {
+    this.modalId = modalId;
+    this.modal = null;
+    this.onOutput = options.onOutput || null;
+    this.onResult = options.onResult || null;
+
+    /** @type {string} Sketch being checked */
+    this.sketch = "";
+
+    /** @type {Set<string>} Boards ticked in the last run */
+    this.selected = new Set();
+
+    /** @type {object[]} Per-board results of the last run */
+    this.results = [];
+
+    /** @type {string|null} Running matrix job */
+    this.jobId = null;
+
+    this.elements = {};
+  }
+
+  /**
+   * Initialize the UI - must be called after DOM is ready
+   */
+  init() {
+    this.modal = document.getElementById(this.modalId);
+    if (!this.modal) {
+      logger.error(`Modal #${this.modalId} not found`);
+      return;
+    }
+
+    this.elements = {
+      title: this.modal.querySelector(".modal-header h3"),
+      close: this.modal.querySelector(".modal-close"),
+      boards: this.modal.querySelector(".matrix-boards"),
+      run: this.modal.querySelector(".matrix-run"),
+      cancel: this.modal.querySelector(".matrix-cancel"),
+      status: this.modal.querySelector(".matrix-status"),
+      results: this.modal.querySelector(".matrix-results"),
+    };
+
+    this.elements.close?.addEventListener("click", () => this.hide());
+    this.modal.addEventListener("click", (e) => {
+      if (e.target === this.modal) this.hide();
+    });
+
+    this.elements.run?.addEventListener("click", () => this.run());
+    this.elements.cancel?.addEventListener("click", () => this.cancel());
+    this.elements.boards?.addEventListener("change", () =>
+      this.updateRunButton()
+    );
+
+    this.elements.results?.addEventListener("click", (e) => {
+      const row = e.target.closest("tr[data-index]");
+      const result = row && this.results[Number(row.dataset.index)];
+      if (result && this.onResult) this.onResult(result, this.sketch);
+    });
+  }
+
+  /**
+   * Open the matrix for a sketch
+   * @param {string} sketch - Workspace-relative sketch path
+   * @param {Array<{fqbn: string, name: string}>} boards - Boards offered in the checklist
+   * @param {string} [currentFqbn] - Board selected in the toolbar (pre-ticked)
+   */
+  open(sketch, boards, currentFqbn = "") {
+    if (!this.modal) return;
+
+    if (sketch !== this.sketch && !this.jobId) {
+      this.results = [];
+      this.elements.results.innerHTML = "";
+      this.elements.status.textContent = "";
+    }
+    this.sketch = sketch;
+    if (this.selected.size === 0 && currentFqbn) {
+      this.selected.add(currentFqbn);
+    }
+
+    if (this.elements.title) {
+      this.elements.title.textContent = `Check All Boards - ${sketch}`;
+    }
+
+    this.elements.boards.innerHTML = boards
+      .map(
+        (board) => `
+          <label class="checkbox-label" title="${this.escapeHtml(board.fqbn)}">
+            <input type="checkbox" value="${this.escapeHtml(board.fqbn)}" ${
+          this.selected.has(board.fqbn) ? "checked" : ""
+        } />
+            <span>${this.escapeHtml(board.name)}</span>
+          </label>`
+      )
+      .join("");
+
+    this.updateRunButton();
+    this.modal.style.display = "flex";
+  }
+
+  hide() {
+    if (this.modal) this.modal.style.display = "none";
+  }
+
+  /**
+   * FQBNs currently ticked
+   * @returns {string[]}
+   */
+  getCheckedBoards() {
+    return [
+      ...this.elements.boards.querySelectorAll("input[type=checkbox]:checked"),
+    ].map((input) => input.value);
+  }
+
+  updateRunButton() {
+    const count = this.getCheckedBoards().length;
+    const running = Boolean(this.jobId);
+
+    this.elements.run.disabled = running || count === 0 || count > MAX_BOARDS;
+    this.elements.run.textContent =
+      count > MAX_BOARDS
+        ? `Select at most ${MAX_BOARDS} boards`
+        : `Compile for ${count} board${count === 1 ? "" : "s"}`;
+    this.elements.cancel.style.display = running ? "inline-block" : "none";
+  }
+
+  /**
+   * Compile the sketch for every ticked board
+   */
+  async run() {
+    const fqbns = this.getCheckedBoards();
+    if (!this.sketch || fqbns.length === 0 || this.jobId) return;
+
+    this.selected = new Set(fqbns);
+    this.results = [];
+    this.elements.results.innerHTML = "";
+    this.elements.status.textContent = "Starting...";
+
+    try {
+      this.jobId = await startJob("/api/compile/matrix", {
+        path: this.sketch,
+        fqbns,
+      });
+      this.updateRunButton();
+
+      const data = await followJob(this.jobId, {
+        onOutput: (line, stream) => this.onOutput?.(line, stream),
+        onPhase: (phase, message) => {
+          this.elements.status.textContent = message;
+        },
+        onStatus: (status) => {
+          if (status === "queued") {
+            this.elements.status.textContent = "Waiting for another compile...";
+          }
+        },
+      });
+
+      if (!Array.isArray(data.results)) {
+        throw new Error(data.error || "Matrix compile failed");
+      }
+
+      this.results = data.results;
+      this.elements.status.textContent = `${data.passed} passed, ${data.failed} failed`;
+      this.renderResults();
+    } catch (err) {
+      logger.error("Matrix compile failed", err);
+      this.elements.status.textContent = `⚠️ ${err.message}`;
+    } finally {
+      this.jobId = null;
+      this.updateRunButton();
+    }
+  }
+
+  async cancel() {
+    if (!this.jobId) return;
+    this.elements.status.textContent = "Cancelling...";
+    await cancelJob(this.jobId);
+  }
+
+  /**
+   * Render the pass/fail table
+   */
+  renderResults() {
+    const rows = this.results
+      .map((result, index) => {
+        const diagnostics = result.diagnostics || [];
+        const errors = diagnostics.filter((d) => d.severity === "error").length;
+        const warnings = diagnostics.length - errors;
+        const detail =
+          result.success || errors > 0 ? "" : result.error || "Failed";
+
+        return `
+          <tr data-index="${index}" class="${
+          result.success ? "passed" : "failed"
+        }" title="Click to show problems">
+            <td>${result.success ? "✔" : "✖"}</td>
+            <td>${this.escapeHtml(result.fqbn)}</td>
+            <td>${this.formatUsage(result.memory?.flash)}</td>
+            <td>${this.formatUsage(result.memory?.ram)}</td>
+            <td>${errors}</td>
+            <td>${warnings}</td>
+            <td>${this.escapeHtml(detail)}</td>
+          </tr>`;
+      })
+      .join("");
+
+    this.elements.results.innerHTML = `
+      <table>
+        <thead>
+          <tr>
+            <th></th><th>Board</th><th>Flash</th><th>RAM</th>
+            <th>Errors</th><th>Warnings</th><th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Format one memory region for the table
+   * @param {{used: number, percent: number|null}|null|undefined} usage
+   * @returns {string}
+   */
+  formatUsage(usage) {
+    if (!usage) return "–";
+    return usage.percent != null ? `${usage.percent}%` : `${usage.used} B`;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text || "";
+    return div.innerHTML;
+  }
+}
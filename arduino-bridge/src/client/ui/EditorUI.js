@@ -0,0 +1,800 @@
+/**
+ * Editor UI Component
+ *
+ * Edit the selected sketch's source files in the browser:
+ * - One tab per sketch file (main .ino first), new/delete file
+ * - Syntax highlighting for .ino/.cpp/.c/.h (textarea over a highlighted <pre>)
+ * - Unsaved-change markers, with a warning before leaving the page
+ * - Ctrl+S saves, Ctrl+R saves all files and compiles
+ * - Format (Shift+Alt+F) previews the clang-format diff before applying it
+ *
+ * @module client/ui/EditorUI
+ */
+
+import { Logger } from "../../shared/Logger.js";
+
+/** @type {Logger} */
+const logger = new Logger("Editor");
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @constant {RegExp} HIGHLIGHTED_FILES - Files shown with C/C++ highlighting */
+const HIGHLIGHTED_FILES = /\.(ino|cpp|c|h|hpp)$/i;
+
+/** @constant {string} INDENT - Inserted by the Tab key */
+const INDENT = "  ";
+
+/** @constant {Set<string>} KEYWORDS - C/C++ keywords */
+const KEYWORDS = new Set(
+  (
+    "if else for while do switch case default break continue return goto " +
+    "struct class union enum typedef namespace using public private protected " +
+    "virtual override static const constexpr volatile extern inline template " +
+    "typename new delete this sizeof true false nullptr operator friend"
+  ).split(" ")
+);
+
+/** @constant {Set<string>} TYPES - Built-in and common Arduino types */
+const TYPES = new Set(
+  (
+    "void bool boolean char short int long float double signed unsigned " +
+    "byte word size_t String auto uint8_t int8_t uint16_t int16_t uint32_t " +
+    "int32_t uint64_t int64_t"
+  ).split(" ")
+);
+
+/** @constant {Set<string>} BUILTINS - Arduino core functions and constants */
+const BUILTINS = new Set(
+  (
+    "setup loop pinMode digitalWrite digitalRead analogRead analogWrite " +
+    "analogReference analogReadResolution delay delayMicroseconds millis " +
+    "micros tone noTone pulseIn shiftOut shiftIn attachInterrupt " +
+    "detachInterrupt map constrain min max abs random randomSeed Serial " +
+    "Serial1 Wire SPI F HIGH LOW INPUT OUTPUT INPUT_PULLUP LED_BUILTIN " +
+    "A0 A1 A2 A3 A4 A5 PROGMEM"
+  ).split(" ")
+);
+
+/**
+ * @constant {RegExp} TOKEN_PATTERN - Comments, strings, preprocessor
+ * directives, numbers and identifiers (in that order of precedence)
+ */
+const TOKEN_PATTERN = new RegExp(
+  [
+    String.raw`(\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$))`,
+    String.raw`("(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?)`,
+    String.raw`(^[ \t]*#[ \t]*\w+)`,
+    String.raw`\b(0[xX][0-9a-fA-F]+|0[bB][01]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)[uUlLfF]*\b`,
+    String.raw`\b([A-Za-z_]\w*)\b`,
+  ].join("|"),
+  "gm"
+);
+
+/**
+ * Escape source text for the highlight layer (runs on every keystroke, so
+ * plain string replacement instead of a DOM round-trip)
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeCode(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// =============================================================================
+// EditorUI Class
+// =============================================================================
+
+/**
+ * Multi-file sketch editor
+ */
+export class EditorUI {
+  /**
+   * Create a new EditorUI instance
+   * @param {string} containerId - DOM element ID for the editor view
+   * @param {object} [options] - Editor options
+   * @param {function(): Promise<string|null>} [options.onCompile] - Compiles the
+   *   selected sketch; resolves to the artifact URL, or null on failure
+   * @param {string} [options.formatModalId] - DOM element ID of the format preview modal
+   */
+  constructor(containerId, options = {}) {
+    /** @type {HTMLElement|null} */
+    this.container = document.getElementById(containerId);
+    this.onCompile = options.onCompile || null;
+
+    /** @type {HTMLElement|null} Format preview modal */
+    this.formatModal = options.formatModalId
+      ? document.getElementById(options.formatModalId)
+      : null;
+
+    /** @type {object|null} Last /api/format preview */
+    this.formatPreview = null;
+
+    /** @type {string} Workspace-relative sketch path */
+    this.sketch = "";
+
+    /** @type {object[]} Files of the sketch, from the server */
+    this.files = [];
+
+    /** @type {Map<string, {content: string, saved: string}>} Loaded files */
+    this.buffers = new Map();
+
+    /** @type {string|null} File shown in the editor */
+    this.activePath = null;
+
+    this.busy = false;
+    this.elements = {};
+  }
+
+  /**
+   * Initialize the UI - must be called after DOM is ready
+   */
+  init() {
+    if (!this.container) {
+      logger.error("Editor container not found");
+      return;
+    }
+
+    this.elements = {
+      tabs: this.container.querySelector(".editor-tabs"),
+      newFile: this.container.querySelector(".editor-new-file"),
+      format: this.container.querySelector(".editor-format"),
+      save: this.container.querySelector(".editor-save"),
+      saveCompile: this.container.querySelector(".editor-save-compile"),
+      body: this.container.querySelector(".editor-body"),
+      gutter: this.container.querySelector(".editor-gutter"),
+      highlight: this.container.querySelector(".editor-highlight code"),
+      highlightPre: this.container.querySelector(".editor-highlight"),
+      input: this.container.querySelector(".editor-input"),
+      status: this.container.querySelector(".editor-status"),
+    };
+
+    this.elements.tabs?.addEventListener("click", (e) => {
+      const close = e.target.closest("[data-delete]");
+      if (close) {
+        e.stopPropagation();
+        this.deleteFile(close.dataset.delete);
+        return;
+      }
+      const tab = e.target.closest("[data-path]");
+      if (tab) this.selectFile(tab.dataset.path);
+    });
+
+    this.elements.newFile?.addEventListener("click", () => this.createFile());
+    this.elements.save?.addEventListener("click", () => this.save());
+    this.elements.format?.addEventListener("click", () => this.openFormat());
+    this.elements.saveCompile?.addEventListener("click", () =>
+      this.saveAndCompile()
+    );
+
+    const input = this.elements.input;
+    input?.addEventListener("input", () => this.handleInput());
+    input?.addEventListener("scroll", () => this.syncScroll());
+    input?.addEventListener("keydown", (e) => this.handleKeyDown(e));
+
+    // Browsers show their own "leave site?" prompt
+    window.addEventListener("beforeunload", (e) => {
+      if (this.hasUnsavedChanges()) {
+        e.preventDefault();
+        e.returnValue = "";
+      }
+    });
+
+    this.initFormatModal();
+    this.render();
+  }
+
+  // ===========================================================================
+  // Loading
+  // ===========================================================================
+
+  /**
+   * Show the files of a sketch
+   * @param {string} sketch - Workspace-relative sketch path
+   * @returns {Promise<boolean>} False if the user kept unsaved changes
+   */
+  async open(sketch) {
+    if (sketch === this.sketch) return true;
+
+    if (
+      this.hasUnsavedChanges() &&
+      !confirm(
+        `Discard unsaved changes in ${
+          this.sketch
+        }?\n\n${this.getDirtyPaths().join("\n")}`
+      )
+    ) {
+      return false;
+    }
+
+    this.sketch = sketch;
+    this.files = [];
+    this.buffers.clear();
+    this.activePath = null;
+
+    if (!sketch) {
+      this.render();
+      return true;
+    }
+    if (sketch.startsWith("__EXAMPLE__:")) {
+      this.render();
+      this.setStatus(
+        "Library examples are read-only - copy the example to your workspace to edit it"
+      );
+      return true;
+    }
+
+    await this.loadFiles();
+    if (this.files.length > 0) await this.selectFile(this.files[0].path);
+    return true;
+  }
+
+  /**
+   * Reload the sketch's file list
+   */
+  async loadFiles() {
+    const sketch = this.sketch;
+    try {
+      const response = await fetch(
+        `/api/sketches/${encodeURIComponent(sketch)}/files`
+      );
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to list files");
+      if (sketch !== this.sketch) return;
+
+      this.files = data.files || [];
+      this.setStatus("");
+    } catch (err) {
+      logger.error("Failed to list sketch files", err);
+      this.files = [];
+      this.setStatus(`⚠️ ${err.message}`);
+    }
+    this.renderTabs();
+  }
+
+  /**
+   * Show a file, loading it on first use
+   * @param {string} filePath - Sketch-relative file path
+   */
+  async selectFile(filePath) {
+    if (!this.buffers.has(filePath)) {
+      try {
+        const response = await fetch(this.fileUrl(filePath));
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || "Failed to open file");
+        this.buffers.set(filePath, {
+          content: data.content,
+          saved: data.content,
+        });
+      } catch (err) {
+        logger.error(`Failed to open ${filePath}`, err);
+        this.setStatus(`⚠️ ${filePath}: ${err.message}`);
+        return;
+      }
+    }
+
+    this.activePath = filePath;
+    this.render();
+    this.elements.input.scrollTop = 0;
+    this.syncScroll();
+  }
+
+  /**
+   * @param {string} filePath - Sketch-relative file path
+   * @returns {string} API URL of a sketch file
+   */
+  fileUrl(filePath) {
+    return `/api/sketches/${encodeURIComponent(
+      this.sketch
+    )}/files/${encodeURIComponent(filePath)}`;
+  }
+
+  // ===========================================================================
+  // Saving
+  // ===========================================================================
+
+  /**
+   * Save one file
+   * @param {string} [filePath] - Sketch-relative file path (defaults to the active file)
+   * @returns {Promise<boolean>} True if saved (or nothing to save)
+   */
+  async save(filePath = this.activePath) {
+    const buffer = filePath && this.buffers.get(filePath);
+    if (!buffer || buffer.content === buffer.saved) return true;
+
+    const content = buffer.content;
+    try {
+      const response = await fetch(this.fileUrl(filePath), {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ content }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Save failed");
+
+      buffer.saved = content;
+      this.setStatus(`Saved ${filePath}`);
+      this.renderTabs();
+      this.updateButtons();
+      return true;
+    } catch (err) {
+      logger.error(`Failed to save ${filePath}`, err);
+      this.setStatus(`⚠️ Could not save ${filePath}: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Save every file with unsaved changes
+   * @returns {Promise<boolean>} True if all were saved
+   */
+  async saveAll() {
+    for (const filePath of this.getDirtyPaths()) {
+      if (!(await this.save(filePath))) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Save all files, then compile the sketch
+   */
+  async saveAndCompile() {
+    if (!this.sketch || this.busy || !this.onCompile) return;
+
+    this.busy = true;
+    this.updateButtons();
+    try {
+      if (!(await this.saveAll())) return;
+
+      this.setStatus("Compiling...");
+      const artifactUrl = await this.onCompile();
+      this.setStatus(
+        artifactUrl
+          ? "✔ Saved and compiled"
+          : "✖ Compilation failed - see the Serial Monitor tab for output and problems"
+      );
+    } finally {
+      this.busy = false;
+      this.updateButtons();
+    }
+  }
+
+  // ===========================================================================
+  // Create / Delete
+  // ===========================================================================
+
+  /**
+   * Ask for a name and add an empty file to the sketch
+   */
+  async createFile() {
+    if (!this.sketch || this.sketch.startsWith("__EXAMPLE__:")) return;
+
+    const name = prompt("New file name (e.g. helpers.h or src/util.cpp):");
+    if (!name) return;
+    const filePath = name.trim();
+
+    try {
+      const response = await fetch(this.fileUrl(filePath), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ content: "" }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Create failed");
+
+      await this.loadFiles();
+      await this.selectFile(data.file.path);
+      this.setStatus(`Created ${data.file.path}`);
+    } catch (err) {
+      logger.error(`Failed to create ${filePath}`, err);
+      this.setStatus(`⚠️ Could not create ${filePath}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Delete a file after confirmation
+   * @param {string} filePath - Sketch-relative file path
+   */
+  async deleteFile(filePath) {
+    if (!confirm(`Delete ${filePath} from ${this.sketch}?`)) return;
+
+    try {
+      const response = await fetch(this.fileUrl(filePath), {
+        method: "DELETE",
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Delete failed");
+
+      this.buffers.delete(filePath);
+      await this.loadFiles();
+      if (this.activePath === filePath) {
+        this.activePath = null;
+        if (this.files.length > 0) await this.selectFile(this.files[0].path);
+      }
+      this.render();
+      this.setStatus(`Deleted ${filePath}`);
+    } catch (err) {
+      logger.error(`Failed to delete ${filePath}`, err);
+      this.setStatus(`⚠️ Could not delete ${filePath}: ${err.message}`);
+    }
+  }
+
+  // ===========================================================================
+  // Formatting
+  // ===========================================================================
+
+  initFormatModal() {
+    if (!this.formatModal) return;
+
+    const modal = this.formatModal;
+    this.elements.formatScope = modal.querySelector(".format-scope");
+    this.elements.formatSummary = modal.querySelector(".format-summary");
+    this.elements.formatDiff = modal.querySelector(".format-diff");
+    this.elements.formatApply = modal.querySelector(".format-apply");
+    this.elements.formatStatus = modal.querySelector(".format-status");
+
+    modal
+      .querySelector(".modal-close")
+      ?.addEventListener("click", () => this.closeFormat());
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) this.closeFormat();
+    });
+    this.elements.formatScope?.addEventListener("change", () =>
+      this.loadFormatPreview()
+    );
+    this.elements.formatApply?.addEventListener("click", () =>
+      this.applyFormat()
+    );
+  }
+
+  /**
+   * Show what clang-format would change in the active file
+   */
+  openFormat() {
+    if (
+      !this.formatModal ||
+      !this.buffers.has(this.activePath) ||
+      !HIGHLIGHTED_FILES.test(this.activePath)
+    ) {
+      return;
+    }
+    this.elements.formatScope.value = "file";
+    this.formatModal.style.display = "flex";
+    this.loadFormatPreview();
+  }
+
+  closeFormat() {
+    if (this.busy) return;
+    this.formatModal.style.display = "none";
+    this.formatPreview = null;
+    this.elements.input.focus();
+  }
+
+  /**
+   * Request body for /api/format: the chosen scope plus unsaved buffers
+   * @param {boolean} apply - Write the formatted files
+   * @returns {object}
+   */
+  formatRequest(apply) {
+    const contents = {};
+    for (const filePath of this.getDirtyPaths()) {
+      contents[filePath] = this.buffers.get(filePath).content;
+    }
+    return {
+      path: this.sketch,
+      file:
+        this.elements.formatScope.value === "file"
+          ? this.activePath
+          : undefined,
+      contents,
+      apply,
+    };
+  }
+
+  async loadFormatPreview() {
+    const { formatSummary, formatDiff, formatApply, formatStatus } =
+      this.elements;
+    this.formatPreview = null;
+    formatApply.disabled = true;
+    formatSummary.textContent = "";
+    formatStatus.textContent = "Running clang-format...";
+    formatDiff.innerHTML = "";
+
+    try {
+      const response = await fetch("/api/format", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(this.formatRequest(false)),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Format failed");
+
+      this.formatPreview = data;
+      formatSummary.textContent = `clang-format ${data.formatter.version}, ${
+        data.styleFile
+          ? data.styleFile.split("/").slice(-2).join("/")
+          : "Google style (no .clang-format found)"
+      }`;
+      formatStatus.textContent = data.changed
+        ? `${data.changed} of ${data.files.length} file(s) will change`
+        : "Already formatted - nothing to change";
+      formatApply.disabled = data.changed === 0;
+      formatDiff.innerHTML = data.files
+        .filter((file) => file.changed)
+        .map((file) => this.renderDiff(file.diff))
+        .join("");
+    } catch (err) {
+      logger.error("Format preview failed", err);
+      formatStatus.textContent = `⚠️ ${err.message}`;
+    }
+  }
+
+  /**
+   * @param {string} diff - Unified diff
+   * @returns {string} HTML with added/removed lines colored
+   */
+  renderDiff(diff) {
+    const lines = diff
+      .replace(/\n$/, "")
+      .split("\n")
+      .map((line) => {
+        let kind = "";
+        if (line.startsWith("+++") || line.startsWith("---")) kind = "file";
+        else if (line.startsWith("@@")) kind = "hunk";
+        else if (line.startsWith("+")) kind = "add";
+        else if (line.startsWith("-")) kind = "del";
+        return `<span class="diff-line ${
+          kind ? `diff-${kind}` : ""
+        }">${escapeCode(line)}</span>`;
+      });
+    return `<pre class="format-diff-file">${lines.join("")}</pre>`;
+  }
+
+  /**
+   * Write the formatted files and update the open buffers
+   */
+  async applyFormat() {
+    if (!this.formatPreview || this.busy) return;
+
+    this.busy = true;
+    this.elements.formatApply.disabled = true;
+    this.elements.formatStatus.textContent = "Applying...";
+    try {
+      const response = await fetch("/api/format", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(this.formatRequest(true)),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Format failed");
+
+      // The server formatted (and saved) the unsaved text of these buffers
+      for (const file of data.files.filter((f) => f.changed)) {
+        const buffer = this.buffers.get(file.path);
+        if (buffer) {
+          buffer.content = file.content;
+          buffer.saved = file.content;
+        }
+      }
+
+      this.busy = false;
+      this.closeFormat();
+      this.render();
+      this.setStatus(`Formatted ${data.changed} file(s)`);
+    } catch (err) {
+      logger.error("Format failed", err);
+      this.elements.formatStatus.textContent = `⚠️ ${err.message}`;
+      this.elements.formatApply.disabled = false;
+    } finally {
+      this.busy = false;
+      this.updateButtons();
+    }
+  }
+
+  // ===========================================================================
+  // Unsaved Changes
+  // ===========================================================================
+
+  /**
+   * @returns {string[]} Files with unsaved changes
+   */
+  getDirtyPaths() {
+    return [...this.buffers.entries()]
+      .filter(([, buffer]) => buffer.content !== buffer.saved)
+      .map(([filePath]) => filePath);
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  hasUnsavedChanges() {
+    return this.getDirtyPaths().length > 0;
+  }
+
+  // ===========================================================================
+  // Input Handling
+  // ===========================================================================
+
+  handleInput() {
+    const buffer = this.buffers.get(this.activePath);
+    if (!buffer) return;
+
+    const wasDirty = buffer.content !== buffer.saved;
+    buffer.content = this.elements.input.value;
+    if (wasDirty !== (buffer.content !== buffer.saved)) {
+      this.renderTabs();
+      this.updateButtons();
+    }
+    this.renderCode();
+  }
+
+  /**
+   * Editor shortcuts
+   * @param {KeyboardEvent} e
+   */
+  handleKeyDown(e) {
+    const mod = e.ctrlKey || e.metaKey;
+
+    if (mod && e.key.toLowerCase() === "s") {
+      e.preventDefault();
+      this.save();
+    } else if (mod && e.key.toLowerCase() === "r") {
+      e.preventDefault();
+      this.saveAndCompile();
+    } else if (e.shiftKey && e.altKey && e.code === "KeyF") {
+      e.preventDefault();
+      this.openFormat();
+    } else if (e.key === "Tab" && !e.shiftKey && !mod) {
+      e.preventDefault();
+      const input = this.elements.input;
+      input.setRangeText(
+        INDENT,
+        input.selectionStart,
+        input.selectionEnd,
+        "end"
+      );
+      this.handleInput();
+    }
+  }
+
+  syncScroll() {
+    const { input, highlightPre, gutter } = this.elements;
+    if (highlightPre) {
+      highlightPre.scrollTop = input.scrollTop;
+      highlightPre.scrollLeft = input.scrollLeft;
+    }
+    if (gutter) gutter.scrollTop = input.scrollTop;
+  }
+
+  // ===========================================================================
+  // Rendering
+  // ===========================================================================
+
+  render() {
+    if (!this.container) return;
+
+    const buffer = this.buffers.get(this.activePath);
+    this.elements.input.value = buffer ? buffer.content : "";
+    this.elements.input.disabled = !buffer;
+    this.elements.input.placeholder = this.sketch
+      ? ""
+      : "Select a sketch in the toolbar to edit it";
+
+    this.renderTabs();
+    this.renderCode();
+    this.updateButtons();
+  }
+
+  renderTabs() {
+    if (!this.elements.tabs) return;
+
+    this.elements.tabs.innerHTML = this.files
+      .map((file) => {
+        const buffer = this.buffers.get(file.path);
+        const dirty = buffer && buffer.content !== buffer.saved;
+        return `
+          <button class="editor-tab ${
+            file.path === this.activePath ? "active" : ""
+          }" data-path="${this.escapeHtml(file.path)}" title="${this.escapeHtml(
+          file.path
+        )}">
+            ${this.escapeHtml(file.path)}${
+          dirty
+            ? ' <span class="editor-dirty" title="Unsaved changes">●</span>'
+            : ""
+        }${
+          file.main
+            ? ""
+            : ` <span class="editor-tab-delete" data-delete="${this.escapeHtml(
+                file.path
+              )}" title="Delete file">×</span>`
+        }
+          </button>`;
+      })
+      .join("");
+  }
+
+  /**
+   * Refresh the highlighted copy and line numbers behind the textarea
+   */
+  renderCode() {
+    const text = this.elements.input.value;
+    const highlighted =
+      this.activePath && HIGHLIGHTED_FILES.test(this.activePath)
+        ? this.highlight(text)
+        : escapeCode(text);
+
+    // A trailing newline needs content after it to get its own line in <pre>
+    this.elements.highlight.innerHTML = `${highlighted}\n`;
+
+    const lines = text.split("\n").length;
+    this.elements.gutter.textContent = Array.from(
+      { length: lines },
+      (_, i) => i + 1
+    ).join("\n");
+  }
+
+  updateButtons() {
+    const editable = Boolean(this.buffers.get(this.activePath));
+    const dirty = this.hasUnsavedChanges();
+    const activeBuffer = this.buffers.get(this.activePath);
+
+    this.elements.save.disabled =
+      !activeBuffer || activeBuffer.content === activeBuffer.saved;
+    this.elements.saveCompile.disabled = !editable || this.busy;
+    this.elements.saveCompile.textContent = dirty
+      ? "💾 Save & Compile"
+      : "Compile";
+    this.elements.newFile.disabled =
+      !this.sketch || this.sketch.startsWith("__EXAMPLE__:");
+    if (this.elements.format) {
+      this.elements.format.disabled =
+        !editable || !HIGHLIGHTED_FILES.test(this.activePath) || this.busy;
+    }
+  }
+
+  setStatus(message) {
+    if (this.elements.status) this.elements.status.textContent = message;
+  }
+
+  /**
+   * Highlight C/C++ source as HTML
+   * @param {string} text - Source code
+   * @returns {string}
+   */
+  highlight(text) {
+    let html = "";
+    let last = 0;
+
+    for (const match of text.matchAll(TOKEN_PATTERN)) {
+      const [token, comment, string, directive, number, word] = match;
+      html += escapeCode(text.slice(last, match.index));
+      last = match.index + token.length;
+
+      let kind = null;
+      if (comment) kind = "comment";
+      else if (string) kind = "string";
+      else if (directive) kind = "directive";
+      else if (number) kind = "number";
+      else if (KEYWORDS.has(word)) kind = "keyword";
+      else if (TYPES.has(word)) kind = "type";
+      else if (BUILTINS.has(word)) kind = "builtin";
+
+      html += kind
+        ? `<span class="tok-${kind}">${escapeCode(token)}</span>`
+        : escapeCode(token);
+    }
+
+    return html + escapeCode(text.slice(last));
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text || "";
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,238 @@
+/**
+ * Firmware History UI Component
+ *
+ * "What's on my board" panel:
+ * - Latest firmware flashed to each known board (VID/PID/serial)
+ * - Kept builds of the selected sketch with hash, FQBN and git commit
+ * - Re-flash a kept build without recompiling
+ *
+ * @module client/ui/FirmwareHistoryUI
+ */
+
+import { Logger } from "../../shared/Logger.js";
+
+/** @type {Logger} */
+const logger = new Logger("FirmwareHistory");
+
+// =============================================================================
+// FirmwareHistoryUI Class
+// =============================================================================
+
+/**
+ * Modal listing flashed boards and kept builds
+ */
+export class FirmwareHistoryUI {
+  /**
+   * Create a new FirmwareHistoryUI instance
+   * @param {string} modalId - DOM element ID for the modal overlay
+   * @param {object} [options] - Panel options
+   * @param {function(object): void} [options.onFlash] - Called with a build record to re-flash it
+   */
+  constructor(modalId, options = {}) {
+    this.modalId = modalId;
+    this.modal = null;
+    this.onFlash = options.onFlash || null;
+
+    /** @type {Map<string, object>} Builds shown, by SHA-256 */
+    this.builds = new Map();
+
+    this.elements = {};
+  }
+
+  /**
+   * Initialize the UI - must be called after DOM is ready
+   */
+  init() {
+    this.modal = document.getElementById(this.modalId);
+    if (!this.modal) {
+      logger.error(`Modal #${this.modalId} not found`);
+      return;
+    }
+
+    this.elements = {
+      close: this.modal.querySelector(".modal-close"),
+      boards: this.modal.querySelector(".firmware-boards"),
+      builds: this.modal.querySelector(".firmware-builds"),
+      buildsTitle: this.modal.querySelector(".firmware-builds-title"),
+    };
+
+    this.elements.close?.addEventListener("click", () => this.hide());
+    this.modal.addEventListener("click", (e) => {
+      if (e.target === this.modal) this.hide();
+
+      const button = e.target.closest("[data-flash]");
+      const build = button && this.builds.get(button.dataset.flash);
+      if (build && this.onFlash) {
+        this.hide();
+        this.onFlash(build);
+      }
+    });
+  }
+
+  /**
+   * Open the panel
+   * @param {string} [sketch] - Sketch whose builds to list (all sketches when empty)
+   */
+  async open(sketch = "") {
+    if (!this.modal) return;
+
+    this.elements.buildsTitle.textContent = sketch
+      ? `Builds of ${sketch}`
+      : "Recent builds";
+    this.elements.boards.innerHTML =
+      '<div class="empty-state">Loading...</div>';
+    this.elements.builds.innerHTML = "";
+    this.modal.style.display = "flex";
+
+    try {
+      const params = sketch ? `?${new URLSearchParams({ sketch })}` : "";
+      const [boardsRes, buildsRes] = await Promise.all([
+        fetch("/api/firmware/boards"),
+        fetch(`/api/firmware/builds${params}`),
+      ]);
+      const boardsData = await boardsRes.json();
+      const buildsData = await buildsRes.json();
+
+      this.builds.clear();
+      for (const build of buildsData.builds || []) {
+        this.builds.set(build.sha256, build);
+      }
+      for (const { current } of boardsData.boards || []) {
+        if (current.build) this.builds.set(current.sha256, current.build);
+      }
+
+      this.renderBoards(boardsData.boards || []);
+      this.renderBuilds(buildsData.builds || []);
+    } catch (err) {
+      logger.error("Failed to load firmware history", err);
+      this.elements.boards.innerHTML = `<div class="empty-state">⚠️ ${this.escapeHtml(
+        err.message
+      )}</div>`;
+    }
+  }
+
+  hide() {
+    if (this.modal) this.modal.style.display = "none";
+  }
+
+  /**
+   * Render what each board is running
+   * @param {object[]} boards - From /api/firmware/boards
+   */
+  renderBoards(boards) {
+    if (boards.length === 0) {
+      this.elements.boards.innerHTML =
+        '<div class="empty-state">No uploads recorded yet</div>';
+      return;
+    }
+
+    const rows = boards
+      .map(({ board, current, flashCount }) => {
+        const build = current.build;
+        return `
+          <tr>
+            <td title="${this.escapeHtml(board.key)}">${this.escapeHtml(
+          this.describeBoard(board)
+        )}</td>
+            <td>${this.escapeHtml(current.sketch || "?")}</td>
+            <td>${this.escapeHtml(current.fqbn || "")}</td>
+            <td>${this.renderHash(current.sha256)}</td>
+            <td>${this.renderCommit(build?.git)}</td>
+            <td title="${flashCount} upload${
+          flashCount === 1 ? "" : "s"
+        } recorded">${this.formatTime(current.flashedAt)}</td>
+            <td>${
+              current.available
+                ? `<button data-flash="${current.sha256}">Re-flash</button>`
+                : '<span class="firmware-missing" title="Build was pruned from the history">–</span>'
+            }</td>
+          </tr>`;
+      })
+      .join("");
+
+    this.elements.boards.innerHTML = `
+      <table>
+        <thead>
+          <tr><th>Board</th><th>Sketch</th><th>FQBN</th><th>SHA-256</th>
+          <th>Commit</th><th>Flashed</th><th></th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Render kept builds
+   * @param {object[]} builds - From /api/firmware/builds
+   */
+  renderBuilds(builds) {
+    if (builds.length === 0) {
+      this.elements.builds.innerHTML =
+        '<div class="empty-state">No builds kept yet - compile the sketch first</div>';
+      return;
+    }
+
+    const rows = builds
+      .map(
+        (build) => `
+          <tr>
+            <td>${this.formatTime(build.builtAt)}</td>
+            <td>${this.escapeHtml(build.sketch)}</td>
+            <td>${this.escapeHtml(build.fqbn)}</td>
+            <td>${this.renderHash(build.sha256)}</td>
+            <td>${this.renderCommit(build.git)}</td>
+            <td>${build.size}</td>
+            <td><button data-flash="${build.sha256}">Flash</button></td>
+          </tr>`
+      )
+      .join("");
+
+    this.elements.builds.innerHTML = `
+      <table>
+        <thead>
+          <tr><th>Built</th><th>Sketch</th><th>FQBN</th><th>SHA-256</th>
+          <th>Commit</th><th>Bytes</th><th></th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Human-readable board identity
+   * @param {{vid: string|null, pid: string|null, serialNumber: string|null, port: string|null}} board
+   * @returns {string}
+   */
+  describeBoard(board) {
+    if (board.vid && board.pid) {
+      const id = `${board.vid.toUpperCase()}:${board.pid.toUpperCase()}`;
+      return board.serialNumber ? `${id} #${board.serialNumber}` : id;
+    }
+    return board.port || "Unknown board";
+  }
+
+  renderHash(sha256) {
+    return `<code title="${sha256}">${sha256.slice(0, 12)}</code>`;
+  }
+
+  /**
+   * @param {{commit: string, dirty: boolean}|null} git - Git info from the build
+   * @returns {string}
+   */
+  renderCommit(git) {
+    if (!git) return "–";
+    return `<code title="${this.escapeHtml(git.commit)}${
+      git.dirty ? " (uncommitted changes)" : ""
+    }">${git.commit.slice(0, 7)}${git.dirty ? "*" : ""}</code>`;
+  }
+
+  formatTime(iso) {
+    return iso ? new Date(iso).toLocaleString() : "";
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text || "";
+    return div.innerHTML;
+  }
+}
@@ -6,9 +6,17 @@
  * - Install/upgrade/uninstall libraries
  * - Filter by category
  * - Track index freshness
+ * - Lock the installed libraries to the workspace and restore them
+ * - Follow install jobs live (reattaching after a page reload)
  */
 
 import { Logger } from "../../shared/Logger.js";
+import {
+  startJob,
+  followJob,
+  listActiveJobs,
+  cancelJob,
+} from "../services/JobStream.js";
 
 /** @type {Logger} */
 const logger = new Logger("LibraryManager");
@@ -25,6 +33,8 @@ export class LibraryManagerUI {
     this.showInstalled = false;
     this.isLoading = false;
     this.searchTimeout = null;
+    this.activeJobId = null;
+    this.lockStatus = null;
 
     // Cache DOM elements
     this.elements = {};
@@ -44,6 +54,8 @@ export class LibraryManagerUI {
     this.attachEventListeners();
     this.loadIndexStatus();
     this.loadInstalledLibraries();
+    // Reattach to an install that was running before a page reload
+    this.resumeActiveJob();
   }
 
   cacheElements() {
@@ -54,10 +66,15 @@ export class LibraryManagerUI {
       refreshBtn: document.getElementById("refresh-lib-index"),
       customInstallBtn: document.getElementById("lib-custom-install"),
       indexStatus: document.getElementById("lib-index-status"),
+      lockSummary: document.getElementById("lib-lock-summary"),
+      lockDrift: document.getElementById("lib-lock-drift"),
+      lockBtn: document.getElementById("lib-lock-btn"),
+      restoreBtn: document.getElementById("lib-restore-btn"),
       list: document.getElementById("lib-list"),
       jobProgress: document.getElementById("lib-job-progress"),
       progressLog: document.getElementById("lib-progress-log"),
       closeProgress: document.getElementById("close-lib-progress"),
+      cancelJob: document.getElementById("cancel-lib-job"),
       // Custom install modal elements
       customModal: document.getElementById("lib-custom-modal"),
       closeCustomModal: document.getElementById("close-lib-custom-modal"),
@@ -105,6 +122,14 @@ export class LibraryManagerUI {
       this.updateIndex();
     });
 
+    // Lockfile buttons
+    this.elements.lockBtn?.addEventListener("click", () => {
+      this.lockLibraries();
+    });
+    this.elements.restoreBtn?.addEventListener("click", () => {
+      this.restoreLibraries();
+    });
+
     // Custom install button
     this.elements.customInstallBtn?.addEventListener("click", () => {
       this.showCustomModal();
@@ -144,6 +169,11 @@ export class LibraryManagerUI {
       this.hideProgress();
     });
 
+    // Cancel the running job
+    this.elements.cancelJob?.addEventListener("click", () => {
+      this.cancelActiveJob();
+    });
+
     // Delegate click events on library cards
     this.elements.list?.addEventListener("click", (e) => {
       const btn = e.target.closest("button[data-action]");
@@ -244,6 +274,112 @@ export class LibraryManagerUI {
     } catch (err) {
       logger.error("Failed to load installed libraries", err);
     }
+    this.loadLockStatus();
+  }
+
+  // --- Lockfile ---
+
+  async loadLockStatus() {
+    try {
+      const res = await fetch("/api/cli/libraries/lock");
+      this.renderLockStatus(await res.json());
+    } catch (err) {
+      logger.error("Failed to load lockfile status", err);
+    }
+  }
+
+  /**
+   * Show whether the installed libraries match arduino-libraries.lock.json
+   * @param {object} status - Response of GET /api/cli/libraries/lock
+   */
+  renderLockStatus(status) {
+    const { lockSummary, lockDrift, restoreBtn } = this.elements;
+    if (!lockSummary || !lockDrift) return;
+
+    this.lockStatus = status;
+    lockDrift.innerHTML = "";
+    if (restoreBtn) restoreBtn.disabled = !status.exists || !status.success;
+
+    if (!status.success) {
+      lockSummary.innerHTML = `<span class="status-warning">⚠️ ${this.escapeHtml(
+        status.error
+      )}</span>`;
+      return;
+    }
+    if (!status.exists) {
+      lockSummary.innerHTML = `<span class="status-warning">No lockfile - lock the installed libraries so a new Codespace can restore them</span>`;
+      return;
+    }
+
+    const { drift, lockfile } = status;
+    if (drift.inSync) {
+      lockSummary.innerHTML = `<span class="status-ok">✓ ${lockfile.libraries.length} libraries match the lockfile</span>`;
+      return;
+    }
+
+    lockSummary.innerHTML = `<span class="status-warning">⚠️ Installed libraries differ from the lockfile</span>`;
+    const items = [
+      ...drift.missing.map(
+        (lib) => `${lib.name}@${lib.version} is locked but not installed`
+      ),
+      ...drift.changed.map(
+        (lib) => `${lib.name} is ${lib.installed}, locked at ${lib.locked}`
+      ),
+      ...drift.unlocked.map(
+        (lib) => `${lib.name}@${lib.version} is installed but not locked`
+      ),
+    ];
+    lockDrift.innerHTML = items
+      .map((text) => `<li>${this.escapeHtml(text)}</li>`)
+      .join("");
+  }
+
+  async lockLibraries() {
+    try {
+      const res = await fetch("/api/cli/libraries/lock", { method: "POST" });
+      const data = await res.json();
+      if (!data.success) throw new Error(data.error || "Lock failed");
+      if (data.unrestorable.length > 0) {
+        alert(
+          `Locked, but these libraries were not installed from the index, Git or a ZIP through the bridge and cannot be restored until a ZIP path is added to the lockfile:\n${data.unrestorable.join(
+            ", "
+          )}`
+        );
+      }
+    } catch (err) {
+      alert(`Could not lock libraries: ${err.message}`);
+    }
+    this.loadLockStatus();
+  }
+
+  async restoreLibraries() {
+    const unlocked = this.lockStatus?.drift?.unlocked || [];
+    const prune =
+      unlocked.length > 0 &&
+      confirm(
+        `Also remove the libraries that are not in the lockfile?\n${unlocked
+          .map((lib) => lib.name)
+          .join(", ")}`
+      );
+    this.showProgress("Restoring libraries from lockfile...");
+
+    try {
+      const data = await this.runJob("/api/cli/libraries/restore", { prune });
+      if (data.success) {
+        this.appendProgressLog(
+          `\n✓ Restored ${data.installed.length} libraries${
+            data.removed.length ? `, removed ${data.removed.length}` : ""
+          }\n`
+        );
+      } else {
+        this.appendProgressLog(
+          `\n✗ Restore failed: ${data.error || "Unknown error"}\n`
+        );
+      }
+    } catch (err) {
+      this.appendProgressLog(`\n✗ Error: ${err.message}\n`);
+    }
+    await this.loadInstalledLibraries();
   }
 
   showInstalledOnly() {
@@ -310,10 +446,7 @@ export class LibraryManagerUI {
     this.appendProgressLog("Downloading latest library definitions...\n");
 
     try {
-      const res = await fetch("/api/cli/libraries/index/update", {
-        method: "POST",
-      });
-      const data = await res.json();
+      const data = await this.runJob("/api/cli/libraries/index/update");
 
       if (data.success) {
         this.appendProgressLog(
@@ -363,17 +496,7 @@ export class LibraryManagerUI {
         body.installDeps = true;
       }
 
-      const res = await fetch(`/api/cli/libraries/${action}`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(body),
-      });
-
-      const data = await res.json();
-
-      if (data.log) {
-        this.appendProgressLog(data.log);
-      }
+      const data = await this.runJob(`/api/cli/libraries/${action}`, body);
 
       if (data.success) {
         this.appendProgressLog(
@@ -590,6 +713,105 @@ export class LibraryManagerUI {
     }
   }
 
+  // --- Server Jobs ---
+
+  /**
+   * Start a library operation as a server job and stream its output
+   * @param {string} url - API endpoint
+   * @param {object} [body] - Request body
+   * @returns {Promise<object>} Final operation result
+   */
+  async runJob(url, body = {}) {
+    const jobId = await startJob(url, body);
+    return this.trackJob(jobId);
+  }
+
+  /**
+   * Stream a job's output into the progress panel until it finishes
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object>} Final operation result
+   */
+  async trackJob(jobId) {
+    this.activeJobId = jobId;
+    if (this.elements.cancelJob) this.elements.cancelJob.style.display = "";
+
+    try {
+      return await followJob(jobId, {
+        onOutput: (line) => this.appendProgressLog(`${line}\n`),
+        onStatus: (status) => {
+          if (status === "queued") {
+            this.appendProgressLog("Waiting for another operation...\n");
+          }
+        },
+      });
+    } finally {
+      this.activeJobId = null;
+      if (this.elements.cancelJob) {
+        this.elements.cancelJob.style.display = "none";
+      }
+    }
+  }
+
+  async cancelActiveJob() {
+    if (!this.activeJobId) return;
+
+    const result = await cancelJob(this.activeJobId);
+    if (!result.success) {
+      this.appendProgressLog(`\n✗ Cancel failed: ${result.error}\n`);
+    }
+  }
+
+  /**
+   * Show the progress of a library job started before the page was loaded
+   */
+  async resumeActiveJob() {
+    try {
+      const [job] = await listActiveJobs("library");
+      if (!job) return;
+
+      logger.info(`Reattaching to ${job.type} job ${job.id}`);
+      this.showProgress(this.describeJob(job));
+      const data = await this.trackJob(job.id);
+
+      if (data.success) {
+        this.appendProgressLog("\n✓ Completed\n");
+        this.loadIndexStatus();
+        await this.loadInstalledLibraries();
+        if (this.searchQuery) {
+          this.handleSearch();
+        } else if (this.showInstalled) {
+          this.showInstalledOnly();
+        }
+      } else {
+        this.appendProgressLog(
+          `\n✗ Failed: ${data.error || "Unknown error"}\n`
+        );
+      }
+    } catch (err) {
+      logger.warn(`Could not resume job: ${err.message}`);
+    }
+  }
+
+  /**
+   * Build a progress panel title for a job summary
+   * @param {object} job - Job summary from /api/jobs
+   * @returns {string}
+   */
+  describeJob(job) {
+    const labels = {
+      "library-index-update": "Updating library index",
+      "library-install": "Installing",
+      "library-upgrade": "Upgrading",
+      "library-uninstall": "Uninstalling",
+      "library-install-git": "Installing from Git:",
+      "library-install-zip": "Installing from ZIP:",
+      "library-restore": "Restoring libraries from lockfile",
+    };
+    const { name, url, path } = job.meta || {};
+    const target = name || url || path;
+    return `${labels[job.type] || job.type}${target ? ` ${target}` : ""}...`;
+  }
+
   showError(message) {
     if (this.elements.list) {
       this.elements.list.innerHTML = `
@@ -649,15 +871,10 @@ export class LibraryManagerUI {
     this.showProgress(`Installing from Git: ${url}`);
 
     try {
-      const res = await fetch("/api/cli/libraries/install-git", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ url }),
+      const result = await this.runJob("/api/cli/libraries/install-git", {
+        url,
       });
 
-      const result = await res.json();
-      this.appendProgressLog(result.log || "");
-
       if (result.success) {
         this.appendProgressLog("\n\n✓ Library installed successfully!");
         // Refresh installed libraries list
@@ -690,15 +907,10 @@ export class LibraryManagerUI {
     this.showProgress(`Installing from ZIP: ${zipPath}`);
 
     try {
-      const res = await fetch("/api/cli/libraries/install-zip", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ path: zipPath }),
+      const result = await this.runJob("/api/cli/libraries/install-zip", {
+        path: zipPath,
       });
 
-      const result = await res.json();
-      this.appendProgressLog(result.log || "");
-
       if (result.success) {
         this.appendProgressLog("\n\n✓ Library installed successfully!");
         // Refresh installed libraries list
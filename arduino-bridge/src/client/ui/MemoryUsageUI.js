@@ -0,0 +1,114 @@
+/**
+ * Memory Usage UI Component
+ *
+ * Shows flash and RAM usage from the last compile:
+ * - Compact usage bars next to the Compile button
+ * - Warning state when RAM usage passes a threshold
+ * - Click to open the symbol size report
+ *
+ * @module client/ui/MemoryUsageUI
+ */
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/**
+ * @constant {number} RAM_WARNING_PERCENT - RAM usage that triggers the warning state
+ * (the Arduino IDE warns about stability at the same level - the stack and
+ * String heap share whatever globals leave free)
+ */
+const RAM_WARNING_PERCENT = 75;
+
+// =============================================================================
+// MemoryUsageUI Class
+// =============================================================================
+
+/**
+ * Flash/RAM usage bars for the toolbar
+ */
+export class MemoryUsageUI {
+  /**
+   * Create a new MemoryUsageUI instance
+   * @param {string} containerId - DOM element ID for the usage widget
+   * @param {object} [options] - Widget options
+   * @param {function(): void} [options.onClick] - Called when the bars are clicked
+   */
+  constructor(containerId, options = {}) {
+    /** @type {HTMLElement|null} */
+    this.container = document.getElementById(containerId);
+
+    if (this.container && options.onClick) {
+      this.container.classList.add("clickable");
+      this.container.addEventListener("click", options.onClick);
+    }
+  }
+
+  /**
+   * Show usage from a compile response (hides the widget when missing)
+   * @param {{flash: object|null, ram: object|null}|null} memory - `memory` from /api/compile
+   * @returns {boolean} True when RAM usage is above the warning threshold
+   */
+  render(memory) {
+    if (!this.container) return false;
+    if (!memory) {
+      this.clear();
+      return false;
+    }
+
+    const ramWarning =
+      memory.ram?.percent != null && memory.ram.percent >= RAM_WARNING_PERCENT;
+
+    this.container.innerHTML = [
+      this.renderBar("Flash", memory.flash, false),
+      this.renderBar("RAM", memory.ram, ramWarning),
+    ].join("");
+    this.container.classList.toggle("warning", ramWarning);
+    this.container.title = ramWarning
+      ? `RAM usage is above ${RAM_WARNING_PERCENT}% - the sketch may crash or behave strangely. ` +
+        "Use F() for string literals and avoid String objects."
+      : "Memory used by the last compile - click for a size report";
+    this.container.style.display = "flex";
+
+    return ramWarning;
+  }
+
+  /**
+   * Render one usage bar
+   * @param {string} label - Bar label
+   * @param {{used: number, max: number|null, percent: number|null}|null} usage
+   * @param {boolean} warning - Highlight the bar
+   * @returns {string} HTML
+   */
+  renderBar(label, usage, warning) {
+    if (!usage) return "";
+
+    const percent = usage.percent != null ? Math.min(usage.percent, 100) : 0;
+    const detail =
+      usage.max != null
+        ? `${usage.used} / ${usage.max} bytes (${usage.percent}%)`
+        : `${usage.used} bytes`;
+
+    return `
+      <div class="memory-bar ${
+        warning ? "warning" : ""
+      }" title="${label}: ${detail}">
+        <span class="memory-label">${label}</span>
+        <span class="memory-track"><span class="memory-fill" style="width: ${percent}%"></span></span>
+        <span class="memory-value">${
+          usage.percent != null ? `${Math.round(usage.percent)}%` : detail
+        }</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Hide the widget (e.g., when a new compile starts)
+   */
+  clear() {
+    if (!this.container) return;
+    this.container.innerHTML = "";
+    this.container.classList.remove("warning");
+    this.container.style.display = "none";
+  }
+}
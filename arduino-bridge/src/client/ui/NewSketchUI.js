@@ -0,0 +1,340 @@
+/**
+ * New Sketch UI Component
+ *
+ * Wizard for creating a sketch in the workspace:
+ * - Name check (folder name == .ino name, like arduino-cli)
+ * - Blank sketch, a copy of a demo_* sketch, or a starter sketch combining
+ *   the examples of the sensors picked from docs/sensors
+ * - Shows the #includes and libraries the picked sensors need, and can
+ *   install the libraries right after creating the sketch
+ *
+ * @module client/ui/NewSketchUI
+ */
+
+import { startJob, followJob } from "../services/JobStream.js";
+import { Logger } from "../../shared/Logger.js";
+
+/** @type {Logger} */
+const logger = new Logger("NewSketch");
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @constant {RegExp} SKETCH_NAME_PATTERN - Must match the server's check */
+const SKETCH_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,62}$/;
+
+// =============================================================================
+// NewSketchUI Class
+// =============================================================================
+
+/**
+ * Modal that creates a sketch from a template or sensor examples
+ */
+export class NewSketchUI {
+  /**
+   * Create a new NewSketchUI instance
+   * @param {string} modalId - DOM element ID for the modal overlay
+   * @param {object} [options] - Wizard options
+   * @param {function(object): void} [options.onCreated] - Called with the
+   *   /api/sketches response once the sketch (and its libraries) are ready
+   * @param {function(string, string): void} [options.onOutput] - (line, stream) for library install output
+   */
+  constructor(modalId, options = {}) {
+    this.modalId = modalId;
+    this.modal = null;
+    this.onCreated = options.onCreated || null;
+    this.onOutput = options.onOutput || null;
+
+    /** @type {object[]} Whole-sketch templates (blank, demos) */
+    this.templates = [];
+
+    /** @type {object[]} Sensors with example code */
+    this.sensors = [];
+
+    /** @type {Set<string>} Ticked sensor ids */
+    this.selected = new Set();
+
+    this.busy = false;
+    this.elements = {};
+  }
+
+  /**
+   * Initialize the UI - must be called after DOM is ready
+   */
+  init() {
+    this.modal = document.getElementById(this.modalId);
+    if (!this.modal) {
+      logger.error(`Modal #${this.modalId} not found`);
+      return;
+    }
+
+    this.elements = {
+      close: this.modal.querySelector(".modal-close"),
+      name: this.modal.querySelector(".new-sketch-name"),
+      template: this.modal.querySelector(".new-sketch-template"),
+      filter: this.modal.querySelector(".new-sketch-filter"),
+      sensors: this.modal.querySelector(".new-sketch-sensors"),
+      summary: this.modal.querySelector(".new-sketch-summary"),
+      installLibs: this.modal.querySelector(".new-sketch-install-libs"),
+      create: this.modal.querySelector(".new-sketch-create"),
+      status: this.modal.querySelector(".new-sketch-status"),
+    };
+
+    this.elements.close?.addEventListener("click", () => this.hide());
+    this.modal.addEventListener("click", (e) => {
+      if (e.target === this.modal) this.hide();
+    });
+
+    this.elements.name?.addEventListener("input", () =>
+      this.updateCreateButton()
+    );
+    this.elements.name?.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") this.create();
+    });
+    this.elements.template?.addEventListener("change", () =>
+      this.renderSummary()
+    );
+    this.elements.filter?.addEventListener("input", () => this.renderSensors());
+    this.elements.sensors?.addEventListener("change", (e) => {
+      const checkbox = e.target.closest("input[type=checkbox]");
+      if (!checkbox) return;
+      if (checkbox.checked) this.selected.add(checkbox.value);
+      else this.selected.delete(checkbox.value);
+      this.renderSummary();
+    });
+    this.elements.create?.addEventListener("click", () => this.create());
+  }
+
+  /**
+   * Open the wizard
+   */
+  async open() {
+    if (!this.modal) return;
+
+    this.modal.style.display = "flex";
+    this.elements.status.textContent = "";
+    this.elements.name.focus();
+
+    if (this.templates.length === 0) {
+      try {
+        const response = await fetch("/api/sketches/templates");
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || "Failed to load");
+        this.templates = data.templates || [];
+        this.sensors = data.sensors || [];
+      } catch (err) {
+        logger.error("Failed to load templates", err);
+        this.elements.status.textContent = `⚠️ Could not load templates: ${err.message}`;
+      }
+    }
+
+    this.renderTemplates();
+    this.renderSensors();
+    this.renderSummary();
+  }
+
+  hide() {
+    if (this.modal && !this.busy) this.modal.style.display = "none";
+  }
+
+  // ===========================================================================
+  // Rendering
+  // ===========================================================================
+
+  renderTemplates() {
+    const current = this.elements.template.value || "blank";
+    this.elements.template.innerHTML = this.templates
+      .map(
+        (template) =>
+          `<option value="${this.escapeHtml(template.id)}" ${
+            template.id === current ? "selected" : ""
+          }>${this.escapeHtml(template.title)}</option>`
+      )
+      .join("");
+  }
+
+  renderSensors() {
+    const query = this.elements.filter.value.trim().toLowerCase();
+    const visible = this.sensors.filter(
+      (sensor) =>
+        !query ||
+        sensor.title.toLowerCase().includes(query) ||
+        (sensor.connection || "").toLowerCase().includes(query) ||
+        this.selected.has(sensor.id)
+    );
+
+    this.elements.sensors.innerHTML =
+      visible
+        .map(
+          (sensor) => `
+          <label class="checkbox-label" title="${this.escapeHtml(
+            sensor.includes.join(", ") || "No #includes"
+          )}">
+            <input type="checkbox" value="${this.escapeHtml(sensor.id)}" ${
+            this.selected.has(sensor.id) ? "checked" : ""
+          } />
+            <span>${this.escapeHtml(sensor.title)}</span>
+            ${
+              sensor.connection
+                ? `<span class="new-sketch-connection">${this.escapeHtml(
+                    sensor.connection
+                  )}</span>`
+                : ""
+            }
+          </label>`
+        )
+        .join("") || '<div class="empty-state">No matching sensors</div>';
+  }
+
+  /**
+   * Describe what will be created (includes and libraries of the picked sensors)
+   */
+  renderSummary() {
+    const sensors = this.getSelectedSensors();
+    this.elements.template.disabled = sensors.length > 0;
+
+    if (sensors.length === 0) {
+      this.elements.summary.innerHTML = "";
+      this.elements.installLibs.closest("label").style.display = "none";
+      this.updateCreateButton();
+      return;
+    }
+
+    const includes = [...new Set(sensors.flatMap((s) => s.includes))];
+    const libraries = this.getLibraries();
+    this.elements.summary.innerHTML = `
+      <div>${
+        sensors.length === 1
+          ? "Starts from the sensor's example code."
+          : `Combines ${sensors.length} sensor examples, each in its own setup/loop function.`
+      }</div>
+      <div><strong>#include:</strong> ${
+        includes.length
+          ? includes
+              .map((header) => `<code>${this.escapeHtml(header)}</code>`)
+              .join(" ")
+          : "none"
+      }</div>
+      <div><strong>Libraries:</strong> ${
+        libraries.length
+          ? libraries.map((lib) => this.escapeHtml(lib)).join(", ")
+          : "built-in only"
+      }</div>
+    `;
+    this.elements.installLibs.closest("label").style.display = libraries.length
+      ? ""
+      : "none";
+    this.updateCreateButton();
+  }
+
+  updateCreateButton() {
+    const name = this.elements.name.value.trim();
+    this.elements.create.disabled =
+      this.busy || !SKETCH_NAME_PATTERN.test(name);
+    this.elements.name.classList.toggle(
+      "invalid",
+      name !== "" && !SKETCH_NAME_PATTERN.test(name)
+    );
+  }
+
+  /**
+   * @returns {object[]} Ticked sensors, in list order
+   */
+  getSelectedSensors() {
+    return this.sensors.filter((sensor) => this.selected.has(sensor.id));
+  }
+
+  /**
+   * @returns {string[]} Libraries the ticked sensors need
+   */
+  getLibraries() {
+    return [...new Set(this.getSelectedSensors().flatMap((s) => s.libraries))];
+  }
+
+  // ===========================================================================
+  // Creating
+  // ===========================================================================
+
+  /**
+   * Create the sketch, then install its libraries if asked to
+   */
+  async create() {
+    const name = this.elements.name.value.trim();
+    if (this.busy || !SKETCH_NAME_PATTERN.test(name)) return;
+
+    const sensors = this.getSelectedSensors().map((s) => s.id);
+    this.busy = true;
+    this.updateCreateButton();
+    this.elements.status.textContent = "Creating sketch...";
+
+    try {
+      const response = await fetch("/api/sketches", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(
+          sensors.length
+            ? { name, sensors }
+            : { name, template: this.elements.template.value || "blank" }
+        ),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Create failed");
+
+      if (this.elements.installLibs.checked && data.libraries?.length) {
+        await this.installLibraries(data.libraries);
+      }
+
+      this.busy = false;
+      this.selected.clear();
+      this.elements.name.value = "";
+      this.elements.filter.value = "";
+      this.hide();
+      this.onCreated?.(data);
+    } catch (err) {
+      logger.error("Failed to create sketch", err);
+      this.elements.status.textContent = `⚠️ ${err.message}`;
+    } finally {
+      this.busy = false;
+      this.updateCreateButton();
+    }
+  }
+
+  /**
+   * Install libraries one after another (failures are reported, not fatal)
+   * @param {string[]} libraries - Library names
+   */
+  async installLibraries(libraries) {
+    for (const [index, library] of libraries.entries()) {
+      this.elements.status.textContent = `Installing ${library} (${index + 1}/${
+        libraries.length
+      })...`;
+      try {
+        const jobId = await startJob("/api/cli/libraries/install", {
+          name: library,
+          installDeps: true,
+        });
+        const result = await followJob(jobId, {
+          onOutput: (line, stream) => this.onOutput?.(line, stream),
+        });
+        if (!result.success) {
+          this.onOutput?.(
+            `Could not install ${library}: ${result.error || "unknown error"}`,
+            "stderr"
+          );
+        }
+      } catch (err) {
+        this.onOutput?.(
+          `Could not install ${library}: ${err.message}`,
+          "stderr"
+        );
+      }
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text || "";
+    return div.innerHTML;
+  }
+}
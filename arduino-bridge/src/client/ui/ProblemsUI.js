@@ -0,0 +1,179 @@
+/**
+ * Problems Panel UI Component
+ *
+ * Lists compiler diagnostics from /api/compile (and lint warnings from /api/lint):
+ * - Errors and warnings with file, line and column
+ * - Lint warnings tagged with their rule id
+ * - Expandable compiler notes
+ * - Click to select a problem (e.g., copy its location)
+ *
+ * @module client/ui/ProblemsUI
+ */
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @constant {Object<string, string>} SEVERITY_ICONS - Icon per diagnostic severity */
+const SEVERITY_ICONS = {
+  error: "✖",
+  warning: "⚠",
+};
+
+// =============================================================================
+// ProblemsUI Class
+// =============================================================================
+
+/**
+ * Clickable list of compiler errors and warnings
+ */
+export class ProblemsUI {
+  /**
+   * Create a new ProblemsUI instance
+   * @param {string} containerId - DOM element ID for the panel
+   * @param {object} [options] - Panel options
+   * @param {function(object, string): void} [options.onSelect] - Called with (diagnostic, sketch) when a problem is clicked
+   */
+  constructor(containerId, options = {}) {
+    /** @type {HTMLElement|null} */
+    this.container = document.getElementById(containerId);
+
+    /** @type {function(object, string): void|null} */
+    this.onSelect = options.onSelect || null;
+
+    /** @type {object[]} Diagnostics currently shown */
+    this.diagnostics = [];
+
+    /** @type {string} Workspace-relative sketch the diagnostics belong to */
+    this.sketch = "";
+
+    this.elements = {};
+  }
+
+  /**
+   * Initialize the panel - must be called after DOM is ready
+   */
+  init() {
+    if (!this.container) return;
+
+    this.elements = {
+      summary: this.container.querySelector(".problems-summary"),
+      list: this.container.querySelector(".problems-list"),
+      close: this.container.querySelector(".problems-close"),
+    };
+
+    this.elements.close?.addEventListener("click", () => this.hide());
+
+    this.elements.list?.addEventListener("click", (e) => {
+      const item = e.target.closest(".problem-item");
+      if (!item) return;
+
+      const diagnostic = this.diagnostics[Number(item.dataset.index)];
+      if (!diagnostic) return;
+
+      item.classList.toggle("expanded");
+      if (this.onSelect) this.onSelect(diagnostic, this.sketch);
+    });
+  }
+
+  /**
+   * Show diagnostics from a compile result (hides the panel when empty)
+   * @param {object[]} diagnostics - Diagnostics from the compile response
+   * @param {string} [sketch] - Workspace-relative sketch path
+   */
+  render(diagnostics, sketch = "") {
+    this.diagnostics = Array.isArray(diagnostics) ? diagnostics : [];
+    this.sketch = sketch;
+
+    if (!this.container || !this.elements.list) return;
+    if (this.diagnostics.length === 0) {
+      this.hide();
+      return;
+    }
+
+    const errors = this.diagnostics.filter((d) => d.severity === "error");
+    const warnings = this.diagnostics.length - errors.length;
+    if (this.elements.summary) {
+      this.elements.summary.textContent = `Problems: ${errors.length} error${
+        errors.length === 1 ? "" : "s"
+      }, ${warnings} warning${warnings === 1 ? "" : "s"}`;
+    }
+
+    this.elements.list.innerHTML = this.diagnostics
+      .map((diagnostic, index) => this.renderItem(diagnostic, index))
+      .join("");
+    this.container.style.display = "flex";
+  }
+
+  /**
+   * Render a single problem row
+   * @param {object} diagnostic - Diagnostic to render
+   * @param {number} index - Position in this.diagnostics
+   * @returns {string} HTML
+   */
+  renderItem(diagnostic, index) {
+    const icon = SEVERITY_ICONS[diagnostic.severity] || "•";
+    const notes = (diagnostic.notes || [])
+      .map(
+        (note) => `
+          <div class="problem-note">
+            <span class="problem-location">${this.escapeHtml(
+              this.formatLocation(note)
+            )}</span>
+            ${this.escapeHtml(note.message)}
+          </div>`
+      )
+      .join("");
+
+    return `
+      <div class="problem-item ${this.escapeHtml(
+        diagnostic.severity
+      )}" data-index="${index}" title="Click to copy location">
+        <span class="problem-icon">${icon}</span>
+        <span class="problem-message">${this.escapeHtml(
+          diagnostic.message
+        )}</span>
+        ${
+          diagnostic.rule
+            ? `<span class="problem-rule">${this.escapeHtml(
+                diagnostic.rule
+              )}</span>`
+            : ""
+        }
+        <span class="problem-location">${this.escapeHtml(
+          this.formatLocation(diagnostic)
+        )}</span>
+        ${notes ? `<div class="problem-notes">${notes}</div>` : ""}
+      </div>
+    `;
+  }
+
+  /**
+   * Format a location as file:line[:column]
+   * @param {{file: string, line: number, column?: number|null}} location
+   * @returns {string}
+   */
+  formatLocation(location) {
+    const column = location.column ? `:${location.column}` : "";
+    return `${location.file}:${location.line}${column}`;
+  }
+
+  /**
+   * Remove all problems and hide the panel
+   */
+  clear() {
+    this.diagnostics = [];
+    if (this.elements.list) this.elements.list.innerHTML = "";
+    this.hide();
+  }
+
+  hide() {
+    if (this.container) this.container.style.display = "none";
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text || "";
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,305 @@
+/**
+ * Size Report UI Component
+ *
+ * Shows what is using flash and RAM in the last build:
+ * - Treemap of the largest symbols, coloured by library
+ * - Flash/RAM toggle
+ * - Per-library totals table
+ *
+ * @module client/ui/SizeReportUI
+ */
+
+import { Logger } from "../../shared/Logger.js";
+
+/** @type {Logger} */
+const logger = new Logger("SizeReport");
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @constant {number} MAX_TREEMAP_SYMBOLS - Symbols drawn individually (the rest are merged) */
+const MAX_TREEMAP_SYMBOLS = 150;
+
+/** @constant {string[]} LIBRARY_COLORS - Palette for library groups */
+const LIBRARY_COLORS = [
+  "#00979d",
+  "#36a2eb",
+  "#9966ff",
+  "#ff9f40",
+  "#4bc0c0",
+  "#ff6384",
+  "#c9cb3f",
+  "#8d6e63",
+];
+
+// =============================================================================
+// Treemap Layout
+// =============================================================================
+
+/**
+ * Lay out values as a squarified treemap
+ * @param {Array<{value: number}>} items - Items sorted by value, largest first
+ * @param {number} width - Available width
+ * @param {number} height - Available height
+ * @returns {Array<{item: object, x: number, y: number, w: number, h: number}>}
+ */
+function squarify(items, width, height) {
+  const total = items.reduce((sum, item) => sum + item.value, 0);
+  if (total <= 0 || width <= 0 || height <= 0) return [];
+
+  const scale = (width * height) / total;
+  const areas = items.map((item) => ({ item, area: item.value * scale }));
+  const rects = [];
+  let rect = { x: 0, y: 0, w: width, h: height };
+  let row = [];
+
+  const worst = (entries, side) => {
+    const sum = entries.reduce((s, e) => s + e.area, 0);
+    const max = Math.max(...entries.map((e) => e.area));
+    const min = Math.min(...entries.map((e) => e.area));
+    return Math.max(
+      (side * side * max) / (sum * sum),
+      (sum * sum) / (side * side * min)
+    );
+  };
+
+  const layoutRow = (entries) => {
+    const sum = entries.reduce((s, e) => s + e.area, 0);
+    if (rect.w >= rect.h) {
+      // Column along the left edge
+      const columnWidth = sum / rect.h;
+      let y = rect.y;
+      for (const entry of entries) {
+        const h = entry.area / columnWidth;
+        rects.push({ item: entry.item, x: rect.x, y, w: columnWidth, h });
+        y += h;
+      }
+      rect = { ...rect, x: rect.x + columnWidth, w: rect.w - columnWidth };
+    } else {
+      // Row along the top edge
+      const rowHeight = sum / rect.w;
+      let x = rect.x;
+      for (const entry of entries) {
+        const w = entry.area / rowHeight;
+        rects.push({ item: entry.item, x, y: rect.y, w, h: rowHeight });
+        x += w;
+      }
+      rect = { ...rect, y: rect.y + rowHeight, h: rect.h - rowHeight };
+    }
+  };
+
+  for (const entry of areas) {
+    const side = Math.min(rect.w, rect.h);
+    if (row.length === 0 || worst([...row, entry], side) <= worst(row, side)) {
+      row.push(entry);
+    } else {
+      layoutRow(row);
+      row = [entry];
+    }
+  }
+  if (row.length) layoutRow(row);
+
+  return rects;
+}
+
+// =============================================================================
+// SizeReportUI Class
+// =============================================================================
+
+/**
+ * Modal with a symbol treemap for the last build
+ */
+export class SizeReportUI {
+  /**
+   * Create a new SizeReportUI instance
+   * @param {string} modalId - DOM element ID for the modal overlay
+   */
+  constructor(modalId) {
+    this.modalId = modalId;
+    this.modal = null;
+    this.report = null;
+    this.region = "flash";
+    this.elements = {};
+  }
+
+  /**
+   * Initialize the UI - must be called after DOM is ready
+   */
+  init() {
+    this.modal = document.getElementById(this.modalId);
+    if (!this.modal) {
+      logger.error(`Modal #${this.modalId} not found`);
+      return;
+    }
+
+    this.elements = {
+      title: this.modal.querySelector(".modal-header h3"),
+      close: this.modal.querySelector(".modal-close"),
+      summary: this.modal.querySelector(".size-report-summary"),
+      toggles: this.modal.querySelectorAll("[data-region]"),
+      treemap: this.modal.querySelector(".size-treemap"),
+      libraries: this.modal.querySelector(".size-libraries"),
+    };
+
+    this.elements.close?.addEventListener("click", () => this.hide());
+    this.modal.addEventListener("click", (e) => {
+      if (e.target === this.modal) this.hide();
+    });
+
+    this.elements.toggles.forEach((btn) => {
+      btn.addEventListener("click", () => {
+        this.region = btn.dataset.region;
+        this.render();
+      });
+    });
+  }
+
+  /**
+   * Fetch and show the size report for a build
+   * @param {string} slug - Build slug (BUILD_ROOT/<slug>)
+   * @param {string} [sketch] - Sketch name for the title
+   */
+  async open(slug, sketch = slug) {
+    if (!this.modal) return;
+
+    this.report = null;
+    if (this.elements.title) {
+      this.elements.title.textContent = `Size Report - ${sketch}`;
+    }
+    this.elements.summary.textContent = "Loading...";
+    this.elements.treemap.innerHTML = "";
+    this.elements.libraries.innerHTML = "";
+    this.modal.style.display = "flex";
+
+    try {
+      const res = await fetch(
+        `/api/artifacts/${encodeURIComponent(slug)}/size-report`
+      );
+      const data = await res.json();
+      if (!data.success) throw new Error(data.error || `HTTP ${res.status}`);
+
+      this.report = data;
+      this.render();
+    } catch (err) {
+      logger.error("Size report failed", err);
+      this.elements.summary.textContent = `⚠️ ${err.message}`;
+    }
+  }
+
+  hide() {
+    if (this.modal) this.modal.style.display = "none";
+  }
+
+  /**
+   * Render the current report for the selected region
+   */
+  render() {
+    if (!this.report) return;
+
+    const region = this.region;
+    const { totals, libraries, symbols, symbolCount, sourceInfo } = this.report;
+
+    this.elements.toggles.forEach((btn) =>
+      btn.classList.toggle("active", btn.dataset.region === region)
+    );
+
+    this.elements.summary.textContent =
+      `Flash: ${totals.flash} bytes · RAM: ${totals.ram} bytes · ` +
+      `${symbolCount} symbols` +
+      (sourceInfo ? "" : " · install the board's toolchain for library names");
+
+    const colors = new Map(
+      libraries.map((lib, i) => [
+        lib.name,
+        LIBRARY_COLORS[i % LIBRARY_COLORS.length],
+      ])
+    );
+
+    this.renderTreemap(symbols, region, colors);
+    this.renderLibraries(libraries, region, colors);
+  }
+
+  /**
+   * Draw the symbol treemap
+   * @param {object[]} symbols - Symbols from the report
+   * @param {'flash'|'ram'} region - Which usage to size by
+   * @param {Map<string, string>} colors - Library colour map
+   */
+  renderTreemap(symbols, region, colors) {
+    const container = this.elements.treemap;
+    const sized = symbols
+      .filter((s) => s[region] > 0)
+      .sort((a, b) => b[region] - a[region]);
+
+    const items = sized
+      .slice(0, MAX_TREEMAP_SYMBOLS)
+      .map((s) => ({ ...s, value: s[region] }));
+    const rest = sized.slice(MAX_TREEMAP_SYMBOLS);
+    if (rest.length) {
+      items.push({
+        name: `${rest.length} smaller symbols`,
+        library: "(other)",
+        value: rest.reduce((sum, s) => sum + s[region], 0),
+      });
+    }
+
+    if (items.length === 0) {
+      container.innerHTML = `<div class="empty-state">No ${region} usage</div>`;
+      return;
+    }
+
+    const { clientWidth: width, clientHeight: height } = container;
+    container.innerHTML = squarify(items, width, height)
+      .map(({ item, x, y, w, h }) => {
+        const label = w > 50 && h > 14 ? this.escapeHtml(item.name) : "";
+        const title = `${item.name}\n${item.library}${
+          item.file ? ` (${item.file})` : ""
+        }\n${item.value} bytes`;
+        return `<div class="size-cell" title="${this.escapeHtml(title)}"
+          style="left:${x}px;top:${y}px;width:${w}px;height:${h}px;background:${
+          colors.get(item.library) || "#555"
+        }">${label}</div>`;
+      })
+      .join("");
+  }
+
+  /**
+   * Render per-library totals
+   * @param {object[]} libraries - Library totals from the report
+   * @param {'flash'|'ram'} region - Which usage to sort by
+   * @param {Map<string, string>} colors - Library colour map
+   */
+  renderLibraries(libraries, region, colors) {
+    const rows = [...libraries]
+      .filter((lib) => lib[region] > 0)
+      .sort((a, b) => b[region] - a[region])
+      .map(
+        (lib) => `
+          <tr>
+            <td><span class="size-swatch" style="background:${colors.get(
+              lib.name
+            )}"></span>${this.escapeHtml(lib.name)}</td>
+            <td>${lib.flash}</td>
+            <td>${lib.ram}</td>
+            <td>${lib.symbols}</td>
+          </tr>`
+      )
+      .join("");
+
+    this.elements.libraries.innerHTML = `
+      <table>
+        <thead>
+          <tr><th>Library</th><th>Flash</th><th>RAM</th><th>Symbols</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text || "";
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Arduino Utilities Module
+ *
+ * Small helpers shared by the manager modules, kept here so modules that only
+ * need a helper don't import a whole manager:
+ * - Location of the arduino-cli data directory
+ * - Version comparison for core and library releases
+ */
+
+import os from "os";
+import path from "path";
+
+/**
+ * Arduino CLI data directory (indexes, packages/, staging/)
+ * @returns {string}
+ */
+export function arduinoDataDir() {
+  return (
+    process.env.ARDUINO_DIRECTORIES_DATA ||
+    path.join(os.homedir(), ".arduino15")
+  );
+}
+
+/**
+ * Compare semantic version strings
+ * @param {string} a - Version, e.g. "1.8.6"
+ * @param {string} b - Version to compare with
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+  const partsA = String(a)
+    .split(".")
+    .map((n) => parseInt(n, 10) || 0);
+  const partsB = String(b)
+    .split(".")
+    .map((n) => parseInt(n, 10) || 0);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const numA = partsA[i] || 0;
+    const numB = partsB[i] || 0;
+    if (numA !== numB) {
+      return numA - numB;
+    }
+  }
+  return 0;
+}
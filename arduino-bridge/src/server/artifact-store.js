@@ -0,0 +1,339 @@
+/**
+ * Artifact Store Module
+ *
+ * Keeps firmware builds after the next compile overwrites them and records
+ * what was flashed where:
+ * - Content-addressed copies of each artifact (SHA-256)
+ * - Build history per sketch with FQBN, time and git commit (last N kept)
+ * - Upload records with the board's VID/PID/serial number
+ * - "What's on my board" view: the latest upload per known board
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { Logger } from "../shared/Logger.js";
+
+/** @type {Logger} */
+const logger = new Logger("ArtifactStore");
+
+const execFileAsync = promisify(execFile);
+
+/** Index of builds and uploads inside the store */
+const HISTORY_FILE = "history.json";
+
+/** Builds kept per sketch before the oldest are removed */
+const MAX_BUILDS_PER_SKETCH = 10;
+
+/** Upload records kept in total */
+const MAX_UPLOADS = 500;
+
+/** Maximum time to wait for git */
+const GIT_TIMEOUT_MS = 5000;
+
+// =============================================================================
+// History File
+// =============================================================================
+
+/**
+ * Read the store index
+ * @param {string} storeRoot - Store directory
+ * @returns {{builds: object[], uploads: object[]}}
+ */
+function readHistory(storeRoot) {
+  try {
+    const data = JSON.parse(
+      fs.readFileSync(path.join(storeRoot, HISTORY_FILE), "utf8")
+    );
+    return {
+      builds: Array.isArray(data.builds) ? data.builds : [],
+      uploads: Array.isArray(data.uploads) ? data.uploads : [],
+    };
+  } catch (err) {
+    return { builds: [], uploads: [] };
+  }
+}
+
+/**
+ * Write the store index (via a temp file so a crash can't truncate it)
+ * @param {string} storeRoot - Store directory
+ * @param {{builds: object[], uploads: object[]}} history
+ */
+function writeHistory(storeRoot, history) {
+  const file = path.join(storeRoot, HISTORY_FILE);
+  fs.mkdirSync(storeRoot, { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(history, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Path of a stored artifact
+ * @param {string} storeRoot - Store directory
+ * @param {object} build - Build record
+ * @returns {string}
+ */
+function storedFilePath(storeRoot, build) {
+  return path.join(storeRoot, "files", build.file);
+}
+
+// =============================================================================
+// Builds
+// =============================================================================
+
+/**
+ * Look up the git commit of a sketch folder
+ * @param {string} sketchDir - Absolute sketch directory
+ * @returns {Promise<{commit: string, dirty: boolean}|null>} Null outside a repository
+ */
+async function readGitInfo(sketchDir) {
+  try {
+    const { stdout: commit } = await execFileAsync(
+      "git",
+      ["-C", sketchDir, "rev-parse", "HEAD"],
+      { timeout: GIT_TIMEOUT_MS }
+    );
+    const { stdout: status } = await execFileAsync(
+      "git",
+      ["-C", sketchDir, "status", "--porcelain", "--", "."],
+      { timeout: GIT_TIMEOUT_MS }
+    );
+    return { commit: commit.trim(), dirty: status.trim().length > 0 };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Copy a compiled artifact into the store and add it to the build history
+ *
+ * Rebuilding identical firmware moves the existing entry to the top
+ * instead of adding a duplicate.
+ *
+ * @param {string} storeRoot - Store directory
+ * @param {object} build - Build details
+ * @param {string} build.artifactPath - Compiled artifact to keep
+ * @param {string} build.sketch - Workspace-relative sketch path
+ * @param {string} build.sketchDir - Absolute sketch directory (for git)
+ * @param {string} build.fqbn - Board FQBN
+ * @param {string|null} [build.profile] - sketch.yaml profile used
+ * @returns {Promise<object>} The stored build record
+ * @throws {Error} If the artifact cannot be read or copied
+ */
+export async function recordBuild(storeRoot, build) {
+  const contents = fs.readFileSync(build.artifactPath);
+  const sha256 = crypto.createHash("sha256").update(contents).digest("hex");
+  const name = path.basename(build.artifactPath);
+  const file = `${sha256}${path.extname(name)}`;
+  const git = await readGitInfo(build.sketchDir);
+
+  const filesDir = path.join(storeRoot, "files");
+  fs.mkdirSync(filesDir, { recursive: true });
+  if (!fs.existsSync(path.join(filesDir, file))) {
+    fs.writeFileSync(path.join(filesDir, file), contents);
+  }
+
+  const record = {
+    sha256,
+    sketch: build.sketch,
+    fqbn: build.fqbn,
+    profile: build.profile || null,
+    name,
+    file,
+    size: contents.length,
+    builtAt: new Date().toISOString(),
+    git,
+  };
+
+  const history = readHistory(storeRoot);
+  history.builds = [
+    record,
+    ...history.builds.filter(
+      (b) =>
+        !(
+          b.sha256 === sha256 &&
+          b.sketch === record.sketch &&
+          b.fqbn === record.fqbn
+        )
+    ),
+  ];
+  pruneBuilds(storeRoot, history);
+  writeHistory(storeRoot, history);
+
+  logger.info(`Stored ${name} (${sha256.slice(0, 12)}) for ${build.sketch}`);
+  return record;
+}
+
+/**
+ * Drop builds beyond the per-sketch limit and delete unreferenced files
+ * @param {string} storeRoot - Store directory
+ * @param {{builds: object[]}} history - History to prune in place
+ */
+function pruneBuilds(storeRoot, history) {
+  const perSketch = new Map();
+  history.builds = history.builds.filter((b) => {
+    const count = (perSketch.get(b.sketch) || 0) + 1;
+    perSketch.set(b.sketch, count);
+    return count <= MAX_BUILDS_PER_SKETCH;
+  });
+
+  const referenced = new Set(history.builds.map((b) => b.file));
+  let entries = [];
+  try {
+    entries = fs.readdirSync(path.join(storeRoot, "files"));
+  } catch (err) {
+    return;
+  }
+  for (const entry of entries) {
+    if (!referenced.has(entry)) {
+      fs.rmSync(path.join(storeRoot, "files", entry), { force: true });
+    }
+  }
+}
+
+/**
+ * List stored builds, newest first
+ * @param {string} storeRoot - Store directory
+ * @param {object} [filter] - Filters
+ * @param {string} [filter.sketch] - Only builds of this sketch
+ * @returns {object[]}
+ */
+export function listBuilds(storeRoot, filter = {}) {
+  const { builds } = readHistory(storeRoot);
+  return filter.sketch
+    ? builds.filter((b) => b.sketch === filter.sketch)
+    : builds;
+}
+
+/**
+ * Find a stored build and its file
+ * @param {string} storeRoot - Store directory
+ * @param {string} sha256 - Artifact hash
+ * @returns {{build: object, filePath: string}|null}
+ */
+export function getStoredBuild(storeRoot, sha256) {
+  const build = readHistory(storeRoot).builds.find((b) => b.sha256 === sha256);
+  if (!build) return null;
+
+  const filePath = storedFilePath(storeRoot, build);
+  return fs.existsSync(filePath) ? { build, filePath } : null;
+}
+
+// =============================================================================
+// Uploads
+// =============================================================================
+
+/**
+ * Normalize a USB ID ("0x2341", "2341" or 9025) to 4 lowercase hex digits
+ * @param {string|number|null|undefined} id - USB vendor or product ID
+ * @returns {string|null}
+ */
+function normalizeUsbId(id) {
+  if (id == null || id === "") return null;
+  const value =
+    typeof id === "number" ? id : parseInt(String(id).replace(/^0x/i, ""), 16);
+  if (!Number.isInteger(value) || value < 0 || value > 0xffff) return null;
+  return value.toString(16).padStart(4, "0");
+}
+
+/**
+ * Identify a board across uploads
+ * @param {{vid: string|null, pid: string|null, serialNumber: string|null, port: string|null}} board
+ * @returns {string}
+ */
+function boardKey(board) {
+  if (board.vid && board.pid) {
+    return [board.vid, board.pid, board.serialNumber].filter(Boolean).join(":");
+  }
+  return board.port ? `port:${board.port}` : "unknown";
+}
+
+/**
+ * Record a successful upload
+ * @param {string} storeRoot - Store directory
+ * @param {object} upload - Upload details
+ * @param {string} upload.sha256 - Hash of the flashed artifact
+ * @param {object} [upload.board] - Board identity
+ * @param {string|number} [upload.board.vid] - USB vendor ID
+ * @param {string|number} [upload.board.pid] - USB product ID
+ * @param {string} [upload.board.serialNumber] - USB serial number (when known)
+ * @param {string} [upload.board.port] - Port name/path
+ * @param {string} [upload.fqbn] - FQBN used for the upload
+ * @param {string} [upload.method] - How it was flashed ('web-serial', 'arduino-cli')
+ * @returns {{success: boolean, upload?: object, error?: string}}
+ */
+export function recordUpload(storeRoot, upload) {
+  if (!/^[a-f0-9]{64}$/.test(upload?.sha256 || "")) {
+    return { success: false, error: "Invalid artifact hash" };
+  }
+
+  const history = readHistory(storeRoot);
+  const build = history.builds.find((b) => b.sha256 === upload.sha256);
+  const board = {
+    vid: normalizeUsbId(upload.board?.vid),
+    pid: normalizeUsbId(upload.board?.pid),
+    serialNumber: upload.board?.serialNumber
+      ? String(upload.board.serialNumber)
+      : null,
+    port: upload.board?.port ? String(upload.board.port) : null,
+  };
+
+  const record = {
+    sha256: upload.sha256,
+    sketch: build?.sketch || null,
+    fqbn: upload.fqbn || build?.fqbn || null,
+    board: { ...board, key: boardKey(board) },
+    method: upload.method || "web-serial",
+    flashedAt: new Date().toISOString(),
+  };
+
+  history.uploads = [record, ...history.uploads].slice(0, MAX_UPLOADS);
+  writeHistory(storeRoot, history);
+
+  logger.info(
+    `Recorded upload of ${upload.sha256.slice(0, 12)} to ${record.board.key}`
+  );
+  return { success: true, upload: record };
+}
+
+/**
+ * What each known board is running: its latest upload plus the build details
+ * @param {string} storeRoot - Store directory
+ * @returns {object[]} One entry per board, most recently flashed first
+ */
+export function listFlashedBoards(storeRoot) {
+  const { builds, uploads } = readHistory(storeRoot);
+  const boards = new Map();
+
+  for (const upload of uploads) {
+    const entry = boards.get(upload.board.key);
+    if (entry) {
+      entry.flashCount++;
+      continue;
+    }
+    const build = builds.find((b) => b.sha256 === upload.sha256) || null;
+    boards.set(upload.board.key, {
+      board: upload.board,
+      current: {
+        ...upload,
+        build,
+        // Re-flashing needs the stored file, which may have been pruned
+        available: Boolean(build),
+      },
+      flashCount: 1,
+    });
+  }
+
+  return [...boards.values()];
+}
+
+/**
+ * Recent uploads, newest first
+ * @param {string} storeRoot - Store directory
+ * @param {number} [limit=50] - Maximum records
+ * @returns {object[]}
+ */
+export function listUploads(storeRoot, limit = 50) {
+  return readHistory(storeRoot).uploads.slice(0, limit);
+}
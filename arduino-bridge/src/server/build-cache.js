@@ -0,0 +1,181 @@
+/**
+ * Build Cache Module
+ *
+ * Keeps arduino-cli build folders between compiles so only changed files rebuild:
+ * - One build folder per sketch slug + FQBN + installed library versions
+ *   (+ the pins of a sketch.yaml profile and any extra build properties)
+ * - Shared core cache (`--build-cache-path`) reused across sketches
+ * - Cache-hit detection via a marker written after successful builds
+ * - Least-recently-used pruning and full clear
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { Logger } from "../shared/Logger.js";
+
+/** @type {Logger} */
+const logger = new Logger("BuildCache");
+
+/** Marker written into a build folder after a successful compile */
+const MARKER_FILE = ".bridge-cache.json";
+
+/** Build folders kept before the least recently used are removed */
+const MAX_CACHED_BUILDS = 12;
+
+/**
+ * Hash the parts of a cache key
+ * @param {string[]} parts - Key components
+ * @returns {string} Short hex digest
+ */
+function hashKey(parts) {
+  return crypto
+    .createHash("sha256")
+    .update(parts.join("\n"))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Fingerprint the installed library set
+ * @param {Array<{name: string, installedVersion?: string}>} libraries - From listInstalledLibraries
+ * @returns {string} Stable `name@version` list
+ */
+function fingerprintLibraries(libraries) {
+  return libraries
+    .map((lib) => `${lib.name}@${lib.installedVersion || "?"}`)
+    .sort()
+    .join(",");
+}
+
+/**
+ * Resolve the cached build folder for a compile
+ * @param {object} params - Cache parameters
+ * @param {string} params.cacheRoot - Root directory for all cached builds
+ * @param {string} params.slug - Sketch slug
+ * @param {string} params.fqbn - Board FQBN (including options)
+ * @param {Array<object>} params.libraries - Installed libraries
+ * @param {string|null} [params.profile=null] - Profile name and pins when compiling with `--profile`
+ * @param {string[]} [params.buildProperties=[]] - Extra `--build-property` values
+ * @param {boolean} [params.clean=false] - Discard any existing build first
+ * @returns {{key: string, buildPath: string, coreCachePath: string, hit: boolean}}
+ */
+export function resolveBuildCache({
+  cacheRoot,
+  slug,
+  fqbn,
+  libraries,
+  profile = null,
+  buildProperties = [],
+  clean = false,
+}) {
+  const key = `${slug}-${hashKey([
+    slug,
+    fqbn,
+    fingerprintLibraries(libraries),
+    ...(profile ? [profile] : []),
+    ...buildProperties,
+  ])}`;
+  const buildPath = path.join(cacheRoot, "builds", key);
+  const coreCachePath = path.join(cacheRoot, "core");
+
+  if (clean) {
+    fs.rmSync(buildPath, { recursive: true, force: true });
+  }
+
+  const hit = fs.existsSync(path.join(buildPath, MARKER_FILE));
+  fs.mkdirSync(buildPath, { recursive: true });
+  fs.mkdirSync(coreCachePath, { recursive: true });
+
+  // Touch so LRU pruning sees this build as recently used
+  const now = new Date();
+  fs.utimesSync(buildPath, now, now);
+
+  return { key, buildPath, coreCachePath, hit };
+}
+
+/**
+ * Record a successful build so the next compile counts as a cache hit
+ * @param {string} buildPath - Build folder from resolveBuildCache
+ * @param {object} info - Details stored in the marker (sketch, fqbn, ...)
+ */
+export function markBuildComplete(buildPath, info) {
+  try {
+    fs.writeFileSync(
+      path.join(buildPath, MARKER_FILE),
+      JSON.stringify({ ...info, builtAt: new Date().toISOString() }, null, 2)
+    );
+  } catch (err) {
+    logger.warn(`Could not write cache marker: ${err.message}`);
+  }
+}
+
+/**
+ * Remove the least recently used build folders beyond the limit
+ * @param {string} cacheRoot - Root directory for all cached builds
+ * @param {number} [keep=MAX_CACHED_BUILDS] - Build folders to keep
+ * @returns {number} Number of folders removed
+ */
+export function pruneBuildCache(cacheRoot, keep = MAX_CACHED_BUILDS) {
+  const buildsDir = path.join(cacheRoot, "builds");
+  let entries;
+  try {
+    entries = fs
+      .readdirSync(buildsDir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => {
+        const dir = path.join(buildsDir, entry.name);
+        return { dir, mtime: fs.statSync(dir).mtimeMs };
+      });
+  } catch (err) {
+    return 0;
+  }
+
+  const stale = entries.sort((a, b) => b.mtime - a.mtime).slice(keep);
+  for (const { dir } of stale) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  if (stale.length) logger.info(`Pruned ${stale.length} cached builds`);
+  return stale.length;
+}
+
+/**
+ * Total size of a directory tree
+ * @param {string} dir - Directory
+ * @returns {number} Bytes
+ */
+function directorySize(dir) {
+  let total = 0;
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (err) {
+    return 0;
+  }
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += directorySize(full);
+    } else if (entry.isFile()) {
+      total += fs.statSync(full).size;
+    }
+  }
+  return total;
+}
+
+/**
+ * Delete every cached build and the shared core cache
+ * @param {string} cacheRoot - Root directory for all cached builds
+ * @returns {{success: boolean, freedBytes: number, error?: string}}
+ */
+export function clearBuildCache(cacheRoot) {
+  try {
+    const freedBytes = directorySize(cacheRoot);
+    fs.rmSync(cacheRoot, { recursive: true, force: true });
+    logger.info(`Cleared build cache (${freedBytes} bytes)`);
+    return { success: true, freedBytes };
+  } catch (err) {
+    logger.error("Failed to clear build cache", err);
+    return { success: false, freedBytes: 0, error: err.message };
+  }
+}
@@ -3,6 +3,7 @@
  *
  * Provides a robust wrapper around arduino-cli with:
  * - Timeout handling
+ * - Cancellation via AbortSignal
  * - Progress streaming
  * - Mutex for concurrent operation protection
  * - JSON output parsing
@@ -52,7 +53,8 @@ const cliMutex = new CliMutex();
  * @param {function} options.onProgress - Callback for progress data
  * @param {boolean} options.useMutex - Whether to use mutex (default: false)
  * @param {boolean} options.addJsonFlag - Whether to add --format json (default: true)
- * @returns {Promise<{success: boolean, data: object|null, log: string, duration: number, exitCode?: number}>}
+ * @param {AbortSignal} options.signal - Aborting kills the process (SIGTERM, then SIGKILL)
+ * @returns {Promise<{success: boolean, data: object|null, log: string, duration: number, exitCode?: number, cancelled?: boolean}>}
  */
 export async function executeCliCommand(args, options = {}) {
   const {
@@ -60,6 +62,7 @@ export async function executeCliCommand(args, options = {}) {
     onProgress = null,
     useMutex = false,
     addJsonFlag = true,
+    signal = null,
   } = options;
 
   const startTime = Date.now();
@@ -70,12 +73,30 @@ export async function executeCliCommand(args, options = {}) {
     await cliMutex.acquire();
   }
 
+  // Cancelled while waiting for the mutex - don't start the process at all
+  if (signal?.aborted) {
+    if (useMutex) cliMutex.release();
+    return {
+      success: false,
+      data: null,
+      log: "Command cancelled",
+      duration: (Date.now() - startTime) / 1000,
+      exitCode: -1,
+      cancelled: true,
+    };
+  }
+
   return new Promise((resolve) => {
     let stdout = "";
     let stderr = "";
     let resolved = false;
+    /** @type {'cancelled'|'timedOut'|null} Why the process was stopped */
+    let stopped = null;
 
     const cleanup = () => {
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
       if (useMutex) {
         cliMutex.release();
       }
@@ -94,20 +115,32 @@ export async function executeCliCommand(args, options = {}) {
       stdio: ["ignore", "pipe", "pipe"],
     });
 
+    // The result (and the mutex) waits for the process to exit: a killed
+    // install may still be writing to the data directory until then
+    const stop = (reason) => {
+      if (resolved || stopped) return;
+      stopped = reason;
+      clearTimeout(timeoutId);
+      child.kill("SIGTERM");
+      setTimeout(() => {
+        try {
+          child.kill("SIGKILL");
+        } catch (e) {
+          /* ignore */
+        }
+      }, 1000).unref();
+    };
+
+    function onAbort() {
+      stop("cancelled");
+    }
+
     // Set up timeout
-    const timeoutId = setTimeout(() => {
-      if (!resolved) {
-        child.kill("SIGTERM");
-        finalize({
-          success: false,
-          data: null,
-          log: `Command timed out after ${timeout}ms`,
-          duration: (Date.now() - startTime) / 1000,
-          exitCode: -1,
-          timedOut: true,
-        });
-      }
-    }, timeout);
+    const timeoutId = setTimeout(() => stop("timedOut"), timeout);
+
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
 
     child.stdout.on("data", (data) => {
       const chunk = data.toString();
@@ -137,8 +170,34 @@ export async function executeCliCommand(args, options = {}) {
       });
     });
 
+    // `exit`, not `close`: a grandchild can keep the pipes open after a kill
+    child.on("exit", () => {
+      if (!stopped) return;
+      const duration = (Date.now() - startTime) / 1000;
+      finalize(
+        stopped === "cancelled"
+          ? {
+              success: false,
+              data: null,
+              log: stderr || stdout || "Command cancelled",
+              duration,
+              exitCode: -1,
+              cancelled: true,
+            }
+          : {
+              success: false,
+              data: null,
+              log: `Command timed out after ${timeout}ms`,
+              duration,
+              exitCode: -1,
+              timedOut: true,
+            }
+      );
+    });
+
     child.on("close", (code) => {
       clearTimeout(timeoutId);
+      if (stopped) return;
       const duration = (Date.now() - startTime) / 1000;
 
       if (code === 0) {
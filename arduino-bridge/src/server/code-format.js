@@ -0,0 +1,278 @@
+/**
+ * Code Format Module
+ *
+ * Formats sketch sources with clang-format:
+ * - Finds the binary ($CLANG_FORMAT, a clang-format tool under
+ *   ~/.arduino15/packages, or clang-format on the PATH)
+ * - Uses the nearest .clang-format above the sketch (`--style=file`),
+ *   falling back to Google style like the repository's own config
+ * - Returns a unified diff per file and can write the result back
+ */
+
+import fs from "fs";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { Logger } from "../shared/Logger.js";
+import { arduinoDataDir } from "./arduino-utils.js";
+import { unifiedDiff } from "./text-diff.js";
+import {
+  listSketchFiles,
+  resolveSketchFile,
+  writeSketchFile,
+} from "./sketch-files.js";
+
+/** @type {Logger} */
+const logger = new Logger("Format");
+
+const execFileAsync = promisify(execFile);
+
+/** Files clang-format is run on */
+const FORMATTED_EXTENSIONS = new Set([".ino", ".cpp", ".c", ".h", ".hpp"]);
+
+/** Style used when no .clang-format is found */
+const FALLBACK_STYLE = "Google";
+
+/** Per-file timeout */
+const FORMAT_TIMEOUT_MS = 15000;
+
+/** Style file names clang-format looks for */
+const STYLE_FILE_NAMES = [".clang-format", "_clang-format"];
+
+/** @type {{path: string, version: string}|null|undefined} Cached lookup */
+let formatter;
+
+// =============================================================================
+// Formatter Lookup
+// =============================================================================
+
+/**
+ * Candidate clang-format binaries, most preferred first
+ * @returns {string[]}
+ */
+function candidateBinaries() {
+  const binary =
+    process.platform === "win32" ? "clang-format.exe" : "clang-format";
+  const candidates = [];
+  if (process.env.CLANG_FORMAT) candidates.push(process.env.CLANG_FORMAT);
+
+  const list = (dir) => {
+    try {
+      return fs.readdirSync(dir);
+    } catch (e) {
+      return [];
+    }
+  };
+
+  // packages/<vendor>/tools/<tool>/<version>/[bin/]clang-format
+  const packagesDir = path.join(arduinoDataDir(), "packages");
+  const bundled = [];
+  for (const vendor of list(packagesDir)) {
+    const toolsDir = path.join(packagesDir, vendor, "tools");
+    for (const tool of list(toolsDir)) {
+      for (const version of list(path.join(toolsDir, tool))) {
+        for (const sub of ["", "bin"]) {
+          const file = path.join(toolsDir, tool, version, sub, binary);
+          if (fs.existsSync(file)) bundled.push({ file, version });
+        }
+      }
+    }
+  }
+  // Newest tool version first, whichever vendor ships it
+  bundled.sort((a, b) =>
+    b.version.localeCompare(a.version, undefined, { numeric: true })
+  );
+  candidates.push(...bundled.map((entry) => entry.file));
+
+  for (const dir of (process.env.PATH || "").split(path.delimiter)) {
+    if (dir) candidates.push(path.join(dir, binary));
+  }
+  return candidates;
+}
+
+/**
+ * Find a working clang-format (cached after the first successful lookup)
+ * @returns {Promise<{path: string, version: string}|null>}
+ */
+export async function findClangFormat() {
+  if (formatter) return formatter;
+
+  for (const candidate of candidateBinaries()) {
+    if (!fs.existsSync(candidate)) continue;
+    try {
+      const { stdout } = await execFileAsync(candidate, ["--version"], {
+        timeout: 5000,
+      });
+      const version = stdout.match(/version\s+([\d.]+)/)?.[1] || "unknown";
+      formatter = { path: candidate, version };
+      logger.info(`Using clang-format ${version} at ${candidate}`);
+      return formatter;
+    } catch (err) {
+      logger.warn(`Skipping ${candidate}: ${err.message}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Nearest clang-format style file at or above a directory
+ * @param {string} dir - Absolute directory
+ * @returns {string|null}
+ */
+export function findStyleFile(dir) {
+  let current = dir;
+  for (;;) {
+    for (const name of STYLE_FILE_NAMES) {
+      const file = path.join(current, name);
+      if (fs.existsSync(file)) return file;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+// =============================================================================
+// Formatting
+// =============================================================================
+
+/**
+ * Run clang-format on source text
+ * @param {string} binary - clang-format path
+ * @param {string} content - Source to format
+ * @param {string} assumeFile - Absolute path the source belongs to (picks the
+ *   language and the .clang-format to use)
+ * @returns {Promise<string>} Formatted source
+ */
+async function runClangFormat(binary, content, assumeFile) {
+  // .ino is C++, but clang-format only knows that from the extension
+  const assumed = /\.ino$/i.test(assumeFile) ? `${assumeFile}.cpp` : assumeFile;
+  const run = execFileAsync(
+    binary,
+    [
+      "--style=file",
+      `--fallback-style=${FALLBACK_STYLE}`,
+      `--assume-filename=${assumed}`,
+    ],
+    { timeout: FORMAT_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 }
+  );
+  // EPIPE if clang-format exits early; the failure surfaces through `run`
+  run.child.stdin.on("error", () => {});
+  run.child.stdin.end(content);
+  const { stdout } = await run;
+  return stdout;
+}
+
+/**
+ * Format a sketch's source files
+ * @param {string} sketchDir - Absolute sketch directory
+ * @param {object} [options] - Format options
+ * @param {string} [options.file] - Only this sketch-relative file (default: all sources)
+ * @param {Object<string, string>} [options.contents] - Unsaved file contents by
+ *   path, used instead of what is on disk
+ * @param {boolean} [options.apply=false] - Write the formatted files
+ * @returns {Promise<{success: boolean, formatter?: object, styleFile?: string|null, files?: Array<{path: string, changed: boolean, diff: string, content?: string}>, changed?: number, applied?: boolean, error?: string, status?: number}>}
+ */
+export async function formatSketch(sketchDir, options = {}) {
+  const { file = null, contents = {}, apply = false } = options;
+
+  const clangFormat = await findClangFormat();
+  if (!clangFormat) {
+    return {
+      success: false,
+      status: 503,
+      error:
+        "clang-format not found. Install it (e.g. apt install clang-format) or set CLANG_FORMAT to its path",
+    };
+  }
+
+  let paths;
+  if (file) {
+    const resolved = resolveSketchFile(sketchDir, file);
+    if (!resolved) {
+      return { success: false, status: 400, error: "Invalid file path" };
+    }
+    if (
+      !FORMATTED_EXTENSIONS.has(path.extname(resolved.normalized).toLowerCase())
+    ) {
+      return {
+        success: false,
+        status: 400,
+        error: "Only .ino, .cpp, .c, .h and .hpp files can be formatted",
+      };
+    }
+    paths = [resolved.normalized];
+  } else {
+    paths = listSketchFiles(sketchDir)
+      .map((entry) => entry.path)
+      .filter((p) => FORMATTED_EXTENSIONS.has(path.extname(p).toLowerCase()));
+  }
+
+  const files = [];
+  for (const relativePath of paths) {
+    const absolutePath = path.join(sketchDir, relativePath);
+    let original;
+    if (typeof contents[relativePath] === "string") {
+      original = contents[relativePath];
+    } else if (fs.existsSync(absolutePath)) {
+      original = fs.readFileSync(absolutePath, "utf8");
+    } else {
+      return {
+        success: false,
+        status: 404,
+        error: `${relativePath} not found`,
+      };
+    }
+
+    let formatted;
+    try {
+      formatted = await runClangFormat(
+        clangFormat.path,
+        original,
+        absolutePath
+      );
+    } catch (err) {
+      logger.error(`clang-format failed on ${relativePath}`, err);
+      return {
+        success: false,
+        status: 422,
+        error: `clang-format failed on ${relativePath}: ${
+          err.stderr?.trim() || err.message
+        }`,
+      };
+    }
+
+    const changed = formatted !== original;
+    files.push({
+      path: relativePath,
+      changed,
+      diff: changed ? unifiedDiff(relativePath, original, formatted) : "",
+      ...(changed ? { content: formatted } : {}),
+    });
+  }
+
+  if (apply) {
+    for (const entry of files.filter((f) => f.changed)) {
+      const result = writeSketchFile(sketchDir, entry.path, entry.content);
+      if (!result.success) {
+        return { ...result, error: `${entry.path}: ${result.error}` };
+      }
+    }
+  }
+
+  const changed = files.filter((f) => f.changed).length;
+  logger.info(
+    `${apply ? "Formatted" : "Checked"} ${
+      files.length
+    } file(s) in ${path.basename(sketchDir)}, ${changed} changed`
+  );
+
+  return {
+    success: true,
+    formatter: clangFormat,
+    styleFile: findStyleFile(sketchDir),
+    files,
+    changed,
+    applied: apply,
+  };
+}
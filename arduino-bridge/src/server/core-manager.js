@@ -10,6 +10,8 @@
  */
 
 import { executeCliCommand, parseCliError } from "./cli-executor.js";
+import { compareVersions } from "./arduino-utils.js";
+import { getMirrorMode, fetchIndexesFromMirror } from "./mirror-client.js";
 
 // Track last index update time (in-memory, resets on server restart)
 let lastCoreIndexUpdate = null;
@@ -144,13 +146,28 @@ export function getCoreIndexStatus() {
 /**
  * Update the core/board index
  * @param {function} onProgress - Progress callback
- * @returns {Promise<{success: boolean, log: string, duration: number}>}
+ * @param {AbortSignal} signal - Aborting cancels the operation
+ * @returns {Promise<{success: boolean, log: string, duration: number, error?: string}>}
  */
-export async function updateCoreIndex(onProgress = null) {
+export async function updateCoreIndex(onProgress = null, signal = null) {
+  // Offline mirror: the indexes come from the mirror, not downloads.arduino.cc
+  const mirror = getMirrorMode();
+  if (mirror) {
+    const mirrored = await fetchIndexesFromMirror(
+      mirror.url,
+      "package",
+      onProgress,
+      signal
+    );
+    if (mirrored.success) lastCoreIndexUpdate = Date.now();
+    return mirrored;
+  }
+
   const result = await executeCliCommand(["core", "update-index"], {
     timeout: 60000, // 1 minute for index update
     onProgress,
     useMutex: true,
+    signal,
   });
 
   if (result.success) {
@@ -161,6 +178,7 @@ export async function updateCoreIndex(onProgress = null) {
     success: result.success,
     log: result.log || result.rawOutput || "",
     duration: result.duration,
+    error: result.success ? undefined : parseCliError(result.log),
   };
 }
 
@@ -224,12 +242,14 @@ export async function listInstalledCores() {
  * @param {string} platformId - Platform ID (e.g., 'arduino:avr')
  * @param {string} version - Optional version to install
  * @param {function} onProgress - Progress callback
+ * @param {AbortSignal} signal - Aborting cancels the operation
  * @returns {Promise<{success: boolean, log: string, duration: number, error?: string}>}
  */
 export async function installCore(
   platformId,
   version = null,
-  onProgress = null
+  onProgress = null,
+  signal = null
 ) {
   if (!platformId || !isValidPlatformId(platformId)) {
     return {
@@ -247,6 +267,7 @@ export async function installCore(
     timeout: 180000, // 3 minutes for large cores
     onProgress,
     useMutex: true,
+    signal,
   });
 
   return {
@@ -261,9 +282,14 @@ export async function installCore(
  * Upgrade a core/platform to latest version
  * @param {string} platformId - Platform ID (e.g., 'arduino:avr')
  * @param {function} onProgress - Progress callback
+ * @param {AbortSignal} signal - Aborting cancels the operation
  * @returns {Promise<{success: boolean, log: string, duration: number, error?: string}>}
  */
-export async function upgradeCore(platformId, onProgress = null) {
+export async function upgradeCore(
+  platformId,
+  onProgress = null,
+  signal = null
+) {
   if (!platformId || !isValidPlatformId(platformId)) {
     return {
       success: false,
@@ -277,6 +303,7 @@ export async function upgradeCore(platformId, onProgress = null) {
     timeout: 180000,
     onProgress,
     useMutex: true,
+    signal,
   });
 
   return {
@@ -350,21 +377,4 @@ function isValidPlatformId(id) {
   return /^[a-zA-Z0-9_-]+:[a-zA-Z0-9_-]+$/.test(id);
 }
 
-/**
- * Compare semantic version strings
- */
-function compareVersions(a, b) {
-  const partsA = a.split(".").map((n) => parseInt(n, 10) || 0);
-  const partsB = b.split(".").map((n) => parseInt(n, 10) || 0);
-
-  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
-    const numA = partsA[i] || 0;
-    const numB = partsB[i] || 0;
-    if (numA !== numB) {
-      return numA - numB;
-    }
-  }
-  return 0;
-}
-
 export { lastCoreIndexUpdate };
@@ -0,0 +1,245 @@
+/**
+ * Compiler Diagnostics Module
+ *
+ * Turns GCC/Clang output from arduino-cli into structured problems:
+ * - Parses `file:line:column: severity: message` diagnostics (and linker errors)
+ * - Attaches `note:` lines to the diagnostic they belong to
+ * - Maps build-directory paths back to sketch-relative paths
+ * - Remaps lines in generated `.ino.cpp` files to the original `.ino` lines
+ * - Extracts the flash/RAM usage summary printed after a build
+ */
+
+import fs from "fs";
+import path from "path";
+
+/** Matches `file:line[:column]: severity: message` (GCC and Clang) */
+const DIAGNOSTIC_PATTERN =
+  /^(.+?):(\d+)(?::(\d+))?:\s+(fatal error|error|warning|note):\s+(.*)$/;
+
+/** Matches linker errors that carry a source location but no severity */
+const LINKER_PATTERN =
+  /^(.+?):(\d+):\s+((?:undefined reference to|multiple definition of)\s.*)$/;
+
+/** Matches `#line N "file"` directives in preprocessed sketch sources */
+const LINE_DIRECTIVE_PATTERN = /^\s*#line\s+(\d+)\s+"(.+)"\s*$/;
+
+/** Matches arduino-cli's default build folder (…/sketches/<hash>/sketch/…) */
+const DEFAULT_BUILD_SKETCH_PATTERN =
+  /[\\/]sketches[\\/][^\\/]+[\\/]sketch[\\/](.+)$/;
+
+/** Matches "Sketch uses N bytes (X%) of program storage space. Maximum is M bytes." */
+const FLASH_USAGE_PATTERN =
+  /Sketch uses (\d+) bytes(?: \((\d+)%\))? of program storage space\.(?: Maximum is (\d+) bytes\.)?/;
+
+/** Matches "Global variables use N bytes (X%) of dynamic memory, ... Maximum is M bytes." */
+const RAM_USAGE_PATTERN =
+  /Global variables use (\d+) bytes(?: \((\d+)%\))? of dynamic memory(?:[^.]*)\.(?: Maximum is (\d+) bytes\.)?/;
+
+/**
+ * Read the `#line` directives of a generated `.ino.cpp` file
+ * @param {string} cppPath - Absolute path of the generated file
+ * @returns {Array<{at: number, line: number, file: string}>|null} Directives in file order
+ */
+function readLineDirectives(cppPath) {
+  let content;
+  try {
+    content = fs.readFileSync(cppPath, "utf8");
+  } catch (err) {
+    return null;
+  }
+
+  const directives = [];
+  content.split(/\r?\n/).forEach((text, index) => {
+    const match = text.match(LINE_DIRECTIVE_PATTERN);
+    if (match) {
+      directives.push({
+        at: index + 1,
+        line: parseInt(match[1], 10),
+        file: match[2].replace(/\\\\/g, "\\"),
+      });
+    }
+  });
+  return directives;
+}
+
+/**
+ * Map a line in a generated `.ino.cpp` file back to its original source
+ * @param {Array<{at: number, line: number, file: string}>} directives - From readLineDirectives
+ * @param {number} line - 1-based line in the generated file
+ * @returns {{file: string, line: number}|null}
+ */
+function remapGeneratedLine(directives, line) {
+  let active = null;
+  for (const directive of directives) {
+    if (directive.at >= line) break;
+    active = directive;
+  }
+  if (!active) return null;
+
+  // The line after `#line N` is line N of the named file
+  return { file: active.file, line: active.line + (line - active.at - 1) };
+}
+
+/**
+ * Create a resolver that maps compiler paths to sketch-relative locations
+ * @param {object} options - Resolver options
+ * @param {string} options.sketchPath - Absolute sketch directory
+ * @param {string} [options.buildPath] - Build directory passed to arduino-cli (if any)
+ * @returns {function(string, number): {file: string, line: number}}
+ */
+function createLocationResolver({ sketchPath, buildPath = null }) {
+  const directiveCache = new Map();
+  const buildSketchDir = buildPath ? path.join(buildPath, "sketch") : null;
+
+  /** Path relative to the build's copy of the sketch, or null */
+  const relativeToBuild = (file) => {
+    if (buildSketchDir) {
+      const relative = path.relative(buildSketchDir, file);
+      if (!relative.startsWith("..") && !path.isAbsolute(relative)) {
+        return relative;
+      }
+    }
+    const match = file.match(DEFAULT_BUILD_SKETCH_PATTERN);
+    return match ? match[1] : null;
+  };
+
+  /** Sketch-relative path with forward slashes, or the input if outside */
+  const toSketchRelative = (file) => {
+    if (!sketchPath || !path.isAbsolute(file)) return file;
+    const relative = path.relative(sketchPath, file);
+    if (relative.startsWith("..") || path.isAbsolute(relative)) return file;
+    return relative.split(path.sep).join("/");
+  };
+
+  return (file, line) => {
+    let resolvedFile = file;
+    let resolvedLine = line;
+
+    if (file.endsWith(".ino.cpp")) {
+      if (!directiveCache.has(file)) {
+        directiveCache.set(file, readLineDirectives(file));
+      }
+      const directives = directiveCache.get(file);
+      const mapped = directives && remapGeneratedLine(directives, line);
+      if (mapped) {
+        resolvedFile = mapped.file;
+        resolvedLine = mapped.line;
+      }
+    }
+
+    // Other sketch files are compiled from the build folder's copy
+    const buildRelative = relativeToBuild(resolvedFile);
+    if (buildRelative && sketchPath) {
+      // A generated .ino.cpp that could not be remapped still names its .ino
+      resolvedFile = path.join(
+        sketchPath,
+        buildRelative.replace(/\.ino\.cpp$/, ".ino")
+      );
+    }
+
+    return { file: toSketchRelative(resolvedFile), line: resolvedLine };
+  };
+}
+
+/**
+ * Parse compiler output into structured diagnostics
+ *
+ * Notes (`note:` lines) are attached to the preceding error or warning.
+ * Identical diagnostics (arduino-cli may print them more than once) are
+ * reported once.
+ *
+ * @param {string} log - Combined compiler stdout/stderr
+ * @param {object} options - Path mapping options
+ * @param {string} options.sketchPath - Absolute sketch directory
+ * @param {string} [options.buildPath] - Build directory passed to arduino-cli (if any)
+ * @returns {Array<{file: string, line: number, column: number|null, severity: string, message: string, notes: Array<{file: string, line: number, column: number|null, message: string}>}>}
+ */
+export function parseDiagnostics(log, options = {}) {
+  if (!log) return [];
+
+  const resolveLocation = createLocationResolver(options);
+  const diagnostics = [];
+  const seen = new Set();
+  let current = null;
+
+  for (const rawLine of log.split(/\r?\n/)) {
+    const text = rawLine.trimEnd();
+    let match = text.match(DIAGNOSTIC_PATTERN);
+    let severity;
+    let file;
+    let line;
+    let column = null;
+    let message;
+
+    if (match) {
+      [, file, line, column, severity, message] = match;
+      column = column ? parseInt(column, 10) : null;
+      if (severity === "fatal error") severity = "error";
+    } else if ((match = text.match(LINKER_PATTERN))) {
+      [, file, line, message] = match;
+      severity = "error";
+    } else {
+      continue;
+    }
+
+    const location = resolveLocation(file, parseInt(line, 10));
+
+    if (severity === "note") {
+      // Orphan notes (no preceding diagnostic) are dropped
+      if (current) {
+        current.notes.push({ ...location, column, message });
+      }
+      continue;
+    }
+
+    const key = `${location.file}:${location.line}:${column}:${severity}:${message}`;
+    if (seen.has(key)) {
+      // Skip the duplicate and its notes
+      current = null;
+      continue;
+    }
+    seen.add(key);
+
+    current = { ...location, column, severity, message, notes: [] };
+    diagnostics.push(current);
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Build a usage entry from a size-summary match
+ * @param {RegExpMatchArray|null} match - [_, used, percent, max]
+ * @returns {{used: number, max: number|null, percent: number|null}|null}
+ */
+function toUsage(match) {
+  if (!match) return null;
+
+  const used = parseInt(match[1], 10);
+  const max = match[3] ? parseInt(match[3], 10) : null;
+  let percent = match[2] ? parseInt(match[2], 10) : null;
+  if (max) {
+    percent = Math.round((used / max) * 1000) / 10;
+  }
+  return { used, max, percent };
+}
+
+/**
+ * Extract flash and RAM usage from arduino-cli's build summary
+ *
+ * Boards whose platform does not print a maximum report `max` and
+ * `percent` as null. Returns null when no summary was printed (e.g.,
+ * the compile failed).
+ *
+ * @param {string} log - Combined compiler stdout/stderr
+ * @returns {{flash: {used: number, max: number|null, percent: number|null}|null, ram: {used: number, max: number|null, percent: number|null}|null}|null}
+ */
+export function parseMemoryUsage(log) {
+  if (!log) return null;
+
+  const flash = toUsage(log.match(FLASH_USAGE_PATTERN));
+  const ram = toUsage(log.match(RAM_USAGE_PATTERN));
+  if (!flash && !ram) return null;
+
+  return { flash, ram };
+}
@@ -0,0 +1,437 @@
+/**
+ * Header Index Module
+ *
+ * Maps every header a library ships to the libraries that provide it:
+ * - Built from `providesIncludes` of each library's newest release in
+ *   library_index.json, plus the libraries bundled with installed platforms
+ *   (packages/<vendor>/hardware/<arch>/<version>/libraries)
+ * - Matches for each header are ranked when the index is built: a library
+ *   named like the header first, then official libraries, then the most
+ *   released ones. Bundled platform libraries come last (they cannot be
+ *   installed on their own)
+ * - Persisted next to library_index.json and rebuilt when the library index
+ *   is updated or the installed platforms change
+ */
+
+import fs from "fs";
+import path from "path";
+import { Logger } from "../shared/Logger.js";
+import { arduinoDataDir, compareVersions } from "./arduino-utils.js";
+
+/** @type {Logger} */
+const logger = new Logger("HeaderIndex");
+
+/** File written next to library_index.json */
+const HEADER_INDEX_FILE = "library_headers_index.json";
+
+/** Bumped when the file layout or ranking changes */
+const HEADER_INDEX_VERSION = 1;
+
+/** Matches returned per header by default */
+const DEFAULT_MATCH_LIMIT = 5;
+
+/** Library `types` ranked above contributed libraries */
+const TYPE_RANK = { Arduino: 2, Partner: 1, Recommended: 1 };
+
+/** Header file extensions */
+const HEADER_EXTENSION_PATTERN = /\.(h|hh|hpp|hxx)$/i;
+
+/** @type {{index: object, byLowerCase: Map<string, string>, indexedNames: Set<string>}|null} Loaded index */
+let loaded = null;
+
+/** @type {Promise<object|null>|null} Build in progress */
+let building = null;
+
+/**
+ * Normalize a library name for comparison
+ * @param {string} name - Library name to normalize
+ * @returns {string} Normalized name (lowercase, alphanumeric only)
+ */
+export function normalizeLibraryName(name) {
+  return (name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Header name without its extension, normalized like library names
+ * @param {string} header - e.g. "Adafruit_SSD1306.h"
+ * @returns {string}
+ */
+export function headerKey(header) {
+  return normalizeLibraryName(header.replace(HEADER_EXTENSION_PATTERN, ""));
+}
+
+// =============================================================================
+// Sources
+// =============================================================================
+
+/**
+ * Newest release of every library in library_index.json
+ * @param {string} indexFile - Absolute path to library_index.json
+ * @returns {Promise<Array<{name: string, version: string, author: string, sentence: string, types: string[], releases: number, headers: string[]}>>}
+ */
+async function readLibraryIndex(indexFile) {
+  const data = JSON.parse(await fs.promises.readFile(indexFile, "utf8"));
+  const byName = new Map();
+
+  // One entry per release; keep the newest and count the rest
+  for (const release of data.libraries || []) {
+    if (!release.name) continue;
+    const current = byName.get(release.name);
+    if (current) {
+      current.releases++;
+      if (compareVersions(release.version, current.release.version) <= 0) {
+        continue;
+      }
+      current.release = release;
+    } else {
+      byName.set(release.name, { release, releases: 1 });
+    }
+  }
+
+  return [...byName.values()].map(({ release, releases }) => ({
+    name: release.name,
+    version: release.version,
+    author: release.author || "Unknown",
+    sentence: release.sentence || "",
+    types: release.types || [],
+    releases,
+    headers: release.providesIncludes || release.provides_includes || [],
+  }));
+}
+
+/**
+ * Installed platform folders (packages/<vendor>/hardware/<arch>/<version>)
+ * @returns {Array<{id: string, version: string, dir: string}>}
+ */
+function listInstalledPlatforms() {
+  const packagesDir = path.join(arduinoDataDir(), "packages");
+  const list = (dir) => {
+    try {
+      return fs.readdirSync(dir);
+    } catch (e) {
+      return [];
+    }
+  };
+
+  const platforms = [];
+  for (const vendor of list(packagesDir)) {
+    const hardwareDir = path.join(packagesDir, vendor, "hardware");
+    for (const arch of list(hardwareDir)) {
+      for (const version of list(path.join(hardwareDir, arch))) {
+        platforms.push({
+          id: `${vendor}:${arch}`,
+          version,
+          dir: path.join(hardwareDir, arch, version),
+        });
+      }
+    }
+  }
+  return platforms;
+}
+
+/**
+ * Headers a library folder provides: `includes=` from library.properties,
+ * otherwise the headers in src/ (or the folder itself for old-style libraries)
+ * @param {string} libraryDir - Absolute library folder
+ * @returns {{name: string, sentence: string, author: string, headers: string[]}}
+ */
+function readBundledLibrary(libraryDir) {
+  const properties = {};
+  try {
+    const text = fs.readFileSync(
+      path.join(libraryDir, "library.properties"),
+      "utf8"
+    );
+    for (const line of text.split(/\r?\n/)) {
+      const match = line.match(/^\s*([\w.]+)\s*=\s*(.*)$/);
+      if (match) properties[match[1]] = match[2].trim();
+    }
+  } catch (e) {
+    // No library.properties: legacy library, name comes from the folder
+  }
+
+  let headers = (properties.includes || "")
+    .split(",")
+    .map((header) => header.trim())
+    .filter(Boolean);
+  if (headers.length === 0) {
+    const srcDir = path.join(libraryDir, "src");
+    const dir = fs.existsSync(srcDir) ? srcDir : libraryDir;
+    try {
+      headers = fs
+        .readdirSync(dir)
+        .filter((file) => HEADER_EXTENSION_PATTERN.test(file));
+    } catch (e) {
+      headers = [];
+    }
+  }
+
+  return {
+    name: properties.name || path.basename(libraryDir),
+    sentence: properties.sentence || "",
+    author: properties.author || "Unknown",
+    headers,
+  };
+}
+
+/**
+ * Libraries bundled with the installed platforms
+ * @param {Array<{id: string, version: string, dir: string}>} platforms
+ * @returns {Array<object>} Same shape as readLibraryIndex() plus `platform`
+ */
+function readBundledLibraries(platforms) {
+  const libraries = [];
+  for (const platform of platforms) {
+    const librariesDir = path.join(platform.dir, "libraries");
+    let entries = [];
+    try {
+      entries = fs.readdirSync(librariesDir, { withFileTypes: true });
+    } catch (e) {
+      continue;
+    }
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+      const library = readBundledLibrary(path.join(librariesDir, entry.name));
+      libraries.push({
+        ...library,
+        version: platform.version,
+        types: [],
+        releases: 0,
+        platform: platform.id,
+      });
+    }
+  }
+  return libraries;
+}
+
+// =============================================================================
+// Building
+// =============================================================================
+
+/**
+ * Ranking of two libraries that provide the same header (best first)
+ * @param {string} key - headerKey() of the header
+ * @returns {function(object, object): number}
+ */
+function compareMatches(key) {
+  const score = (library) => {
+    const name = normalizeLibraryName(library.name);
+    return [
+      library.platform ? 0 : 1,
+      name === key ? 1 : 0,
+      name.startsWith(key) ? 1 : 0,
+      Math.max(0, ...library.types.map((type) => TYPE_RANK[type] || 0)),
+      library.releases,
+    ];
+  };
+
+  return (a, b) => {
+    const scoreA = score(a);
+    const scoreB = score(b);
+    for (let i = 0; i < scoreA.length; i++) {
+      if (scoreA[i] !== scoreB[i]) return scoreB[i] - scoreA[i];
+    }
+    return a.name.localeCompare(b.name);
+  };
+}
+
+/**
+ * What the persisted index was built from, to tell when it is stale
+ * @returns {{libraryIndexMtime: number|null, platforms: string[]}}
+ */
+function currentSources() {
+  let libraryIndexMtime = null;
+  try {
+    libraryIndexMtime = fs.statSync(
+      path.join(arduinoDataDir(), "library_index.json")
+    ).mtimeMs;
+  } catch (e) {
+    // Library index not downloaded yet
+  }
+  return {
+    libraryIndexMtime,
+    platforms: listInstalledPlatforms()
+      .map((platform) => `${platform.id}@${platform.version}`)
+      .sort(),
+  };
+}
+
+/**
+ * Build the header index and write it to disk
+ * @returns {Promise<object|null>} The index, or null without a library index
+ *   or installed platform to build it from
+ */
+async function buildHeaderIndex() {
+  const dataDir = arduinoDataDir();
+  const indexFile = path.join(dataDir, "library_index.json");
+  const sources = currentSources();
+  const platforms = listInstalledPlatforms();
+
+  const libraries = [];
+  if (sources.libraryIndexMtime !== null) {
+    libraries.push(...(await readLibraryIndex(indexFile)));
+  }
+  libraries.push(...readBundledLibraries(platforms));
+  if (libraries.length === 0) return null;
+
+  const headers = {};
+  libraries.forEach((library, id) => {
+    for (const header of new Set(library.headers)) {
+      (headers[header] ||= []).push(id);
+    }
+  });
+  for (const [header, ids] of Object.entries(headers)) {
+    const compare = compareMatches(headerKey(header));
+    ids.sort((a, b) => compare(libraries[a], libraries[b]));
+  }
+
+  const index = {
+    version: HEADER_INDEX_VERSION,
+    generatedAt: new Date().toISOString(),
+    ...sources,
+    libraries: libraries.map(({ headers, ...library }) => library),
+    headers,
+  };
+
+  const file = path.join(dataDir, HEADER_INDEX_FILE);
+  try {
+    await fs.promises.mkdir(dataDir, { recursive: true });
+    await fs.promises.writeFile(file, JSON.stringify(index));
+  } catch (err) {
+    logger.warn(`Could not write ${file}: ${err.message}`);
+  }
+
+  logger.info(
+    `Indexed ${Object.keys(headers).length} headers from ${
+      libraries.length
+    } libraries`
+  );
+  return index;
+}
+
+/**
+ * Keep an index in memory with a case-insensitive header lookup
+ * @param {object} index
+ * @returns {object} The index
+ */
+function useIndex(index) {
+  const byLowerCase = new Map();
+  for (const header of Object.keys(index.headers)) {
+    byLowerCase.set(header.toLowerCase(), header);
+  }
+  const indexedNames = new Set(
+    index.libraries
+      .filter((library) => !library.platform)
+      .map((library) => library.name)
+  );
+  loaded = { index, byLowerCase, indexedNames };
+  return index;
+}
+
+/**
+ * Check whether an index was built from the current sources
+ * @param {object} index
+ * @returns {boolean}
+ */
+function isCurrent(index) {
+  const sources = currentSources();
+  return (
+    index.version === HEADER_INDEX_VERSION &&
+    index.libraryIndexMtime === sources.libraryIndexMtime &&
+    index.platforms.join(",") === sources.platforms.join(",")
+  );
+}
+
+/**
+ * Rebuild the header index (after the library index was updated)
+ * @returns {Promise<{success: boolean, headers?: number, libraries?: number, error?: string}>}
+ */
+export async function rebuildHeaderIndex() {
+  if (!building) {
+    building = buildHeaderIndex().finally(() => {
+      building = null;
+    });
+  }
+
+  try {
+    const index = await building;
+    if (!index) {
+      loaded = null;
+      return { success: false, error: "Library index not downloaded" };
+    }
+    useIndex(index);
+    return {
+      success: true,
+      headers: Object.keys(index.headers).length,
+      libraries: index.libraries.length,
+    };
+  } catch (err) {
+    logger.error("Header index build failed", err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * The current header index: from memory, from disk, or freshly built
+ * @returns {Promise<object|null>}
+ */
+async function getHeaderIndex() {
+  if (loaded && isCurrent(loaded.index)) return loaded.index;
+
+  const file = path.join(arduinoDataDir(), HEADER_INDEX_FILE);
+  try {
+    const index = JSON.parse(await fs.promises.readFile(file, "utf8"));
+    if (isCurrent(index)) return useIndex(index);
+  } catch (e) {
+    // Missing or unreadable, build it
+  }
+
+  const result = await rebuildHeaderIndex();
+  return result.success ? loaded.index : null;
+}
+
+// =============================================================================
+// Lookup
+// =============================================================================
+
+/**
+ * Libraries that provide a header, best match first
+ * @param {string} header - Header file name, e.g. "DHT.h"
+ * @param {object} [options] - Lookup options
+ * @param {number} [options.limit=5] - Most matches returned
+ * @returns {Promise<Array<{name: string, latestVersion: string, author: string, sentence: string, source: 'index'|'platform', platform?: string, exact: boolean}>|null>}
+ *   null when there is no index (library index never downloaded)
+ */
+export async function findHeaderProviders(header, options = {}) {
+  const { limit = DEFAULT_MATCH_LIMIT } = options;
+  const index = await getHeaderIndex();
+  if (!index) return null;
+
+  const name = path.basename(header);
+  const key = loaded.byLowerCase.get(name.toLowerCase());
+  const ids = (key && index.headers[key]) || [];
+
+  return ids.slice(0, limit).map((id) => {
+    const library = index.libraries[id];
+    return {
+      name: library.name,
+      latestVersion: library.version,
+      author: library.author,
+      sentence: library.sentence,
+      source: library.platform ? "platform" : "index",
+      ...(library.platform ? { platform: library.platform } : {}),
+      exact: normalizeLibraryName(library.name) === headerKey(name),
+    };
+  });
+}
+
+/**
+ * Check whether a library can be installed from the library index
+ * @param {string} name - Library name
+ * @returns {Promise<boolean|null>} null when there is no index
+ */
+export async function isIndexedLibrary(name) {
+  const index = await getHeaderIndex();
+  if (!index) return null;
+  return loaded.indexedNames.has(name);
+}
@@ -0,0 +1,719 @@
+/**
+ * Index Mirror Module
+ *
+ * Offline mirror of the board and library indexes and the archives a class
+ * needs, for networks that block downloads.arduino.cc:
+ * - Snapshot: package_index.json, the additional board manager indexes and
+ *   library_index.json, plus the platform, tool and library archives for the
+ *   installed (and provisioning profile) cores and libraries
+ * - Serving: the indexes are served with each mirrored archive's URL
+ *   rewritten to the mirror, so arduino-cli downloads from it
+ * - Mirror mode: points `board_manager.additional_urls` at the mirror and
+ *   makes index updates read from it (see mirror-client.js)
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { Logger } from "../shared/Logger.js";
+import { compareVersions } from "./arduino-utils.js";
+import * as coreManager from "./core-manager.js";
+import * as libraryManager from "./library-manager.js";
+import { readProvisioningProfile } from "./provisioning.js";
+import {
+  MIRROR_MANIFEST,
+  getMirrorMode,
+  setMirrorMode,
+  fetchMirrorManifest,
+  withTimeout,
+} from "./mirror-client.js";
+
+/** @type {Logger} */
+const logger = new Logger("Mirror");
+
+/** Official indexes (what arduino-cli downloads in update-index) */
+const PACKAGE_INDEX_URL =
+  "https://downloads.arduino.cc/packages/package_index.json";
+const LIBRARY_INDEX_URL =
+  "https://downloads.arduino.cc/libraries/library_index.json.gz";
+
+/** Archive folder inside the mirror */
+const ARCHIVE_DIR = "archives";
+
+/** Manifest format version */
+const MANIFEST_VERSION = 1;
+
+/** Time allowed per download (large toolchains take a while) */
+const DOWNLOAD_TIMEOUT_MS = 15 * 60 * 1000;
+
+/** Tool `host` values for this machine, by Node platform/arch */
+const HOST_PATTERNS = {
+  "linux-x64": /^x86_64-.*linux-gnu$/,
+  "linux-arm64": /^aarch64-.*linux-gnu$/,
+  "linux-arm": /^arm.*linux-gnueabihf$/,
+  "darwin-x64": /^(x86_64|i[36]86)-apple-darwin/,
+  "darwin-arm64": /^(arm64|x86_64)-apple-darwin/,
+  "win32-x64": /^(x86_64|i686)-mingw32$/,
+  "win32-ia32": /^i686-mingw32$/,
+};
+
+/** @type {{key: string, body: string}|null} Last rewritten index served */
+let rewriteCache = null;
+
+/**
+ * Split "name@version" into its parts
+ * @param {string} spec
+ * @returns {{name: string, version: string|null}}
+ */
+function parseSpec(spec) {
+  const at = spec.lastIndexOf("@");
+  return at > 0
+    ? { name: spec.slice(0, at), version: spec.slice(at + 1) }
+    : { name: spec, version: null };
+}
+
+// =============================================================================
+// Manifest
+// =============================================================================
+
+/**
+ * Read a mirror's manifest
+ * @param {string} mirrorDir - Absolute mirror directory
+ * @returns {object|null}
+ */
+export function readMirrorManifest(mirrorDir) {
+  try {
+    return JSON.parse(
+      fs.readFileSync(path.join(mirrorDir, MIRROR_MANIFEST), "utf8")
+    );
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Mirror contents and mirror mode
+ * @param {string} mirrorDir - Absolute mirror directory
+ * @returns {{success: boolean, mirrorDir: string, exists: boolean, createdAt?: string, indexes?: object[], archives?: number, bytes?: number, mode: object|null}}
+ */
+export function getMirrorStatus(mirrorDir) {
+  const manifest = readMirrorManifest(mirrorDir);
+  const mode = getMirrorMode();
+  if (!manifest) {
+    return { success: true, mirrorDir, exists: false, mode };
+  }
+  return {
+    success: true,
+    mirrorDir,
+    exists: true,
+    createdAt: manifest.createdAt,
+    indexes: manifest.indexes,
+    archives: manifest.archives.length,
+    bytes: manifest.archives.reduce((sum, archive) => sum + archive.size, 0),
+    mode,
+  };
+}
+
+// =============================================================================
+// Snapshot
+// =============================================================================
+
+/**
+ * Download a URL to a file, checking size and checksum
+ * @param {string} url
+ * @param {string} file - Absolute target path
+ * @param {{checksum?: string, size?: number}} expected - Index values
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ * @throws {Error} On HTTP errors or a checksum mismatch (the file is removed)
+ */
+async function downloadFile(url, file, expected, signal) {
+  const response = await fetch(url, {
+    signal: withTimeout(signal, DOWNLOAD_TIMEOUT_MS),
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const [algorithm, digest] = (expected.checksum || "").split(":");
+  const hash = algorithm
+    ? crypto.createHash(algorithm.replace("-", "").toLowerCase())
+    : null;
+  const temp = `${file}.part`;
+  const out = fs.createWriteStream(temp);
+  let size = 0;
+
+  try {
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      hash?.update(chunk);
+      if (!out.write(chunk)) {
+        await new Promise((resolve) => out.once("drain", resolve));
+      }
+    }
+    await new Promise((resolve, reject) =>
+      out.end((err) => (err ? reject(err) : resolve()))
+    );
+
+    if (expected.size && size !== Number(expected.size)) {
+      throw new Error(
+        `size ${size} does not match the index (${expected.size})`
+      );
+    }
+    if (hash && hash.digest("hex") !== digest.toLowerCase()) {
+      throw new Error(`${algorithm} checksum does not match the index`);
+    }
+    fs.renameSync(temp, file);
+  } catch (err) {
+    out.destroy();
+    fs.rmSync(temp, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Check an already mirrored archive against its checksum
+ * @param {string} file - Absolute path
+ * @param {{checksum?: string, size?: number}} expected
+ * @returns {Promise<boolean>}
+ */
+async function isMirrored(file, expected) {
+  if (!fs.existsSync(file)) return false;
+  if (expected.size && fs.statSync(file).size !== Number(expected.size)) {
+    return false;
+  }
+  const [algorithm, digest] = (expected.checksum || "").split(":");
+  if (!algorithm) return true;
+
+  const hash = crypto.createHash(algorithm.replace("-", "").toLowerCase());
+  for await (const chunk of fs.createReadStream(file)) hash.update(chunk);
+  return hash.digest("hex") === digest.toLowerCase();
+}
+
+/**
+ * Platform and tool archives for the requested cores
+ * @param {object[]} packageIndexes - Parsed package indexes
+ * @param {Array<{name: string, version: string|null}>} cores - "vendor:arch" specs
+ * @param {RegExp|null} hostPattern - Tool host to mirror
+ * @returns {{archives: object[], missing: string[]}}
+ */
+function collectCoreArchives(packageIndexes, cores, hostPattern) {
+  const packages = packageIndexes.flatMap((index) => index.packages || []);
+  const archives = [];
+  const missing = [];
+
+  for (const core of cores) {
+    const [vendor, arch] = core.name.split(":");
+    const releases = packages
+      .filter((pkg) => pkg.name === vendor)
+      .flatMap((pkg) => pkg.platforms || [])
+      .filter((platform) => platform.architecture === arch)
+      .sort((a, b) => compareVersions(b.version, a.version));
+    const release = core.version
+      ? releases.find((platform) => platform.version === core.version)
+      : releases[0];
+    if (!release) {
+      missing.push(`${core.name}${core.version ? `@${core.version}` : ""}`);
+      continue;
+    }
+
+    archives.push({
+      kind: "platform",
+      name: core.name,
+      version: release.version,
+      url: release.url,
+      file: release.archiveFileName,
+      checksum: release.checksum,
+      size: Number(release.size),
+    });
+
+    for (const dependency of release.toolsDependencies || []) {
+      const tool = packages
+        .filter((pkg) => pkg.name === dependency.packager)
+        .flatMap((pkg) => pkg.tools || [])
+        .find(
+          (t) => t.name === dependency.name && t.version === dependency.version
+        );
+      const system = tool?.systems?.find(
+        (s) => !hostPattern || hostPattern.test(s.host)
+      );
+      if (!system) {
+        missing.push(
+          `${dependency.packager}:${dependency.name}@${dependency.version}`
+        );
+        continue;
+      }
+      archives.push({
+        kind: "tool",
+        name: `${dependency.packager}:${dependency.name}`,
+        version: dependency.version,
+        url: system.url,
+        file: system.archiveFileName,
+        checksum: system.checksum,
+        size: Number(system.size),
+      });
+    }
+  }
+  return { archives, missing };
+}
+
+/**
+ * Library archives for the requested libraries and their dependencies
+ * @param {object} libraryIndex - Parsed library_index.json
+ * @param {Array<{name: string, version: string|null}>} libraries
+ * @returns {{archives: object[], missing: string[]}}
+ */
+function collectLibraryArchives(libraryIndex, libraries) {
+  const releasesByName = new Map();
+  for (const release of libraryIndex.libraries || []) {
+    if (!releasesByName.has(release.name)) releasesByName.set(release.name, []);
+    releasesByName.get(release.name).push(release);
+  }
+
+  const archives = [];
+  const missing = [];
+  const seen = new Set();
+  const queue = [...libraries];
+
+  while (queue.length > 0) {
+    const library = queue.shift();
+    const releases = (releasesByName.get(library.name) || []).sort((a, b) =>
+      compareVersions(b.version, a.version)
+    );
+    const release = library.version
+      ? releases.find((r) => r.version === library.version)
+      : releases[0];
+    if (!release) {
+      missing.push(
+        `${library.name}${library.version ? `@${library.version}` : ""}`
+      );
+      continue;
+    }
+    const key = `${release.name}@${release.version}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    archives.push({
+      kind: "library",
+      name: release.name,
+      version: release.version,
+      url: release.url,
+      file: release.archiveFileName,
+      checksum: release.checksum,
+      size: Number(release.size),
+    });
+    // Offline installs pull dependencies too
+    for (const dependency of release.dependencies || []) {
+      queue.push({
+        name: dependency.name,
+        version: dependency.version || null,
+      });
+    }
+  }
+  return { archives, missing };
+}
+
+/**
+ * Cores and libraries to mirror by default: what is installed plus what the
+ * provisioning profile lists
+ * @param {string} workspaceRoot - Workspace with .devcontainer/arduino-profile.json
+ * @returns {Promise<{cores: Array<{name: string, version: string|null}>, libraries: Array<{name: string, version: string|null}>}>}
+ */
+async function defaultMirrorContents(workspaceRoot) {
+  const [cores, libraries] = await Promise.all([
+    coreManager.listInstalledCores(),
+    libraryManager.listInstalledLibraries(),
+  ]);
+  const profile = readProvisioningProfile(workspaceRoot).profile;
+
+  return {
+    cores: [
+      ...(cores.platforms || []).map((core) => ({
+        name: core.id,
+        version: core.installedVersion,
+      })),
+      ...(profile?.cores || []).map((core) => ({
+        name: core.target,
+        version: core.version,
+      })),
+    ],
+    libraries: [
+      ...(libraries.libraries || [])
+        .filter((lib) => !lib.location || lib.location === "user")
+        .map((lib) => ({ name: lib.name, version: lib.installedVersion })),
+      ...(profile?.libraries || []).map((lib) => ({
+        name: lib.target,
+        version: lib.version,
+      })),
+    ],
+  };
+}
+
+/**
+ * Snapshot the indexes and archives into a mirror directory
+ * @param {string} workspaceRoot - Absolute workspace directory (for the profile)
+ * @param {string} mirrorDir - Absolute mirror directory (created if needed)
+ * @param {object} [options] - Snapshot options
+ * @param {string[]} [options.cores] - "vendor:arch[@version]" (default: installed + profile)
+ * @param {string[]} [options.libraries] - "Name[@version]" (default: installed + profile)
+ * @param {function} [onProgress] - Progress callback ({type, data} events)
+ * @param {AbortSignal} [signal] - Aborting stops after the current download
+ * @returns {Promise<{success: boolean, indexes: string[], archives: number, downloaded: number, reused: number, missing: string[], failed: Array<{file: string, error: string}>, log: string, error?: string}>}
+ */
+export async function snapshotMirror(
+  workspaceRoot,
+  mirrorDir,
+  options = {},
+  onProgress = null,
+  signal = null
+) {
+  let log = "";
+  const report = (text) => {
+    log += text;
+    onProgress?.({ type: "stdout", data: text });
+  };
+  const result = {
+    indexes: [],
+    archives: 0,
+    downloaded: 0,
+    reused: 0,
+    missing: [],
+    failed: [],
+  };
+
+  const archiveDir = path.join(mirrorDir, ARCHIVE_DIR);
+  fs.mkdirSync(archiveDir, { recursive: true });
+
+  // Board URLs the mirror replaced in mirror mode are still the real sources
+  const mode = getMirrorMode();
+  const boardUrls = mode
+    ? mode.previousUrls
+    : (await coreManager.getAdditionalBoardUrls()).urls || [];
+
+  // --- Indexes ---
+  const indexes = [];
+  const packageIndexes = [];
+  let libraryIndex = null;
+  const sources = [
+    { url: PACKAGE_INDEX_URL, file: "package_index.json", kind: "package" },
+    ...boardUrls.map((url) => ({
+      url,
+      file: path.posix.basename(new URL(url).pathname),
+      kind: "package",
+    })),
+    { url: LIBRARY_INDEX_URL, file: "library_index.json", kind: "library" },
+  ];
+
+  for (const source of sources) {
+    if (signal?.aborted) break;
+    if (indexes.some((index) => index.file === source.file)) {
+      report(
+        `Skipping ${source.url}: another index is already named ${source.file}\n`
+      );
+      continue;
+    }
+    report(`Downloading ${source.url}\n`);
+    try {
+      const response = await fetch(source.url, {
+        signal: withTimeout(signal, DOWNLOAD_TIMEOUT_MS),
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      let body = Buffer.from(await response.arrayBuffer());
+      if (source.url.endsWith(".gz")) body = zlib.gunzipSync(body);
+
+      const parsed = JSON.parse(body.toString("utf8"));
+      fs.writeFileSync(path.join(mirrorDir, source.file), body);
+      indexes.push({
+        file: source.file,
+        kind: source.kind,
+        source: source.url,
+      });
+      if (source.kind === "package") packageIndexes.push(parsed);
+      else libraryIndex = parsed;
+    } catch (err) {
+      result.failed.push({ file: source.file, error: err.message });
+      report(`Could not download ${source.url}: ${err.message}\n`);
+    }
+  }
+
+  // --- Archives ---
+  const contents = await defaultMirrorContents(workspaceRoot);
+  const cores = options.cores ? options.cores.map(parseSpec) : contents.cores;
+  const libraries = options.libraries
+    ? options.libraries.map(parseSpec)
+    : contents.libraries;
+
+  const hostPattern =
+    HOST_PATTERNS[`${process.platform}-${process.arch}`] || null;
+  const coreArchives = collectCoreArchives(packageIndexes, cores, hostPattern);
+  const libraryArchives = libraryIndex
+    ? collectLibraryArchives(libraryIndex, libraries)
+    : { archives: [], missing: libraries.map((lib) => lib.name) };
+  result.missing = [
+    ...new Set([...coreArchives.missing, ...libraryArchives.missing]),
+  ];
+  for (const name of result.missing) {
+    report(`Not found in the indexes: ${name}\n`);
+  }
+
+  const archives = [];
+  for (const archive of [
+    ...coreArchives.archives,
+    ...libraryArchives.archives,
+  ]) {
+    if (archives.some((a) => a.file === archive.file)) continue;
+    archives.push(archive);
+  }
+
+  const mirrored = [];
+  for (const [index, archive] of archives.entries()) {
+    if (signal?.aborted) break;
+    const file = path.join(archiveDir, archive.file);
+    const label = `${archive.name}@${archive.version} (${index + 1}/${
+      archives.length
+    })`;
+
+    if (await isMirrored(file, archive)) {
+      result.reused++;
+      mirrored.push(archive);
+      continue;
+    }
+    report(`Downloading ${label}: ${archive.file}\n`);
+    try {
+      await downloadFile(archive.url, file, archive, signal);
+      result.downloaded++;
+      mirrored.push(archive);
+    } catch (err) {
+      result.failed.push({ file: archive.file, error: err.message });
+      report(`Could not download ${archive.file}: ${err.message}\n`);
+    }
+  }
+
+  // Keep the previous manifest's indexes if this run could not fetch them
+  const previous = readMirrorManifest(mirrorDir);
+  const manifest = {
+    version: MANIFEST_VERSION,
+    createdAt: new Date().toISOString(),
+    indexes: [
+      ...indexes,
+      ...(previous?.indexes || []).filter(
+        (old) => !indexes.some((index) => index.file === old.file)
+      ),
+    ],
+    archives: [
+      ...mirrored.map(({ url, ...archive }) => ({ ...archive, source: url })),
+      ...(previous?.archives || []).filter(
+        (old) =>
+          !mirrored.some((archive) => archive.file === old.file) &&
+          fs.existsSync(path.join(archiveDir, old.file))
+      ),
+    ],
+  };
+  fs.writeFileSync(
+    path.join(mirrorDir, MIRROR_MANIFEST),
+    JSON.stringify(manifest, null, 2) + "\n"
+  );
+  rewriteCache = null;
+
+  result.indexes = manifest.indexes.map((index) => index.file);
+  result.archives = manifest.archives.length;
+  report(
+    `Mirror has ${result.indexes.length} indexes and ${result.archives} archives (${result.downloaded} downloaded, ${result.reused} already mirrored)\n`
+  );
+  logger.info(`Snapshot written to ${mirrorDir}`);
+
+  const cancelled = Boolean(signal?.aborted);
+  return {
+    success: result.failed.length === 0 && !cancelled,
+    ...result,
+    log,
+    ...(result.failed.length
+      ? {
+          error: `Could not mirror ${result.failed
+            .map((f) => f.file)
+            .join(", ")}`,
+        }
+      : cancelled
+      ? { error: "Cancelled" }
+      : {}),
+  };
+}
+
+// =============================================================================
+// Serving
+// =============================================================================
+
+/**
+ * Serve a mirrored index with the URLs of mirrored archives pointing at the
+ * mirror
+ * @param {string} mirrorDir - Absolute mirror directory
+ * @param {string} file - Index file name from the manifest
+ * @param {string} baseUrl - Public URL of the mirror, e.g. http://localhost:3001/mirror
+ * @returns {string|null} JSON text, or null if the file is not a mirrored index
+ */
+export function readMirroredIndex(mirrorDir, file, baseUrl) {
+  const manifest = readMirrorManifest(mirrorDir);
+  const index = manifest?.indexes.find((entry) => entry.file === file);
+  if (!index) return null;
+
+  const key = `${manifest.createdAt}|${file}|${baseUrl}`;
+  if (rewriteCache?.key === key) return rewriteCache.body;
+
+  const mirrored = new Set(manifest.archives.map((archive) => archive.file));
+  const rewrite = (entry) => {
+    if (entry?.archiveFileName && mirrored.has(entry.archiveFileName)) {
+      entry.url = `${baseUrl}/${ARCHIVE_DIR}/${encodeURIComponent(
+        entry.archiveFileName
+      )}`;
+    }
+  };
+
+  const data = JSON.parse(fs.readFileSync(path.join(mirrorDir, file), "utf8"));
+  if (index.kind === "library") {
+    (data.libraries || []).forEach(rewrite);
+  } else {
+    for (const pkg of data.packages || []) {
+      (pkg.platforms || []).forEach(rewrite);
+      for (const tool of pkg.tools || []) (tool.systems || []).forEach(rewrite);
+    }
+  }
+
+  // One large index (library_index.json) at a time is kept
+  rewriteCache = { key, body: JSON.stringify(data) };
+  return rewriteCache.body;
+}
+
+// =============================================================================
+// Mirror Mode
+// =============================================================================
+
+/**
+ * Point arduino-cli at a mirror: board manager URLs for the mirrored
+ * third-party indexes, then fresh indexes from the mirror
+ * @param {string} url - Mirror base URL (e.g. http://localhost:3001/mirror)
+ * @param {function} [onProgress] - Progress callback
+ * @param {AbortSignal} [signal] - Aborting cancels the index downloads
+ * @returns {Promise<{success: boolean, url: string, boardUrls: string[], log: string, error?: string}>}
+ */
+export async function useMirror(url, onProgress = null, signal = null) {
+  const base = url.replace(/\/+$/, "");
+  let manifest;
+  try {
+    manifest = await fetchMirrorManifest(base, signal);
+  } catch (err) {
+    return {
+      success: false,
+      url: base,
+      boardUrls: [],
+      log: "",
+      error: err.message,
+    };
+  }
+
+  const current = await coreManager.getAdditionalBoardUrls();
+  if (!current.success) {
+    return {
+      success: false,
+      url: base,
+      boardUrls: [],
+      log: "",
+      error: current.error,
+    };
+  }
+  // Switching mirrors keeps the URLs from before the first one
+  const previousUrls = getMirrorMode()?.previousUrls || current.urls;
+
+  // The official index is read from package_index.json like before
+  const boardUrls = manifest.indexes
+    .filter(
+      (index) => index.kind === "package" && index.file !== "package_index.json"
+    )
+    .map((index) => `${base}/${index.file}`);
+  const urlResult = await replaceBoardUrls(current.urls, boardUrls);
+  if (!urlResult.success) {
+    return {
+      success: false,
+      url: base,
+      boardUrls: [],
+      log: "",
+      error: urlResult.error,
+    };
+  }
+
+  setMirrorMode({ url: base, previousUrls });
+  logger.info(`Using mirror ${base}`);
+
+  const cores = await coreManager.updateCoreIndex(onProgress, signal);
+  const libraries = await libraryManager.updateLibraryIndex(onProgress, signal);
+  const failed = [cores, libraries].find((result) => !result.success);
+  return {
+    success: !failed,
+    url: base,
+    boardUrls,
+    log: `${cores.log}${libraries.log}`,
+    ...(failed ? { error: failed.error || "Index update failed" } : {}),
+  };
+}
+
+/**
+ * Go back to the normal download servers and board manager URLs
+ *
+ * The indexes downloaded from the mirror point their archives at it, so they
+ * are updated from the real servers again. If that fails (still offline) the
+ * mode is off anyway and the result says the indexes need an update.
+ *
+ * @param {function} [onProgress] - Progress callback
+ * @param {AbortSignal} [signal] - Aborting cancels the index updates
+ * @returns {Promise<{success: boolean, boardUrls: string[], log: string, indexesUpdated?: boolean, warning?: string, error?: string}>}
+ */
+export async function stopUsingMirror(onProgress = null, signal = null) {
+  const mode = getMirrorMode();
+  if (!mode) return { success: true, boardUrls: [], log: "" };
+
+  const current = await coreManager.getAdditionalBoardUrls();
+  if (!current.success)
+    return { success: false, boardUrls: [], log: "", error: current.error };
+  const result = await replaceBoardUrls(current.urls, mode.previousUrls);
+  if (!result.success)
+    return { success: false, boardUrls: [], log: "", error: result.error };
+
+  setMirrorMode(null);
+  logger.info(`Stopped using mirror ${mode.url}`);
+
+  const cores = await coreManager.updateCoreIndex(onProgress, signal);
+  const libraries = await libraryManager.updateLibraryIndex(onProgress, signal);
+  const failed = [cores, libraries].find((update) => !update.success);
+  if (failed) {
+    logger.warn(`Indexes still come from ${mode.url}: ${failed.error}`);
+  }
+  return {
+    success: true,
+    boardUrls: mode.previousUrls,
+    log: `${cores.log}${libraries.log}`,
+    indexesUpdated: !failed,
+    ...(failed
+      ? {
+          warning: `The board and library indexes still point at the mirror (${
+            failed.error || "index update failed"
+          }). Run Update Index once the download servers are reachable, or installs will keep using the mirror.`,
+        }
+      : {}),
+  };
+}
+
+/**
+ * Change the additional board manager URLs from one list to another
+ * @param {string[]} current
+ * @param {string[]} wanted
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function replaceBoardUrls(current, wanted) {
+  for (const url of current.filter((u) => !wanted.includes(u))) {
+    const result = await coreManager.removeBoardUrl(url);
+    if (!result.success) return result;
+  }
+  for (const url of wanted.filter((u) => !current.includes(u))) {
+    const result = await coreManager.addBoardUrl(url);
+    if (!result.success) return result;
+  }
+  return { success: true };
+}
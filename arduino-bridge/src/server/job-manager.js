@@ -0,0 +1,439 @@
+/**
+ * Job Manager Module
+ *
+ * Tracks long-running arduino-cli operations so the browser can follow them live:
+ * - Job creation with unique IDs
+ * - Queueing for operations that must not overlap (installs, index updates)
+ * - Status listing and cancellation (kills the underlying child process)
+ * - Buffered event history (late subscribers receive a replay)
+ * - Line-by-line output streaming from CLI progress callbacks
+ * - Server-Sent Events delivery
+ */
+
+import { randomUUID } from "crypto";
+import { Logger } from "../shared/Logger.js";
+import { failure, ErrorCodes } from "../shared/Result.js";
+
+/** @type {Logger} */
+const logger = new Logger("Jobs");
+
+/** Maximum events kept per job (oldest output lines are dropped first) */
+const MAX_EVENTS_PER_JOB = 5000;
+
+/** How long finished jobs stay available for replay */
+const JOB_RETENTION_MS = 10 * 60 * 1000; // 10 minutes
+
+/** Interval for SSE keep-alive comments (prevents proxy idle timeouts) */
+const SSE_HEARTBEAT_MS = 15000;
+
+/** @type {Map<string, object>} Jobs keyed by ID */
+const jobs = new Map();
+
+/** @type {Array<{job: object, operation: function}>} Exclusive jobs waiting to run */
+const exclusiveQueue = [];
+
+/** @type {object|null} Exclusive job currently running */
+let exclusiveJob = null;
+
+/**
+ * Create a new job
+ * @param {string} type - Operation type (e.g., 'compile', 'upload')
+ * @param {object} meta - Descriptive details (sketch, fqbn, etc.)
+ * @returns {object} The created job
+ */
+export function createJob(type, meta = {}) {
+  const job = {
+    id: randomUUID(),
+    type,
+    meta,
+    status: "queued",
+    phase: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    events: [],
+    nextSeq: 0,
+    listeners: new Set(),
+    abortController: new AbortController(),
+  };
+
+  job.promise = new Promise((resolve) => {
+    job.resolve = resolve;
+  });
+
+  jobs.set(job.id, job);
+  logger.info(`Created ${type} job ${job.id}`);
+  return job;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {object|null}
+ */
+export function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * Append an event to a job and notify subscribers
+ * @param {string} jobId - Job ID
+ * @param {{type: string}} event - Event payload
+ */
+export function emitJobEvent(jobId, event) {
+  const job = jobs.get(jobId);
+  if (!job) return;
+
+  const entry = { seq: job.nextSeq++, time: Date.now(), ...event };
+  job.events.push(entry);
+
+  if (job.events.length > MAX_EVENTS_PER_JOB) {
+    const dropIndex = job.events.findIndex((e) => e.type === "output");
+    job.events.splice(dropIndex === -1 ? 0 : dropIndex, 1);
+  }
+
+  for (const listener of job.listeners) {
+    try {
+      listener(entry);
+    } catch (err) {
+      logger.warn(`Job listener failed: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Record a phase change (e.g., 'compiling' -> 'uploading')
+ * @param {string} jobId - Job ID
+ * @param {string} phase - New phase name
+ * @param {string} [message] - Human-readable description
+ */
+export function setJobPhase(jobId, phase, message = "") {
+  const job = jobs.get(jobId);
+  if (!job) return;
+
+  job.phase = phase;
+  emitJobEvent(jobId, { type: "phase", phase, message });
+}
+
+/**
+ * Create a progress callback that splits CLI output into lines
+ *
+ * The returned function matches the `onProgress` signature used by
+ * executeCliCommand ({type: 'stdout'|'stderr', data}).
+ *
+ * @param {string} jobId - Job ID
+ * @param {object} [options] - Handler options
+ * @param {string} [options.prefix] - Text prepended to every line (e.g., '[arduino:avr:uno] ')
+ * @returns {function({type: string, data: string}): void}
+ */
+export function createOutputHandler(jobId, options = {}) {
+  const { prefix = "" } = options;
+  const partial = { stdout: "", stderr: "" };
+
+  const handler = ({ type, data }) => {
+    const stream = type === "stderr" ? "stderr" : "stdout";
+    const lines = (partial[stream] + data).split(/\r?\n/);
+    partial[stream] = lines.pop();
+
+    for (const line of lines) {
+      emitJobEvent(jobId, { type: "output", stream, line: prefix + line });
+    }
+  };
+
+  /** Emit any buffered partial lines (call once the process exits) */
+  handler.flush = () => {
+    for (const stream of Object.keys(partial)) {
+      if (partial[stream]) {
+        emitJobEvent(jobId, {
+          type: "output",
+          stream,
+          line: prefix + partial[stream],
+        });
+        partial[stream] = "";
+      }
+    }
+  };
+
+  return handler;
+}
+
+/**
+ * Mark a job finished and publish its final result
+ * @param {string} jobId - Job ID
+ * @param {object} result - Final result payload (same shape as the HTTP response)
+ * @param {string} [status] - Final status (defaults to completed/failed from result.success)
+ */
+export function finishJob(jobId, result, status = null) {
+  const job = jobs.get(jobId);
+  if (!job || !isActive(job)) return;
+
+  job.status = status || (result?.success ? "completed" : "failed");
+  job.finishedAt = Date.now();
+  job.result = result;
+  emitJobEvent(jobId, { type: "result", status: job.status, result });
+  job.listeners.clear();
+  job.resolve(result);
+
+  logger.info(`Job ${jobId} ${job.status}`);
+  setTimeout(() => jobs.delete(jobId), JOB_RETENTION_MS).unref?.();
+}
+
+/**
+ * Check whether a job is still queued or running
+ * @param {object} job - Job object
+ * @returns {boolean}
+ */
+function isActive(job) {
+  return job.status === "queued" || job.status === "running";
+}
+
+/**
+ * Start executing a job's operation
+ * @param {object} job - Job object
+ * @param {function} operation - Work to run
+ */
+function startJob(job, operation) {
+  job.status = "running";
+  job.startedAt = Date.now();
+  emitJobEvent(job.id, { type: "status", status: "running" });
+
+  if (job.exclusive) exclusiveJob = job;
+
+  const onProgress = createOutputHandler(job.id);
+
+  Promise.resolve()
+    .then(() => operation(job, onProgress, job.abortController.signal))
+    .then((result) => {
+      onProgress.flush();
+      finishJob(job.id, result);
+    })
+    .catch((err) => {
+      onProgress.flush();
+      logger.error(`Job ${job.id} threw`, err);
+      finishJob(job.id, { success: false, error: err.message });
+    })
+    .finally(() => {
+      if (exclusiveJob === job) {
+        exclusiveJob = null;
+        startNextExclusive();
+      }
+    });
+}
+
+/**
+ * Start the next queued exclusive job, if any
+ */
+function startNextExclusive() {
+  const next = exclusiveQueue.shift();
+  if (next) startJob(next.job, next.operation);
+}
+
+/**
+ * Start an async operation as a job and return immediately
+ *
+ * The operation receives the job, an output handler it can pass to CLI
+ * helpers as `onProgress`, and an AbortSignal that fires when the job is
+ * cancelled. Whatever it resolves to becomes the job result (also available
+ * as `job.promise` for callers that want to wait).
+ *
+ * @param {string} type - Operation type
+ * @param {object} meta - Descriptive details
+ * @param {function(object, function, AbortSignal): Promise<object>} operation - Work to run
+ * @param {object} [options] - Scheduling options
+ * @param {boolean} [options.exclusive=false] - Queue behind other exclusive jobs
+ * @returns {object} The created job
+ */
+export function runAsJob(type, meta, operation, options = {}) {
+  const { exclusive = false } = options;
+  const job = createJob(type, meta);
+  job.exclusive = exclusive;
+
+  if (exclusive && exclusiveJob) {
+    exclusiveQueue.push({ job, operation });
+    emitJobEvent(job.id, {
+      type: "status",
+      status: "queued",
+      position: exclusiveQueue.length,
+    });
+  } else {
+    startJob(job, operation);
+  }
+
+  return job;
+}
+
+/**
+ * Cancel a queued or running job
+ *
+ * Queued jobs are removed from the queue. Running jobs have their AbortSignal
+ * fired, which terminates the underlying arduino-cli process.
+ *
+ * @param {string} jobId - Job ID
+ * @returns {{success: boolean, job?: object, error?: string, code?: string}}
+ */
+export function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    return failure("Job not found", { code: ErrorCodes.INVALID_REQUEST });
+  }
+
+  if (!isActive(job)) {
+    return failure(`Job already ${job.status}`, {
+      code: ErrorCodes.INVALID_REQUEST,
+    });
+  }
+
+  const queueIndex = exclusiveQueue.findIndex((entry) => entry.job === job);
+  if (queueIndex !== -1) exclusiveQueue.splice(queueIndex, 1);
+
+  job.abortController.abort();
+  finishJob(
+    jobId,
+    failure("Job cancelled", { code: ErrorCodes.CANCELLED }),
+    "cancelled"
+  );
+
+  return { success: true, job: summarizeJob(job) };
+}
+
+/**
+ * Cancel every queued or running job (used during shutdown/recovery)
+ * @returns {number} Number of jobs cancelled
+ */
+export function cancelAllJobs() {
+  let cancelled = 0;
+  for (const job of jobs.values()) {
+    if (isActive(job) && cancelJob(job.id).success) cancelled++;
+  }
+  return cancelled;
+}
+
+/**
+ * Build a JSON-safe summary of a job
+ * @param {object} job - Job object
+ * @param {object} [options] - Summary options
+ * @param {boolean} [options.includeOutput=false] - Include result and collected output
+ * @returns {object}
+ */
+export function summarizeJob(job, options = {}) {
+  const { includeOutput = false } = options;
+  const toIso = (time) => (time ? new Date(time).toISOString() : null);
+
+  const summary = {
+    id: job.id,
+    type: job.type,
+    meta: job.meta,
+    status: job.status,
+    phase: job.phase,
+    createdAt: toIso(job.createdAt),
+    startedAt: toIso(job.startedAt),
+    finishedAt: toIso(job.finishedAt),
+  };
+
+  if (job.status === "queued") {
+    summary.queuePosition =
+      exclusiveQueue.findIndex((entry) => entry.job === job) + 1;
+  }
+
+  if (includeOutput) {
+    summary.log = job.events
+      .filter((e) => e.type === "output")
+      .map((e) => e.line)
+      .join("\n");
+    summary.result = job.result;
+  }
+
+  return summary;
+}
+
+/**
+ * List known jobs, newest first
+ * @param {object} [filter] - Optional filters
+ * @param {boolean} [filter.activeOnly=false] - Only queued/running jobs
+ * @param {string} [filter.type] - Only jobs whose type starts with this prefix
+ * @returns {object[]} Job summaries
+ */
+export function listJobs(filter = {}) {
+  const { activeOnly = false, type = null } = filter;
+
+  return [...jobs.values()]
+    .filter((job) => !activeOnly || isActive(job))
+    .filter((job) => !type || job.type.startsWith(type))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map((job) => summarizeJob(job));
+}
+
+/**
+ * Subscribe to a job's events
+ * @param {string} jobId - Job ID
+ * @param {function(object): void} listener - Called for each new event
+ * @returns {function(): void} Unsubscribe function
+ */
+export function subscribeToJob(jobId, listener) {
+  const job = jobs.get(jobId);
+  if (!job) return () => {};
+
+  job.listeners.add(listener);
+  return () => job.listeners.delete(listener);
+}
+
+/**
+ * Stream a job's events to an HTTP response using Server-Sent Events
+ *
+ * Replays buffered events first (so nothing is lost if the client connects
+ * after the job started), then streams new events until the job finishes.
+ * Clients may resume from a sequence number via the Last-Event-ID header.
+ *
+ * @param {string} jobId - Job ID
+ * @param {import('express').Request} req - Express request
+ * @param {import('express').Response} res - Express response
+ */
+export function streamJobEvents(jobId, req, res) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    res.status(404).json({ success: false, error: "Job not found" });
+    return;
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const lastSeq = parseInt(req.get("Last-Event-ID"), 10);
+  const send = (event) => {
+    res.write(`id: ${event.seq}\nevent: ${event.type}\n`);
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+  };
+
+  for (const event of job.events) {
+    if (Number.isNaN(lastSeq) || event.seq > lastSeq) send(event);
+  }
+
+  if (!isActive(job)) {
+    res.end();
+    return;
+  }
+
+  const heartbeat = setInterval(
+    () => res.write(": keep-alive\n\n"),
+    SSE_HEARTBEAT_MS
+  );
+
+  const unsubscribe = subscribeToJob(jobId, (event) => {
+    send(event);
+    if (event.type === "result") {
+      clearInterval(heartbeat);
+      res.end();
+    }
+  });
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
@@ -0,0 +1,271 @@
+/**
+ * Library Dependencies Module
+ *
+ * Pre-compile check of the libraries a sketch needs:
+ * - Collects the sketch's `#include <...>` headers (skipping standard C
+ *   headers, core headers with a path and headers in the sketch folder)
+ * - Marks each header as provided by an installed library (including the
+ *   board platform's bundled libraries), missing, or unknown
+ * - Finds the libraries that provide a missing header in the header index
+ * - Installs the best match for every missing header in one go
+ */
+
+import path from "path";
+import { Logger } from "../shared/Logger.js";
+import * as libraryManager from "./library-manager.js";
+import {
+  findHeaderProviders,
+  headerKey,
+  normalizeLibraryName,
+} from "./header-index.js";
+import { listSketchFiles, listSketchIncludes } from "./sketch-files.js";
+
+/** @type {Logger} */
+const logger = new Logger("LibDeps");
+
+/** Standard C/C++ library headers that should not trigger library suggestions */
+export const STANDARD_LIBRARY_HEADERS = new Set(
+  [
+    "assert",
+    "arduino",
+    "complex",
+    "ctype",
+    "errno",
+    "float",
+    "inttypes",
+    "limits",
+    "locale",
+    "math",
+    "setjmp",
+    "signal",
+    "stdarg",
+    "stdbool",
+    "stddef",
+    "stdint",
+    "stdio",
+    "stdlib",
+    "string",
+    "time",
+  ].map((name) => name.toLowerCase())
+);
+
+/** Candidates returned per missing header */
+const MAX_CANDIDATES = 5;
+
+// =============================================================================
+// Scanning
+// =============================================================================
+
+/**
+ * The `#include <...>` headers of a sketch that a library would have to provide
+ * @param {string} sketchDir - Absolute sketch directory
+ * @returns {Array<{header: string, locations: Array<{file: string, line: number}>}>}
+ */
+export function listLibraryIncludes(sketchDir) {
+  const localHeaders = new Set(
+    listSketchFiles(sketchDir).map((file) => path.basename(file.path))
+  );
+  const headers = new Map();
+
+  for (const include of listSketchIncludes(sketchDir)) {
+    const { header } = include;
+    if (!include.system) continue;
+    // <avr/pgmspace.h>, <freertos/task.h>, ... come with the core or toolchain
+    if (header.includes("/")) continue;
+    if (STANDARD_LIBRARY_HEADERS.has(headerKey(header))) continue;
+    if (localHeaders.has(header)) continue;
+
+    if (!headers.has(header)) headers.set(header, { header, locations: [] });
+    headers
+      .get(header)
+      .locations.push({ file: include.file, line: include.line });
+  }
+
+  return [...headers.values()];
+}
+
+/**
+ * Check whether a library provides a header
+ * @param {{name: string, providesIncludes?: string[]}} library
+ * @param {string} header
+ * @returns {boolean}
+ */
+function providesHeader(library, header) {
+  const provided = library.providesIncludes || [];
+  if (provided.length > 0) return provided.includes(header);
+  return normalizeLibraryName(library.name) === headerKey(header);
+}
+
+/**
+ * Installable libraries that provide a header, best match first
+ * @param {string} header - e.g. "Servo.h"
+ * @returns {Promise<Array<{name: string, latestVersion: string, author: string, sentence: string}>>}
+ */
+export async function findLibrariesForHeader(header) {
+  const matches = await findHeaderProviders(header, { limit: Infinity });
+  return (matches || [])
+    .filter((match) => match.source === "index")
+    .slice(0, MAX_CANDIDATES)
+    .map(({ name, latestVersion, author, sentence }) => ({
+      name,
+      latestVersion,
+      author,
+      sentence,
+    }));
+}
+
+/**
+ * Work out which of a sketch's library headers are installed or missing
+ * @param {string} sketchDir - Absolute sketch directory
+ * @param {object} [options] - Scan options
+ * @param {string} [options.fqbn] - Board, so its platform's bundled libraries count as installed
+ * @returns {Promise<{success: boolean, includes: Array<{header: string, locations: object[], status: 'installed'|'missing'|'unknown', library: string|null, candidates: object[]}>, missing: Array<{name: string, version: string, headers: string[]}>, error?: string}>}
+ *   `missing` lists the library to install for each missing header (its best
+ *   candidate). Headers no library in the index provides are `unknown` -
+ *   usually part of the board's core.
+ */
+export async function resolveSketchLibraries(sketchDir, options = {}) {
+  const installed = await libraryManager.listInstalledLibraries({
+    fqbn: options.fqbn,
+  });
+  if (!installed.success) {
+    return {
+      success: false,
+      includes: [],
+      missing: [],
+      error: installed.error || "Could not list installed libraries",
+    };
+  }
+
+  const includes = [];
+  for (const include of listLibraryIncludes(sketchDir)) {
+    const library = installed.libraries.find((lib) =>
+      providesHeader(lib, include.header)
+    );
+    if (library) {
+      includes.push({
+        ...include,
+        status: "installed",
+        library: library.name,
+        candidates: [],
+      });
+      continue;
+    }
+
+    const candidates = await findLibrariesForHeader(include.header);
+    includes.push({
+      ...include,
+      status: candidates.length ? "missing" : "unknown",
+      library: null,
+      candidates,
+    });
+  }
+
+  const missing = new Map();
+  for (const include of includes.filter((i) => i.status === "missing")) {
+    const best = include.candidates[0];
+    if (!missing.has(best.name)) {
+      missing.set(best.name, {
+        name: best.name,
+        version: best.latestVersion,
+        headers: [],
+      });
+    }
+    missing.get(best.name).headers.push(include.header);
+  }
+
+  return { success: true, includes, missing: [...missing.values()] };
+}
+
+// =============================================================================
+// Installing
+// =============================================================================
+
+/**
+ * Install the best-matching library for every missing header of a sketch
+ * @param {string} sketchDir - Absolute sketch directory
+ * @param {object} [options] - Install options
+ * @param {string} [options.fqbn] - Board (see resolveSketchLibraries)
+ * @param {function} [onProgress] - Progress callback ({type, data} events)
+ * @param {AbortSignal} [signal] - Aborting cancels the remaining installs
+ * @returns {Promise<{success: boolean, installed: string[], failed: Array<{name: string, error: string}>, unknown: string[], log: string, error?: string}>}
+ */
+export async function installMissingLibraries(
+  sketchDir,
+  options = {},
+  onProgress = null,
+  signal = null
+) {
+  const scan = await resolveSketchLibraries(sketchDir, options);
+  if (!scan.success) {
+    return {
+      success: false,
+      installed: [],
+      failed: [],
+      unknown: [],
+      log: "",
+      error: scan.error,
+    };
+  }
+
+  const unknown = scan.includes
+    .filter((include) => include.status === "unknown")
+    .map((include) => include.header);
+  const installed = [];
+  const failed = [];
+  let log = "";
+
+  const report = (text) => {
+    log += text;
+    onProgress?.({ type: "stdout", data: text });
+  };
+
+  if (scan.missing.length === 0) {
+    report("All libraries the sketch includes are installed\n");
+  }
+
+  for (const [index, library] of scan.missing.entries()) {
+    if (signal?.aborted) break;
+    report(
+      `Installing ${library.name} (${index + 1}/${
+        scan.missing.length
+      }) for ${library.headers.join(", ")}\n`
+    );
+
+    const result = await libraryManager.installLibrary(
+      library.name,
+      null,
+      true,
+      onProgress,
+      signal
+    );
+    log += result.log;
+    if (result.success) {
+      installed.push(library.name);
+    } else {
+      failed.push({ name: library.name, error: result.error });
+      report(`Could not install ${library.name}: ${result.error}\n`);
+    }
+  }
+
+  logger.info(
+    `Installed ${installed.length} of ${
+      scan.missing.length
+    } missing libraries for ${path.basename(sketchDir)}`
+  );
+
+  return {
+    success: failed.length === 0 && installed.length === scan.missing.length,
+    installed,
+    failed,
+    unknown,
+    log,
+    ...(installed.length < scan.missing.length
+      ? {
+          error: failed.length
+            ? `Could not install ${failed.map((f) => f.name).join(", ")}`
+            : "Cancelled",
+        }
+      : {}),
+  };
+}
@@ -0,0 +1,511 @@
+/**
+ * Library Lock Module
+ *
+ * Workspace-level record of the installed libraries, so a fresh Codespace
+ * can get a sketch's dependencies back:
+ * - arduino-libraries.lock.json lists each user-installed library with its
+ *   exact version and where it came from (library index, Git URL or ZIP)
+ * - Git/ZIP installs leave a small source marker in the library folder,
+ *   because arduino-cli does not remember where a library came from. Git
+ *   sources are pinned to the commit (or the tag/branch asked for)
+ * - Drift report: locked libraries that are missing or at another version,
+ *   and installed libraries that are not locked
+ * - Restore installs exactly the locked set (optionally removing the rest)
+ */
+
+import fs from "fs";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { Logger } from "../shared/Logger.js";
+import * as libraryManager from "./library-manager.js";
+import { isIndexedLibrary } from "./header-index.js";
+
+/** @type {Logger} */
+const logger = new Logger("LibLock");
+
+const execFileAsync = promisify(execFile);
+
+/** Lockfile name at the workspace root */
+export const LOCKFILE_NAME = "arduino-libraries.lock.json";
+
+/** Lockfile format version */
+const LOCKFILE_VERSION = 1;
+
+/** Marker written into libraries installed from Git or ZIP */
+const SOURCE_MARKER = ".arduino-bridge-source.json";
+
+/** Library sources a lockfile entry can have */
+const LOCK_SOURCES = new Set(["index", "git", "zip"]);
+
+/** Time allowed for looking up a Git repository's HEAD commit */
+const GIT_LS_REMOTE_TIMEOUT_MS = 30000;
+
+// =============================================================================
+// Library Sources
+// =============================================================================
+
+/**
+ * Pin a Git library source to a ref
+ *
+ * A "url#ref" keeps the tag, branch or commit the user asked for. Otherwise
+ * the repository's current HEAD commit is looked up, so installing and
+ * restoring get the same code.
+ *
+ * @param {string} gitUrl - Git URL, optionally with "#ref"
+ * @param {AbortSignal} [signal] - Aborting cancels the lookup
+ * @returns {Promise<{source: 'git', url: string, ref?: string}>} Without `ref`
+ *   if HEAD could not be looked up (no git, network error)
+ */
+export async function resolveGitSource(gitUrl, signal = null) {
+  const [url, ref] = gitUrl.split("#");
+  if (ref) return { source: "git", url, ref };
+
+  try {
+    const { stdout } = await execFileAsync("git", ["ls-remote", url, "HEAD"], {
+      timeout: GIT_LS_REMOTE_TIMEOUT_MS,
+      ...(signal ? { signal } : {}),
+    });
+    const commit = stdout.match(/^([0-9a-f]{40})\s+HEAD$/m)?.[1];
+    if (commit) return { source: "git", url, ref: commit };
+  } catch (err) {
+    logger.warn(`Could not look up the HEAD commit of ${url}: ${err.message}`);
+  }
+  return { source: "git", url };
+}
+
+/**
+ * Git URL arduino-cli installs a source from ("url#ref" when pinned)
+ * @param {{url: string, ref?: string}} source
+ * @returns {string}
+ */
+export function gitInstallUrl(source) {
+  return source.ref ? `${source.url}#${source.ref}` : source.url;
+}
+
+/**
+ * Remember where newly installed libraries came from
+ * @param {Array<{name: string, installedVersion: string, installDir: string|null}>} before - Installed libraries before the install
+ * @param {Array<{name: string, installedVersion: string, installDir: string|null}>} after - Installed libraries after the install
+ * @param {{source: 'git'|'zip', url?: string, ref?: string, path?: string}} source
+ * @returns {string[]} Names of the libraries the source was recorded for
+ */
+export function recordLibrarySources(before, after, source) {
+  const previous = new Map(
+    before.map((lib) => [lib.name, lib.installedVersion])
+  );
+  const recorded = [];
+
+  for (const library of after) {
+    if (previous.get(library.name) === library.installedVersion) continue;
+    if (!library.installDir) continue;
+    try {
+      fs.writeFileSync(
+        path.join(library.installDir, SOURCE_MARKER),
+        JSON.stringify(source, null, 2) + "\n"
+      );
+      recorded.push(library.name);
+    } catch (err) {
+      logger.warn(`Could not record source of ${library.name}: ${err.message}`);
+    }
+  }
+  return recorded;
+}
+
+/**
+ * Source marker of an installed library
+ * @param {{installDir: string|null}} library
+ * @returns {{source: string, url?: string, ref?: string, path?: string}|null}
+ */
+function readLibrarySource(library) {
+  if (!library.installDir) return null;
+  try {
+    const marker = JSON.parse(
+      fs.readFileSync(path.join(library.installDir, SOURCE_MARKER), "utf8")
+    );
+    return LOCK_SOURCES.has(marker.source) ? marker : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Libraries the user installed (not bundled with a platform or the IDE)
+ * @returns {Promise<{success: boolean, libraries: Array, error?: string}>}
+ */
+async function listUserLibraries() {
+  const result = await libraryManager.listInstalledLibraries();
+  if (!result.success) return result;
+  return {
+    success: true,
+    libraries: result.libraries.filter(
+      (lib) => !lib.location || lib.location === "user"
+    ),
+  };
+}
+
+// =============================================================================
+// Lockfile
+// =============================================================================
+
+/**
+ * Read the workspace lockfile
+ * @param {string} workspaceRoot - Absolute workspace directory
+ * @returns {{success: boolean, exists: boolean, path: string, lockfile?: object, error?: string}}
+ */
+export function readLockfile(workspaceRoot) {
+  const file = path.join(workspaceRoot, LOCKFILE_NAME);
+  if (!fs.existsSync(file)) {
+    return { success: true, exists: false, path: file };
+  }
+
+  try {
+    const lockfile = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!Array.isArray(lockfile.libraries)) {
+      throw new Error("`libraries` must be an array");
+    }
+    for (const entry of lockfile.libraries) {
+      if (!entry.name || !entry.version || !LOCK_SOURCES.has(entry.source)) {
+        throw new Error(
+          `Entry ${JSON.stringify(
+            entry.name || entry
+          )} needs a name, version and source (index, git or zip)`
+        );
+      }
+      if (entry.ref !== undefined && typeof entry.ref !== "string") {
+        throw new Error(
+          `Entry "${entry.name}" has a \`ref\` that is not a string`
+        );
+      }
+    }
+    return { success: true, exists: true, path: file, lockfile };
+  } catch (err) {
+    return {
+      success: false,
+      exists: true,
+      path: file,
+      error: `Invalid ${LOCKFILE_NAME}: ${err.message}`,
+    };
+  }
+}
+
+/**
+ * Lockfile entry for an installed library
+ * @param {object} library - From listInstalledLibraries()
+ * @param {string} workspaceRoot - ZIP paths inside it are stored relative
+ * @returns {Promise<object>}
+ */
+async function toLockEntry(library, workspaceRoot) {
+  const entry = { name: library.name, version: library.installedVersion };
+  const marker = readLibrarySource(library);
+
+  if (marker?.source === "git") {
+    return {
+      ...entry,
+      source: "git",
+      url: marker.url,
+      ...(marker.ref ? { ref: marker.ref } : {}),
+    };
+  }
+  if (marker?.source === "zip") {
+    const relative = path.relative(workspaceRoot, marker.path);
+    const inside = !relative.startsWith("..") && !path.isAbsolute(relative);
+    return {
+      ...entry,
+      source: "zip",
+      path: inside ? relative.split(path.sep).join("/") : marker.path,
+    };
+  }
+
+  // Without a marker, a library the index does not know was copied in by hand
+  if ((await isIndexedLibrary(library.name)) === false) {
+    return { ...entry, source: "zip", path: null };
+  }
+  return { ...entry, source: "index" };
+}
+
+/**
+ * Write the lockfile from the installed libraries
+ * @param {string} workspaceRoot - Absolute workspace directory
+ * @returns {Promise<{success: boolean, path?: string, lockfile?: object, unrestorable?: string[], error?: string}>}
+ *   `unrestorable` names libraries of unknown origin (locked as ZIP without a path)
+ */
+export async function writeLockfile(workspaceRoot) {
+  const installed = await listUserLibraries();
+  if (!installed.success) {
+    return { success: false, error: installed.error };
+  }
+
+  const libraries = [];
+  for (const library of installed.libraries) {
+    libraries.push(await toLockEntry(library, workspaceRoot));
+  }
+  libraries.sort((a, b) => a.name.localeCompare(b.name));
+
+  const lockfile = {
+    version: LOCKFILE_VERSION,
+    generatedAt: new Date().toISOString(),
+    libraries,
+  };
+  const file = path.join(workspaceRoot, LOCKFILE_NAME);
+  fs.writeFileSync(file, JSON.stringify(lockfile, null, 2) + "\n");
+
+  const unrestorable = libraries
+    .filter((entry) => entry.source === "zip" && !entry.path)
+    .map((entry) => entry.name);
+  logger.info(`Locked ${libraries.length} libraries in ${file}`);
+  return { success: true, path: file, lockfile, unrestorable };
+}
+
+/**
+ * Compare the locked libraries with the installed ones
+ * @param {Array<{name: string, version: string}>} locked - Lockfile entries
+ * @param {Array<{name: string, installedVersion: string}>} installed - User libraries
+ * @returns {{inSync: boolean, missing: object[], changed: Array<{name: string, locked: string, installed: string}>, unlocked: Array<{name: string, version: string}>, unchanged: string[]}}
+ */
+export function compareWithLockfile(locked, installed) {
+  const installedByName = new Map(installed.map((lib) => [lib.name, lib]));
+  const lockedNames = new Set(locked.map((entry) => entry.name));
+  const drift = { missing: [], changed: [], unlocked: [], unchanged: [] };
+
+  for (const entry of locked) {
+    const library = installedByName.get(entry.name);
+    if (!library) {
+      drift.missing.push(entry);
+    } else if (library.installedVersion !== entry.version) {
+      drift.changed.push({
+        name: entry.name,
+        locked: entry.version,
+        installed: library.installedVersion,
+      });
+    } else {
+      drift.unchanged.push(entry.name);
+    }
+  }
+  for (const library of installed) {
+    if (!lockedNames.has(library.name)) {
+      drift.unlocked.push({
+        name: library.name,
+        version: library.installedVersion,
+      });
+    }
+  }
+
+  return {
+    inSync:
+      drift.missing.length === 0 &&
+      drift.changed.length === 0 &&
+      drift.unlocked.length === 0,
+    ...drift,
+  };
+}
+
+/**
+ * Lockfile and drift report
+ * @param {string} workspaceRoot - Absolute workspace directory
+ * @returns {Promise<{success: boolean, exists: boolean, path: string, lockfile?: object, drift?: object, error?: string}>}
+ */
+export async function getLockStatus(workspaceRoot) {
+  const read = readLockfile(workspaceRoot);
+  if (!read.success || !read.exists) return read;
+
+  const installed = await listUserLibraries();
+  if (!installed.success) {
+    return { ...read, success: false, error: installed.error };
+  }
+  return {
+    ...read,
+    drift: compareWithLockfile(read.lockfile.libraries, installed.libraries),
+  };
+}
+
+// =============================================================================
+// Restore
+// =============================================================================
+
+/**
+ * Install one locked library from its source
+ * @param {object} entry - Lockfile entry
+ * @param {string} workspaceRoot - Base for relative ZIP paths
+ * @param {function} [onProgress] - Progress callback
+ * @param {AbortSignal} [signal] - Aborting cancels the install
+ * @returns {Promise<{success: boolean, log: string, error?: string}>}
+ */
+async function installLockEntry(entry, workspaceRoot, onProgress, signal) {
+  if (entry.source === "index") {
+    // Dependencies are locked entries of their own
+    return libraryManager.installLibrary(
+      entry.name,
+      entry.version,
+      false,
+      onProgress,
+      signal
+    );
+  }
+
+  if (entry.source === "zip" && !entry.path) {
+    return {
+      success: false,
+      log: "",
+      error: "Origin unknown - add the ZIP file's `path` to the lockfile",
+    };
+  }
+
+  const before = await libraryManager.listInstalledLibraries();
+  const source =
+    entry.source === "git"
+      ? {
+          source: "git",
+          url: entry.url,
+          ...(entry.ref ? { ref: entry.ref } : {}),
+        }
+      : { source: "zip", path: path.resolve(workspaceRoot, entry.path) };
+  const result =
+    entry.source === "git"
+      ? await libraryManager.installLibraryFromGit(
+          gitInstallUrl(source),
+          onProgress,
+          signal
+        )
+      : await libraryManager.installLibraryFromZip(
+          source.path,
+          onProgress,
+          signal
+        );
+
+  if (result.success && before.success) {
+    const after = await libraryManager.listInstalledLibraries();
+    if (after.success) {
+      recordLibrarySources(before.libraries, after.libraries, source);
+    }
+  }
+  return result;
+}
+
+/**
+ * Install exactly the locked libraries
+ * @param {string} workspaceRoot - Absolute workspace directory
+ * @param {object} [options] - Restore options
+ * @param {boolean} [options.prune=false] - Also uninstall libraries that are not locked
+ * @param {function} [onProgress] - Progress callback ({type, data} events)
+ * @param {AbortSignal} [signal] - Aborting cancels the remaining installs
+ * @returns {Promise<{success: boolean, installed: string[], unchanged: string[], removed: string[], failed: Array<{name: string, error: string}>, drift?: object, log: string, error?: string, status?: number}>}
+ */
+export async function restoreLibraries(
+  workspaceRoot,
+  options = {},
+  onProgress = null,
+  signal = null
+) {
+  const { prune = false } = options;
+  const empty = { installed: [], unchanged: [], removed: [], failed: [] };
+
+  const status = await getLockStatus(workspaceRoot);
+  if (!status.success) {
+    return { success: false, ...empty, log: "", error: status.error };
+  }
+  if (!status.exists) {
+    return {
+      success: false,
+      ...empty,
+      log: "",
+      status: 404,
+      error: `No ${LOCKFILE_NAME} in the workspace - lock the installed libraries first`,
+    };
+  }
+
+  const { drift } = status;
+  const lockedByName = new Map(
+    status.lockfile.libraries.map((entry) => [entry.name, entry])
+  );
+  const toInstall = [
+    ...drift.missing,
+    ...drift.changed.map((change) => lockedByName.get(change.name)),
+  ];
+  const installed = [];
+  const removed = [];
+  const failed = [];
+  let log = "";
+
+  const report = (text) => {
+    log += text;
+    onProgress?.({ type: "stdout", data: text });
+  };
+
+  if (toInstall.length === 0) {
+    report("All locked libraries are installed at their locked versions\n");
+  }
+
+  for (const [index, entry] of toInstall.entries()) {
+    if (signal?.aborted) break;
+    report(
+      `Installing ${entry.name}@${entry.version} from ${entry.source} (${
+        index + 1
+      }/${toInstall.length})\n`
+    );
+    const result = await installLockEntry(
+      entry,
+      workspaceRoot,
+      onProgress,
+      signal
+    );
+    log += result.log || "";
+    if (result.success) {
+      installed.push(entry.name);
+    } else {
+      failed.push({ name: entry.name, error: result.error });
+      report(`Could not install ${entry.name}: ${result.error}\n`);
+    }
+  }
+
+  if (prune) {
+    for (const library of drift.unlocked) {
+      if (signal?.aborted) break;
+      report(`Removing ${library.name}@${library.version} (not locked)\n`);
+      const result = await libraryManager.uninstallLibrary(library.name);
+      if (result.success) {
+        removed.push(library.name);
+      } else {
+        failed.push({ name: library.name, error: result.error });
+        report(`Could not remove ${library.name}: ${result.error}\n`);
+      }
+    }
+  }
+
+  // An unpinned Git source or a changed ZIP can install another version
+  const after = await getLockStatus(workspaceRoot);
+  for (const change of after.drift?.changed || []) {
+    const index = installed.indexOf(change.name);
+    if (index === -1) continue;
+    installed.splice(index, 1);
+    const entry = lockedByName.get(change.name);
+    failed.push({
+      name: change.name,
+      error: `Installed ${change.installed} from ${entry.source}, but the lockfile has ${change.locked}`,
+    });
+    report(
+      `${change.name} is at ${change.installed}, not the locked ${change.locked}\n`
+    );
+  }
+  const cancelled = Boolean(signal?.aborted);
+  logger.info(
+    `Restored ${installed.length} of ${toInstall.length} libraries${
+      prune ? `, removed ${removed.length}` : ""
+    }`
+  );
+
+  return {
+    success: failed.length === 0 && !cancelled,
+    installed,
+    unchanged: drift.unchanged,
+    removed,
+    failed,
+    drift: after.drift,
+    log,
+    ...(failed.length
+      ? { error: `Could not restore ${failed.map((f) => f.name).join(", ")}` }
+      : cancelled
+      ? { error: "Cancelled" }
+      : {}),
+  };
+}
@@ -11,7 +11,10 @@
  */
 
 import { executeCliCommand, parseCliError } from "./cli-executor.js";
+import { compareVersions } from "./arduino-utils.js";
 import { Logger } from "../shared/Logger.js";
+import { rebuildHeaderIndex } from "./header-index.js";
+import { getMirrorMode, fetchIndexesFromMirror } from "./mirror-client.js";
 import path from "path";
 import fs from "fs";
 import { promises as fsPromises } from "fs";
@@ -49,23 +52,39 @@ export function getLibraryIndexStatus() {
 /**
  * Update the library index
  * @param {function} onProgress - Progress callback
- * @returns {Promise<{success: boolean, log: string, duration: number}>}
+ * @param {AbortSignal} signal - Aborting cancels the operation
+ * @returns {Promise<{success: boolean, log: string, duration: number, headerIndex: object|null, error?: string}>}
  */
-export async function updateLibraryIndex(onProgress = null) {
-  const result = await executeCliCommand(["lib", "update-index"], {
-    timeout: 60000, // 1 minute for index update
-    onProgress,
-    useMutex: true,
-  });
-
+export async function updateLibraryIndex(onProgress = null, signal = null) {
+  // Offline mirror: the index comes from the mirror, not downloads.arduino.cc
+  const mirror = getMirrorMode();
+  const result = mirror
+    ? await fetchIndexesFromMirror(mirror.url, "library", onProgress, signal)
+    : await executeCliCommand(["lib", "update-index"], {
+        timeout: 60000, // 1 minute for index update
+        onProgress,
+        useMutex: true,
+        signal,
+      });
+
+  let headerIndex = null;
   if (result.success) {
     lastLibraryIndexUpdate = Date.now();
+    // Missing-include suggestions come from the header index
+    headerIndex = await rebuildHeaderIndex();
+    if (!headerIndex.success) {
+      logger.warn(`Header index not rebuilt: ${headerIndex.error}`);
+    }
   }
 
   return {
     success: result.success,
     log: result.log || result.rawOutput || "",
     duration: result.duration,
+    headerIndex,
+    error: result.success
+      ? undefined
+      : result.error || parseCliError(result.log),
   };
 }
 
@@ -104,10 +123,16 @@ export async function searchLibraries(query = "") {
 
 /**
  * List installed libraries
+ * @param {object} [options] - List options
+ * @param {string} [options.fqbn] - Also list the libraries bundled with this
+ *   board's platform (and the IDE), as the compiler would see them
  * @returns {Promise<{success: boolean, libraries: Array, error?: string}>}
  */
-export async function listInstalledLibraries() {
-  const result = await executeCliCommand(["lib", "list"], {
+export async function listInstalledLibraries(options = {}) {
+  const args = ["lib", "list"];
+  if (options.fqbn) args.push("--all", "--fqbn", options.fqbn);
+
+  const result = await executeCliCommand(args, {
     timeout: 15000,
   });
 
@@ -126,6 +151,8 @@ export async function listInstalledLibraries() {
         architectures: lib.architectures || [],
         website: lib.website || null,
         location: lib.location || null,
+        installDir: lib.install_dir || null,
+        providesIncludes: lib.provides_includes || [],
       };
     });
 
@@ -148,13 +175,15 @@ export async function listInstalledLibraries() {
  * @param {string} version - Optional version to install
  * @param {boolean} installDeps - Whether to install dependencies (default: true)
  * @param {function} onProgress - Progress callback
+ * @param {AbortSignal} signal - Aborting cancels the operation
  * @returns {Promise<{success: boolean, log: string, duration: number, error?: string}>}
  */
 export async function installLibrary(
   name,
   version = null,
   installDeps = true,
-  onProgress = null
+  onProgress = null,
+  signal = null
 ) {
   if (!name || !isValidLibraryName(name)) {
     return {
@@ -178,6 +207,7 @@ export async function installLibrary(
     timeout: 60000, // 1 minute for library install
     onProgress,
     useMutex: true,
+    signal,
   });
 
   return {
@@ -192,9 +222,10 @@ export async function installLibrary(
  * Upgrade a library to latest version
  * @param {string} name - Library name
  * @param {function} onProgress - Progress callback
+ * @param {AbortSignal} signal - Aborting cancels the operation
  * @returns {Promise<{success: boolean, log: string, duration: number, error?: string}>}
  */
-export async function upgradeLibrary(name, onProgress = null) {
+export async function upgradeLibrary(name, onProgress = null, signal = null) {
   if (!name || !isValidLibraryName(name)) {
     return {
       success: false,
@@ -208,6 +239,7 @@ export async function upgradeLibrary(name, onProgress = null) {
     timeout: 60000,
     onProgress,
     useMutex: true,
+    signal,
   });
 
   return {
@@ -250,9 +282,14 @@ export async function uninstallLibrary(name) {
  * Install a library from a Git URL
  * @param {string} gitUrl - Git repository URL (e.g., https://github.com/user/repo.git)
  * @param {function} onProgress - Progress callback
+ * @param {AbortSignal} signal - Aborting cancels the operation
  * @returns {Promise<{success: boolean, log: string, duration: number, error?: string}>}
  */
-export async function installLibraryFromGit(gitUrl, onProgress = null) {
+export async function installLibraryFromGit(
+  gitUrl,
+  onProgress = null,
+  signal = null
+) {
   if (!gitUrl || !isValidGitUrl(gitUrl)) {
     return {
       success: false,
@@ -268,6 +305,7 @@ export async function installLibraryFromGit(gitUrl, onProgress = null) {
       timeout: 120000, // 2 minutes for git clone
       onProgress,
       useMutex: true,
+      signal,
     }
   );
 
@@ -283,9 +321,14 @@ export async function installLibraryFromGit(gitUrl, onProgress = null) {
  * Install a library from a ZIP file path
  * @param {string} zipPath - Path to the ZIP file
  * @param {function} onProgress - Progress callback
+ * @param {AbortSignal} signal - Aborting cancels the operation
  * @returns {Promise<{success: boolean, log: string, duration: number, error?: string}>}
  */
-export async function installLibraryFromZip(zipPath, onProgress = null) {
+export async function installLibraryFromZip(
+  zipPath,
+  onProgress = null,
+  signal = null
+) {
   // Validate file exists and is a zip
   if (!zipPath) {
     return {
@@ -332,6 +375,7 @@ export async function installLibraryFromZip(zipPath, onProgress = null) {
       timeout: 60000,
       onProgress,
       useMutex: true,
+      signal,
     }
   );
 
@@ -352,8 +396,8 @@ function isValidGitUrl(url) {
     // Accept http, https, or git protocols
     return ["http:", "https:", "git:"].includes(parsed.protocol);
   } catch {
-    // Also accept git@host:user/repo format
-    return /^git@[\w.-]+:[\w./-]+\.git$/.test(url);
+    // Also accept git@host:user/repo format (optionally "#ref")
+    return /^git@[\w.-]+:[\w./-]+\.git(#[\w./-]+)?$/.test(url);
   }
 }
 
@@ -378,6 +422,7 @@ function transformLibrary(library) {
     category: latestRelease.category || library.category || "Uncategorized",
     architectures: latestRelease.architectures || library.architectures || [],
     types: latestRelease.types || library.types || [],
+    providesIncludes: latestRelease.provides_includes || [],
     installedVersion: null, // Will be filled in by combining with installed list
   };
 }
@@ -391,23 +436,6 @@ function isValidLibraryName(name) {
   return typeof name === "string" && name.length > 0 && name.length < 256;
 }
 
-/**
- * Compare semantic version strings
- */
-function compareVersions(a, b) {
-  const partsA = a.split(".").map((n) => parseInt(n, 10) || 0);
-  const partsB = b.split(".").map((n) => parseInt(n, 10) || 0);
-
-  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
-    const numA = partsA[i] || 0;
-    const numB = partsB[i] || 0;
-    if (numA !== numB) {
-      return numA - numB;
-    }
-  }
-  return 0;
-}
-
 /**
  * Sync library example symlinks to the workspace
  * Creates symlinks in /workspaces/TempeHS_Arduino_DevContainer/library-examples/
@@ -0,0 +1,184 @@
+/**
+ * Mirror Client Module
+ *
+ * Lets arduino-cli work from an offline mirror (see index-mirror.js):
+ * - Remembers whether mirror mode is on and which mirror it uses
+ *   (arduino-bridge-mirror.json in the Arduino data directory)
+ * - Downloads the board and library indexes from the mirror into the data
+ *   directory, where `arduino-cli core update-index` / `lib update-index`
+ *   would put them. The mirror serves them with archive URLs pointing back at
+ *   itself, so installs download from the mirror too
+ *
+ * The rewritten indexes carry no Arduino signature (their .sig files are
+ * removed), so arduino-cli treats them as untrusted like any third-party
+ * index and skips platform post-install scripts while mirror mode is on.
+ */
+
+import fs from "fs";
+import path from "path";
+import { Logger } from "../shared/Logger.js";
+import { arduinoDataDir } from "./arduino-utils.js";
+
+/** @type {Logger} */
+const logger = new Logger("MirrorClient");
+
+/** Mirror mode state, kept in the Arduino data directory */
+const MODE_FILE = "arduino-bridge-mirror.json";
+
+/** Manifest every mirror serves at its root */
+export const MIRROR_MANIFEST = "mirror.json";
+
+/** Time allowed per index download */
+const INDEX_TIMEOUT_MS = 120000;
+
+/**
+ * Abort signal that fires on `signal` or after a timeout, whichever is first
+ * @param {AbortSignal|null} signal - Job signal (optional)
+ * @param {number} ms - Timeout
+ * @returns {AbortSignal}
+ */
+export function withTimeout(signal, ms) {
+  const timeout = AbortSignal.timeout(ms);
+  return signal ? AbortSignal.any([signal, timeout]) : timeout;
+}
+
+// =============================================================================
+// Mirror Mode
+// =============================================================================
+
+/**
+ * Current mirror mode
+ * @returns {{url: string, previousUrls: string[], enabledAt: string}|null}
+ *   null when arduino-cli uses the normal download servers
+ */
+export function getMirrorMode() {
+  try {
+    const state = JSON.parse(
+      fs.readFileSync(path.join(arduinoDataDir(), MODE_FILE), "utf8")
+    );
+    return state?.url ? state : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Turn mirror mode on (state) or off (null)
+ * @param {{url: string, previousUrls: string[]}|null} state
+ */
+export function setMirrorMode(state) {
+  const file = path.join(arduinoDataDir(), MODE_FILE);
+  if (!state) {
+    fs.rmSync(file, { force: true });
+    return;
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(
+    file,
+    JSON.stringify(
+      { ...state, enabledAt: state.enabledAt || new Date().toISOString() },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+// =============================================================================
+// Index Download
+// =============================================================================
+
+/**
+ * Fetch a mirror's manifest
+ * @param {string} url - Mirror base URL
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{version: number, createdAt: string, indexes: Array<{file: string, kind: 'package'|'library', source: string}>, archives: object[]}>}
+ * @throws {Error} If the mirror cannot be reached or is not a mirror
+ */
+export async function fetchMirrorManifest(url, signal = null) {
+  const response = await fetch(`${url}/${MIRROR_MANIFEST}`, {
+    signal: withTimeout(signal, INDEX_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`${url} is not an index mirror (HTTP ${response.status})`);
+  }
+  const manifest = await response.json();
+  if (!Array.isArray(manifest.indexes)) {
+    throw new Error(`${url}/${MIRROR_MANIFEST} has no index list`);
+  }
+  return manifest;
+}
+
+/**
+ * Download the board (`package`) or library indexes from the mirror into the
+ * Arduino data directory
+ * @param {string} url - Mirror base URL
+ * @param {'package'|'library'} kind - Which indexes
+ * @param {function} [onProgress] - Progress callback ({type, data} events)
+ * @param {AbortSignal} [signal] - Aborting cancels the download
+ * @returns {Promise<{success: boolean, log: string, duration: number, files?: string[], error?: string}>}
+ *   Same shape as updateCoreIndex()/updateLibraryIndex()
+ */
+export async function fetchIndexesFromMirror(
+  url,
+  kind,
+  onProgress = null,
+  signal = null
+) {
+  const startTime = Date.now();
+  let log = "";
+  const report = (text) => {
+    log += text;
+    onProgress?.({ type: "stdout", data: text });
+  };
+  const dataDir = arduinoDataDir();
+
+  try {
+    const manifest = await fetchMirrorManifest(url, signal);
+    const files = manifest.indexes
+      .filter((index) => index.kind === kind)
+      .map((index) => index.file);
+    if (files.length === 0) {
+      throw new Error(`The mirror has no ${kind} index`);
+    }
+
+    fs.mkdirSync(dataDir, { recursive: true });
+    for (const file of files) {
+      report(`Downloading ${file} from ${url}\n`);
+      const response = await fetch(`${url}/${encodeURIComponent(file)}`, {
+        signal: withTimeout(signal, INDEX_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(`${file}: HTTP ${response.status}`);
+      }
+      const body = Buffer.from(await response.arrayBuffer());
+
+      // Write next to the target and rename, so arduino-cli never reads half a file
+      const target = path.join(dataDir, path.basename(file));
+      fs.writeFileSync(`${target}.tmp`, body);
+      fs.renameSync(`${target}.tmp`, target);
+      // The signature from the last online update no longer matches
+      fs.rmSync(`${target}.sig`, { force: true });
+    }
+
+    report(`${files.length} ${kind} index file(s) updated from the mirror\n`);
+    logger.info(`Updated ${files.join(", ")} from ${url}`);
+    return {
+      success: true,
+      log,
+      duration: (Date.now() - startTime) / 1000,
+      files,
+    };
+  } catch (err) {
+    const error = signal?.aborted
+      ? "Cancelled"
+      : `Mirror ${url} unavailable: ${err.message}`;
+    report(`${error}\n`);
+    logger.warn(error);
+    return {
+      success: false,
+      log,
+      duration: (Date.now() - startTime) / 1000,
+      error,
+    };
+  }
+}
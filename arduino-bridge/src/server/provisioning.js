@@ -0,0 +1,321 @@
+/**
+ * Provisioning Module
+ *
+ * Brings a Codespace to the state described by a declarative profile
+ * (.devcontainer/arduino-profile.json):
+ * - Board manager URLs, cores and libraries, each optionally pinned to a version
+ * - Plans against what is installed: add, upgrade, downgrade or already satisfied
+ * - Applies the plan with addBoardUrl, installCore and installLibrary,
+ *   refreshing the indexes first when something has to be installed
+ * - Dry-run returns the plan without changing anything
+ */
+
+import fs from "fs";
+import path from "path";
+import { Logger } from "../shared/Logger.js";
+import { compareVersions } from "./arduino-utils.js";
+import * as coreManager from "./core-manager.js";
+import * as libraryManager from "./library-manager.js";
+
+/** @type {Logger} */
+const logger = new Logger("Provision");
+
+/** Profile location, relative to the workspace root */
+export const PROFILE_PATH = ".devcontainer/arduino-profile.json";
+
+/** Progress verbs per planned action */
+const ACTION_VERBS = {
+  add: "Adding",
+  upgrade: "Upgrading",
+  downgrade: "Downgrading",
+};
+
+/** Progress names per step kind */
+const KIND_LABELS = { boardUrl: "board URL", core: "core", library: "library" };
+
+/** Platform IDs look like "arduino:avr" */
+const PLATFORM_ID_PATTERN = /^[a-zA-Z0-9_-]+:[a-zA-Z0-9_-]+$/;
+
+// =============================================================================
+// Profile
+// =============================================================================
+
+/**
+ * Normalize a core or library entry: "name" or { name, version }
+ * @param {string|object} entry - Entry from the profile
+ * @param {string} key - "id" for cores, "name" for libraries
+ * @returns {{target: string, version: string|null}}
+ * @throws {Error} If the entry has no target
+ */
+function normalizeEntry(entry, key) {
+  const target = typeof entry === "string" ? entry : entry?.[key];
+  if (!target || typeof target !== "string") {
+    throw new Error(`Entry ${JSON.stringify(entry)} needs a "${key}"`);
+  }
+  const version = typeof entry === "object" ? entry.version || null : null;
+  return { target: target.trim(), version };
+}
+
+/**
+ * Read and validate the provisioning profile
+ * @param {string} workspaceRoot - Absolute workspace directory
+ * @returns {{success: boolean, exists: boolean, path: string, profile?: {boardManagerUrls: string[], cores: Array<{target: string, version: string|null}>, libraries: Array<{target: string, version: string|null}>}, error?: string}}
+ */
+export function readProvisioningProfile(workspaceRoot) {
+  const file = path.join(workspaceRoot, PROFILE_PATH);
+  if (!fs.existsSync(file)) {
+    return { success: true, exists: false, path: file };
+  }
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    const list = (field) => {
+      const value = raw[field] ?? [];
+      if (!Array.isArray(value)) throw new Error(`"${field}" must be an array`);
+      return value;
+    };
+
+    const profile = {
+      boardManagerUrls: list("boardManagerUrls").map(String),
+      cores: list("cores").map((entry) => normalizeEntry(entry, "id")),
+      libraries: list("libraries").map((entry) =>
+        normalizeEntry(entry, "name")
+      ),
+    };
+    const badCore = profile.cores.find(
+      (core) => !PLATFORM_ID_PATTERN.test(core.target)
+    );
+    if (badCore) {
+      throw new Error(
+        `Core "${badCore.target}" is not a platform ID like arduino:avr`
+      );
+    }
+    return { success: true, exists: true, path: file, profile };
+  } catch (err) {
+    return {
+      success: false,
+      exists: true,
+      path: file,
+      error: `Invalid ${PROFILE_PATH}: ${err.message}`,
+    };
+  }
+}
+
+// =============================================================================
+// Planning
+// =============================================================================
+
+/**
+ * Action that brings an installed version to the wanted one
+ * @param {string|null} installed - Installed version
+ * @param {string|null} wanted - Pinned version, or null for any
+ * @returns {'add'|'upgrade'|'downgrade'|'none'}
+ */
+function versionAction(installed, wanted) {
+  if (!installed) return "add";
+  if (!wanted || installed === wanted) return "none";
+  return compareVersions(wanted, installed) > 0 ? "upgrade" : "downgrade";
+}
+
+/**
+ * Compare the profile with the environment
+ * @param {object} profile - From readProvisioningProfile()
+ * @returns {Promise<{success: boolean, steps: Array<{kind: 'boardUrl'|'core'|'library', target: string, action: 'add'|'upgrade'|'downgrade'|'none', installed: string|null, version: string|null}>, error?: string}>}
+ */
+export async function planProvisioning(profile) {
+  const [urls, cores, libraries] = await Promise.all([
+    coreManager.getAdditionalBoardUrls(),
+    coreManager.listInstalledCores(),
+    libraryManager.listInstalledLibraries(),
+  ]);
+  const failed = [urls, cores, libraries].find((result) => !result.success);
+  if (failed) return { success: false, steps: [], error: failed.error };
+
+  const installedCores = new Map(
+    cores.platforms.map((core) => [core.id, core.installedVersion])
+  );
+  const installedLibraries = new Map(
+    libraries.libraries
+      .filter((lib) => lib.location !== "platform")
+      .map((lib) => [lib.name, lib.installedVersion])
+  );
+
+  const steps = [
+    ...profile.boardManagerUrls.map((url) => ({
+      kind: "boardUrl",
+      target: url,
+      action: urls.urls.includes(url) ? "none" : "add",
+      installed: null,
+      version: null,
+    })),
+    ...profile.cores.map(({ target, version }) => ({
+      kind: "core",
+      target,
+      action: versionAction(installedCores.get(target), version),
+      installed: installedCores.get(target) || null,
+      version,
+    })),
+    ...profile.libraries.map(({ target, version }) => ({
+      kind: "library",
+      target,
+      action: versionAction(installedLibraries.get(target), version),
+      installed: installedLibraries.get(target) || null,
+      version,
+    })),
+  ];
+  return { success: true, steps };
+}
+
+// =============================================================================
+// Applying
+// =============================================================================
+
+/**
+ * Carry out one planned step
+ * @param {object} step - From planProvisioning()
+ * @param {function} [onProgress] - Progress callback
+ * @param {AbortSignal} [signal] - Aborting cancels the install
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function applyStep(step, onProgress, signal) {
+  if (step.kind === "boardUrl") {
+    return coreManager.addBoardUrl(step.target);
+  }
+  if (step.kind === "core") {
+    return coreManager.installCore(
+      step.target,
+      step.version,
+      onProgress,
+      signal
+    );
+  }
+  return libraryManager.installLibrary(
+    step.target,
+    step.version,
+    true,
+    onProgress,
+    signal
+  );
+}
+
+/**
+ * Reconcile the environment with the provisioning profile
+ * @param {string} workspaceRoot - Absolute workspace directory
+ * @param {object} [options] - Provisioning options
+ * @param {boolean} [options.dryRun=false] - Only report what would change
+ * @param {function} [onProgress] - Progress callback ({type, data} events)
+ * @param {AbortSignal} [signal] - Aborting cancels the remaining steps
+ * @returns {Promise<{success: boolean, dryRun: boolean, steps: object[], added: string[], upgraded: string[], downgraded: string[], satisfied: string[], failed: Array<{target: string, error: string}>, log: string, error?: string, status?: number}>}
+ *   In a dry run `added`/`upgraded`/`downgraded` list what would change
+ */
+export async function provision(
+  workspaceRoot,
+  options = {},
+  onProgress = null,
+  signal = null
+) {
+  const { dryRun = false } = options;
+  const report = {
+    dryRun,
+    steps: [],
+    added: [],
+    upgraded: [],
+    downgraded: [],
+    satisfied: [],
+    failed: [],
+    log: "",
+  };
+
+  const read = readProvisioningProfile(workspaceRoot);
+  if (!read.success) return { success: false, ...report, error: read.error };
+  if (!read.exists) {
+    return {
+      success: false,
+      ...report,
+      status: 404,
+      error: `No ${PROFILE_PATH} in the workspace`,
+    };
+  }
+
+  const plan = await planProvisioning(read.profile);
+  if (!plan.success) return { success: false, ...report, error: plan.error };
+  report.steps = plan.steps;
+
+  const log = (text) => {
+    report.log += text;
+    onProgress?.({ type: "stdout", data: text });
+  };
+  const label = (step) =>
+    `${step.target}${step.version ? `@${step.version}` : ""}`;
+  const groups = {
+    add: report.added,
+    upgrade: report.upgraded,
+    downgrade: report.downgraded,
+  };
+
+  for (const step of plan.steps.filter((s) => s.action === "none")) {
+    report.satisfied.push(label(step));
+  }
+  const pending = plan.steps.filter((s) => s.action !== "none");
+
+  if (dryRun) {
+    for (const step of pending) groups[step.action].push(label(step));
+    return { success: true, ...report };
+  }
+  if (pending.length === 0) {
+    log("Everything in the profile is already installed\n");
+    return { success: true, ...report };
+  }
+
+  const runSteps = async (kind) => {
+    for (const step of pending.filter((s) => s.kind === kind)) {
+      if (signal?.aborted) return;
+      log(`${ACTION_VERBS[step.action]} ${KIND_LABELS[kind]} ${label(step)}\n`);
+      const result = await applyStep(step, onProgress, signal);
+      if (result.success) {
+        groups[step.action].push(label(step));
+      } else {
+        report.failed.push({ target: label(step), error: result.error });
+        log(`Could not provision ${label(step)}: ${result.error}\n`);
+      }
+    }
+  };
+
+  // Board URLs first: new URLs and a cold start need a fresh core index
+  await runSteps("boardUrl");
+  if (
+    pending.some((s) => s.kind === "core") &&
+    (report.added.length > 0 || coreManager.getCoreIndexStatus().needsRefresh)
+  ) {
+    log("Updating core index\n");
+    await coreManager.updateCoreIndex(onProgress, signal);
+  }
+  await runSteps("core");
+
+  if (
+    pending.some((s) => s.kind === "library") &&
+    libraryManager.getLibraryIndexStatus().needsRefresh
+  ) {
+    log("Updating library index\n");
+    await libraryManager.updateLibraryIndex(onProgress, signal);
+  }
+  await runSteps("library");
+
+  logger.info(
+    `Provisioned: ${report.added.length} added, ${report.upgraded.length} upgraded, ${report.downgraded.length} downgraded, ${report.satisfied.length} satisfied, ${report.failed.length} failed`
+  );
+  const cancelled = Boolean(signal?.aborted);
+  return {
+    success: report.failed.length === 0 && !cancelled,
+    ...report,
+    ...(report.failed.length
+      ? {
+          error: `Could not provision ${report.failed
+            .map((f) => f.target)
+            .join(", ")}`,
+        }
+      : cancelled
+      ? { error: "Cancelled" }
+      : {}),
+  };
+}
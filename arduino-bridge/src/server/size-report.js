@@ -0,0 +1,332 @@
+/**
+ * Size Report Module
+ *
+ * Breaks a build's flash/RAM usage down by symbol and library:
+ * - Reads sections and symbols straight from the `.elf` (ELF32/ELF64, either endianness)
+ * - Classifies symbols as flash, RAM or both from their section flags
+ * - Attributes symbols to source files/libraries using the core's `nm -l`
+ *   (when the toolchain is installed), with demangled C++ names
+ */
+
+import fs from "fs";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { Logger } from "../shared/Logger.js";
+import { arduinoDataDir } from "./arduino-utils.js";
+
+/** @type {Logger} */
+const logger = new Logger("SizeReport");
+
+const execFileAsync = promisify(execFile);
+
+/** ELF section header constants */
+const SHT_SYMTAB = 2;
+const SHT_NOBITS = 8;
+const SHF_WRITE = 0x1;
+const SHF_ALLOC = 0x2;
+
+/** ELF symbol types worth reporting */
+const STT_OBJECT = 1;
+const STT_FUNC = 2;
+
+/** Allocated sections that are not part of the program image (AVR fuses, EEPROM) */
+const NON_PROGRAM_SECTIONS = /^\.(eeprom|fuse|lock|signature|user_signatures)/;
+
+/** Toolchain prefixes per ELF e_machine, used to find the matching `nm` */
+const TOOLCHAIN_PREFIXES = {
+  40: ["arm-none-eabi-"], // ARM
+  83: ["avr-"], // AVR
+  94: [
+    "xtensa-esp32-elf-",
+    "xtensa-esp32s3-elf-",
+    "xtensa-esp-elf-",
+    "xtensa-lx106-elf-",
+  ], // Xtensa
+  243: ["riscv32-esp-elf-", "riscv32-unknown-elf-"], // RISC-V
+};
+
+/** Maximum time to wait for `nm` */
+const NM_TIMEOUT_MS = 30000;
+
+/**
+ * Parse the section table and symbol table of an ELF file
+ * @param {Buffer} buffer - ELF file contents
+ * @returns {{machine: number, sections: object[], symbols: object[]}}
+ * @throws {Error} If the buffer is not a supported ELF file
+ */
+export function readElf(buffer) {
+  if (
+    buffer.length < 52 ||
+    buffer.readUInt32BE(0) !== 0x7f454c46 // "\x7FELF"
+  ) {
+    throw new Error("Not an ELF file");
+  }
+
+  const is64 = buffer[4] === 2;
+  const le = buffer[5] === 1;
+  const u16 = (offset) =>
+    le ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+  const u32 = (offset) =>
+    le ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+  const addr = (offset) =>
+    is64
+      ? Number(
+          le ? buffer.readBigUInt64LE(offset) : buffer.readBigUInt64BE(offset)
+        )
+      : u32(offset);
+
+  const machine = u16(18);
+  const shoff = addr(is64 ? 40 : 32);
+  const shentsize = u16(is64 ? 58 : 46);
+  const shnum = u16(is64 ? 60 : 48);
+  const shstrndx = u16(is64 ? 62 : 50);
+
+  if (!shoff || shoff + shnum * shentsize > buffer.length) {
+    throw new Error("ELF section table is missing or truncated");
+  }
+
+  const sections = [];
+  for (let i = 0; i < shnum; i++) {
+    const base = shoff + i * shentsize;
+    sections.push({
+      nameOffset: u32(base),
+      type: u32(base + 4),
+      flags: addr(base + 8),
+      address: addr(base + (is64 ? 16 : 12)),
+      offset: addr(base + (is64 ? 24 : 16)),
+      size: addr(base + (is64 ? 32 : 20)),
+      link: u32(base + (is64 ? 40 : 24)),
+      entsize: addr(base + (is64 ? 56 : 36)),
+    });
+  }
+
+  const readString = (table, offset) => {
+    const start = table.offset + offset;
+    const end = buffer.indexOf(0, start);
+    return buffer.toString("latin1", start, end === -1 ? undefined : end);
+  };
+
+  const names = sections[shstrndx];
+  for (const section of sections) {
+    section.name = names ? readString(names, section.nameOffset) : "";
+    section.region = classifySection(section);
+  }
+
+  const symbols = [];
+  const symtab = sections.find((s) => s.type === SHT_SYMTAB);
+  if (symtab) {
+    const strtab = sections[symtab.link];
+    const entsize = symtab.entsize || (is64 ? 24 : 16);
+    const count = Math.floor(symtab.size / entsize);
+
+    for (let i = 1; i < count; i++) {
+      const base = symtab.offset + i * entsize;
+      const info = buffer[base + (is64 ? 4 : 12)];
+      const shndx = u16(base + (is64 ? 6 : 14));
+      const size = is64 ? addr(base + 16) : u32(base + 8);
+      const type = info & 0xf;
+
+      if (size === 0 || (type !== STT_FUNC && type !== STT_OBJECT)) continue;
+      const section = sections[shndx];
+      if (!section || !section.region) continue;
+
+      symbols.push({
+        name: readString(strtab, u32(base)),
+        address: is64 ? addr(base + 8) : u32(base + 4),
+        size,
+        type: type === STT_FUNC ? "function" : "object",
+        section: section.name,
+        region: section.region,
+      });
+    }
+  }
+
+  return { machine, sections, symbols };
+}
+
+/**
+ * Decide where a section lives at runtime
+ * @param {object} section - Parsed section header
+ * @returns {'flash'|'ram'|'both'|null} `both` for initialized data (stored in flash, copied to RAM)
+ */
+function classifySection(section) {
+  if (!(section.flags & SHF_ALLOC) || section.size === 0) return null;
+  if (NON_PROGRAM_SECTIONS.test(section.name)) return null;
+  if (section.type === SHT_NOBITS) return "ram";
+  return section.flags & SHF_WRITE ? "both" : "flash";
+}
+
+/**
+ * Flash/RAM bytes a symbol or section occupies
+ * @param {string} region - 'flash' | 'ram' | 'both'
+ * @param {number} size - Size in bytes
+ * @returns {{flash: number, ram: number}}
+ */
+function regionUsage(region, size) {
+  return {
+    flash: region === "ram" ? 0 : size,
+    ram: region === "flash" ? 0 : size,
+  };
+}
+
+/**
+ * Find the toolchain `nm` matching an ELF machine type
+ * @param {number} machine - ELF e_machine
+ * @returns {string|null} Absolute path to nm
+ */
+function findToolchainNm(machine) {
+  const prefixes = TOOLCHAIN_PREFIXES[machine];
+  if (!prefixes) return null;
+
+  const packagesDir = path.join(arduinoDataDir(), "packages");
+  const candidates = [];
+
+  const list = (dir) => {
+    try {
+      return fs.readdirSync(dir);
+    } catch (e) {
+      return [];
+    }
+  };
+
+  // packages/<vendor>/tools/<tool>/<version>/bin/<prefix>nm
+  for (const vendor of list(packagesDir)) {
+    const toolsDir = path.join(packagesDir, vendor, "tools");
+    for (const tool of list(toolsDir)) {
+      for (const version of list(path.join(toolsDir, tool))) {
+        for (const prefix of prefixes) {
+          const nm = path.join(toolsDir, tool, version, "bin", `${prefix}nm`);
+          if (fs.existsSync(nm)) candidates.push(nm);
+        }
+      }
+    }
+  }
+
+  // Newest toolchain version last
+  candidates.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  return candidates.pop() || null;
+}
+
+/**
+ * Look up demangled names and source files with the toolchain's nm
+ * @param {string} elfPath - Path to the .elf
+ * @param {number} machine - ELF e_machine
+ * @returns {Promise<Map<string, {name: string, file: string|null}>|null>} Keyed by "address:size"; null when nm is unavailable
+ */
+async function readSourceInfo(elfPath, machine) {
+  const nm = findToolchainNm(machine);
+  if (!nm) return null;
+
+  try {
+    const { stdout } = await execFileAsync(
+      nm,
+      ["--print-size", "--demangle", "--line-numbers", elfPath],
+      { timeout: NM_TIMEOUT_MS, maxBuffer: 32 * 1024 * 1024 }
+    );
+
+    const info = new Map();
+    for (const line of stdout.split(/\r?\n/)) {
+      const match = line.match(
+        /^([0-9a-fA-F]+) ([0-9a-fA-F]+) \w (.+?)(?:\t(.+):(?:\d+|\?))?$/
+      );
+      if (!match) continue;
+      const key = `${parseInt(match[1], 16)}:${parseInt(match[2], 16)}`;
+      if (!info.has(key)) {
+        info.set(key, { name: match[3], file: match[4] || null });
+      }
+    }
+    return info;
+  } catch (err) {
+    logger.warn(`nm failed (${nm}): ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Attribute a source file to a library, the core, the toolchain or the sketch
+ * @param {string|null} file - Source path from debug info
+ * @returns {string} Group name
+ */
+function libraryForFile(file) {
+  if (!file) return "(unknown)";
+
+  const normalized = file.replace(/\\/g, "/");
+  const library = normalized.match(/\/libraries\/([^/]+)\//);
+  if (library) return library[1];
+  if (/\/(cores|variants)\//.test(normalized)) return "(core)";
+  if (/\/tools\/|\/gcc\/|\/libc\/|\/newlib\//.test(normalized)) {
+    return "(toolchain)";
+  }
+  return "(sketch)";
+}
+
+/**
+ * Build a flash/RAM size report for an ELF file
+ *
+ * Address space on AVR is split (RAM at 0x800000+), so symbols are
+ * classified by section flags rather than address.
+ *
+ * @param {string} elfPath - Path to the .elf
+ * @param {object} [options] - Report options
+ * @param {number} [options.limit=1000] - Maximum symbols to return (largest first)
+ * @returns {Promise<{totals: object, sections: object[], libraries: object[], symbols: object[], symbolCount: number, sourceInfo: boolean}>}
+ * @throws {Error} If the file cannot be read or parsed
+ */
+export async function buildSizeReport(elfPath, options = {}) {
+  const { limit = 1000 } = options;
+  const buffer = await fs.promises.readFile(elfPath);
+  const { machine, sections, symbols } = readElf(buffer);
+  const sourceInfo = await readSourceInfo(elfPath, machine);
+
+  const totals = { flash: 0, ram: 0 };
+  const sectionReport = sections
+    .filter((section) => section.region)
+    .map((section) => {
+      const usage = regionUsage(section.region, section.size);
+      totals.flash += usage.flash;
+      totals.ram += usage.ram;
+      return { name: section.name, size: section.size, ...usage };
+    });
+
+  const libraries = new Map();
+  const symbolReport = symbols.map((symbol) => {
+    const source = sourceInfo?.get(`${symbol.address}:${symbol.size}`);
+    const file = source?.file || null;
+    const library = libraryForFile(file);
+    const usage = regionUsage(symbol.region, symbol.size);
+
+    const entry = libraries.get(library) || {
+      name: library,
+      flash: 0,
+      ram: 0,
+      symbols: 0,
+    };
+    entry.flash += usage.flash;
+    entry.ram += usage.ram;
+    entry.symbols++;
+    libraries.set(library, entry);
+
+    return {
+      name: source?.name || symbol.name,
+      type: symbol.type,
+      section: symbol.section,
+      library,
+      file,
+      ...usage,
+    };
+  });
+
+  symbolReport.sort((a, b) => b.flash + b.ram - (a.flash + a.ram));
+
+  return {
+    totals,
+    sections: sectionReport,
+    libraries: [...libraries.values()].sort(
+      (a, b) => b.flash + b.ram - (a.flash + a.ram)
+    ),
+    symbols: symbolReport.slice(0, limit),
+    symbolCount: symbolReport.length,
+    sourceInfo: Boolean(sourceInfo),
+  };
+}
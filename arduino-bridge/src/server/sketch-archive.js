@@ -0,0 +1,264 @@
+/**
+ * Sketch Archive Module
+ *
+ * Moves sketches in and out of the workspace as ZIP files:
+ * - Export: the sketch folder (minus build output and hidden files) under a
+ *   top-level `<sketch>/` folder, plus optional extra files (compiled
+ *   artifact, generated sketch.yaml)
+ * - Import: validates the archive (safe paths, an .ino at the sketch root),
+ *   strips a single top-level folder and unpacks into the workspace,
+ *   adding a `_1`, `_2`, ... suffix when the name is taken (like
+ *   copyExampleToWorkspace) and renaming the main .ino to match
+ */
+
+import fs from "fs";
+import path from "path";
+import { Logger } from "../shared/Logger.js";
+import { createZip, readZip } from "./zip-archive.js";
+import { isValidSketchName } from "./sketch-templates.js";
+
+/** @type {Logger} */
+const logger = new Logger("SketchArchive");
+
+/** Largest sketch folder exported */
+const MAX_EXPORT_BYTES = 50 * 1024 * 1024;
+
+/** Folders left out of exports (build output, dependencies) */
+const EXPORT_IGNORED_DIRS = new Set(["build", "node_modules"]);
+
+// =============================================================================
+// Export
+// =============================================================================
+
+/**
+ * Collect the files of a sketch folder for export
+ * @param {string} sketchDir - Absolute sketch directory
+ * @returns {Array<{name: string, fullPath: string, modified: Date, size: number}>}
+ */
+function collectSketchFiles(sketchDir) {
+  const files = [];
+
+  const walk = (dir, prefix) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.name.startsWith(".")) continue;
+      const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (!EXPORT_IGNORED_DIRS.has(entry.name)) walk(fullPath, name);
+      } else if (entry.isFile()) {
+        const stat = fs.statSync(fullPath);
+        files.push({ name, fullPath, modified: stat.mtime, size: stat.size });
+      }
+    }
+  };
+
+  walk(sketchDir, "");
+  return files;
+}
+
+/**
+ * Build a ZIP of a sketch
+ * @param {string} sketchDir - Absolute sketch directory
+ * @param {Array<{name: string, data: Buffer|string}>} [extraFiles] - Added
+ *   (or replaced) inside the sketch folder, e.g. `build/<fqbn>/<sketch>.ino.hex`
+ * @returns {{success: boolean, zip?: Buffer, fileName?: string, files?: string[], error?: string, status?: number}}
+ */
+export function exportSketch(sketchDir, extraFiles = []) {
+  const sketchName = path.basename(sketchDir);
+  const files = collectSketchFiles(sketchDir);
+
+  const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+  if (totalBytes > MAX_EXPORT_BYTES) {
+    return {
+      success: false,
+      status: 413,
+      error: `Sketch folder is larger than ${
+        MAX_EXPORT_BYTES / 1024 / 1024
+      } MB`,
+    };
+  }
+
+  const extraNames = new Set(extraFiles.map((file) => file.name));
+  const entries = [
+    ...files
+      .filter((file) => !extraNames.has(file.name))
+      .map((file) => ({
+        name: `${sketchName}/${file.name}`,
+        data: fs.readFileSync(file.fullPath),
+        modified: file.modified,
+      })),
+    ...extraFiles.map((file) => ({
+      name: `${sketchName}/${file.name}`,
+      data: file.data,
+    })),
+  ];
+
+  logger.info(`Exported ${sketchName} (${entries.length} files)`);
+  return {
+    success: true,
+    zip: createZip(entries),
+    fileName: `${sketchName}.zip`,
+    files: entries.map((entry) => entry.name),
+  };
+}
+
+// =============================================================================
+// Import
+// =============================================================================
+
+/**
+ * Pick a free folder name, adding `_1`, `_2`, ... like copyExampleToWorkspace
+ * @param {string} parentDir - Folder to create the sketch in
+ * @param {string} baseName - Preferred name
+ * @returns {string} Free sketch name
+ */
+function findFreeSketchName(parentDir, baseName) {
+  let name = baseName;
+  let suffix = 1;
+  while (fs.existsSync(path.join(parentDir, name))) {
+    name = `${baseName}_${suffix}`;
+    suffix++;
+  }
+  return name;
+}
+
+/**
+ * Turn an arbitrary name into a valid sketch name
+ * @param {string} name - Archive or .ino name
+ * @returns {string}
+ */
+function toSketchName(name) {
+  const cleaned = name
+    .replace(/[^A-Za-z0-9_.-]+/g, "_")
+    .replace(/^[^A-Za-z0-9]+/, "")
+    .slice(0, 63);
+  return isValidSketchName(cleaned) ? cleaned : "imported_sketch";
+}
+
+/**
+ * Check an archive entry name and convert it to a relative path
+ * @param {string} name - Entry name from the archive
+ * @returns {string|null} Relative path, or null for entries to skip
+ * @throws {Error} If the path would escape the sketch folder
+ */
+function normalizeEntryName(name) {
+  const parts = name.replace(/\\/g, "/").split("/");
+  if (name.startsWith("/") || /^[A-Za-z]:/.test(name) || parts.includes("..")) {
+    throw new Error(`Unsafe path in archive: ${name}`);
+  }
+
+  const clean = parts.filter((part) => part && part !== ".");
+  // macOS resource forks, .DS_Store, .git, ...
+  if (clean.length === 0 || clean.some((part) => part.startsWith(".")))
+    return null;
+  if (clean[0] === "__MACOSX") return null;
+  return clean.join("/");
+}
+
+/**
+ * Unpack an uploaded sketch ZIP into the workspace
+ * @param {Buffer} buffer - ZIP contents
+ * @param {string} parentDir - Folder to create the sketch in (workspace root)
+ * @param {object} [options] - Import options
+ * @param {string} [options.name] - Preferred sketch name (defaults to the
+ *   archive's folder or main .ino name)
+ * @returns {{success: boolean, sketchDir?: string, name?: string, files?: string[], renamed?: boolean, error?: string, status?: number}}
+ */
+export function importSketch(buffer, parentDir, options = {}) {
+  let entries;
+  try {
+    entries = readZip(buffer)
+      .map((entry) => ({ ...entry, name: normalizeEntryName(entry.name) }))
+      .filter((entry) => entry.name);
+  } catch (err) {
+    return { success: false, status: 400, error: err.message };
+  }
+
+  // Strip a single top-level folder ("blink/blink.ino" -> "blink.ino")
+  const topLevel = new Set(entries.map((entry) => entry.name.split("/")[0]));
+  let folderName = null;
+  if (topLevel.size === 1 && entries.every((e) => e.name.includes("/"))) {
+    folderName = [...topLevel][0];
+    entries = entries.map((entry) => ({
+      ...entry,
+      name: entry.name.slice(folderName.length + 1),
+    }));
+  }
+
+  const rootSketches = entries
+    .map((entry) => entry.name)
+    .filter((name) => !name.includes("/") && /\.ino$/i.test(name));
+  if (rootSketches.length === 0) {
+    return {
+      success: false,
+      status: 400,
+      error: "The archive does not contain an .ino file at the sketch root",
+    };
+  }
+
+  const mainFile =
+    rootSketches.find((name) => name.slice(0, -4) === folderName) ||
+    (rootSketches.length === 1 ? rootSketches[0] : null);
+  if (!mainFile) {
+    return {
+      success: false,
+      status: 400,
+      error:
+        "The archive has several .ino files and none matches the folder name",
+    };
+  }
+
+  // A file can't also be a folder ("a" and "a/b.h")
+  const files = new Set(entries.map((entry) => entry.name));
+  const conflict = entries.find((entry) =>
+    entry.name
+      .split("/")
+      .slice(0, -1)
+      .some((_, i, dirs) => files.has(dirs.slice(0, i + 1).join("/")))
+  );
+  if (conflict) {
+    return {
+      success: false,
+      status: 400,
+      error: `The archive has both a file and a folder at the path of ${conflict.name}`,
+    };
+  }
+
+  const baseName = toSketchName(
+    options.name || folderName || mainFile.slice(0, -4)
+  );
+  const name = findFreeSketchName(parentDir, baseName);
+  const sketchDir = path.join(parentDir, name);
+
+  fs.mkdirSync(sketchDir);
+  try {
+    for (const entry of entries) {
+      // The main .ino must match the (possibly suffixed) folder name
+      const target = entry.name === mainFile ? `${name}.ino` : entry.name;
+      const fullPath = path.join(sketchDir, target);
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      fs.writeFileSync(fullPath, entry.data);
+    }
+  } catch (err) {
+    // Don't leave a half-imported sketch in the workspace
+    fs.rmSync(sketchDir, { recursive: true, force: true });
+    logger.error(`Failed to import ${name}`, err);
+    return {
+      success: false,
+      status: 500,
+      error: `Could not write the sketch: ${err.message}`,
+    };
+  }
+
+  logger.info(`Imported ${name} (${entries.length} files)`);
+  return {
+    success: true,
+    sketchDir,
+    name,
+    files: entries.map((entry) =>
+      entry.name === mainFile ? `${name}.ino` : entry.name
+    ),
+    renamed: name !== baseName || mainFile !== `${name}.ino`,
+  };
+}
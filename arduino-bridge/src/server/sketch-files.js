@@ -0,0 +1,345 @@
+/**
+ * Sketch Files Module
+ *
+ * Source file access for the in-browser editor:
+ * - Lists the editable files of a sketch folder (including src/ subfolders)
+ * - Reads, updates, creates and deletes single files
+ * - Keeps every path inside the sketch folder (no "..", no absolute paths,
+ *   no symlinks leading out)
+ * - Only text source types, with a size limit
+ */
+
+import fs from "fs";
+import path from "path";
+import { Logger } from "../shared/Logger.js";
+
+/** @type {Logger} */
+const logger = new Logger("SketchFiles");
+
+/** File types the editor may open */
+const EDITABLE_EXTENSIONS = new Set([
+  ".ino",
+  ".cpp",
+  ".c",
+  ".h",
+  ".hpp",
+  ".s",
+  ".txt",
+  ".md",
+  ".yaml",
+  ".yml",
+  ".json",
+]);
+
+/** Largest file the editor reads or writes */
+const MAX_FILE_BYTES = 512 * 1024;
+
+/** Folder depth scanned below the sketch folder */
+const MAX_LIST_DEPTH = 3;
+
+/** Folders never listed (build output, VCS metadata) */
+const IGNORED_DIRS = new Set(["build", "node_modules"]);
+
+// =============================================================================
+// Path Validation
+// =============================================================================
+
+/**
+ * Name of the main sketch file (`<folder>/<folder>.ino`)
+ * @param {string} sketchDir - Absolute sketch directory
+ * @returns {string}
+ */
+export function mainSketchFile(sketchDir) {
+  return `${path.basename(sketchDir)}.ino`;
+}
+
+/**
+ * Check for a path without following symlinks
+ * @param {string} target - Absolute path
+ * @returns {boolean}
+ */
+function pathExists(target) {
+  try {
+    fs.lstatSync(target);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Check that a folder is a sketch (has an .ino file at its top level)
+ * @param {string} sketchDir - Absolute directory
+ * @returns {boolean}
+ */
+export function isSketchFolder(sketchDir) {
+  try {
+    return fs
+      .readdirSync(sketchDir)
+      .some((name) => name.toLowerCase().endsWith(".ino"));
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Resolve a sketch-relative file path, refusing anything outside the sketch
+ * @param {string} sketchDir - Absolute sketch directory
+ * @param {string} relativeFile - Path relative to the sketch folder
+ * @returns {{absolutePath: string, normalized: string}|null} Null if not allowed
+ */
+export function resolveSketchFile(sketchDir, relativeFile) {
+  if (!relativeFile || typeof relativeFile !== "string") return null;
+  if (relativeFile.includes("\0") || path.isAbsolute(relativeFile)) {
+    return null;
+  }
+
+  const normalized = path.normalize(relativeFile).replace(/\\/g, "/");
+  if (normalized.split("/").some((part) => part === ".." || part === "")) {
+    return null;
+  }
+  if (normalized.split("/").some((part) => part.startsWith("."))) return null;
+  if (!EDITABLE_EXTENSIONS.has(path.extname(normalized).toLowerCase())) {
+    return null;
+  }
+
+  const absolutePath = path.join(sketchDir, normalized);
+  if (!absolutePath.startsWith(sketchDir + path.sep)) return null;
+
+  // Existing files (or their parent folders) must not be symlinks leading out
+  let existing = absolutePath;
+  while (!pathExists(existing) && existing !== sketchDir) {
+    existing = path.dirname(existing);
+  }
+  try {
+    const real = fs.realpathSync(existing);
+    const realRoot = fs.realpathSync(sketchDir);
+    if (real !== realRoot && !real.startsWith(realRoot + path.sep)) return null;
+  } catch (err) {
+    // Dangling symlink
+    return null;
+  }
+
+  return { absolutePath, normalized };
+}
+
+// =============================================================================
+// File Operations
+// =============================================================================
+
+/**
+ * List the editable files of a sketch, main sketch file first
+ * @param {string} sketchDir - Absolute sketch directory
+ * @returns {Array<{path: string, size: number, modified: string, main: boolean}>}
+ */
+export function listSketchFiles(sketchDir) {
+  const mainFile = mainSketchFile(sketchDir);
+  const files = [];
+
+  const walk = (dir, prefix, depth) => {
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (err) {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (entry.name.startsWith(".")) continue;
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (depth < MAX_LIST_DEPTH && !IGNORED_DIRS.has(entry.name)) {
+          walk(fullPath, relative, depth + 1);
+        }
+      } else if (
+        entry.isFile() &&
+        EDITABLE_EXTENSIONS.has(path.extname(entry.name).toLowerCase())
+      ) {
+        const stat = fs.statSync(fullPath);
+        files.push({
+          path: relative,
+          size: stat.size,
+          modified: stat.mtime.toISOString(),
+          main: relative === mainFile,
+        });
+      }
+    }
+  };
+
+  walk(sketchDir, "", 0);
+
+  return files.sort((a, b) => {
+    if (a.main !== b.main) return a.main ? -1 : 1;
+    return a.path.localeCompare(b.path);
+  });
+}
+
+/**
+ * Read a sketch file
+ * @param {string} sketchDir - Absolute sketch directory
+ * @param {string} relativeFile - Path relative to the sketch folder
+ * @returns {{success: boolean, file?: object, content?: string, error?: string, status?: number}}
+ */
+export function readSketchFile(sketchDir, relativeFile) {
+  const resolved = resolveSketchFile(sketchDir, relativeFile);
+  if (!resolved) {
+    return { success: false, status: 400, error: "Invalid file path" };
+  }
+  if (!fs.existsSync(resolved.absolutePath)) {
+    return { success: false, status: 404, error: "File not found" };
+  }
+
+  const stat = fs.statSync(resolved.absolutePath);
+  if (!stat.isFile()) {
+    return { success: false, status: 400, error: "Not a file" };
+  }
+  if (stat.size > MAX_FILE_BYTES) {
+    return { success: false, status: 413, error: "File is too large to edit" };
+  }
+
+  return {
+    success: true,
+    file: {
+      path: resolved.normalized,
+      size: stat.size,
+      modified: stat.mtime.toISOString(),
+      main: resolved.normalized === mainSketchFile(sketchDir),
+    },
+    content: fs.readFileSync(resolved.absolutePath, "utf8"),
+  };
+}
+
+/**
+ * Write a sketch file
+ * @param {string} sketchDir - Absolute sketch directory
+ * @param {string} relativeFile - Path relative to the sketch folder
+ * @param {string} content - New file contents
+ * @param {object} [options] - Write options
+ * @param {boolean} [options.create=false] - Create a new file (fails if it exists);
+ *   otherwise the file must already exist
+ * @returns {{success: boolean, file?: object, error?: string, status?: number}}
+ */
+export function writeSketchFile(
+  sketchDir,
+  relativeFile,
+  content,
+  options = {}
+) {
+  const { create = false } = options;
+
+  if (typeof content !== "string") {
+    return { success: false, status: 400, error: "Missing file content" };
+  }
+  if (Buffer.byteLength(content, "utf8") > MAX_FILE_BYTES) {
+    return { success: false, status: 413, error: "File is too large" };
+  }
+
+  const resolved = resolveSketchFile(sketchDir, relativeFile);
+  if (!resolved) {
+    return { success: false, status: 400, error: "Invalid file path" };
+  }
+
+  const exists = fs.existsSync(resolved.absolutePath);
+  if (create && exists) {
+    return { success: false, status: 409, error: "File already exists" };
+  }
+  if (!create && !exists) {
+    return { success: false, status: 404, error: "File not found" };
+  }
+  if (exists && !fs.statSync(resolved.absolutePath).isFile()) {
+    return { success: false, status: 400, error: "Not a file" };
+  }
+
+  fs.mkdirSync(path.dirname(resolved.absolutePath), { recursive: true });
+  fs.writeFileSync(resolved.absolutePath, content, "utf8");
+  logger.info(
+    `${create ? "Created" : "Saved"} ${resolved.normalized} in ${path.basename(
+      sketchDir
+    )}`
+  );
+
+  const stat = fs.statSync(resolved.absolutePath);
+  return {
+    success: true,
+    file: {
+      path: resolved.normalized,
+      size: stat.size,
+      modified: stat.mtime.toISOString(),
+      main: resolved.normalized === mainSketchFile(sketchDir),
+    },
+  };
+}
+
+/**
+ * Delete a sketch file (the main sketch file cannot be deleted)
+ * @param {string} sketchDir - Absolute sketch directory
+ * @param {string} relativeFile - Path relative to the sketch folder
+ * @returns {{success: boolean, error?: string, status?: number}}
+ */
+export function deleteSketchFile(sketchDir, relativeFile) {
+  const resolved = resolveSketchFile(sketchDir, relativeFile);
+  if (!resolved) {
+    return { success: false, status: 400, error: "Invalid file path" };
+  }
+  if (resolved.normalized === mainSketchFile(sketchDir)) {
+    return {
+      success: false,
+      status: 400,
+      error: "The main sketch file cannot be deleted",
+    };
+  }
+  if (
+    !fs.existsSync(resolved.absolutePath) ||
+    !fs.statSync(resolved.absolutePath).isFile()
+  ) {
+    return { success: false, status: 404, error: "File not found" };
+  }
+
+  fs.rmSync(resolved.absolutePath);
+  logger.info(`Deleted ${resolved.normalized} in ${path.basename(sketchDir)}`);
+  return { success: true };
+}
+
+// =============================================================================
+// Includes
+// =============================================================================
+
+/** Files scanned for #include directives */
+const SOURCE_EXTENSIONS = new Set([".ino", ".cpp", ".c", ".h", ".hpp"]);
+
+/**
+ * List the #include directives of a sketch's source files
+ * @param {string} sketchDir - Absolute sketch directory
+ * @returns {Array<{header: string, file: string, line: number, system: boolean}>}
+ *   One entry per directive; `system` is true for `<header.h>` includes
+ */
+export function listSketchIncludes(sketchDir) {
+  const includes = [];
+
+  for (const file of listSketchFiles(sketchDir)) {
+    if (!SOURCE_EXTENSIONS.has(path.extname(file.path).toLowerCase())) continue;
+
+    let content = "";
+    try {
+      content = fs.readFileSync(path.join(sketchDir, file.path), "utf8");
+    } catch (err) {
+      continue;
+    }
+
+    content.split("\n").forEach((text, index) => {
+      const match = text.match(/^\s*#\s*include\s*([<"])([^>"]+)[>"]/);
+      if (match) {
+        includes.push({
+          header: match[2].trim(),
+          file: file.path,
+          line: index + 1,
+          system: match[1] === "<",
+        });
+      }
+    });
+  }
+
+  return includes;
+}
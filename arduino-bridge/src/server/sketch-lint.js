@@ -0,0 +1,619 @@
+/**
+ * Sketch Lint Module
+ *
+ * Quick checks for classic beginner mistakes, run before compiling:
+ * - delay() inside an interrupt handler (attachInterrupt callbacks, ISR())
+ * - analogWrite() on a pin that has no PWM on the selected board
+ * - Serial.begin() with a different baud rate than the Serial Monitor
+ * - `=` instead of `==` in an if condition
+ * - String concatenation inside loop() (heap fragmentation)
+ * - digitalWrite() on a pin that never gets a pinMode()
+ *
+ * Results use the compiler diagnostic shape (see diagnostics.js) plus a
+ * `rule` id, so they can be listed next to compile errors. The checks are
+ * pattern based: comments and string contents are blanked out first, and
+ * pins are resolved through `#define`s and integer constants.
+ */
+
+import fs from "fs";
+import path from "path";
+import { listSketchFiles } from "./sketch-files.js";
+
+/** Files checked */
+const SOURCE_EXTENSIONS = new Set([".ino", ".cpp", ".c", ".h", ".hpp"]);
+
+/**
+ * PWM-capable pins by board (vendor:arch:board); boards not listed skip the
+ * analogWrite check (on most 32-bit cores every digital pin can do PWM)
+ */
+const PWM_PINS = {
+  "arduino:avr:uno": [3, 5, 6, 9, 10, 11],
+  "arduino:avr:nano": [3, 5, 6, 9, 10, 11],
+  "arduino:avr:mini": [3, 5, 6, 9, 10, 11],
+  "arduino:avr:pro": [3, 5, 6, 9, 10, 11],
+  "arduino:avr:ethernet": [3, 5, 6, 9, 10, 11],
+  "arduino:avr:diecimila": [3, 5, 6, 9, 10, 11],
+  "arduino:avr:leonardo": [3, 5, 6, 9, 10, 11, 13],
+  "arduino:avr:micro": [3, 5, 6, 9, 10, 11, 13],
+  "arduino:avr:yun": [3, 5, 6, 9, 10, 11, 13],
+  "arduino:avr:mega": [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 44, 45, 46],
+  "arduino:avr:megaADK": [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 44, 45, 46],
+  "arduino:megaavr:uno2018": [3, 5, 6, 9, 10],
+  "arduino:megaavr:nona4809": [3, 5, 6, 9, 10],
+  "arduino:renesas_uno:unor4wifi": [3, 5, 6, 9, 10, 11],
+  "arduino:renesas_uno:unor4minima": [3, 5, 6, 9, 10, 11],
+};
+
+/** Pin names every core defines (LED_BUILTIN, A0...) */
+const CORE_PIN_NAMES = /^(?:LED_BUILTIN|A\d+|D\d+)$/;
+
+/** Words followed by `(...) {` that are not function definitions */
+const CONTROL_KEYWORDS = new Set([
+  "if",
+  "for",
+  "while",
+  "switch",
+  "catch",
+  "return",
+  "sizeof",
+]);
+
+// =============================================================================
+// Source Preparation
+// =============================================================================
+
+/**
+ * Blank out comments and the contents of string/char literals, keeping every
+ * other character (and all newlines) in place so offsets still match
+ * @param {string} text - Source code
+ * @returns {string}
+ */
+function stripCommentsAndStrings(text) {
+  let out = "";
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    if (ch === "/" && next === "/") {
+      while (i < text.length && text[i] !== "\n") {
+        out += " ";
+        i++;
+      }
+    } else if (ch === "/" && next === "*") {
+      out += "  ";
+      i += 2;
+      while (i < text.length && !(text[i] === "*" && text[i + 1] === "/")) {
+        out += text[i] === "\n" ? "\n" : " ";
+        i++;
+      }
+      if (i < text.length) {
+        out += "  ";
+        i += 2;
+      }
+    } else if (ch === '"' || ch === "'") {
+      out += ch;
+      i++;
+      while (i < text.length && text[i] !== ch && text[i] !== "\n") {
+        if (text[i] === "\\" && i + 1 < text.length) {
+          out += "  ";
+          i += 2;
+        } else {
+          out += " ";
+          i++;
+        }
+      }
+      if (i < text.length && text[i] === ch) {
+        out += ch;
+        i++;
+      }
+    } else {
+      out += ch;
+      i++;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Index just past the bracket matching the one at `open`
+ * @param {string} code - Stripped source
+ * @param {number} open - Index of "(" or "{"
+ * @returns {number} Index after the closing bracket, or -1 if unbalanced
+ */
+function findClosing(code, open) {
+  const opening = code[open];
+  const closing = opening === "(" ? ")" : "}";
+  let depth = 0;
+  for (let i = open; i < code.length; i++) {
+    if (code[i] === opening) depth++;
+    else if (code[i] === closing && --depth === 0) return i + 1;
+  }
+  return -1;
+}
+
+/**
+ * Split call arguments at top-level commas
+ * @param {string} args - Text between the call's parentheses
+ * @returns {string[]} Trimmed arguments
+ */
+function splitArguments(args) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const ch of args) {
+    if (ch === "(" || ch === "[" || ch === "{") depth++;
+    else if (ch === ")" || ch === "]" || ch === "}") depth--;
+    if (ch === "," && depth === 0) {
+      parts.push(current.trim());
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Load a sketch's sources with line lookup helpers
+ * @param {string} sketchDir - Absolute sketch directory
+ * @returns {Array<{path: string, code: string, locate: function(number): {line: number, column: number}}>}
+ */
+function loadSources(sketchDir) {
+  return listSketchFiles(sketchDir)
+    .filter((file) =>
+      SOURCE_EXTENSIONS.has(path.extname(file.path).toLowerCase())
+    )
+    .map((file) => {
+      const text = fs.readFileSync(path.join(sketchDir, file.path), "utf8");
+      const lineStarts = [0];
+      for (let i = 0; i < text.length; i++) {
+        if (text[i] === "\n") lineStarts.push(i + 1);
+      }
+
+      const locate = (index) => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+          const mid = (low + high + 1) >> 1;
+          if (lineStarts[mid] <= index) low = mid;
+          else high = mid - 1;
+        }
+        return { line: low + 1, column: index - lineStarts[low] + 1 };
+      };
+
+      return { path: file.path, code: stripCommentsAndStrings(text), locate };
+    });
+}
+
+/**
+ * Find calls of a function
+ * @param {string} code - Stripped source
+ * @param {string} callee - Function name, may contain a "." (e.g. "Serial.begin")
+ * @returns {Array<{index: number, args: string[]}>}
+ */
+function findCalls(code, callee) {
+  const name = callee.split(".").map((part) => part.replace(/\W/g, ""));
+  const pattern = new RegExp(`\\b${name.join("\\s*\\.\\s*")}\\s*\\(`, "g");
+  const calls = [];
+
+  for (const match of code.matchAll(pattern)) {
+    // Skip member calls like servo.write(...) / obj->delay(...) for plain names
+    let before = match.index - 1;
+    while (before >= 0 && /\s/.test(code[before])) before--;
+    if (
+      name.length === 1 &&
+      (code[before] === "." ||
+        (code[before] === ">" && code[before - 1] === "-"))
+    ) {
+      continue;
+    }
+    const open = match.index + match[0].length - 1;
+    const close = findClosing(code, open);
+    if (close < 0) continue;
+    calls.push({
+      index: match.index,
+      args: splitArguments(code.slice(open + 1, close - 1)),
+    });
+  }
+  return calls;
+}
+
+/**
+ * Find function definitions (and ISR(...) blocks)
+ * @param {Array<{path: string, code: string}>} sources
+ * @returns {Map<string, Array<{source: object, start: number, end: number}>>} Bodies by name
+ */
+function findFunctions(sources) {
+  const functions = new Map();
+  const pattern = /\b([A-Za-z_]\w*)\s*\(/g;
+
+  for (const source of sources) {
+    const { code } = source;
+    for (const match of code.matchAll(pattern)) {
+      const name = match[1];
+      if (CONTROL_KEYWORDS.has(name)) continue;
+
+      const open = match.index + match[0].length - 1;
+      const close = findClosing(code, open);
+      if (close < 0) continue;
+
+      // A definition's parameter list is followed by its body
+      const after = code.slice(close).match(/^\s*(?:const\s*)?\{/);
+      if (!after) continue;
+      const bodyStart = close + after[0].length - 1;
+      const bodyEnd = findClosing(code, bodyStart);
+      if (bodyEnd < 0) continue;
+
+      if (!functions.has(name)) functions.set(name, []);
+      functions.get(name).push({ source, start: bodyStart, end: bodyEnd });
+    }
+  }
+  return functions;
+}
+
+/**
+ * Integer values of `#define NAME 9` and `const int NAME = 9;` style constants
+ * @param {Array<{code: string}>} sources
+ * @returns {Map<string, number>}
+ */
+function findIntegerConstants(sources) {
+  const constants = new Map();
+  const patterns = [
+    /^\s*#\s*define\s+([A-Za-z_]\w*)\s+\(?\s*(\d+)\s*\)?\s*$/gm,
+    /\b(?:int|byte|uint8_t|int8_t|uint16_t|int16_t|short|long|unsigned(?:\s+int)?)\s+([A-Za-z_]\w*)\s*=\s*(\d+)\s*;/g,
+  ];
+
+  for (const { code } of sources) {
+    for (const pattern of patterns) {
+      for (const match of code.matchAll(pattern)) {
+        // `for (int i = 2; ...` declares a loop counter, not a pin
+        const before = code.slice(Math.max(0, match.index - 16), match.index);
+        if (/\bfor\s*\(\s*$/.test(before)) continue;
+        if (!constants.has(match[1])) {
+          constants.set(match[1], parseInt(match[2], 10));
+        }
+      }
+    }
+  }
+  return constants;
+}
+
+/**
+ * Names of all `#define NAME ...` and `const ... NAME = ...` constants,
+ * whatever their value (e.g. `#define LED LED_BUILTIN`)
+ * @param {Array<{code: string}>} sources
+ * @returns {Set<string>}
+ */
+function findConstantNames(sources) {
+  const names = new Set();
+  const patterns = [
+    /^\s*#\s*define\s+([A-Za-z_]\w*)\s+\S/gm,
+    /\b(?:const|constexpr)\s+[\w\s]*?\b([A-Za-z_]\w*)\s*=/g,
+  ];
+
+  for (const { code } of sources) {
+    for (const pattern of patterns) {
+      for (const match of code.matchAll(pattern)) names.add(match[1]);
+    }
+  }
+  return names;
+}
+
+/**
+ * Resolve a call argument (literal or named constant) to a number
+ * @param {string} arg - Call argument
+ * @param {Map<string, number>} constants - From findIntegerConstants
+ * @returns {number|null}
+ */
+function resolveInteger(arg, constants) {
+  if (/^\d+$/.test(arg)) return parseInt(arg, 10);
+  return constants.has(arg) ? constants.get(arg) : null;
+}
+
+// =============================================================================
+// Rules
+// =============================================================================
+
+/**
+ * Build a diagnostic in the compiler's shape
+ * @param {object} source - Source the problem is in
+ * @param {number} index - Offset in the source
+ * @param {string} rule - Rule id
+ * @param {string} message - Problem description
+ * @param {Array<{file: string, line: number, column: number, message: string}>} [notes]
+ * @returns {object}
+ */
+function diagnostic(source, index, rule, message, notes = []) {
+  return {
+    file: source.path,
+    ...source.locate(index),
+    severity: "warning",
+    message,
+    notes,
+    rule,
+  };
+}
+
+/**
+ * delay() inside attachInterrupt() callbacks and ISR() blocks
+ */
+function checkDelayInInterrupts(context) {
+  const { sources, functions } = context;
+  const handlers = new Map();
+
+  for (const source of sources) {
+    for (const call of findCalls(source.code, "attachInterrupt")) {
+      const handler = (call.args[1] || "").replace(/^&\s*/, "");
+      if (/^[A-Za-z_]\w*$/.test(handler) && !handlers.has(handler)) {
+        handlers.set(handler, { source, index: call.index });
+      }
+    }
+  }
+  handlers.set("ISR", null);
+
+  const problems = [];
+  for (const [name, attached] of handlers) {
+    for (const body of functions.get(name) || []) {
+      const code = body.source.code.slice(body.start, body.end);
+      for (const match of code.matchAll(/\bdelay\s*\(/g)) {
+        const label =
+          name === "ISR" ? "an ISR()" : `interrupt handler ${name}()`;
+        problems.push(
+          diagnostic(
+            body.source,
+            body.start + match.index,
+            "delay-in-isr",
+            `delay() in ${label}: interrupts are off while it runs, so millis() stops and delay() never returns. Set a volatile flag here and wait in loop()`,
+            attached
+              ? [
+                  {
+                    file: attached.source.path,
+                    ...attached.source.locate(attached.index),
+                    message: `${name}() is attached as an interrupt handler here`,
+                  },
+                ]
+              : []
+          )
+        );
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * analogWrite() on pins without PWM for the selected board
+ */
+function checkAnalogWritePins(context) {
+  const { sources, constants, fqbn } = context;
+  const board = fqbn ? fqbn.split(":").slice(0, 3).join(":") : null;
+  const pwmPins = board && PWM_PINS[board];
+  if (!pwmPins) return [];
+
+  const problems = [];
+  for (const source of sources) {
+    for (const call of findCalls(source.code, "analogWrite")) {
+      const pin = resolveInteger(call.args[0], constants);
+      if (pin === null || pwmPins.includes(pin)) continue;
+      problems.push(
+        diagnostic(
+          source,
+          call.index,
+          "analogwrite-non-pwm",
+          `Pin ${pin}${
+            call.args[0] !== String(pin) ? ` (${call.args[0]})` : ""
+          } has no PWM on ${board}: analogWrite() will only switch it fully on (>= 128) or off. PWM pins: ${pwmPins.join(
+            ", "
+          )}`
+        )
+      );
+    }
+  }
+  return problems;
+}
+
+/**
+ * Serial.begin() baud rate different from the Serial Monitor's
+ */
+function checkSerialBaud(context) {
+  const { sources, constants, baudRate } = context;
+  if (!baudRate) return [];
+
+  const problems = [];
+  for (const source of sources) {
+    for (const call of findCalls(source.code, "Serial.begin")) {
+      const baud = resolveInteger(call.args[0], constants);
+      if (baud === null || baud === baudRate) continue;
+      problems.push(
+        diagnostic(
+          source,
+          call.index,
+          "serial-baud-mismatch",
+          `Serial.begin(${baud}) but the Serial Monitor is set to ${baudRate} baud: output will be garbled. Change one of them so they match`
+        )
+      );
+    }
+  }
+  return problems;
+}
+
+/**
+ * `if (a = b)` where `if (a == b)` was meant
+ */
+function checkAssignmentInIf(context) {
+  const problems = [];
+
+  for (const source of context.sources) {
+    const { code } = source;
+    for (const match of code.matchAll(/\bif\s*\(/g)) {
+      const open = match.index + match[0].length - 1;
+      const close = findClosing(code, open);
+      if (close < 0) continue;
+
+      // Only top-level `=`; `if ((c = read()) != -1)` is deliberate
+      let depth = 0;
+      for (let i = open + 1; i < close - 1; i++) {
+        const ch = code[i];
+        if (ch === "(" || ch === "[") depth++;
+        else if (ch === ")" || ch === "]") depth--;
+        else if (
+          ch === "=" &&
+          depth === 0 &&
+          code[i + 1] !== "=" &&
+          !/[=!<>+\-*/%&|^]/.test(code[i - 1])
+        ) {
+          problems.push(
+            diagnostic(
+              source,
+              i,
+              "assignment-in-if",
+              "Assignment (=) in an if condition: this sets the variable and is almost always true. Use == to compare"
+            )
+          );
+          break;
+        }
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * String concatenation inside loop()
+ */
+function checkStringConcatInLoop(context) {
+  const { sources, functions } = context;
+  const stringNames = new Set();
+  for (const { code } of sources) {
+    for (const match of code.matchAll(/\bString\s*&?\s+([A-Za-z_]\w*)/g)) {
+      stringNames.add(match[1]);
+    }
+  }
+
+  // A `+` right next to a String operand: msg + x, x + msg, msg += x, String(n) + x
+  const names = [...stringNames].join("|");
+  const operand = `String\\s*\\([^()]*\\)${names ? `|\\b(?:${names})\\b` : ""}`;
+  const concat = new RegExp(
+    `(?:${operand})\\s*\\+(?!\\+)|(?<!\\+)\\+=?\\s*(?:${operand})`
+  );
+  const problems = [];
+
+  for (const body of functions.get("loop") || []) {
+    const code = body.source.code;
+    let offset = body.start;
+    for (const statement of code
+      .slice(body.start, body.end)
+      .split(/(?<=[;{}])/)) {
+      const match = statement.match(concat);
+      if (match) {
+        problems.push(
+          diagnostic(
+            body.source,
+            offset + match.index,
+            "string-concat-in-loop",
+            "String concatenation in loop() allocates heap memory on every pass and fragments the little RAM there is. Print the parts one by one or use snprintf() into a char buffer"
+          )
+        );
+      }
+      offset += statement.length;
+    }
+  }
+  return problems;
+}
+
+/**
+ * digitalWrite() on pins that never get a pinMode()
+ */
+function checkMissingPinMode(context) {
+  const { sources, constants, constantNames } = context;
+  const configured = new Set();
+
+  for (const { code } of sources) {
+    for (const call of findCalls(code, "pinMode")) {
+      const pin = call.args[0];
+      // pinMode(pins[i], ...) - can't tell which pins are covered
+      if (!/^\w+$/.test(pin)) return [];
+      configured.add(pin);
+      const number = resolveInteger(pin, constants);
+      if (number !== null) configured.add(String(number));
+    }
+  }
+
+  const problems = [];
+  const reported = new Set();
+  for (const source of sources) {
+    for (const call of findCalls(source.code, "digitalWrite")) {
+      const pin = call.args[0];
+      if (!/^\w+$/.test(pin) || reported.has(pin)) continue;
+      const number = resolveInteger(pin, constants);
+      // digitalWrite(i, ...) in a loop - only fixed pins can be checked
+      if (
+        number === null &&
+        !constantNames.has(pin) &&
+        !CORE_PIN_NAMES.test(pin)
+      ) {
+        continue;
+      }
+      if (
+        configured.has(pin) ||
+        (number !== null && configured.has(String(number)))
+      ) {
+        continue;
+      }
+      reported.add(pin);
+      problems.push(
+        diagnostic(
+          source,
+          call.index,
+          "missing-pinmode",
+          `digitalWrite(${pin}, ...) without pinMode(${pin}, OUTPUT): the pin stays an input and only switches its pull-up, so an LED glows dimly at best`
+        )
+      );
+    }
+  }
+  return problems;
+}
+
+/** @type {Array<function(object): object[]>} Checks run by lintSketch */
+const RULES = [
+  checkDelayInInterrupts,
+  checkAnalogWritePins,
+  checkSerialBaud,
+  checkAssignmentInIf,
+  checkStringConcatInLoop,
+  checkMissingPinMode,
+];
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Check a sketch for common beginner mistakes
+ * @param {string} sketchDir - Absolute sketch directory
+ * @param {object} [options] - Lint options
+ * @param {string} [options.fqbn] - Selected board (enables the PWM pin check)
+ * @param {number} [options.baudRate] - Serial Monitor baud rate (enables the baud check)
+ * @returns {Array<{file: string, line: number, column: number, severity: string, message: string, notes: object[], rule: string}>}
+ *   Diagnostics sorted by file and line
+ */
+export function lintSketch(sketchDir, options = {}) {
+  const sources = loadSources(sketchDir);
+  const context = {
+    sources,
+    functions: findFunctions(sources),
+    constants: findIntegerConstants(sources),
+    constantNames: findConstantNames(sources),
+    fqbn: options.fqbn || null,
+    baudRate: Number(options.baudRate) || null,
+  };
+
+  return RULES.flatMap((rule) => rule(context)).sort(
+    (a, b) =>
+      a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column
+  );
+}
@@ -0,0 +1,554 @@
+/**
+ * Sketch Profile Module
+ *
+ * Reads and writes arduino-cli sketch project files (`sketch.yaml`):
+ * - Parses the block-style YAML subset arduino-cli writes (maps, lists, scalars)
+ * - Normalizes profiles (FQBN, pinned platforms and libraries)
+ * - Creates or updates a profile and the default profile
+ * - Keeps keys it does not understand, comments and formatting outside the
+ *   edited profile when rewriting the file
+ */
+
+import fs from "fs";
+import path from "path";
+import { Logger } from "../shared/Logger.js";
+
+/** @type {Logger} */
+const logger = new Logger("SketchProfile");
+
+/** Project file names arduino-cli looks for, in order */
+const PROJECT_FILES = ["sketch.yaml", "sketch.yml"];
+
+/** Profile names arduino-cli accepts on the command line */
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+// =============================================================================
+// YAML Subset
+// =============================================================================
+
+/**
+ * Strip a trailing comment and surrounding quotes from a scalar
+ * @param {string} raw - Raw value text
+ * @returns {string}
+ */
+function parseScalar(raw) {
+  const text = raw.trim();
+  if (/^".*"$/.test(text)) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return text.slice(1, -1);
+    }
+  }
+  if (/^'.*'$/.test(text)) return text.slice(1, -1).replace(/''/g, "'");
+  return text.replace(/\s+#.*$/, "");
+}
+
+/**
+ * Split "key: value" (value may be empty)
+ * @param {string} text - Line text without indentation
+ * @returns {{key: string, value: string}|null}
+ */
+function splitKey(text) {
+  const match = text.match(/^([^\s:"'#-][^:]*?|"[^"]*"|'[^']*'):(?:\s+(.*))?$/);
+  if (!match) return null;
+  return { key: parseScalar(match[1]), value: match[2] || "" };
+}
+
+/**
+ * Parse the YAML subset used by sketch.yaml
+ *
+ * Supports block mappings, block sequences (including mappings inside list
+ * items) and plain/quoted scalars. Flow style, anchors and multi-line
+ * strings are not used by arduino-cli and are rejected.
+ *
+ * @param {string} text - File contents
+ * @returns {object} Parsed document (scalars stay strings)
+ * @throws {Error} On syntax the subset does not cover
+ */
+export function parseYaml(text) {
+  const lines = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || /^\s*#/.test(line)) return;
+    if (/\t/.test(line.match(/^\s*/)[0])) {
+      throw new Error(
+        `Line ${index + 1}: tabs are not allowed for indentation`
+      );
+    }
+    lines.push({
+      indent: line.length - line.trimStart().length,
+      text: line.trim(),
+      number: index + 1,
+    });
+  });
+
+  let pos = 0;
+
+  const parseValue = (value, parentIndent, line) => {
+    if (value) {
+      if (/^[[{|>&*]/.test(value)) {
+        throw new Error(`Line ${line.number}: unsupported YAML syntax`);
+      }
+      return parseScalar(value);
+    }
+    const next = lines[pos];
+    if (!next) return null;
+    // Lists may sit at the same indentation as their key
+    if (next.indent > parentIndent) return parseBlock(next.indent);
+    if (next.indent === parentIndent && next.text.startsWith("- ")) {
+      return parseBlock(next.indent);
+    }
+    return null;
+  };
+
+  const parseMapping = (indent, first = null) => {
+    const map = {};
+    const addEntry = (line, text) => {
+      const entry = splitKey(text);
+      if (!entry) throw new Error(`Line ${line.number}: expected "key: value"`);
+      map[entry.key] = parseValue(entry.value, indent, line);
+    };
+
+    if (first) addEntry(first.line, first.text);
+    while (pos < lines.length && lines[pos].indent === indent) {
+      const line = lines[pos];
+      if (line.text.startsWith("- ")) break;
+      pos++;
+      addEntry(line, line.text);
+    }
+    return map;
+  };
+
+  const parseSequence = (indent) => {
+    const list = [];
+    while (
+      pos < lines.length &&
+      lines[pos].indent === indent &&
+      (lines[pos].text === "-" || lines[pos].text.startsWith("- "))
+    ) {
+      const line = lines[pos++];
+      const item = line.text.slice(1).trimStart();
+      if (!item) {
+        list.push(parseValue("", indent, line));
+      } else if (splitKey(item)) {
+        // "- key: value" starts a mapping indented past the dash
+        const itemIndent = indent + (line.text.length - item.length);
+        list.push(parseMapping(itemIndent, { line, text: item }));
+      } else {
+        list.push(parseValue(item, indent, line));
+      }
+    }
+    return list;
+  };
+
+  const parseBlock = (indent) =>
+    lines[pos].text.startsWith("- ") || lines[pos].text === "-"
+      ? parseSequence(indent)
+      : parseMapping(indent);
+
+  if (lines.length === 0) return {};
+  const doc = parseBlock(lines[0].indent);
+  if (pos < lines.length) {
+    throw new Error(`Line ${lines[pos].number}: unexpected indentation`);
+  }
+  return doc;
+}
+
+/**
+ * Quote a scalar when plain style would be ambiguous
+ * @param {*} value - Scalar value
+ * @returns {string}
+ */
+function formatScalar(value) {
+  const text = String(value ?? "");
+  if (
+    text === "" ||
+    /^[\s\-?:,[\]{}#&*!|>'"%@`]/.test(text) ||
+    /(:\s|\s#|\s$)/.test(text) ||
+    text.endsWith(":")
+  ) {
+    return JSON.stringify(text);
+  }
+  return text;
+}
+
+/**
+ * Serialize a document in the same block style arduino-cli writes
+ * @param {object} doc - Document (maps, arrays, scalars)
+ * @param {number} [indent=0] - Current indentation
+ * @returns {string}
+ */
+export function stringifyYaml(doc, indent = 0) {
+  const pad = " ".repeat(indent);
+  const lines = [];
+
+  const isEmpty = (value) =>
+    value == null ||
+    (Array.isArray(value) && value.length === 0) ||
+    (typeof value === "object" && Object.keys(value).length === 0);
+
+  if (Array.isArray(doc)) {
+    for (const item of doc) {
+      if (item && typeof item === "object" && !Array.isArray(item)) {
+        const nested = stringifyYaml(item, indent + 2).trimStart();
+        lines.push(`${pad}- ${nested.replace(/\n$/, "")}`);
+      } else {
+        lines.push(`${pad}- ${formatScalar(item)}`);
+      }
+    }
+  } else {
+    for (const [key, value] of Object.entries(doc)) {
+      if (isEmpty(value)) continue;
+      if (typeof value === "object") {
+        lines.push(`${pad}${formatScalar(key)}:`);
+        lines.push(stringifyYaml(value, indent + 2).replace(/\n$/, ""));
+      } else {
+        lines.push(`${pad}${formatScalar(key)}: ${formatScalar(value)}`);
+      }
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+// =============================================================================
+// Profiles
+// =============================================================================
+
+/**
+ * Split "name (version)" as used for pinned platforms and libraries
+ * @param {string} spec - Pin specification
+ * @returns {{name: string, version: string|null}}
+ */
+function parsePin(spec) {
+  const match = String(spec || "").match(/^(.+?)\s*\(([^)]+)\)\s*$/);
+  return match
+    ? { name: match[1].trim(), version: match[2].trim() }
+    : { name: String(spec || "").trim(), version: null };
+}
+
+/**
+ * Format a pin as "name (version)"
+ * @param {{name: string, version?: string|null}} pin
+ * @returns {string}
+ */
+function formatPin(pin) {
+  return pin.version ? `${pin.name} (${pin.version})` : pin.name;
+}
+
+/**
+ * Convert a raw profile from sketch.yaml into API shape
+ * @param {string} name - Profile name
+ * @param {object} raw - Profile mapping
+ * @returns {object}
+ */
+function normalizeProfile(name, raw) {
+  const profile = raw && typeof raw === "object" ? raw : {};
+
+  const platforms = (
+    Array.isArray(profile.platforms) ? profile.platforms : []
+  ).map((entry) => {
+    const pin = parsePin(entry?.platform);
+    return {
+      id: pin.name,
+      version: pin.version,
+      indexUrl: entry?.platform_index_url || null,
+    };
+  });
+
+  const libraries = (
+    Array.isArray(profile.libraries) ? profile.libraries : []
+  ).map((entry) =>
+    typeof entry === "string" ? parsePin(entry) : { name: null, ...entry }
+  );
+
+  return {
+    name,
+    fqbn: profile.fqbn || null,
+    notes: profile.notes || "",
+    port: profile.port || null,
+    platforms,
+    libraries,
+  };
+}
+
+/**
+ * Locate a sketch's project file
+ * @param {string} sketchDir - Absolute sketch directory
+ * @returns {string} Existing project file, or the default `sketch.yaml` path
+ */
+function projectFilePath(sketchDir) {
+  for (const name of PROJECT_FILES) {
+    const file = path.join(sketchDir, name);
+    if (fs.existsSync(file)) return file;
+  }
+  return path.join(sketchDir, PROJECT_FILES[0]);
+}
+
+/**
+ * Read the raw project document
+ * @param {string} sketchDir - Absolute sketch directory
+ * @returns {{file: string, exists: boolean, text: string, doc: object}}
+ * @throws {Error} If the file exists but cannot be parsed
+ */
+function readProjectDocument(sketchDir) {
+  const file = projectFilePath(sketchDir);
+  if (!fs.existsSync(file)) return { file, exists: false, text: "", doc: {} };
+
+  const text = fs.readFileSync(file, "utf8");
+  const doc = parseYaml(text);
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    throw new Error(`${path.basename(file)} must be a mapping`);
+  }
+  return { file, exists: true, text, doc };
+}
+
+/**
+ * Read a sketch's profiles
+ * @param {string} sketchDir - Absolute sketch directory
+ * @returns {{success: boolean, exists: boolean, file: string, defaultProfile: string|null, defaultFqbn: string|null, defaultPort: string|null, profiles: object[], error?: string}}
+ */
+export function readSketchProfiles(sketchDir) {
+  let project;
+  try {
+    project = readProjectDocument(sketchDir);
+  } catch (err) {
+    logger.warn(`Invalid project file in ${sketchDir}: ${err.message}`);
+    return {
+      success: false,
+      exists: true,
+      file: path.basename(projectFilePath(sketchDir)),
+      defaultProfile: null,
+      defaultFqbn: null,
+      defaultPort: null,
+      profiles: [],
+      error: `Invalid sketch.yaml: ${err.message}`,
+    };
+  }
+
+  const { doc } = project;
+  const profiles =
+    doc.profiles && typeof doc.profiles === "object"
+      ? Object.entries(doc.profiles).map(([name, raw]) =>
+          normalizeProfile(name, raw)
+        )
+      : [];
+
+  return {
+    success: true,
+    exists: project.exists,
+    file: path.basename(project.file),
+    defaultProfile: doc.default_profile || null,
+    defaultFqbn: doc.default_fqbn || null,
+    defaultPort: doc.default_port || null,
+    profiles,
+  };
+}
+
+/**
+ * Look up one profile
+ * @param {string} sketchDir - Absolute sketch directory
+ * @param {string} name - Profile name
+ * @returns {object|null} Normalized profile
+ */
+export function getSketchProfile(sketchDir, name) {
+  const result = readSketchProfiles(sketchDir);
+  if (!result.success) return null;
+  return result.profiles.find((profile) => profile.name === name) || null;
+}
+
+/**
+ * Replace (or add) one profile block and the default_profile line in
+ * sketch.yaml text, leaving every other line as it was
+ * @param {string} text - Current file contents
+ * @param {string} name - Profile name
+ * @param {object} profile - Raw profile mapping to write
+ * @param {string|null} defaultProfile - New default profile, null to keep it
+ * @returns {string}
+ */
+function spliceProfile(text, name, profile, defaultProfile) {
+  const eol = text.includes("\r\n") ? "\r\n" : "\n";
+  const lines = text.replace(/\r?\n$/, "").split(/\r?\n/);
+  const isContent = (line) => line.trim() && !/^\s*#/.test(line);
+  const indentOf = (line) => line.length - line.trimStart().length;
+  const keyOf = (line) => splitKey(line.trim())?.key;
+
+  // End of the block starting after `start`: the next content line at or
+  // below `indent`, not counting the comments and blank lines before it
+  const blockEnd = (start, indent) => {
+    let end = start + 1;
+    while (
+      end < lines.length &&
+      (!isContent(lines[end]) || indentOf(lines[end]) > indent)
+    ) {
+      end++;
+    }
+    while (end > start + 1 && !isContent(lines[end - 1])) end--;
+    return end;
+  };
+
+  let profilesLine = lines.findIndex(
+    (line) => indentOf(line) === 0 && keyOf(line) === "profiles"
+  );
+  if (profilesLine === -1) {
+    lines.push("profiles:");
+    profilesLine = lines.length - 1;
+  }
+  const profilesEnd = blockEnd(profilesLine, 0);
+  const firstChild = lines.slice(profilesLine + 1, profilesEnd).find(isContent);
+  const childIndent = firstChild ? indentOf(firstChild) : 2;
+
+  const block = stringifyYaml({ [name]: profile }, childIndent)
+    .replace(/\n$/, "")
+    .split("\n");
+  const existing = lines.findIndex(
+    (line, i) =>
+      i > profilesLine &&
+      i < profilesEnd &&
+      indentOf(line) === childIndent &&
+      keyOf(line) === name
+  );
+  if (existing === -1) {
+    lines.splice(profilesEnd, 0, ...block);
+  } else {
+    const end = blockEnd(existing, childIndent);
+    lines.splice(existing, end - existing, ...block);
+  }
+
+  if (defaultProfile) {
+    const entry = `default_profile: ${formatScalar(defaultProfile)}`;
+    const defaultLine = lines.findIndex(
+      (line) => indentOf(line) === 0 && keyOf(line) === "default_profile"
+    );
+    if (defaultLine === -1) {
+      lines.push(entry);
+    } else if (
+      parseScalar(splitKey(lines[defaultLine]).value) !== defaultProfile
+    ) {
+      const comment = lines[defaultLine].match(/\s+#.*$/)?.[0] || "";
+      lines[defaultLine] = entry + comment;
+    }
+  }
+
+  return lines.join(eol) + eol;
+}
+
+/**
+ * Apply a profile to the sketch's project document (without writing it)
+ * @param {string} sketchDir - Absolute sketch directory
+ * @param {object} profile - Profile to apply (see saveSketchProfile)
+ * @param {boolean} setDefault - Make it the default profile
+ * @returns {{success: boolean, file?: string, yaml?: string, profile?: object, error?: string}}
+ */
+function applySketchProfile(sketchDir, profile, setDefault) {
+  if (!profile?.name || !PROFILE_NAME_PATTERN.test(profile.name)) {
+    return {
+      success: false,
+      error: "Profile names may only contain letters, digits, '.', '_' and '-'",
+    };
+  }
+  if (!profile.fqbn) {
+    return { success: false, error: "A profile needs an FQBN" };
+  }
+
+  let project;
+  try {
+    project = readProjectDocument(sketchDir);
+  } catch (err) {
+    return { success: false, error: `Invalid sketch.yaml: ${err.message}` };
+  }
+
+  const doc = project.doc;
+  const profiles =
+    doc.profiles && typeof doc.profiles === "object" ? doc.profiles : {};
+  const existing = profiles[profile.name] || {};
+
+  // Keys arduino-cli supports that this API doesn't edit (programmer, port_config, ...) are kept
+  const updated = {
+    ...existing,
+    notes: profile.notes ?? existing.notes,
+    fqbn: profile.fqbn,
+    platforms: (profile.platforms || []).map((platform) => ({
+      platform: formatPin({ name: platform.id, version: platform.version }),
+      ...(platform.indexUrl ? { platform_index_url: platform.indexUrl } : {}),
+    })),
+  };
+  if (Array.isArray(profile.libraries)) {
+    updated.libraries = profile.libraries.map((library) =>
+      typeof library === "string" ? library : formatPin(library)
+    );
+  }
+
+  const defaultProfile =
+    setDefault || !doc.default_profile ? profile.name : null;
+  doc.profiles = { ...profiles, [profile.name]: updated };
+  if (defaultProfile) doc.default_profile = defaultProfile;
+
+  // Edit the existing file in place so the user's comments survive
+  let yaml = stringifyYaml(doc);
+  if (project.exists) {
+    const spliced = spliceProfile(
+      project.text,
+      profile.name,
+      updated,
+      defaultProfile
+    );
+    try {
+      parseYaml(spliced);
+      yaml = spliced;
+    } catch (err) {
+      logger.warn(`Rewriting ${project.file} in full: ${err.message}`);
+    }
+  }
+
+  return {
+    success: true,
+    file: project.file,
+    yaml,
+    profile: normalizeProfile(profile.name, updated),
+  };
+}
+
+/**
+ * Create or update a profile in sketch.yaml
+ * @param {string} sketchDir - Absolute sketch directory
+ * @param {object} profile - Profile to save
+ * @param {string} profile.name - Profile name
+ * @param {string} profile.fqbn - Board FQBN
+ * @param {Array<{id: string, version?: string, indexUrl?: string}>} profile.platforms - Pinned platforms
+ * @param {Array<{name: string, version?: string}>} [profile.libraries] - Pinned libraries (kept when omitted)
+ * @param {string} [profile.notes] - Free-form notes
+ * @param {boolean} [setDefault=false] - Make it the default profile
+ * @returns {{success: boolean, profile?: object, error?: string}}
+ */
+export function saveSketchProfile(sketchDir, profile, setDefault = false) {
+  const result = applySketchProfile(sketchDir, profile, setDefault);
+  if (!result.success) return result;
+
+  try {
+    fs.writeFileSync(result.file, result.yaml);
+  } catch (err) {
+    logger.error(`Failed to write ${result.file}`, err);
+    return {
+      success: false,
+      error: `Could not write sketch.yaml: ${err.message}`,
+    };
+  }
+
+  logger.info(`Saved profile "${profile.name}" in ${result.file}`);
+  return { success: true, profile: result.profile };
+}
+
+/**
+ * Render sketch.yaml with a profile added, leaving the sketch untouched
+ * (e.g., for exports)
+ * @param {string} sketchDir - Absolute sketch directory
+ * @param {object} profile - Profile to add (see saveSketchProfile)
+ * @param {boolean} [setDefault=false] - Make it the default profile
+ * @returns {{success: boolean, yaml?: string, error?: string}}
+ */
+export function renderSketchProfile(sketchDir, profile, setDefault = false) {
+  const result = applySketchProfile(sketchDir, profile, setDefault);
+  if (!result.success) return result;
+  return { success: true, yaml: result.yaml };
+}
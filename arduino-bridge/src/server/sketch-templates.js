@@ -0,0 +1,525 @@
+/**
+ * Sketch Templates Module
+ *
+ * Starting points for new sketches:
+ * - Blank sketch (setup/loop skeleton)
+ * - Copies of the workspace `demo_*` sketches
+ * - Sensor examples from `docs/sensors/<sensor>/README.md` (first example
+ *   code block, plus the libraries the guide tells you to install)
+ * - Combined starter sketches for several sensors, with merged `#include`s
+ *   and one setupX()/loopX() pair per sensor
+ */
+
+import fs from "fs";
+import path from "path";
+import { Logger } from "../shared/Logger.js";
+import { listSketchFiles, mainSketchFile } from "./sketch-files.js";
+
+/** @type {Logger} */
+const logger = new Logger("SketchTemplates");
+
+/** Sketch names arduino-cli accepts (folder name == .ino name) */
+const SKETCH_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,62}$/;
+
+/** Baud rate when no sensor example sets one */
+const DEFAULT_BAUD_RATE = "9600";
+
+const BLANK_SKETCH = `void setup() {
+  // put your setup code here, to run once:
+
+}
+
+void loop() {
+  // put your main code here, to run repeatedly:
+
+}
+`;
+
+/** @type {{dir: string, sensors: object[]}|null} Parsed sensor guides */
+let sensorCache = null;
+
+// =============================================================================
+// Sensor Guides
+// =============================================================================
+
+/**
+ * Parse one sensor guide
+ * @param {string} id - Guide folder name
+ * @param {string} markdown - README.md contents
+ * @returns {object|null} Null if the guide has no example sketch
+ */
+function parseSensorGuide(id, markdown) {
+  const codeBlocks = [
+    ...markdown.matchAll(/^```(?:cpp|c\+\+|ino)\s*\n([\s\S]*?)^```/gm),
+  ];
+  const exampleStart = markdown.search(/^## Example Code/m);
+  const sketchBlocks = codeBlocks.filter((block) =>
+    /\bvoid\s+setup\s*\(/.test(block[1])
+  );
+  const example =
+    sketchBlocks.find(
+      (block) => exampleStart >= 0 && block.index > exampleStart
+    ) || sketchBlocks[0];
+  if (!example) return null;
+
+  const prerequisites =
+    markdown.match(/^## Software Prerequisites\s*\n([\s\S]*?)(?=^## )/m)?.[1] ||
+    "";
+  const libraries = [
+    ...new Set(
+      [...prerequisites.matchAll(/(?:lib install|Search)\s+"([^"]+)"/g)].map(
+        (match) => match[1]
+      )
+    ),
+  ];
+
+  const code = example[1].replace(/\s+$/, "") + "\n";
+  return {
+    id,
+    title: markdown.match(/^#\s+(.+)$/m)?.[1].trim() || id,
+    connection:
+      markdown.match(/\*\*Connection Type:\*\*\s*([^\n]+)/)?.[1].trim() || null,
+    libraries,
+    includes: splitSketch(code).includes.map((include) => include.header),
+    code,
+  };
+}
+
+/**
+ * Read the sensor guides (parsed once per server run)
+ * @param {string} sensorsDir - `docs/sensors` directory
+ * @returns {object[]} Sensors with an example sketch, sorted by title
+ */
+function loadSensors(sensorsDir) {
+  if (sensorCache?.dir === sensorsDir) return sensorCache.sensors;
+
+  const sensors = [];
+  let entries = [];
+  try {
+    entries = fs.readdirSync(sensorsDir, { withFileTypes: true });
+  } catch (err) {
+    logger.warn(`No sensor guides in ${sensorsDir}`);
+  }
+
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const readme = path.join(sensorsDir, entry.name, "README.md");
+    if (!fs.existsSync(readme)) continue;
+
+    const sensor = parseSensorGuide(
+      entry.name,
+      fs.readFileSync(readme, "utf8")
+    );
+    if (sensor) sensors.push(sensor);
+  }
+
+  sensors.sort((a, b) => a.title.localeCompare(b.title));
+  sensorCache = { dir: sensorsDir, sensors };
+  logger.info(`Loaded ${sensors.length} sensor templates`);
+  return sensors;
+}
+
+/**
+ * Workspace demo sketches (`demo_*` folders with a matching .ino)
+ * @param {string} demosDir - Folder containing the demos
+ * @returns {Array<{name: string, dir: string}>}
+ */
+function listDemos(demosDir) {
+  try {
+    return fs
+      .readdirSync(demosDir, { withFileTypes: true })
+      .filter(
+        (entry) =>
+          entry.isDirectory() &&
+          entry.name.startsWith("demo_") &&
+          fs.existsSync(path.join(demosDir, entry.name, `${entry.name}.ino`))
+      )
+      .map((entry) => ({
+        name: entry.name,
+        dir: path.join(demosDir, entry.name),
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * List the available templates
+ * @param {object} sources - Template locations
+ * @param {string} sources.sensorsDir - `docs/sensors` directory
+ * @param {string} sources.demosDir - Folder containing the `demo_*` sketches
+ * @returns {{templates: object[], sensors: object[]}} Whole-sketch templates
+ *   and sensors that can be combined (without their code)
+ */
+export function listTemplates(sources) {
+  const templates = [
+    { id: "blank", title: "Blank sketch", kind: "blank" },
+    ...listDemos(sources.demosDir).map((demo) => ({
+      id: `demo:${demo.name}`,
+      title: demo.name,
+      kind: "demo",
+    })),
+  ];
+
+  const sensors = loadSensors(sources.sensorsDir).map(
+    ({ code, ...sensor }) => sensor
+  );
+  return { templates, sensors };
+}
+
+// =============================================================================
+// Combining Examples
+// =============================================================================
+
+/**
+ * Find the brace that closes the block opened at `openIndex`
+ * (skips braces inside strings, character literals and comments)
+ * @param {string} code - Source code
+ * @param {number} openIndex - Index of the opening `{`
+ * @returns {number} Index of the closing `}`, or -1
+ */
+function findClosingBrace(code, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < code.length; i++) {
+    const ch = code[i];
+    if (ch === "/" && code[i + 1] === "/") {
+      i = code.indexOf("\n", i);
+      if (i < 0) return -1;
+    } else if (ch === "/" && code[i + 1] === "*") {
+      i = code.indexOf("*/", i + 2) + 1;
+      if (i <= 0) return -1;
+    } else if (ch === '"' || ch === "'") {
+      for (i++; i < code.length && code[i] !== ch; i++) {
+        if (code[i] === "\\") i++;
+      }
+    } else if (ch === "{") {
+      depth++;
+    } else if (ch === "}" && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split an example sketch into its parts
+ * @param {string} code - Example sketch
+ * @returns {{includes: Array<{header: string, line: string}>, globals: string, setup: string, loop: string}}
+ */
+function splitSketch(code) {
+  // Drop the leading comment block (purpose/author notes)
+  let rest = code.replace(/^\s*\/\*[\s\S]*?\*\/\s*/, "");
+  const bodies = { setup: "", loop: "" };
+
+  for (const name of ["setup", "loop"]) {
+    const match = new RegExp(
+      String.raw`^[ \t]*void\s+${name}\s*\(\s*(?:void)?\s*\)\s*\{`,
+      "m"
+    ).exec(rest);
+    if (!match) continue;
+
+    const open = match.index + match[0].length - 1;
+    const close = findClosingBrace(rest, open);
+    if (close < 0) continue;
+
+    bodies[name] = rest.slice(open + 1, close).replace(/^\n+|\s+$/g, "");
+    rest = rest.slice(0, match.index) + rest.slice(close + 1);
+  }
+
+  const includes = [];
+  rest = rest.replace(
+    /^[ \t]*#include\s*([<"])([^>"]+)[>"].*\n?/gm,
+    (line, style, header) => {
+      includes.push({ header: header.trim(), line: line.trim() });
+      return "";
+    }
+  );
+
+  return {
+    includes,
+    globals: rest.replace(/\n{3,}/g, "\n\n").trim(),
+    ...bodies,
+  };
+}
+
+/**
+ * Names declared at the top level of a code fragment
+ * @param {string} globals - Top-level code
+ * @returns {string[]}
+ */
+function declaredNames(globals) {
+  const names = new Set();
+  for (const line of globals.split("\n")) {
+    const define = line.match(/^\s*#define\s+(\w+)/);
+    const declaration = line.match(
+      /^(?:(?:static|const|volatile|unsigned|signed|long)\s+)*[A-Za-z_][\w:<>]*\s+\**([A-Za-z_]\w*)\s*(?:=|;|\[|\(|,)/
+    );
+    const name = define?.[1] || declaration?.[1];
+    if (name && name !== "return") names.add(name);
+  }
+  return [...names];
+}
+
+/**
+ * "temperature-humidity" -> "TemperatureHumidity"
+ * @param {string} id - Sensor id
+ * @returns {string}
+ */
+function functionSuffix(id) {
+  return id
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join("");
+}
+
+/**
+ * Build one starter sketch from several sensor examples
+ * @param {string} name - Sketch name
+ * @param {object[]} sensors - Parsed sensor guides
+ * @returns {{code: string, warnings: string[]}}
+ */
+function combineSensors(name, sensors) {
+  const warnings = [];
+  const includes = new Map();
+  const declaredBy = new Map();
+  let baudRate = null;
+
+  const parts = sensors.map((sensor) => {
+    const part = splitSketch(sensor.code);
+    for (const include of part.includes) {
+      if (!includes.has(include.header)) {
+        includes.set(include.header, include.line);
+      }
+    }
+
+    // One Serial.begin() in setup() for all sensors
+    part.setup = part.setup.replace(
+      /^[ \t]*Serial\.begin\s*\(\s*([^)]*?)\s*\)\s*;.*(\n|$)/gm,
+      (line, baud) => {
+        if (baudRate && baud !== baudRate) {
+          warnings.push(
+            `${sensor.title} used Serial.begin(${baud}); the sketch uses ${baudRate}`
+          );
+        }
+        baudRate = baudRate || baud;
+        return "";
+      }
+    );
+
+    for (const declared of declaredNames(part.globals)) {
+      const owner = declaredBy.get(declared);
+      if (owner) {
+        warnings.push(
+          `"${declared}" is declared for both ${owner} and ${sensor.title} - rename one of them`
+        );
+      } else {
+        declaredBy.set(declared, sensor.title);
+      }
+    }
+
+    return { sensor, suffix: functionSuffix(sensor.id), ...part };
+  });
+
+  if (parts.filter((part) => /\bdelay\s*\(/.test(part.loop)).length > 1) {
+    warnings.push(
+      "Several sensor loops call delay() - each loop() pass waits for all of them"
+    );
+  }
+
+  const libraries = [...new Set(sensors.flatMap((s) => s.libraries))];
+  const lines = [
+    "/*",
+    `  ${name}`,
+    "",
+    "  Starter sketch combining the sensor examples from docs/sensors:",
+    ...sensors.map(
+      (s) => `  - ${s.title}${s.connection ? ` (${s.connection})` : ""}`
+    ),
+    "",
+    "  Each sensor's example runs in its own setup/loop function below.",
+    "  Check that no two sensors use the same pin or Grove port.",
+    ...(libraries.length
+      ? [`  Libraries to install: ${libraries.join(", ")}`]
+      : []),
+    "*/",
+    "",
+    ...includes.values(),
+    ...(includes.size ? [""] : []),
+  ];
+
+  for (const part of parts) {
+    if (!part.globals) continue;
+    lines.push(`// --- ${part.sensor.title} ---`, part.globals, "");
+  }
+
+  lines.push(
+    "void setup() {",
+    `  Serial.begin(${baudRate || DEFAULT_BAUD_RATE});`,
+    ...parts.map((part) => `  setup${part.suffix}();`),
+    "}",
+    "",
+    "void loop() {",
+    ...parts.map((part) => `  loop${part.suffix}();`),
+    "}",
+    ""
+  );
+
+  for (const part of parts) {
+    lines.push(
+      `// --- ${part.sensor.title} ---`,
+      "",
+      `void setup${part.suffix}() {`,
+      ...(part.setup ? [part.setup] : []),
+      "}",
+      "",
+      `void loop${part.suffix}() {`,
+      ...(part.loop ? [part.loop] : []),
+      "}",
+      ""
+    );
+  }
+
+  return { code: lines.join("\n"), warnings };
+}
+
+// =============================================================================
+// Creating Sketches
+// =============================================================================
+
+/**
+ * Check a sketch name (also the folder and main .ino name)
+ * @param {string} name - Sketch name
+ * @returns {boolean}
+ */
+export function isValidSketchName(name) {
+  return SKETCH_NAME_PATTERN.test(name);
+}
+
+/**
+ * Render the files of a new sketch
+ * @param {object} sources - Template locations (see listTemplates)
+ * @param {object} request - What to create
+ * @param {string} request.name - Sketch name
+ * @param {string} [request.template="blank"] - "blank" or "demo:<name>"
+ * @param {string[]} [request.sensors] - Sensor ids to combine (replaces the template)
+ * @returns {{success: boolean, files?: Object<string, string>, libraries?: string[], warnings?: string[], error?: string}}
+ */
+export function renderSketch(sources, request) {
+  const { name, template = "blank", sensors = [] } = request;
+  const mainFile = `${name}.ino`;
+
+  if (typeof template !== "string") {
+    return { success: false, error: "Template must be a string" };
+  }
+
+  if (Array.isArray(sensors) && sensors.length > 0) {
+    const available = loadSensors(sources.sensorsDir);
+    const chosen = [];
+    for (const id of sensors) {
+      const sensor = available.find((s) => s.id === id);
+      if (!sensor) return { success: false, error: `Unknown sensor: ${id}` };
+      if (!chosen.includes(sensor)) chosen.push(sensor);
+    }
+
+    if (chosen.length === 1) {
+      const [sensor] = chosen;
+      return {
+        success: true,
+        files: {
+          [mainFile]: `// Created from docs/sensors/${sensor.id}/README.md\n\n${sensor.code}`,
+        },
+        libraries: sensor.libraries,
+        warnings: [],
+      };
+    }
+
+    const { code, warnings } = combineSensors(name, chosen);
+    return {
+      success: true,
+      files: { [mainFile]: code },
+      libraries: [...new Set(chosen.flatMap((s) => s.libraries))],
+      warnings,
+    };
+  }
+
+  if (template === "blank") {
+    return {
+      success: true,
+      files: { [mainFile]: BLANK_SKETCH },
+      libraries: [],
+      warnings: [],
+    };
+  }
+
+  if (template.startsWith("demo:")) {
+    const demo = listDemos(sources.demosDir).find(
+      (d) => d.name === template.slice("demo:".length)
+    );
+    if (!demo)
+      return { success: false, error: `Unknown template: ${template}` };
+
+    const files = {};
+    for (const file of listSketchFiles(demo.dir)) {
+      const target =
+        file.path === mainSketchFile(demo.dir) ? mainFile : file.path;
+      files[target] = fs.readFileSync(path.join(demo.dir, file.path), "utf8");
+    }
+    return { success: true, files, libraries: [], warnings: [] };
+  }
+
+  return { success: false, error: `Unknown template: ${template}` };
+}
+
+/**
+ * Create a sketch folder from a template
+ * @param {string} parentDir - Folder to create the sketch in
+ * @param {object} sources - Template locations (see listTemplates)
+ * @param {object} request - See renderSketch
+ * @returns {{success: boolean, sketchDir?: string, files?: string[], libraries?: string[], warnings?: string[], error?: string, status?: number}}
+ */
+export function createSketch(parentDir, sources, request) {
+  const name = String(request?.name || "").trim();
+  if (!isValidSketchName(name)) {
+    return {
+      success: false,
+      status: 400,
+      error:
+        "Sketch names use letters, numbers, '_', '-' and '.', start with a letter or number and are at most 63 characters",
+    };
+  }
+
+  const rendered = renderSketch(sources, { ...request, name });
+  if (!rendered.success) return { ...rendered, status: 400 };
+
+  const sketchDir = path.join(parentDir, name);
+  try {
+    fs.mkdirSync(sketchDir);
+  } catch (err) {
+    if (err.code === "EEXIST") {
+      return {
+        success: false,
+        status: 409,
+        error: `A folder named ${name} already exists`,
+      };
+    }
+    throw err;
+  }
+
+  for (const [file, content] of Object.entries(rendered.files)) {
+    fs.mkdirSync(path.dirname(path.join(sketchDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(sketchDir, file), content);
+  }
+
+  logger.info(
+    `Created sketch ${name} (${Object.keys(rendered.files).length} files)`
+  );
+  return {
+    success: true,
+    sketchDir,
+    files: Object.keys(rendered.files),
+    libraries: rendered.libraries,
+    warnings: rendered.warnings,
+  };
+}
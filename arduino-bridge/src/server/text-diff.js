@@ -0,0 +1,163 @@
+/**
+ * Text Diff Module
+ *
+ * Line-based diff (Myers' O(ND) algorithm) and unified diff output:
+ * - diffLines() returns equal/insert/delete operations
+ * - unifiedDiff() renders them as a `diff -u` style patch with context lines
+ *
+ * Very different inputs (more than MAX_EDIT_DISTANCE edits) are reported as
+ * one replaced block instead of a minimal diff.
+ */
+
+/** Edits explored before giving up on a minimal diff */
+const MAX_EDIT_DISTANCE = 4000;
+
+/** Unchanged lines shown around each change */
+const DEFAULT_CONTEXT = 3;
+
+/**
+ * Split text into lines (a trailing newline does not add an empty line)
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  if (text === "") return [];
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+/**
+ * Diff two lists of lines
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{type: 'equal'|'delete'|'insert', line: string}>}
+ */
+export function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+
+  // v[k] = furthest x on diagonal k; one snapshot per edit distance d
+  const offset = max + 1;
+  let v = new Int32Array(2 * max + 3);
+  const trace = [];
+  let found = false;
+
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  if (!found) {
+    return [
+      ...a.map((line) => ({ type: "delete", line })),
+      ...b.map((line) => ({ type: "insert", line })),
+    ];
+  }
+
+  // Walk the snapshots back from (n, m) to (0, 0)
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+    const prevK =
+      k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: "equal", line: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({ type: "insert", line: b[y - 1] });
+      else ops.push({ type: "delete", line: a[x - 1] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Render a unified diff
+ * @param {string} fileName - Name shown in the ---/+++ header
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @param {number} [context=3] - Unchanged lines around each change
+ * @returns {string} The patch, or "" if the texts have the same lines
+ */
+export function unifiedDiff(
+  fileName,
+  oldText,
+  newText,
+  context = DEFAULT_CONTEXT
+) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const changed = ops
+    .map((op, index) => (op.type === "equal" ? -1 : index))
+    .filter((index) => index >= 0);
+  if (changed.length === 0) return "";
+
+  // Group changes whose context overlaps into hunks
+  const ranges = [];
+  for (const index of changed) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length, index + context + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end) last.end = Math.max(last.end, end);
+    else ranges.push({ start, end });
+  }
+
+  // Line numbers (1-based) before each op
+  const oldLine = [];
+  const newLine = [];
+  let oldCount = 1;
+  let newCount = 1;
+  for (const op of ops) {
+    oldLine.push(oldCount);
+    newLine.push(newCount);
+    if (op.type !== "insert") oldCount++;
+    if (op.type !== "delete") newCount++;
+  }
+
+  const out = [`--- a/${fileName}`, `+++ b/${fileName}`];
+  for (const { start, end } of ranges) {
+    const hunk = ops.slice(start, end);
+    const oldLength = hunk.filter((op) => op.type !== "insert").length;
+    const newLength = hunk.filter((op) => op.type !== "delete").length;
+    // diff -u numbers an empty side from the line before it
+    const oldStart = oldLength ? oldLine[start] : oldLine[start] - 1;
+    const newStart = newLength ? newLine[start] : newLine[start] - 1;
+
+    out.push(`@@ -${oldStart},${oldLength} +${newStart},${newLength} @@`);
+    for (const op of hunk) {
+      const prefix =
+        op.type === "equal" ? " " : op.type === "delete" ? "-" : "+";
+      out.push(prefix + op.line);
+    }
+  }
+
+  return out.join("\n") + "\n";
+}
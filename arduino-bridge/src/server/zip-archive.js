@@ -0,0 +1,266 @@
+/**
+ * ZIP Archive Module
+ *
+ * Minimal ZIP reader/writer on top of zlib (no extra dependency):
+ * - Writes deflated (or stored, when smaller) entries with UTF-8 names
+ * - Reads stored and deflated entries, checking sizes and CRC-32
+ * - Refuses encrypted entries, symlinks and archives over the size limits
+ *
+ * ZIP64 is not supported; sketches are far below its 4 GB threshold.
+ */
+
+import zlib from "zlib";
+
+/** Record signatures */
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+
+/** Compression methods */
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+/** General purpose flags */
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+/** Unix file type bits in the external attributes */
+const UNIX_TYPE_MASK = 0o170000;
+const UNIX_SYMLINK = 0o120000;
+
+/** Default limits when reading untrusted archives */
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_MAX_TOTAL_BYTES = 50 * 1024 * 1024;
+
+/** @type {Uint32Array|null} CRC-32 lookup table */
+let crcTable = null;
+
+/**
+ * CRC-32 (IEEE) of a buffer
+ * @param {Buffer} data
+ * @returns {number}
+ */
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields for a timestamp
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// =============================================================================
+// Writing
+// =============================================================================
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, data: Buffer|string, modified?: Date}>} entries -
+ *   Files to add ("/"-separated names, no leading slash)
+ * @returns {Buffer}
+ */
+export function createZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, "utf8");
+    const data = Buffer.isBuffer(entry.data)
+      ? entry.data
+      : Buffer.from(entry.data, "utf8");
+    const deflated = zlib.deflateRawSync(data);
+    const method =
+      deflated.length < data.length ? METHOD_DEFLATED : METHOD_STORED;
+    const body = method === METHOD_DEFLATED ? deflated : data;
+    const checksum = crc32(data);
+    const { time, date } = toDosDateTime(entry.modified || new Date());
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(FLAG_UTF8, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28); // extra length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4); // made by: Unix, 2.0
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(FLAG_UTF8, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE((0o100644 << 16) >>> 0, 38); // regular file, rw-r--r--
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, body);
+    centralParts.push(central, name);
+    offset += local.length + name.length + body.length;
+  }
+
+  const centralDir = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIR, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDir.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDir, end]);
+}
+
+// =============================================================================
+// Reading
+// =============================================================================
+
+/**
+ * Read the files of a ZIP archive
+ * @param {Buffer} buffer - Archive contents
+ * @param {object} [limits] - Safety limits
+ * @param {number} [limits.maxEntries=1000] - Maximum number of entries
+ * @param {number} [limits.maxTotalBytes=50 MB] - Maximum total uncompressed size
+ * @returns {Array<{name: string, data: Buffer}>} Files (directories are skipped)
+ * @throws {Error} If the archive is invalid, encrypted, contains symlinks or exceeds the limits
+ */
+export function readZip(buffer, limits = {}) {
+  const {
+    maxEntries = DEFAULT_MAX_ENTRIES,
+    maxTotalBytes = DEFAULT_MAX_TOTAL_BYTES,
+  } = limits;
+
+  // The end record is at the end, followed by a comment of up to 64 KB
+  let endOffset = -1;
+  for (
+    let i = buffer.length - 22;
+    i >= Math.max(0, buffer.length - 22 - 0xffff);
+    i--
+  ) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIR) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) throw new Error("Not a ZIP archive");
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let pointer = buffer.readUInt32LE(endOffset + 16);
+  if (count > maxEntries) {
+    throw new Error(`Archive has more than ${maxEntries} entries`);
+  }
+
+  const files = [];
+  let totalBytes = 0;
+
+  for (let index = 0; index < count; index++) {
+    if (
+      pointer + 46 > buffer.length ||
+      buffer.readUInt32LE(pointer) !== CENTRAL_HEADER
+    ) {
+      throw new Error("Corrupt ZIP central directory");
+    }
+
+    const flags = buffer.readUInt16LE(pointer + 8);
+    const method = buffer.readUInt16LE(pointer + 10);
+    const checksum = buffer.readUInt32LE(pointer + 16);
+    const compressedSize = buffer.readUInt32LE(pointer + 20);
+    const size = buffer.readUInt32LE(pointer + 24);
+    const nameLength = buffer.readUInt16LE(pointer + 28);
+    const extraLength = buffer.readUInt16LE(pointer + 30);
+    const commentLength = buffer.readUInt16LE(pointer + 32);
+    const madeBy = buffer.readUInt16LE(pointer + 4) >> 8;
+    const attributes = buffer.readUInt32LE(pointer + 38);
+    const localOffset = buffer.readUInt32LE(pointer + 42);
+    const name = buffer
+      .subarray(pointer + 46, pointer + 46 + nameLength)
+      .toString(flags & FLAG_UTF8 ? "utf8" : "latin1");
+    pointer += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue;
+    if (flags & FLAG_ENCRYPTED) {
+      throw new Error(`${name} is encrypted`);
+    }
+    if (
+      madeBy === 3 &&
+      ((attributes >>> 16) & UNIX_TYPE_MASK) === UNIX_SYMLINK
+    ) {
+      throw new Error(`${name} is a symbolic link`);
+    }
+    if (method !== METHOD_STORED && method !== METHOD_DEFLATED) {
+      throw new Error(`${name} uses an unsupported compression method`);
+    }
+
+    totalBytes += size;
+    if (totalBytes > maxTotalBytes) {
+      throw new Error(
+        `Archive expands to more than ${Math.round(
+          maxTotalBytes / 1024 / 1024
+        )} MB`
+      );
+    }
+
+    if (
+      localOffset + 30 > buffer.length ||
+      buffer.readUInt32LE(localOffset) !== LOCAL_HEADER
+    ) {
+      throw new Error(`Corrupt ZIP entry: ${name}`);
+    }
+    const dataStart =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    const body = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (body.length !== compressedSize) {
+      throw new Error(`Truncated ZIP entry: ${name}`);
+    }
+
+    const data =
+      method === METHOD_STORED
+        ? Buffer.from(body)
+        : zlib.inflateRawSync(body, { maxOutputLength: Math.max(size, 1) });
+    if (data.length !== size || crc32(data) !== checksum) {
+      throw new Error(`Checksum mismatch in ${name}`);
+    }
+
+    files.push({ name, data });
+  }
+
+  return files;
+}
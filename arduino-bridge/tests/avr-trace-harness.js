@@ -0,0 +1,337 @@
+/**
+ * AVR Bootloader Trace Harness
+ *
+ * Shared pieces of the STK500, STK500v2 and AVR109 trace tests:
+ * - MockAvrPort: a Web Serial port that hands every write to a simulated
+ *   bootloader and records the decoded commands and answers
+ * - buildIntelHex: Intel HEX for a flash image (type 02 records past 64KB)
+ * - compareTraces: reference (bootloader source of truth) vs actual trace
+ * - createReport: pass/fail checks with a summary
+ *
+ * The bootloader simulators live in the test files. A simulator has a
+ * `receive(bytes, port)` method; it buffers the bytes and, once a command
+ * is complete, calls port.command() to record it and port.reply() to answer.
+ */
+
+// ============================================================================
+// MOCK PORT WITH TRACE CAPTURE
+// ============================================================================
+
+/**
+ * MockAvrPort - Simulates a Web Serial API port in front of a bootloader
+ */
+export class MockAvrPort {
+  /**
+   * @param {Object} bootloader - Simulator with receive(bytes, port)
+   * @param {Object} [options]
+   * @param {string} [options.name] - Name shown in the trace
+   * @param {boolean} [options.verbose=false] - Log every trace entry
+   */
+  constructor(bootloader, options = {}) {
+    this.bootloader = bootloader;
+    this.name = options.name || "MockAvrPort";
+    this.verbose = options.verbose ?? false;
+    this.trace = [];
+    this.startTime = Date.now();
+    this.rxQueue = [];
+    this.pendingRead = null;
+    this.closed = false;
+  }
+
+  _addTrace(direction, bytes, description) {
+    const entry = {
+      time: Date.now() - this.startTime,
+      direction,
+      bytes: Array.from(bytes),
+      hex: Array.from(bytes)
+        .map((b) => b.toString(16).padStart(2, "0"))
+        .join(" "),
+      description,
+    };
+    this.trace.push(entry);
+    if (this.verbose) {
+      console.log(
+        `[${String(entry.time).padStart(6, "0")}] ${direction}: ${description}`
+      );
+    }
+  }
+
+  /**
+   * Record a complete command decoded by the bootloader
+   * @param {number[]|Uint8Array} bytes - Raw command bytes
+   * @param {string} description - Decoded command
+   */
+  command(bytes, description) {
+    this._addTrace("TX", bytes, description);
+  }
+
+  /**
+   * Send an answer from the bootloader
+   * @param {number[]|Uint8Array} bytes - Answer bytes
+   * @param {string} description - Decoded answer
+   * @param {number} [splitAt] - Deliver the answer in two reads, split here
+   */
+  reply(bytes, description, splitAt) {
+    this._addTrace("RX", bytes, description);
+    const data = new Uint8Array(bytes);
+    if (splitAt > 0 && splitAt < data.length) {
+      this._deliver(data.slice(0, splitAt));
+      this._deliver(data.slice(splitAt));
+    } else {
+      this._deliver(data);
+    }
+  }
+
+  _deliver(data) {
+    if (this.pendingRead) {
+      const { resolve } = this.pendingRead;
+      this.pendingRead = null;
+      resolve({ value: data, done: false });
+    } else {
+      this.rxQueue.push(data);
+    }
+  }
+
+  /** Trace entries as {direction, description} for compareTraces */
+  getCommandTrace() {
+    return this.trace.map(({ direction, description }) => ({
+      direction,
+      description,
+    }));
+  }
+
+  // ========== Web Serial API Interface ==========
+
+  getInfo() {
+    return { usbVendorId: 0x2341, usbProductId: 0x0043 };
+  }
+
+  async open() {
+    this.closed = false;
+  }
+
+  async close() {
+    this.closed = true;
+  }
+
+  async setSignals() {}
+
+  get readable() {
+    const self = this;
+    return {
+      getReader() {
+        return {
+          read() {
+            if (self.rxQueue.length) {
+              return Promise.resolve({
+                value: self.rxQueue.shift(),
+                done: false,
+              });
+            }
+            if (self.closed) return Promise.resolve({ done: true });
+            // Like Web Serial, a read waits until data arrives
+            return new Promise((resolve, reject) => {
+              self.pendingRead = { resolve, reject };
+            });
+          },
+          releaseLock() {
+            if (self.pendingRead) {
+              self.pendingRead.reject(new TypeError("Reader lock released"));
+              self.pendingRead = null;
+            }
+          },
+          async cancel() {
+            self.closed = true;
+            this.releaseLock();
+          },
+        };
+      },
+    };
+  }
+
+  get writable() {
+    const self = this;
+    return {
+      getWriter() {
+        return {
+          ready: Promise.resolve(),
+          async write(data) {
+            self.bootloader.receive(new Uint8Array(data), self);
+          },
+          releaseLock() {},
+        };
+      },
+    };
+  }
+
+  // ========== Trace Output ==========
+
+  /**
+   * Print the trace
+   * @param {number} [limit=40] - Entries to print from the start
+   */
+  printTrace(limit = 40) {
+    console.log("\n" + "═".repeat(100));
+    console.log(`PROTOCOL TRACE: ${this.name}`);
+    console.log("═".repeat(100));
+    console.log(
+      `${"Time".padEnd(10)} | ${"Dir".padEnd(4)} | ${"Decoded".padEnd(
+        44
+      )} | Hex`
+    );
+    console.log("─".repeat(100));
+
+    for (const entry of this.trace.slice(0, limit)) {
+      const timeStr = `${entry.time}ms`.padEnd(10);
+      const hex =
+        entry.hex.length > 36 ? `${entry.hex.substring(0, 33)}...` : entry.hex;
+      console.log(
+        `${timeStr} | ${entry.direction.padEnd(4)} | ${entry.description
+          .substring(0, 44)
+          .padEnd(44)} | ${hex}`
+      );
+    }
+    if (this.trace.length > limit) {
+      console.log(`... (${this.trace.length - limit} more entries)`);
+    }
+
+    console.log("═".repeat(100));
+    console.log(`Total entries: ${this.trace.length}`);
+    console.log("═".repeat(100) + "\n");
+  }
+}
+
+// ============================================================================
+// FIRMWARE IMAGES
+// ============================================================================
+
+/**
+ * Test image with a repeating, address-dependent pattern
+ * @param {number} size - Bytes
+ * @param {number} [seed=7] - Pattern multiplier
+ * @returns {Uint8Array}
+ */
+export function testImage(size, seed = 7) {
+  const image = new Uint8Array(size);
+  for (let i = 0; i < size; i++) image[i] = (i * seed + (i >> 8)) & 0xff;
+  return image;
+}
+
+/**
+ * Intel HEX for a flash image, with a type 02 (extended segment address)
+ * record at every 64KB boundary like avr-objcopy writes for large sketches
+ * @param {Uint8Array} image - Flash image starting at address 0
+ * @returns {string}
+ */
+export function buildIntelHex(image) {
+  const record = (type, addr, data) => {
+    const bytes = [data.length, (addr >> 8) & 0xff, addr & 0xff, type, ...data];
+    const checksum = -bytes.reduce((sum, b) => sum + b, 0) & 0xff;
+    return `:${[...bytes, checksum]
+      .map((b) => b.toString(16).padStart(2, "0"))
+      .join("")
+      .toUpperCase()}\n`;
+  };
+
+  let hex = "";
+  for (let addr = 0; addr < image.length; addr += 16) {
+    if (addr > 0 && addr % 0x10000 === 0) {
+      const segment = addr >> 4;
+      hex += record(0x02, 0, [(segment >> 8) & 0xff, segment & 0xff]);
+    }
+    hex += record(0x00, addr & 0xffff, image.subarray(addr, addr + 16));
+  }
+  return hex + ":00000001FF\n";
+}
+
+// ============================================================================
+// TRACE COMPARISON
+// ============================================================================
+
+/**
+ * Compare a reference trace with the actual one, entry by entry
+ * @param {Array<{direction: string, description: string}>} reference
+ * @param {Array<{direction: string, description: string}>} actual
+ * @param {number} [maxDetails=10] - Differences to print
+ * @returns {{differences: number, details: Array}}
+ */
+export function compareTraces(reference, actual, maxDetails = 10) {
+  const maxLen = Math.max(reference.length, actual.length);
+  const details = [];
+
+  for (let i = 0; i < maxLen; i++) {
+    const ref = reference[i];
+    const act = actual[i];
+    if (!ref || !act) {
+      details.push({ index: i, type: "missing", ref, act });
+    } else if (ref.direction !== act.direction) {
+      details.push({ index: i, type: "direction", ref, act });
+    } else if (ref.description !== act.description) {
+      details.push({ index: i, type: "data", ref, act });
+    }
+  }
+
+  console.log(
+    `    📊 ${details.length} differences found out of ${maxLen} entries`
+  );
+  for (const diff of details.slice(0, maxDetails)) {
+    const show = (e) => (e ? `${e.direction}: ${e.description}` : "(missing)");
+    console.log(`       [${diff.index}] ${diff.type.toUpperCase()}`);
+    console.log(`         Reference: ${show(diff.ref)}`);
+    console.log(`         Actual:    ${show(diff.act)}`);
+  }
+  if (details.length > maxDetails) {
+    console.log(`       ... (${details.length - maxDetails} more)`);
+  }
+
+  return { differences: details.length, details };
+}
+
+// ============================================================================
+// REPORTING
+// ============================================================================
+
+/**
+ * Print a boxed title
+ * @param {string} title
+ */
+export function banner(title) {
+  const width = 78;
+  const padding = Math.max(0, width - title.length);
+  const left = Math.floor(padding / 2);
+  console.log(`╔${"═".repeat(width)}╗`);
+  console.log(`║${" ".repeat(left)}${title}${" ".repeat(padding - left)}║`);
+  console.log(`╚${"═".repeat(width)}╝`);
+}
+
+/**
+ * Collect pass/fail checks
+ * @returns {{check: Function, finish: Function}}
+ */
+export function createReport() {
+  const results = [];
+  return {
+    /**
+     * @param {string} name - What is checked
+     * @param {boolean} ok - Whether it held
+     * @param {string} [detail] - Shown when the check fails
+     */
+    check(name, ok, detail = "") {
+      results.push({ name, ok, detail });
+      console.log(`    ${ok ? "✅" : "❌"} ${name}`);
+      if (!ok && detail) console.log(`       ${detail}`);
+    },
+
+    /** @returns {{passed: number, failed: number, results: Array}} */
+    finish() {
+      const failed = results.filter((r) => !r.ok).length;
+      const passed = results.length - failed;
+      console.log("\n" + "═".repeat(80));
+      console.log(
+        `${failed === 0 ? "✅" : "❌"} ${passed} passed, ${failed} failed`
+      );
+      console.log("═".repeat(80) + "\n");
+      return { passed, failed, results };
+    },
+  };
+}
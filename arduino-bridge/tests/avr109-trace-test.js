@@ -0,0 +1,355 @@
+/**
+ * AVR109 Protocol Trace Test
+ *
+ * Runs the actual AVR109.js against a simulated Caterina bootloader
+ * (Arduino Leonardo / Micro, Caterina.c) and checks:
+ * - Handshake: software ID, signature, block support
+ * - Block writes: one set-address, then blocks the size the bootloader
+ *   reports (at most one page, never crossing one), the last one padded
+ *   with 0xFF
+ * - Verify: the address is set again and every block is read back, a
+ *   mismatch names the address and the sketch is not started
+ *
+ * Usage: node tests/avr109-trace-test.js
+ *
+ * Or in the browser console:
+ *   import { runAvr109TraceTest } from './tests/avr109-trace-test.js';
+ *   await runAvr109TraceTest();
+ */
+
+import { AVR109Protocol } from "../src/client/services/protocols/AVR109.js";
+import { AVR109_CONFIG } from "../src/client/config/boardProtocols.js";
+import {
+  MockAvrPort,
+  banner,
+  buildIntelHex,
+  compareTraces,
+  createReport,
+  testImage,
+} from "./avr-trace-harness.js";
+
+const CR = 0x0d;
+
+// ============================================================================
+// BOOTLOADER SIMULATOR (Source of Truth: Caterina.c)
+// ============================================================================
+
+/**
+ * CaterinaBootloader - Simulates the Caterina AVR109 bootloader
+ *
+ * Writes that Caterina would mangle (blocks larger than its buffer, blocks
+ * that cross a page boundary, writes before the erase) are collected in
+ * `errors`.
+ */
+export class CaterinaBootloader {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.blockSize=128] - Block size reported by 'b'
+   * @param {number} [options.corruptFlashAt] - Byte address that reads back
+   *   with one bit flipped
+   */
+  constructor(options = {}) {
+    this.blockSize = options.blockSize ?? AVR109_CONFIG.memory.pageSize;
+    this.corruptFlashAt = options.corruptFlashAt;
+    this.flash = new Uint8Array(AVR109_CONFIG.memory.flashSize).fill(0xff);
+    this.signature = AVR109_CONFIG.signature;
+    this.address = 0; // Word address, like Caterina's CurrAddress
+    this.erased = false;
+    this.buffer = [];
+    this.errors = [];
+  }
+
+  receive(bytes, port) {
+    this.buffer.push(...bytes);
+    while (this.buffer.length > 0 && this._handle(port)) {
+      // Keep going while complete commands are buffered
+    }
+  }
+
+  /**
+   * Handle the command at the start of the buffer
+   * @returns {boolean} False when the command is not complete yet
+   */
+  _handle(port) {
+    const buf = this.buffer;
+    const command = String.fromCharCode(buf[0]);
+
+    switch (command) {
+      case "S":
+        port.command(buf.splice(0, 1), "S (software ID)");
+        port.reply(new TextEncoder().encode("CATERIN"), "CATERIN");
+        return true;
+
+      case "s": {
+        port.command(buf.splice(0, 1), "s (signature)");
+        const reversed = [...this.signature].reverse();
+        port.reply(reversed, `signature ${hexBytes(reversed)}`);
+        return true;
+      }
+
+      case "b":
+        port.command(buf.splice(0, 1), "b (block support)");
+        port.reply(
+          [0x59, (this.blockSize >> 8) & 0xff, this.blockSize & 0xff],
+          `Y ${this.blockSize}`
+        );
+        return true;
+
+      case "P":
+      case "L":
+        port.command(
+          buf.splice(0, 1),
+          `${command} (${command === "P" ? "enter" : "leave"} prog mode)`
+        );
+        port.reply([CR], "CR");
+        return true;
+
+      case "e":
+        port.command(buf.splice(0, 1), "e (chip erase)");
+        this.flash.fill(0xff, 0, AVR109_CONFIG.memory.bootStart);
+        this.erased = true;
+        port.reply([CR], "CR");
+        return true;
+
+      case "E":
+        port.command(buf.splice(0, 1), "E (exit bootloader)");
+        port.reply([CR], "CR");
+        return true;
+
+      case "A": {
+        if (buf.length < 3) return false;
+        const cmd = buf.splice(0, 3);
+        this.address = (cmd[1] << 8) | cmd[2];
+        port.command(cmd, `A ${hex16(this.address)}`);
+        port.reply([CR], "CR");
+        return true;
+      }
+
+      case "B": {
+        if (buf.length < 4) return false;
+        const length = (buf[1] << 8) | buf[2];
+        if (buf.length < 4 + length) return false;
+        const cmd = buf.splice(0, 4 + length);
+        const byteAddr = this.address * 2;
+        port.command(
+          cmd,
+          `B ${length} bytes ${String.fromCharCode(cmd[3])} @ ${hex16(
+            this.address
+          )}`
+        );
+
+        if (length > this.blockSize) {
+          this.errors.push(
+            `Block of ${length} bytes, buffer is ${this.blockSize}`
+          );
+        }
+        const { pageSize } = AVR109_CONFIG.memory;
+        if ((byteAddr % pageSize) + length > pageSize) {
+          this.errors.push(
+            `Block at 0x${byteAddr.toString(16)} crosses a page boundary`
+          );
+        }
+        if (!this.erased) this.errors.push("Block written before the erase");
+
+        this.flash.set(cmd.slice(4), byteAddr);
+        this.address += length >> 1;
+        port.reply([CR], "CR");
+        return true;
+      }
+
+      case "g": {
+        if (buf.length < 4) return false;
+        const cmd = buf.splice(0, 4);
+        const length = (cmd[1] << 8) | cmd[2];
+        const byteAddr = this.address * 2;
+        port.command(
+          cmd,
+          `g ${length} bytes ${String.fromCharCode(cmd[3])} @ ${hex16(
+            this.address
+          )}`
+        );
+
+        const data = this.flash.slice(byteAddr, byteAddr + length);
+        const corrupt = this.corruptFlashAt;
+        if (corrupt >= byteAddr && corrupt < byteAddr + length) {
+          data[corrupt - byteAddr] ^= 0x01;
+        }
+        this.address += length >> 1;
+        port.reply(data, `${length} bytes`);
+        return true;
+      }
+
+      default:
+        port.command(buf.splice(0, 1), `${command} (unknown)`);
+        port.reply([0x3f], "?");
+        return true;
+    }
+  }
+}
+
+function hex16(value) {
+  return `0x${value.toString(16).padStart(4, "0")}`;
+}
+
+function hexBytes(bytes) {
+  return bytes.map((b) => b.toString(16).padStart(2, "0")).join(" ");
+}
+
+// ============================================================================
+// REFERENCE TRACE GENERATOR (Source of Truth: avrdude butterfly.c)
+// ============================================================================
+
+/**
+ * Generate the expected command trace for flashing and verifying an image
+ * @param {number} imageSize - Bytes in the image
+ * @param {number} [blockSize=128] - Block size the bootloader reports
+ * @returns {Array<{direction: string, description: string}>}
+ */
+export function generateReferenceTrace(imageSize, blockSize = 128) {
+  const block = Math.min(blockSize, AVR109_CONFIG.memory.pageSize);
+  const reversed = [...AVR109_CONFIG.signature].reverse();
+  const trace = [];
+
+  const exchange = (command, answer) => {
+    trace.push({ direction: "TX", description: command });
+    trace.push({ direction: "RX", description: answer });
+  };
+
+  exchange("S (software ID)", "CATERIN");
+  exchange("s (signature)", `signature ${hexBytes(reversed)}`);
+  exchange("b (block support)", `Y ${blockSize}`);
+  exchange("P (enter prog mode)", "CR");
+  exchange("e (chip erase)", "CR");
+
+  // The address auto-increments, so it is only set before each pass
+  exchange("A 0x0000", "CR");
+  for (let addr = 0; addr < imageSize; addr += block) {
+    exchange(`B ${block} bytes F @ ${hex16(addr >> 1)}`, "CR");
+  }
+  exchange("A 0x0000", "CR");
+  for (let addr = 0; addr < imageSize; addr += block) {
+    exchange(`g ${block} bytes F @ ${hex16(addr >> 1)}`, `${block} bytes`);
+  }
+
+  exchange("L (leave prog mode)", "CR");
+  exchange("E (exit bootloader)", "CR");
+  return trace;
+}
+
+// ============================================================================
+// TEST CASES
+// ============================================================================
+
+/**
+ * Flash an image through a simulated bootloader
+ * @returns {Promise<{port: MockAvrPort, bootloader: CaterinaBootloader, error: Error|null}>}
+ */
+async function flash(image, bootloaderOptions = {}) {
+  const bootloader = new CaterinaBootloader(bootloaderOptions);
+  const port = new MockAvrPort(bootloader, { name: "AVR109.js" });
+  const protocol = new AVR109Protocol(port, () => {}, AVR109_CONFIG);
+
+  let error = null;
+  try {
+    await protocol.flashHex(buildIntelHex(image));
+  } catch (e) {
+    error = e;
+  }
+  return { port, bootloader, error };
+}
+
+export async function runAvr109TraceTest() {
+  banner("AVR109 PROTOCOL TRACE TEST - Caterina");
+  const report = createReport();
+
+  // --------------------------------------------------------------------------
+  console.log("\n[1] 20000 byte image (last block padded)...");
+  const image = testImage(20000);
+  const run = await flash(image);
+
+  report.check(
+    "flash completes",
+    run.error === null,
+    run.error && run.error.message
+  );
+  report.check(
+    "blocks fit the buffer, stay within a page and follow the erase",
+    run.bootloader.errors.length === 0,
+    run.bootloader.errors.slice(0, 3).join("; ")
+  );
+
+  const comparison = compareTraces(
+    generateReferenceTrace(image.length),
+    run.port.getCommandTrace()
+  );
+  report.check("trace matches the reference", comparison.differences === 0);
+
+  const paddedEnd = Math.ceil(image.length / 128) * 128;
+  report.check(
+    "flash holds the image and the last block is padded with 0xFF",
+    image.every((b, i) => run.bootloader.flash[i] === b) &&
+      run.bootloader.flash
+        .subarray(image.length, paddedEnd)
+        .every((b) => b === 0xff)
+  );
+
+  const tx = run.port.trace.filter((e) => e.direction === "TX");
+  const writes = tx.filter((e) => e.description.startsWith("B "));
+  const reads = tx.filter((e) => e.description.startsWith("g "));
+  report.check(
+    "verify reads back every block that was written",
+    reads.length === writes.length &&
+      reads.every(
+        (e, i) =>
+          e.bytes.slice(1, 3).join() === writes[i].bytes.slice(1, 3).join()
+      )
+  );
+  run.port.printTrace(24);
+
+  // --------------------------------------------------------------------------
+  console.log("\n[2] Bootloader buffer smaller than a page (64 bytes)...");
+  const smallBlocks = await flash(testImage(1000), { blockSize: 64 });
+  report.check(
+    "blocks shrink to the bootloader's buffer",
+    smallBlocks.error === null &&
+      smallBlocks.bootloader.errors.length === 0 &&
+      compareTraces(
+        generateReferenceTrace(1000, 64),
+        smallBlocks.port.getCommandTrace()
+      ).differences === 0,
+    smallBlocks.error ? smallBlocks.error.message : ""
+  );
+
+  // --------------------------------------------------------------------------
+  console.log("\n[3] Block reads back with a flipped bit...");
+  const corruptAt = 0x1234;
+  const mismatch = await flash(image, { corruptFlashAt: corruptAt });
+  const expected =
+    `Verify failed at 0x${corruptAt
+      .toString(16)
+      .padStart(8, "0")
+      .toUpperCase()}: ` +
+    `wrote 0x${image[corruptAt].toString(16).padStart(2, "0")}, ` +
+    `read 0x${(image[corruptAt] ^ 0x01).toString(16).padStart(2, "0")}. ` +
+    "Check the USB cable and upload again.";
+  report.check(
+    "verify names the address and both bytes",
+    mismatch.error?.message === expected,
+    `got: ${mismatch.error ? mismatch.error.message : "no error"}`
+  );
+  report.check(
+    "the sketch is not started after a failed verify",
+    !mismatch.port.trace.some((e) => e.description.startsWith("E "))
+  );
+
+  return report.finish();
+}
+
+// Export for console use, run when executed with node
+if (typeof window !== "undefined") {
+  window.runAvr109TraceTest = runAvr109TraceTest;
+} else {
+  runAvr109TraceTest().then(({ failed }) => {
+    if (failed > 0) process.exitCode = 1;
+  });
+}
@@ -0,0 +1,328 @@
+/**
+ * STK500 Verify Trace Test
+ *
+ * Runs the actual STK500.js against a simulated Optiboot / ATmegaBOOT
+ * bootloader and checks the read-back pass:
+ * - After the pages are written, every page is read back (LOAD_ADDRESS +
+ *   READ_PAGE) before programming mode is left
+ * - `verify: false` skips the read-back
+ * - A mismatch names the address and both bytes, and programming mode is
+ *   not left, on the Uno and past 64KB on the Mega 1280
+ *
+ * Usage: node tests/stk500-verify-trace-test.js
+ *
+ * Or in the browser console:
+ *   import { runStk500VerifyTraceTest } from './tests/stk500-verify-trace-test.js';
+ *   await runStk500VerifyTraceTest();
+ */
+
+import { STK500Protocol } from "../src/client/services/protocols/STK500.js";
+import {
+  STK500_CONFIG,
+  STK500_ATMEGA1280_CONFIG,
+} from "../src/client/config/boardProtocols.js";
+import {
+  MockAvrPort,
+  banner,
+  buildIntelHex,
+  compareTraces,
+  createReport,
+  testImage,
+} from "./avr-trace-harness.js";
+
+const STK_OK = 0x10;
+const STK_INSYNC = 0x14;
+const CRC_EOP = 0x20;
+
+// ============================================================================
+// BOOTLOADER SIMULATOR (Source of Truth: optiboot.c)
+// ============================================================================
+
+/**
+ * OptibootBootloader - Simulates the STK500v1 subset Optiboot answers
+ *
+ * Commands without a trailing CRC_EOP are collected in `errors` and get no
+ * STK_INSYNC, like Optiboot's verifySpace().
+ */
+export class OptibootBootloader {
+  /**
+   * @param {Object} config - Board protocol config (flash size, signature)
+   * @param {Object} [options]
+   * @param {number} [options.corruptFlashAt] - Byte address that reads back
+   *   with one bit flipped
+   */
+  constructor(config, options = {}) {
+    this.corruptFlashAt = options.corruptFlashAt;
+    this.flash = new Uint8Array(config.memory.flashSize).fill(0xff);
+    this.signature = config.signature || [0x1e, 0x95, 0x0f]; // ATmega328P
+    this.address = 0; // Byte address
+    this.buffer = [];
+    this.errors = [];
+  }
+
+  receive(bytes, port) {
+    this.buffer.push(...bytes);
+    for (;;) {
+      const length = this._commandLength();
+      if (length === null || this.buffer.length < length) return;
+      this._handle(this.buffer.splice(0, length), port);
+    }
+  }
+
+  /**
+   * Length of the command at the start of the buffer, CRC_EOP included
+   * @returns {number|null} Null until the length is known
+   */
+  _commandLength() {
+    const buf = this.buffer;
+    if (buf.length === 0) return null;
+    switch (buf[0]) {
+      case 0x55: // STK_LOAD_ADDRESS, lo, hi
+        return 4;
+      case 0x64: // STK_PROG_PAGE, sizeHi, sizeLo, type, data
+        return buf.length < 3 ? null : 5 + ((buf[1] << 8) | buf[2]);
+      case 0x74: // STK_READ_PAGE, sizeHi, sizeLo, type
+        return 5;
+      default: // GET_SYNC, ENTER/LEAVE_PROGMODE, READ_SIGN
+        return 2;
+    }
+  }
+
+  _handle(cmd, port) {
+    let description;
+    let data = [];
+
+    switch (cmd[0]) {
+      case 0x30:
+        description = "GET_SYNC";
+        break;
+      case 0x50:
+        description = "ENTER_PROGMODE";
+        break;
+      case 0x51:
+        description = "LEAVE_PROGMODE";
+        break;
+      case 0x75:
+        description = "READ_SIGN";
+        data = this.signature;
+        break;
+      case 0x55: {
+        const word = cmd[1] | (cmd[2] << 8);
+        this.address = word * 2;
+        description = `LOAD_ADDRESS ${hex16(word)}`;
+        break;
+      }
+      case 0x64: {
+        const length = (cmd[1] << 8) | cmd[2];
+        description = `PROG_PAGE ${length} bytes ${String.fromCharCode(
+          cmd[3]
+        )}`;
+        this.flash.set(cmd.slice(4, 4 + length), this.address);
+        break;
+      }
+      case 0x74: {
+        const length = (cmd[1] << 8) | cmd[2];
+        description = `READ_PAGE ${length} bytes ${String.fromCharCode(
+          cmd[3]
+        )}`;
+        data = this.flash.slice(this.address, this.address + length);
+        const corrupt = this.corruptFlashAt;
+        if (corrupt >= this.address && corrupt < this.address + length) {
+          data[corrupt - this.address] ^= 0x01;
+        }
+        break;
+      }
+      default:
+        description = `0x${cmd[0].toString(16)} (unknown)`;
+        break;
+    }
+
+    port.command(cmd, description);
+    if (cmd[cmd.length - 1] !== CRC_EOP) {
+      this.errors.push(`${description} without CRC_EOP`);
+      return;
+    }
+    port.reply(
+      [STK_INSYNC, ...data, STK_OK],
+      data.length === 0
+        ? "INSYNC OK"
+        : cmd[0] === 0x75
+        ? `INSYNC ${hexBytes(data)} OK`
+        : `INSYNC ${data.length} bytes OK`
+    );
+  }
+}
+
+function hex16(value) {
+  return `0x${value.toString(16).padStart(4, "0")}`;
+}
+
+function hexBytes(bytes) {
+  return Array.from(bytes)
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join(" ");
+}
+
+// ============================================================================
+// REFERENCE TRACE GENERATOR (Source of Truth: avrdude stk500.c)
+// ============================================================================
+
+/**
+ * Generate the expected command trace for flashing an image
+ * @param {Object} config - Board protocol config
+ * @param {number} imageSize - Bytes in the image
+ * @param {boolean} [verify=true] - Whether the pages are read back
+ * @returns {Array<{direction: string, description: string}>}
+ */
+export function generateReferenceTrace(config, imageSize, verify = true) {
+  const { pageSize } = config.memory;
+  const trace = [];
+
+  const exchange = (command, answer = "INSYNC OK") => {
+    trace.push({ direction: "TX", description: command });
+    trace.push({ direction: "RX", description: answer });
+  };
+  const pages = (command, answer) => {
+    for (let addr = 0; addr < imageSize; addr += pageSize) {
+      const length = Math.min(pageSize, imageSize - addr);
+      exchange(`LOAD_ADDRESS ${hex16(addr >> 1)}`);
+      exchange(`${command} ${length} bytes F`, answer(length));
+    }
+  };
+
+  exchange("GET_SYNC");
+  exchange("ENTER_PROGMODE");
+  if (config.signature) {
+    exchange("READ_SIGN", `INSYNC ${hexBytes(config.signature)} OK`);
+  }
+  pages("PROG_PAGE", () => "INSYNC OK");
+  if (verify) pages("READ_PAGE", (length) => `INSYNC ${length} bytes OK`);
+  exchange("LEAVE_PROGMODE");
+  return trace;
+}
+
+// ============================================================================
+// TEST CASES
+// ============================================================================
+
+/**
+ * Flash an image through a simulated bootloader
+ * @returns {Promise<{port: MockAvrPort, bootloader: OptibootBootloader, error: Error|null}>}
+ */
+async function flash(config, image, options = {}, bootloaderOptions = {}) {
+  const bootloader = new OptibootBootloader(config, bootloaderOptions);
+  const port = new MockAvrPort(bootloader, { name: "STK500.js" });
+  const protocol = new STK500Protocol(port, () => {}, config);
+
+  let error = null;
+  try {
+    await protocol.flashHex(buildIntelHex(image), null, options);
+  } catch (e) {
+    error = e;
+  }
+  return { port, bootloader, error };
+}
+
+function mismatchMessage(image, addr) {
+  return (
+    `Verify failed at 0x${addr.toString(16).padStart(8, "0").toUpperCase()}: ` +
+    `wrote 0x${image[addr].toString(16).padStart(2, "0")}, ` +
+    `read 0x${(image[addr] ^ 0x01).toString(16).padStart(2, "0")}. ` +
+    "Check the USB cable and upload again."
+  );
+}
+
+export async function runStk500VerifyTraceTest() {
+  banner("STK500 VERIFY TRACE TEST - Optiboot");
+  const report = createReport();
+  const image = testImage(1000);
+
+  // --------------------------------------------------------------------------
+  console.log("\n[1] Uno, 1000 byte image, verify on (default)...");
+  const run = await flash(STK500_CONFIG, image);
+  report.check(
+    "flash completes",
+    run.error === null,
+    run.error && run.error.message
+  );
+  report.check(
+    "every command ends with CRC_EOP",
+    run.bootloader.errors.length === 0,
+    run.bootloader.errors.slice(0, 3).join("; ")
+  );
+  const comparison = compareTraces(
+    generateReferenceTrace(STK500_CONFIG, image.length),
+    run.port.getCommandTrace()
+  );
+  report.check(
+    "trace matches the reference (pages read back before leaving)",
+    comparison.differences === 0
+  );
+  report.check(
+    "flash holds the image",
+    image.every((b, i) => run.bootloader.flash[i] === b)
+  );
+  run.port.printTrace(24);
+
+  // --------------------------------------------------------------------------
+  console.log("\n[2] Uno, verify: false...");
+  const noVerify = await flash(STK500_CONFIG, image, { verify: false });
+  report.check(
+    "no page is read back",
+    noVerify.error === null &&
+      compareTraces(
+        generateReferenceTrace(STK500_CONFIG, image.length, false),
+        noVerify.port.getCommandTrace()
+      ).differences === 0,
+    noVerify.error ? noVerify.error.message : ""
+  );
+
+  // --------------------------------------------------------------------------
+  console.log("\n[3] Uno, a page reads back with a flipped bit...");
+  const mismatch = await flash(
+    STK500_CONFIG,
+    image,
+    {},
+    { corruptFlashAt: 0x1a5 }
+  );
+  report.check(
+    "verify names the address and both bytes",
+    mismatch.error?.message === mismatchMessage(image, 0x1a5),
+    `got: ${mismatch.error ? mismatch.error.message : "no error"}`
+  );
+  report.check(
+    "programming mode is not left after a failed verify",
+    !mismatch.port.trace.some((e) => e.description === "LEAVE_PROGMODE")
+  );
+
+  // --------------------------------------------------------------------------
+  console.log("\n[4] Mega 1280, mismatch past 64 KB...");
+  const large = testImage(0x10400);
+  const mega = await flash(
+    STK500_ATMEGA1280_CONFIG,
+    large,
+    {},
+    { corruptFlashAt: 0x10321 }
+  );
+  report.check(
+    "signature is read and the whole image is written first",
+    mega.port.trace[4]?.description === "READ_SIGN" &&
+      large.every((b, i) => mega.bootloader.flash[i] === b)
+  );
+  report.check(
+    "verify names the address past 64 KB",
+    mega.error?.message === mismatchMessage(large, 0x10321),
+    `got: ${mega.error ? mega.error.message : "no error"}`
+  );
+
+  return report.finish();
+}
+
+// Export for console use, run when executed with node
+if (typeof window !== "undefined") {
+  window.runStk500VerifyTraceTest = runStk500VerifyTraceTest;
+} else {
+  runStk500VerifyTraceTest().then(({ failed }) => {
+    if (failed > 0) process.exitCode = 1;
+  });
+}
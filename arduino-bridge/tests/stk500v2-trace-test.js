@@ -0,0 +1,381 @@
+/**
+ * STK500v2 Protocol Trace Test
+ *
+ * Runs the actual STK500v2.js against a simulated Arduino Mega 2560
+ * bootloader (stk500v2 stk500boot.c) and checks:
+ * - Message framing: MESSAGE_START, sequence, size, TOKEN, XOR checksum
+ * - Sequence numbers: one per command, wrapping from 255 to 0
+ * - LOAD_ADDRESS: word address with bit 31 set, so pages past 128KB land
+ *   in the upper flash (RAMPZ)
+ * - Answers: noise before MESSAGE_START is skipped, a bad checksum fails
+ * - Verify: every page is read back, a mismatch names the address
+ *
+ * Usage: node tests/stk500v2-trace-test.js
+ *
+ * Or in the browser console:
+ *   import { runStk500v2TraceTest } from './tests/stk500v2-trace-test.js';
+ *   await runStk500v2TraceTest();
+ */
+
+import { STK500v2Protocol } from "../src/client/services/protocols/STK500v2.js";
+import { STK500V2_CONFIG } from "../src/client/config/boardProtocols.js";
+import {
+  MockAvrPort,
+  banner,
+  buildIntelHex,
+  compareTraces,
+  createReport,
+  testImage,
+} from "./avr-trace-harness.js";
+
+const MESSAGE_START = 0x1b;
+const TOKEN = 0x0e;
+const EXTENDED_ADDRESS_BIT = 0x80000000;
+
+/** Command names by command byte (AVR068) */
+const COMMANDS = {
+  0x01: "SIGN_ON",
+  0x06: "LOAD_ADDRESS",
+  0x10: "ENTER_PROGMODE_ISP",
+  0x11: "LEAVE_PROGMODE_ISP",
+  0x13: "PROGRAM_FLASH_ISP",
+  0x14: "READ_FLASH_ISP",
+  0x1b: "READ_SIGNATURE_ISP",
+};
+
+// ============================================================================
+// BOOTLOADER SIMULATOR (Source of Truth: stk500boot.c)
+// ============================================================================
+
+/**
+ * Stk500v2Bootloader - Simulates the Mega 2560 stk500v2 bootloader
+ *
+ * Every message from the host is checked for framing, checksum and sequence
+ * errors; they are collected in `errors` instead of being answered.
+ */
+export class Stk500v2Bootloader {
+  /**
+   * @param {Object} [options]
+   * @param {number[]} [options.noise] - Bytes sent before the sign-on answer
+   * @param {number} [options.corruptAnswerTo] - Command byte whose answer
+   *   gets a wrong checksum
+   * @param {number} [options.corruptFlashAt] - Byte address that reads back
+   *   with one bit flipped
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.flash = new Uint8Array(STK500V2_CONFIG.memory.flashSize).fill(0xff);
+    this.signature = STK500V2_CONFIG.signature;
+    this.address = 0;
+    this.buffer = [];
+    this.lastSequence = null;
+    this.errors = [];
+  }
+
+  receive(bytes, port) {
+    this.buffer.push(...bytes);
+
+    while (this.buffer.length > 0) {
+      if (this.buffer[0] !== MESSAGE_START) {
+        this.errors.push(
+          `Byte 0x${this.buffer[0].toString(16)} before MESSAGE_START`
+        );
+        this.buffer.shift();
+        continue;
+      }
+      if (this.buffer.length < 5) return;
+      const size = (this.buffer[2] << 8) | this.buffer[3];
+      if (this.buffer.length < size + 6) return;
+
+      const message = this.buffer.splice(0, size + 6);
+      const sequence = message[1];
+      const body = message.slice(5, 5 + size);
+      const checksum = message.slice(0, -1).reduce((sum, b) => sum ^ b, 0);
+
+      if (message[4] !== TOKEN) {
+        this.errors.push(`Message #${sequence} is missing the TOKEN`);
+        continue;
+      }
+      if (checksum !== message[message.length - 1]) {
+        this.errors.push(
+          `Message #${sequence} checksum 0x${message[message.length - 1]
+            .toString(16)
+            .padStart(2, "0")}, expected 0x${checksum
+            .toString(16)
+            .padStart(2, "0")}`
+        );
+        continue;
+      }
+      if (
+        this.lastSequence !== null &&
+        sequence !== ((this.lastSequence + 1) & 0xff)
+      ) {
+        this.errors.push(
+          `Sequence ${sequence} after ${this.lastSequence} (expected ${
+            (this.lastSequence + 1) & 0xff
+          })`
+        );
+      }
+      this.lastSequence = sequence;
+
+      this._handle(sequence, body, message, port);
+    }
+  }
+
+  _handle(sequence, body, message, port) {
+    const name = COMMANDS[body[0]] || `0x${body[0].toString(16)}`;
+    let answer;
+    let description;
+
+    switch (body[0]) {
+      case 0x01:
+        port.command(message, `#${sequence} SIGN_ON`);
+        answer = [0x01, 0x00, 8, ...new TextEncoder().encode("AVRISP_2")];
+        description = `#${sequence} SIGN_ON OK AVRISP_2`;
+        if (this.options.noise) port.reply(this.options.noise, "noise");
+        break;
+
+      case 0x10:
+      case 0x11:
+        port.command(message, `#${sequence} ${name}`);
+        answer = [body[0], 0x00];
+        break;
+
+      case 0x1b: {
+        const index = body[4];
+        port.command(message, `#${sequence} ${name} byte ${index}`);
+        answer = [body[0], 0x00, this.signature[index], 0x00];
+        description = `#${sequence} ${name} OK 0x${this.signature[index]
+          .toString(16)
+          .padStart(2, "0")}`;
+        break;
+      }
+
+      case 0x06: {
+        const value =
+          ((body[1] << 24) | (body[2] << 16) | (body[3] << 8) | body[4]) >>> 0;
+        port.command(message, `#${sequence} ${name} ${hex32(value)}`);
+        // Without bit 31 the bootloader leaves RAMPZ alone (lower 128KB)
+        this.address =
+          value & EXTENDED_ADDRESS_BIT
+            ? (value & 0x7fffffff) * 2
+            : (value & 0xffff) * 2;
+        answer = [body[0], 0x00];
+        break;
+      }
+
+      case 0x13: {
+        const length = (body[1] << 8) | body[2];
+        port.command(message, `#${sequence} ${name} ${length} bytes`);
+        this.flash.set(body.slice(10, 10 + length), this.address);
+        answer = [body[0], 0x00];
+        break;
+      }
+
+      case 0x14: {
+        const length = (body[1] << 8) | body[2];
+        port.command(message, `#${sequence} ${name} ${length} bytes`);
+        const data = this.flash.slice(this.address, this.address + length);
+        const corrupt = this.options.corruptFlashAt;
+        if (corrupt >= this.address && corrupt < this.address + length) {
+          data[corrupt - this.address] ^= 0x01;
+        }
+        answer = [body[0], 0x00, ...data, 0x00];
+        break;
+      }
+
+      default:
+        port.command(message, `#${sequence} ${name}`);
+        answer = [body[0], 0xc0]; // STATUS_CMD_FAILED
+        break;
+    }
+
+    const reply = [
+      MESSAGE_START,
+      sequence,
+      (answer.length >> 8) & 0xff,
+      answer.length & 0xff,
+      TOKEN,
+      ...answer,
+    ];
+    let checksum = reply.reduce((sum, b) => sum ^ b, 0);
+    if (this.options.corruptAnswerTo === body[0]) checksum ^= 0xff;
+    reply.push(checksum);
+
+    // Split after the header so the protocol has to reassemble the answer
+    port.reply(reply, description || `#${sequence} ${name} OK`, 5);
+  }
+}
+
+function hex32(value) {
+  return `0x${value.toString(16).padStart(8, "0")}`;
+}
+
+// ============================================================================
+// REFERENCE TRACE GENERATOR (Source of Truth: avrdude stk500v2.c)
+// ============================================================================
+
+/**
+ * Generate the expected command trace for flashing and verifying an image
+ * @param {number} imageSize - Bytes in the image
+ * @returns {Array<{direction: string, description: string}>}
+ */
+export function generateReferenceTrace(imageSize) {
+  const { pageSize } = STK500V2_CONFIG.memory;
+  const trace = [];
+  let sequence = 1;
+
+  const exchange = (command, answer) => {
+    trace.push({ direction: "TX", description: `#${sequence} ${command}` });
+    trace.push({ direction: "RX", description: `#${sequence} ${answer}` });
+    sequence = (sequence + 1) & 0xff;
+  };
+  const loadAddress = (addr) => {
+    const value = ((addr >> 1) | EXTENDED_ADDRESS_BIT) >>> 0;
+    exchange(`LOAD_ADDRESS ${hex32(value)}`, "LOAD_ADDRESS OK");
+  };
+
+  exchange("SIGN_ON", "SIGN_ON OK AVRISP_2");
+  exchange("ENTER_PROGMODE_ISP", "ENTER_PROGMODE_ISP OK");
+  STK500V2_CONFIG.signature.forEach((b, i) =>
+    exchange(
+      `READ_SIGNATURE_ISP byte ${i}`,
+      `READ_SIGNATURE_ISP OK 0x${b.toString(16).padStart(2, "0")}`
+    )
+  );
+
+  // Every page is written whole (padded with 0xFF)
+  for (let addr = 0; addr < imageSize; addr += pageSize) {
+    loadAddress(addr);
+    exchange(`PROGRAM_FLASH_ISP ${pageSize} bytes`, "PROGRAM_FLASH_ISP OK");
+  }
+  for (let addr = 0; addr < imageSize; addr += pageSize) {
+    loadAddress(addr);
+    exchange(`READ_FLASH_ISP ${pageSize} bytes`, "READ_FLASH_ISP OK");
+  }
+
+  exchange("LEAVE_PROGMODE_ISP", "LEAVE_PROGMODE_ISP OK");
+  return trace;
+}
+
+// ============================================================================
+// TEST CASES
+// ============================================================================
+
+/**
+ * Flash an image through a simulated bootloader
+ * @returns {Promise<{port: MockAvrPort, bootloader: Stk500v2Bootloader, error: Error|null}>}
+ */
+async function flash(image, bootloaderOptions = {}, name = "STK500v2.js") {
+  const bootloader = new Stk500v2Bootloader(bootloaderOptions);
+  const port = new MockAvrPort(bootloader, { name });
+  const protocol = new STK500v2Protocol(port, () => {}, STK500V2_CONFIG);
+
+  let error = null;
+  try {
+    await protocol.flashHex(buildIntelHex(image));
+  } catch (e) {
+    error = e;
+  }
+  return { port, bootloader, error };
+}
+
+export async function runStk500v2TraceTest() {
+  banner("STK500v2 PROTOCOL TRACE TEST - Mega 2560 stk500boot");
+  const report = createReport();
+
+  // --------------------------------------------------------------------------
+  console.log("\n[1] 140 KB image across the 128 KB (64K word) boundary...");
+  const image = testImage(140 * 1024);
+  const run = await flash(image, { noise: [0x00, 0xff] });
+
+  report.check(
+    "flash completes",
+    run.error === null,
+    run.error && run.error.message
+  );
+  report.check(
+    "every message is framed, checksummed and numbered in order",
+    run.bootloader.errors.length === 0,
+    run.bootloader.errors.slice(0, 3).join("; ")
+  );
+
+  const comparison = compareTraces(
+    generateReferenceTrace(image.length),
+    run.port.getCommandTrace().filter((e) => e.description !== "noise")
+  );
+  report.check("trace matches the reference", comparison.differences === 0);
+
+  const commands = run.port.trace.filter((e) => e.direction === "TX");
+  const sequences = commands.map((e) => e.bytes[1]);
+  report.check(
+    "sequence numbers start at 1 and wrap from 255 to 0",
+    sequences[0] === 1 &&
+      sequences.length > 256 &&
+      sequences.every((s, i) => s === (i + 1) % 256)
+  );
+
+  const loads = commands.filter((e) => e.bytes[5] === 0x06);
+  report.check(
+    "every LOAD_ADDRESS sets bit 31 (extended address)",
+    loads.length > 0 && loads.every((e) => (e.bytes[6] & 0x80) !== 0)
+  );
+  report.check(
+    "pages past 128 KB load word addresses above 0xFFFF",
+    loads.some((e) =>
+      e.description.endsWith(hex32((EXTENDED_ADDRESS_BIT | 0x10000) >>> 0))
+    )
+  );
+  report.check(
+    "flash holds the image, including the part past 128 KB",
+    image.every((b, i) => run.bootloader.flash[i] === b)
+  );
+  run.port.printTrace(24);
+
+  // --------------------------------------------------------------------------
+  console.log("\n[2] Answer to ENTER_PROGMODE_ISP with a bad checksum...");
+  const badAnswer = await flash(testImage(1024), { corruptAnswerTo: 0x10 });
+  report.check(
+    "upload fails with 'Answer checksum mismatch'",
+    badAnswer.error?.message === "Answer checksum mismatch",
+    badAnswer.error ? badAnswer.error.message : "flash succeeded"
+  );
+  report.check(
+    "nothing is written after the bad answer",
+    !badAnswer.port.trace.some((e) => e.description.includes("PROGRAM_FLASH"))
+  );
+
+  // --------------------------------------------------------------------------
+  console.log("\n[3] Page past 64 KB reads back with a flipped bit...");
+  const corruptAt = 0x100a5;
+  const small = testImage(0x10200);
+  const mismatch = await flash(small, { corruptFlashAt: corruptAt });
+  const expected =
+    `Verify failed at 0x${corruptAt
+      .toString(16)
+      .padStart(8, "0")
+      .toUpperCase()}: ` +
+    `wrote 0x${small[corruptAt].toString(16).padStart(2, "0")}, ` +
+    `read 0x${(small[corruptAt] ^ 0x01).toString(16).padStart(2, "0")}. ` +
+    "Check the USB cable and upload again.";
+  report.check(
+    "verify names the address and both bytes",
+    mismatch.error?.message === expected,
+    `got: ${mismatch.error ? mismatch.error.message : "no error"}`
+  );
+  report.check(
+    "programming mode is not left after a failed verify",
+    !mismatch.port.trace.some((e) => e.description.includes("LEAVE_PROGMODE"))
+  );
+
+  return report.finish();
+}
+
+// Export for console use, run when executed with node
+if (typeof window !== "undefined") {
+  window.runStk500v2TraceTest = runStk500v2TraceTest;
+} else {
+  runStk500v2TraceTest().then(({ failed }) => {
+    if (failed > 0) process.exitCode = 1;
+  });
+}